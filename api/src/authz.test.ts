@@ -0,0 +1,241 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import type { FastifyBaseLogger, FastifyInstance, FastifyRequest } from "fastify";
+import jwt from "jsonwebtoken";
+import {
+  authorizeAccount,
+  authorizeCustomer,
+  MemoryAccessStore,
+  principalFromClaims,
+  type AccessStore,
+  type OverrideEntry,
+} from "./authz.js";
+
+const SECRET = "test-secret-at-least-32-characters-long";
+
+const request = {
+  method: "GET",
+  url: "/v1/accounts/acc-2",
+  headers: { "x-correlation-id": "corr-0001" },
+} as unknown as FastifyRequest;
+
+// Collects what MemoryAccessStore writes to the log.
+function recordingLog() {
+  const warnings: unknown[] = [];
+  const log = { warn: (entry: unknown) => warnings.push(entry) } as unknown as FastifyBaseLogger;
+  return { log, warnings };
+}
+
+function statusOf(err: unknown): number | undefined {
+  return (err as { statusCode?: number }).statusCode;
+}
+
+describe("principalFromClaims", () => {
+  test("roles grant scopes and the scope claim only narrows them", () => {
+    const support = principalFromClaims({ sub: "u1", roles: ["support", "unknown-role"] });
+    assert.deepEqual(support.roles, ["support"]);
+    assert.deepEqual([...support.scopes].sort(), ["accounts:read", "customers:read", "reports:read"]);
+
+    const narrowed = principalFromClaims({ sub: "u1", roles: ["customer"], scope: "accounts:read customers:read" });
+    assert.deepEqual([...narrowed.scopes], ["accounts:read"]);
+  });
+
+  test("a token without sub is 401", () => {
+    assert.throws(
+      () => principalFromClaims({ roles: ["admin"] }),
+      (err) => statusOf(err) === 401,
+    );
+  });
+});
+
+describe("authorizeAccount", () => {
+  const owners = MemoryAccessStore.parseOwners("alice=acc-1;support-1=acc-9");
+
+  test("a missing scope is 403 insufficient_scope, even on an owned account", async () => {
+    const { log } = recordingLog();
+    const operator = principalFromClaims({ sub: "alice", roles: ["operator"] });
+    await assert.rejects(
+      authorizeAccount(new MemoryAccessStore(owners, log), operator, "accounts:read", "acc-1", request),
+      (err) => statusOf(err) === 403 && (err as Error).message === "insufficient_scope",
+    );
+  });
+
+  test("a customer is limited to their own accounts", async () => {
+    const { log, warnings } = recordingLog();
+    const store = new MemoryAccessStore(owners, log);
+    const alice = principalFromClaims({ sub: "alice", roles: ["customer"] });
+    await authorizeAccount(store, alice, "accounts:read", "acc-1", request);
+    await assert.rejects(
+      authorizeAccount(store, alice, "accounts:read", "acc-2", request),
+      (err) => statusOf(err) === 403 && (err as Error).message === "account_not_owned",
+    );
+    assert.deepEqual(warnings, []);
+  });
+
+  test("support reads a foreign account once the override is audited", async () => {
+    const { log, warnings } = recordingLog();
+    const support = principalFromClaims({ sub: "support-1", roles: ["support"] });
+    await authorizeAccount(new MemoryAccessStore(owners, log), support, "accounts:read", "acc-2", request);
+    assert.deepEqual(warnings, [
+      {
+        audit: "account.access_override",
+        actor: "support-1",
+        roles: ["support"],
+        scope: "accounts:read",
+        entity: "account",
+        entityId: "acc-2",
+        method: "GET",
+        path: "/v1/accounts/acc-2",
+        correlationId: "corr-0001",
+      },
+    ]);
+  });
+
+  test("an owned account is not an override", async () => {
+    const { log, warnings } = recordingLog();
+    const support = principalFromClaims({ sub: "support-1", roles: ["support"] });
+    await authorizeAccount(new MemoryAccessStore(owners, log), support, "accounts:read", "acc-9", request);
+    assert.deepEqual(warnings, []);
+  });
+
+  test("a failed audit write fails the request", async () => {
+    const audited: OverrideEntry[] = [];
+    const store: AccessStore = {
+      ownsAccount: async () => false,
+      ownsAnyAccount: async () => false,
+      recordOverride: async (entry) => {
+        audited.push(entry);
+        throw new Error("audit_log unavailable");
+      },
+      close: async () => {},
+    };
+    const admin = principalFromClaims({ sub: "admin-1", roles: ["admin"] });
+    await assert.rejects(
+      authorizeAccount(store, admin, "transactions:write", "acc-2", request),
+      /audit_log unavailable/,
+    );
+    assert.equal(audited.length, 1);
+  });
+});
+
+describe("authorizeCustomer", () => {
+  const owners = MemoryAccessStore.parseOwners("alice=acc-1");
+  const customerRequest = {
+    method: "GET",
+    url: "/v1/customers/7",
+    headers: { "x-correlation-id": "corr-0002" },
+  } as unknown as FastifyRequest;
+
+  test("the owner of one of the customer's accounts reads it without an override", async () => {
+    const { log, warnings } = recordingLog();
+    // No role grants customers their own customer 360 document yet; the ownership rule is ready for one.
+    const alice = principalFromClaims({ sub: "alice", roles: ["customer"] });
+    alice.scopes.add("customers:read");
+    await authorizeCustomer(
+      new MemoryAccessStore(owners, log),
+      alice,
+      "customers:read",
+      "7",
+      ["acc-9", "acc-1"],
+      customerRequest,
+    );
+    assert.deepEqual(warnings, []);
+  });
+
+  test("staff read any customer once the override is audited", async () => {
+    const { log, warnings } = recordingLog();
+    const operator = principalFromClaims({ sub: "op-1", roles: ["operator"] });
+    await authorizeCustomer(
+      new MemoryAccessStore(owners, log),
+      operator,
+      "customers:read",
+      "7",
+      ["acc-1"],
+      customerRequest,
+    );
+    assert.deepEqual(warnings, [
+      {
+        audit: "customer.access_override",
+        actor: "op-1",
+        roles: ["operator"],
+        scope: "customers:read",
+        entity: "customer",
+        entityId: "7",
+        method: "GET",
+        path: "/v1/customers/7",
+        correlationId: "corr-0002",
+      },
+    ]);
+  });
+
+  test("anyone else is 403 customer_not_owned", async () => {
+    const { log } = recordingLog();
+    const bob = principalFromClaims({ sub: "bob", roles: ["customer"] });
+    bob.scopes.add("customers:read");
+    await assert.rejects(
+      authorizeCustomer(new MemoryAccessStore(owners, log), bob, "customers:read", "7", ["acc-1"], customerRequest),
+      (err) => statusOf(err) === 403 && (err as Error).message === "customer_not_owned",
+    );
+  });
+
+  test("a customer without accounts is only readable through an override", async () => {
+    const { log, warnings } = recordingLog();
+    const alice = principalFromClaims({ sub: "alice", roles: ["customer"] });
+    alice.scopes.add("customers:read");
+    await assert.rejects(
+      authorizeCustomer(new MemoryAccessStore(owners, log), alice, "customers:read", "7", [], customerRequest),
+      (err) => statusOf(err) === 403,
+    );
+    const auditor = principalFromClaims({ sub: "aud-1", roles: ["auditor"] });
+    await authorizeCustomer(new MemoryAccessStore(owners, log), auditor, "customers:read", "7", [], customerRequest);
+    assert.equal(warnings.length, 1);
+  });
+});
+
+describe("gateway routes", () => {
+  let gateway: FastifyInstance;
+  const bearer = (claims: object) => ({ authorization: `Bearer ${jwt.sign(claims, SECRET)}` });
+
+  before(async () => {
+    process.env.JWT_SECRET = SECRET;
+    process.env.AUTHZ_STORE = "memory";
+    process.env.AUTHZ_ACCOUNT_OWNERS = "alice=acc-1";
+    process.env.LOG_LEVEL = "silent";
+    const { buildServer } = await import("./server.js");
+    gateway = await buildServer();
+  });
+
+  after(() => gateway.close());
+
+  test("a role without transactions:write cannot post", async () => {
+    const res = await gateway.inject({
+      method: "POST",
+      url: "/v1/transactions",
+      headers: { ...bearer({ sub: "op-1", roles: ["operator"] }), "idempotency-key": "authz-0001" },
+      payload: { account_id: "acc-1", amount_minor: 100, type: "credit" },
+    });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.json().message, "insufficient_scope");
+  });
+
+  test("a customer cannot read another customer's account", async () => {
+    const res = await gateway.inject({
+      url: "/v1/accounts/acc-2",
+      headers: bearer({ sub: "alice", roles: ["customer"] }),
+    });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.json().message, "account_not_owned");
+  });
+
+  test("a customer lacks customers:read", async () => {
+    const res = await gateway.inject({
+      url: "/v1/customers/1",
+      headers: bearer({ sub: "alice", roles: ["customer"] }),
+    });
+    assert.equal(res.statusCode, 403);
+  });
+
+  test("no token is 401", async () => {
+    assert.equal((await gateway.inject({ url: "/v1/accounts/acc-1" })).statusCode, 401);
+  });
+});
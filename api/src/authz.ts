@@ -0,0 +1,235 @@
+import type { FastifyBaseLogger, FastifyRequest } from "fastify";
+import mysql from "mysql2/promise";
+
+/** Names of the `roles` rows (Flyway V1 and V12); a token carries them in its `roles` claim. */
+export type Role = "customer" | "operator" | "auditor" | "support" | "admin";
+export type Scope = "accounts:read" | "transactions:write" | "reports:read" | "customers:read";
+
+const ROLE_SCOPES: Record<Role, Scope[]> = {
+  customer: ["accounts:read", "transactions:write", "reports:read"],
+  operator: ["customers:read"],
+  auditor: ["customers:read"],
+  support: ["accounts:read", "reports:read", "customers:read"],
+  admin: ["accounts:read", "transactions:write", "reports:read", "customers:read"],
+};
+
+/** Roles that may act on accounts they do not own; each such access is audited. */
+const OVERRIDE_ROLES: Role[] = ["support", "admin"];
+/** Roles that may read customers whose accounts they do not own; each such read is audited. */
+const CUSTOMER_OVERRIDE_ROLES: Role[] = ["operator", "auditor", "support", "admin"];
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export interface TokenClaims {
+  sub?: string;
+  roles?: unknown;
+  /** Optional OAuth-style space-separated scopes; they narrow what the roles grant, never widen it. */
+  scope?: unknown;
+}
+
+export interface Principal {
+  /** `users.external_id` */
+  subject: string;
+  roles: Role[];
+  scopes: Set<Scope>;
+}
+
+export interface OverrideEntry {
+  actor: string;
+  roles: Role[];
+  scope: Scope;
+  /** `audit_log.entity`: an account id, or a customer 360 `customer_id`. */
+  entity: "account" | "customer";
+  entityId: string;
+  method: string;
+  path: string;
+  correlationId: string;
+}
+
+/** Who owns which account, and where access overrides are recorded. */
+export interface AccessStore {
+  ownsAccount(subject: string, accountId: string): Promise<boolean>;
+  ownsAnyAccount(subject: string, accountIds: string[]): Promise<boolean>;
+  recordOverride(entry: OverrideEntry): Promise<void>;
+  close(): Promise<void>;
+}
+
+function httpError(statusCode: number, message: string): Error {
+  const err = new Error(message);
+  (err as Error & { statusCode?: number }).statusCode = statusCode;
+  return err;
+}
+
+export function principalFromClaims(claims: TokenClaims): Principal {
+  if (typeof claims.sub !== "string" || claims.sub === "") throw httpError(401, "Unauthorized");
+  const roles = (Array.isArray(claims.roles) ? claims.roles : []).filter((r): r is Role =>
+    Object.hasOwn(ROLE_SCOPES, r),
+  );
+  const granted = new Set(roles.flatMap((role) => ROLE_SCOPES[role]));
+  if (typeof claims.scope === "string") {
+    const requested = new Set(claims.scope.split(" "));
+    for (const scope of granted) if (!requested.has(scope)) granted.delete(scope);
+  }
+  return { subject: claims.sub, roles, scopes: granted };
+}
+
+export function requireScope(principal: Principal, scope: Scope): void {
+  if (!principal.scopes.has(scope)) throw httpError(403, "insufficient_scope");
+}
+
+/**
+ * Lets the request through when the principal holds `scope` and owns `accountId`. Support and
+ * admin pass without owning it, but only once the override is in the audit trail: a failed audit
+ * write fails the request.
+ */
+export async function authorizeAccount(
+  store: AccessStore,
+  principal: Principal,
+  scope: Scope,
+  accountId: string,
+  request: FastifyRequest,
+): Promise<void> {
+  requireScope(principal, scope);
+  if (await store.ownsAccount(principal.subject, accountId)) return;
+  if (!principal.roles.some((role) => OVERRIDE_ROLES.includes(role))) throw httpError(403, "account_not_owned");
+  await store.recordOverride(overrideEntry(principal, scope, "account", accountId, request));
+}
+
+/**
+ * Lets the request through when the principal holds `scope` and owns one of the customer's accounts
+ * (`accountIds`, the MySQL ids in `accounts.external_account_id`). Staff roles pass without owning
+ * one, once the override is in the audit trail, as in `authorizeAccount`.
+ */
+export async function authorizeCustomer(
+  store: AccessStore,
+  principal: Principal,
+  scope: Scope,
+  customerId: string,
+  accountIds: string[],
+  request: FastifyRequest,
+): Promise<void> {
+  requireScope(principal, scope);
+  if (accountIds.length > 0 && (await store.ownsAnyAccount(principal.subject, accountIds))) return;
+  if (!principal.roles.some((role) => CUSTOMER_OVERRIDE_ROLES.includes(role))) {
+    throw httpError(403, "customer_not_owned");
+  }
+  await store.recordOverride(overrideEntry(principal, scope, "customer", customerId, request));
+}
+
+function overrideEntry(
+  principal: Principal,
+  scope: Scope,
+  entity: OverrideEntry["entity"],
+  entityId: string,
+  request: FastifyRequest,
+): OverrideEntry {
+  return {
+    actor: principal.subject,
+    roles: principal.roles,
+    scope,
+    entity,
+    entityId,
+    method: request.method,
+    path: request.url,
+    correlationId: String(request.headers["x-correlation-id"] ?? ""),
+  };
+}
+
+/** Single-process store for local runs: owners from AUTHZ_ACCOUNT_OWNERS, overrides to the log. */
+export class MemoryAccessStore implements AccessStore {
+  constructor(
+    private readonly owners: Map<string, Set<string>>,
+    private readonly log: FastifyBaseLogger,
+  ) {}
+
+  /** `sub=account,account;sub=account` */
+  static parseOwners(spec: string | undefined): Map<string, Set<string>> {
+    const owners = new Map<string, Set<string>>();
+    for (const entry of (spec ?? "").split(";")) {
+      const [subject, accounts] = entry.split("=");
+      if (!subject?.trim() || !accounts) continue;
+      owners.set(subject.trim(), new Set(accounts.split(",").map((a) => a.trim())));
+    }
+    return owners;
+  }
+
+  async ownsAccount(subject: string, accountId: string): Promise<boolean> {
+    return this.owners.get(subject)?.has(accountId) ?? false;
+  }
+
+  async ownsAnyAccount(subject: string, accountIds: string[]): Promise<boolean> {
+    return accountIds.some((accountId) => this.owners.get(subject)?.has(accountId));
+  }
+
+  async recordOverride(entry: OverrideEntry): Promise<void> {
+    this.log.warn({ audit: `${entry.entity}.access_override`, ...entry }, `${entry.entity} access override`);
+  }
+
+  async close(): Promise<void> {}
+}
+
+/** `account_owners` joined to active `users` (Flyway V12); overrides go to `audit_log` (V5 + V10). */
+export class MySqlAccessStore implements AccessStore {
+  constructor(private readonly pool: mysql.Pool) {}
+
+  async ownsAccount(subject: string, accountId: string): Promise<boolean> {
+    const [rows] = await this.pool.execute<mysql.RowDataPacket[]>(
+      `SELECT 1 FROM account_owners o
+         JOIN users u ON u.id = o.user_id
+        WHERE u.external_id = ? AND u.status = 'active' AND o.account_id = ?
+        LIMIT 1`,
+      [subject, accountId],
+    );
+    return rows.length > 0;
+  }
+
+  async ownsAnyAccount(subject: string, accountIds: string[]): Promise<boolean> {
+    if (accountIds.length === 0) return false;
+    const [rows] = await this.pool.query<mysql.RowDataPacket[]>(
+      `SELECT 1 FROM account_owners o
+         JOIN users u ON u.id = o.user_id
+        WHERE u.external_id = ? AND u.status = 'active' AND o.account_id IN (?)
+        LIMIT 1`,
+      [subject, accountIds],
+    );
+    return rows.length > 0;
+  }
+
+  async recordOverride(entry: OverrideEntry): Promise<void> {
+    // correlation_id is CHAR(36); a caller-chosen id that is not a UUID is kept in the payload.
+    const uuid = uuidPattern.test(entry.correlationId) ? entry.correlationId : null;
+    await this.pool.execute(
+      `INSERT INTO audit_log (actor, action, entity, entity_id, payload, correlation_id, source_service)
+       VALUES (?, ?, ?, ?, ?, ?, 'api-gateway')`,
+      [
+        entry.actor,
+        `${entry.entity}.access_override`,
+        entry.entity,
+        entry.entityId,
+        JSON.stringify({
+          roles: entry.roles,
+          scope: entry.scope,
+          method: entry.method,
+          path: entry.path,
+          ...(uuid ? {} : { correlation_id: entry.correlationId }),
+        }),
+        uuid,
+      ],
+    );
+  }
+
+  async close(): Promise<void> {
+    await this.pool.end();
+  }
+}
+
+/** AUTHZ_STORE=memory (default) or mysql, which needs AUTHZ_MYSQL_URL. */
+export function createAccessStore(env: NodeJS.ProcessEnv, log: FastifyBaseLogger): AccessStore {
+  const kind = env.AUTHZ_STORE ?? "memory";
+  if (kind === "memory") return new MemoryAccessStore(MemoryAccessStore.parseOwners(env.AUTHZ_ACCOUNT_OWNERS), log);
+  if (kind === "mysql") {
+    if (!env.AUTHZ_MYSQL_URL) throw new Error("AUTHZ_STORE=mysql needs AUTHZ_MYSQL_URL");
+    return new MySqlAccessStore(mysql.createPool({ uri: env.AUTHZ_MYSQL_URL, timezone: "Z" }));
+  }
+  throw new Error(`Unknown AUTHZ_STORE "${kind}"; expected memory or mysql`);
+}
@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, test } from "node:test";
+import Fastify, { type FastifyInstance } from "fastify";
+import { Binary, Decimal128, Long, ObjectId, type Db, type Document } from "mongodb";
+import { customerRoutes } from "./customers.js";
+import { loadOpenApi, OpenApiRoutes } from "./openapi.js";
+
+// Serves `docs` for any filter, and records the queries the routes issue. Documents are returned as
+// stored, BSON classes included, the way the driver deserializes them.
+class FakeCollection {
+  docs: Document[] = [];
+  queries: { filter: Document; options?: Document; sort?: Document; limit?: number }[] = [];
+
+  async findOne(filter: Document, options?: Document) {
+    this.queries.push({ filter, options });
+    return this.docs[0] ?? null;
+  }
+
+  async countDocuments(filter: Document) {
+    this.queries.push({ filter });
+    return this.docs.length;
+  }
+
+  find(filter: Document, options?: Document) {
+    const query: (typeof this.queries)[number] = { filter, options };
+    this.queries.push(query);
+    const cursor = {
+      sort: (sort: Document) => ((query.sort = sort), cursor),
+      limit: (limit: number) => ((query.limit = limit), cursor),
+      toArray: async () => this.docs.slice(0, query.limit),
+    };
+    return cursor;
+  }
+}
+
+const collections: Record<string, FakeCollection> = {};
+let app: FastifyInstance;
+// What the routes asked the authorizer, and a denial to throw when set.
+let authorized: [string, string[]][] = [];
+let denial: Error | null = null;
+
+before(async () => {
+  app = Fastify();
+  const db = { collection: (name: string) => (collections[name] ??= new FakeCollection()) } as unknown as Db;
+  const api = new OpenApiRoutes(loadOpenApi(), { prefix: "/v1", strictResponses: true });
+  await app.register(customerRoutes, {
+    db,
+    api,
+    authenticate: async () => async (customerId, accountIds) => {
+      authorized.push([customerId, accountIds]);
+      if (denial) throw denial;
+    },
+  });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  authorized = [];
+  denial = null;
+  for (const name of ["customers", "transactions_ts", "customer_analytics_monthly"]) {
+    collections[name].docs = [];
+    collections[name].queries = [];
+  }
+});
+
+test("CSFLE fields are masked and storage fields never returned", async () => {
+  collections.customers.docs = [
+    {
+      customer_id: Long.fromNumber(1),
+      personal_info: {
+        name: { first: "John", last: "Doe" },
+        email: "john.doe@example.com",
+        ssn: new Binary(Buffer.from("ciphertext"), 6),
+        date_of_birth: null,
+      },
+      risk_profile: { credit_score: new Decimal128("712.5") },
+      created_at: new Date("2024-01-01T00:00:00Z"),
+    },
+  ];
+  const res = await app.inject("/v1/customers/1");
+  assert.equal(res.statusCode, 200);
+  const body = res.json();
+  assert.equal(body.customer_id, "1");
+  assert.equal(body.personal_info.ssn, "***");
+  assert.equal(body.personal_info.date_of_birth, null);
+  assert.equal(body.risk_profile.credit_score, "712.5");
+  assert.equal(body.created_at, "2024-01-01T00:00:00.000Z");
+  assert.deepEqual(collections.customers.queries.at(-1)?.options, { projection: { _id: 0, pii_key: 0 } });
+});
+
+test("fields projects the listed paths and refuses hidden ones", async () => {
+  collections.customers.docs = [{ customer_id: Long.fromNumber(1), accounts: [] }];
+  await app.inject("/v1/customers/1?fields=accounts,personal_info.name,accounts.balance");
+  assert.deepEqual(collections.customers.queries.at(-1)?.options, {
+    projection: { _id: 0, customer_id: 1, accounts: 1, "personal_info.name": 1 },
+  });
+
+  const hidden = await app.inject("/v1/customers/1?fields=pii_key");
+  assert.equal(hidden.statusCode, 400);
+  assert.equal(hidden.json().error, "invalid_fields");
+});
+
+test("an unknown customer is 404", async () => {
+  const res = await app.inject("/v1/customers/42/transactions");
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.json().error, "customer_not_found");
+});
+
+test("every route authorizes against the customer's MySQL account ids before reading", async () => {
+  collections.customers.docs = [
+    {
+      customer_id: Long.fromNumber(1),
+      accounts: [
+        { account_id: Long.fromNumber(987654321), external_account_id: "demo-checking-001" },
+        { account_id: Long.fromNumber(987654322) },
+      ],
+    },
+  ];
+  denial = Object.assign(new Error("customer_not_owned"), { statusCode: 403 });
+  for (const url of ["/v1/customers/1", "/v1/customers/1/transactions", "/v1/customers/1/analytics/monthly"]) {
+    const res = await app.inject(url);
+    assert.equal(res.statusCode, 403, url);
+  }
+  assert.deepEqual(authorized, [
+    ["1", ["demo-checking-001"]],
+    ["1", ["demo-checking-001"]],
+    ["1", ["demo-checking-001"]],
+  ]);
+  assert.equal(collections.customers.queries.length, 3);
+  assert.equal(collections.transactions_ts.queries.length, 0);
+  assert.equal(collections.customer_analytics_monthly.queries.length, 0);
+});
+
+test("next_cursor continues after a string transaction_id", async () => {
+  collections.customers.docs = [{ customer_id: Long.fromNumber(1) }];
+  const timestamp = new Date("2026-01-05T10:00:00Z");
+  const transaction = (id: string, amount: string) => ({
+    _id: new ObjectId(),
+    timestamp,
+    customer_id: Long.fromNumber(1),
+    transaction_id: id,
+    account_id: Long.fromNumber(987654321),
+    transaction_type: "PAYMENT",
+    amount: new Decimal128(amount),
+    currency: "USD",
+    status: "COMPLETED",
+  });
+  collections.transactions_ts.docs = [transaction("demo-2", "-12.50"), transaction("demo-1", "3.00")];
+  const first = await app.inject("/v1/customers/1/transactions?limit=1");
+  assert.equal(first.statusCode, 200);
+  const page = first.json();
+  assert.deepEqual(
+    page.data.map((t: Document) => [t.transaction_id, t.amount]),
+    [["demo-2", "-12.50"]],
+  );
+  assert.notEqual(page.next_cursor, null);
+
+  collections.transactions_ts.queries = [];
+  await app.inject(`/v1/customers/1/transactions?limit=1&cursor=${page.next_cursor}`);
+  const [{ filter, sort }] = collections.transactions_ts.queries;
+  assert.deepEqual(sort, { timestamp: -1, transaction_id: -1 });
+  assert.deepEqual(filter.$or, [
+    { timestamp: { $lt: timestamp } },
+    {
+      timestamp,
+      $or: [{ transaction_id: { $lt: "demo-2" } }, { transaction_id: { $type: "number" } }],
+    },
+  ]);
+});
+
+test("a cursor that was not issued by the gateway is 400 invalid_cursor", async () => {
+  collections.customers.docs = [{ customer_id: Long.fromNumber(1) }];
+  const res = await app.inject("/v1/customers/1/transactions?cursor=bm90LWpzb24");
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().error, "invalid_cursor");
+});
@@ -0,0 +1,294 @@
+import type { FastifyPluginAsync, FastifyReply, FastifyRequest } from "fastify";
+import { Binary, Decimal128, Long, ObjectId, type Db, type Document, type Filter } from "mongodb";
+import type { OpenApiRoutes } from "./openapi.js";
+
+/**
+ * Customer 360 read routes over the MongoDB collections of `mongodb/schemas/customer_360_schema.js`.
+ * Decimal amounts and ids are returned as strings, dates as RFC 3339 strings.
+ */
+
+/**
+ * Encrypted with CSFLE (`mongodb/lib/csfle.js`). The gateway holds no data keys, so these are masked:
+ * a present value becomes `MASK`, a null stays null.
+ */
+const CSFLE_FIELDS = ["personal_info.ssn", "personal_info.date_of_birth", "personal_info.drivers_license"];
+const MASK = "***";
+/** Storage details that are never returned, not even through `fields`. */
+const HIDDEN_FIELDS = ["_id", "pii_key"];
+const TRANSACTION_TYPES = ["DEPOSIT", "WITHDRAWAL", "TRANSFER", "PAYMENT", "FEE", "INTEREST"];
+
+const customerIdPattern = /^[0-9]{1,18}$/;
+const fieldPattern = /^[a-z0-9_]+(\.[a-z0-9_]+)*$/;
+const monthPattern = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const MAX_FIELDS = 25;
+const TRANSACTIONS_PAGE = { default: 25, max: 100 };
+const ANALYTICS_MONTHS = { default: 12, max: 60 };
+
+class BadRequest extends Error {
+  constructor(
+    readonly code: string,
+    readonly details?: string,
+  ) {
+    super(details ?? code);
+  }
+}
+
+/** Throws a 403 error unless the caller may read the customer owning `accountIds`. */
+export type CustomerAuthorizer = (customerId: string, accountIds: string[]) => Promise<void>;
+
+export interface CustomerRoutesOptions {
+  db: Db;
+  /** Paths and request validation of the `Customers` operations. */
+  api: OpenApiRoutes;
+  /**
+   * Throws a 401 error for an unauthenticated request and a 403 error for one lacking the scope;
+   * the returned authorizer checks the customer once it is loaded.
+   */
+  authenticate: (request: FastifyRequest) => Promise<CustomerAuthorizer>;
+}
+
+/** BSON values as JSON: Decimal128 and Long as strings, ObjectId as hex, ciphertext masked. */
+function toApi(value: unknown): unknown {
+  if (value instanceof Decimal128 || value instanceof Long) return value.toString();
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Binary) return MASK;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toApi);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toApi(v)]));
+  }
+  return value;
+}
+
+function maskCsfleFields(doc: Document): Document {
+  for (const path of CSFLE_FIELDS) {
+    const keys = path.split(".");
+    const parent = keys.slice(0, -1).reduce<Document | undefined>((d, k) => d?.[k], doc);
+    const leaf = keys[keys.length - 1];
+    if (parent && parent[leaf] !== undefined && parent[leaf] !== null) parent[leaf] = MASK;
+  }
+  return doc;
+}
+
+/** `fields=personal_info.name,accounts` as a projection; nested paths under a selected parent are dropped. */
+function customerProjection(fields: string | undefined): Document {
+  if (fields === undefined) return Object.fromEntries(HIDDEN_FIELDS.map((f) => [f, 0]));
+  const paths = [...new Set(fields.split(",").map((f) => f.trim()))].filter(Boolean).sort();
+  if (paths.length === 0 || paths.length > MAX_FIELDS) {
+    throw new BadRequest("invalid_fields", `fields must list 1 to ${MAX_FIELDS} paths`);
+  }
+  const projection: Document = { _id: 0, customer_id: 1 };
+  const selected: string[] = [];
+  for (const path of paths) {
+    if (!fieldPattern.test(path) || HIDDEN_FIELDS.includes(path.split(".")[0])) {
+      throw new BadRequest("invalid_fields", `unknown or hidden field "${path}"`);
+    }
+    if (selected.some((parent) => path.startsWith(`${parent}.`))) continue;
+    selected.push(path);
+    projection[path] = 1;
+  }
+  return projection;
+}
+
+function customerId(raw: string): Long {
+  if (!customerIdPattern.test(raw)) throw new BadRequest("invalid_customer_id");
+  return Long.fromString(raw);
+}
+
+function dateParam(name: string, raw: string | undefined): Date | undefined {
+  if (raw === undefined) return undefined;
+  const value = new Date(raw);
+  if (!raw.includes("T") || Number.isNaN(value.getTime())) {
+    throw new BadRequest("invalid_query", `${name} must be an RFC 3339 date-time`);
+  }
+  return value;
+}
+
+function limitParam(raw: number | undefined, { default: fallback, max }: { default: number; max: number }): number {
+  if (raw === undefined) return fallback;
+  if (!Number.isInteger(raw) || raw < 1 || raw > max)
+    throw new BadRequest("invalid_query", `limit must be 1 to ${max}`);
+  return raw;
+}
+
+function monthParam(name: string, raw: string | undefined): { year: number; month: number } | undefined {
+  if (raw === undefined) return undefined;
+  const match = monthPattern.exec(raw);
+  if (!match) throw new BadRequest("invalid_query", `${name} must be YYYY-MM`);
+  return { year: Number(match[1]), month: Number(match[2]) };
+}
+
+/**
+ * Opaque page cursor: the sort key (timestamp, transaction_id) of the last transaction returned.
+ * transaction_id is a NumberLong, or the event's string for projected transactions (`s: true`).
+ */
+function encodeCursor(doc: Document): string {
+  const id = doc.transaction_id;
+  const payload = {
+    t: (doc.timestamp as Date).toISOString(),
+    id: String(id),
+    ...(typeof id === "string" ? { s: true } : {}),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(raw: string): { timestamp: Date; transactionId: Long | string } {
+  try {
+    const { t, id, s } = JSON.parse(Buffer.from(raw, "base64url").toString("utf8")) as {
+      t: string;
+      id: string;
+      s?: boolean;
+    };
+    const timestamp = new Date(t);
+    if (Number.isNaN(timestamp.getTime()) || typeof id !== "string") throw new Error("bad cursor");
+    if (s === true) return { timestamp, transactionId: id };
+    if (!customerIdPattern.test(id)) throw new Error("bad cursor");
+    return { timestamp, transactionId: Long.fromString(id) };
+  } catch {
+    throw new BadRequest("invalid_cursor");
+  }
+}
+
+/**
+ * Transactions after `transactionId` in descending order at the same timestamp. MongoDB sorts
+ * numbers before strings, so after a string id come the smaller strings and every NumberLong.
+ */
+function transactionIdBefore(transactionId: Long | string): Filter<Document> {
+  if (typeof transactionId !== "string") return { transaction_id: { $lt: transactionId } };
+  return { $or: [{ transaction_id: { $lt: transactionId } }, { transaction_id: { $type: "number" } }] };
+}
+
+/**
+ * Registered with `app.register`, so its error handler only covers these routes; other errors,
+ * such as a request failing the OpenAPI document, go on to the parent's handler.
+ */
+export const customerRoutes: FastifyPluginAsync<CustomerRoutesOptions> = async (app, { db, api, authenticate }) => {
+  const customers = db.collection("customers");
+  const transactions = db.collection("transactions_ts");
+  const analytics = db.collection("customer_analytics_monthly");
+
+  /** The MySQL ids of the customer's accounts, or null when there is no such customer. */
+  const customerAccounts = async (id: Long): Promise<string[] | null> => {
+    const doc = await customers.findOne(
+      { customer_id: id },
+      { projection: { _id: 0, "accounts.external_account_id": 1 } },
+    );
+    if (!doc) return null;
+    return ((doc.accounts ?? []) as Document[])
+      .map((a) => a.external_account_id)
+      .filter((a): a is string => typeof a === "string");
+  };
+
+  /** Sends 404 and returns false for an unknown customer; throws 403 for one the caller may not read. */
+  const authorizeRead = async (authorize: CustomerAuthorizer, id: Long, reply: FastifyReply) => {
+    const accountIds = await customerAccounts(id);
+    if (!accountIds) {
+      reply.code(404).send({ error: "customer_not_found" });
+      return false;
+    }
+    await authorize(id.toString(), accountIds);
+    return true;
+  };
+
+  app.setErrorHandler((error, _request, reply) => {
+    if (error instanceof BadRequest) {
+      return reply.code(400).send({ error: error.code, ...(error.details ? { details: error.details } : {}) });
+    }
+    throw error;
+  });
+
+  app.route<{ Params: { customerId: string }; Querystring: { fields?: string } }>({
+    ...api.route("getCustomer"),
+    handler: async (request, reply) => {
+      const authorize = await authenticate(request);
+      const id = customerId(request.params.customerId);
+      const projection = customerProjection(request.query.fields);
+      if (!(await authorizeRead(authorize, id, reply))) return reply;
+      const doc = await customers.findOne({ customer_id: id }, { projection });
+      if (!doc) return reply.code(404).send({ error: "customer_not_found" });
+      return toApi(maskCsfleFields(doc));
+    },
+  });
+
+  app.route<{
+    Params: { customerId: string };
+    Querystring: { from?: string; to?: string; type?: string; limit?: number; cursor?: string };
+  }>({
+    ...api.route("listCustomerTransactions"),
+    handler: async (request, reply) => {
+      const authorize = await authenticate(request);
+      const id = customerId(request.params.customerId);
+      const { from, to, type, limit, cursor } = request.query;
+      const filter: Filter<Document> = { customer_id: id };
+      const range: Document = {};
+      const since = dateParam("from", from);
+      const until = dateParam("to", to);
+      if (since) range.$gte = since;
+      if (until) range.$lt = until;
+      if (since || until) filter.timestamp = range;
+      if (type !== undefined) {
+        if (!TRANSACTION_TYPES.includes(type))
+          throw new BadRequest("invalid_query", `type must be one of ${TRANSACTION_TYPES.join(", ")}`);
+        filter.transaction_type = type;
+      }
+      if (cursor !== undefined) {
+        const after = decodeCursor(cursor);
+        filter.$or = [
+          { timestamp: { $lt: after.timestamp } },
+          { timestamp: after.timestamp, ...transactionIdBefore(after.transactionId) },
+        ];
+      }
+      const pageSize = limitParam(limit, TRANSACTIONS_PAGE);
+      if (!(await authorizeRead(authorize, id, reply))) return reply;
+
+      const docs = await transactions
+        .find(filter, { projection: { _id: 0 } })
+        .sort({ timestamp: -1, transaction_id: -1 })
+        .limit(pageSize + 1)
+        .toArray();
+      const page = docs.slice(0, pageSize);
+      return {
+        data: page.map(toApi),
+        next_cursor: docs.length > pageSize ? encodeCursor(page[page.length - 1]) : null,
+      };
+    },
+  });
+
+  app.route<{ Params: { customerId: string }; Querystring: { from?: string; to?: string; limit?: number } }>({
+    ...api.route("listCustomerMonthlyAnalytics"),
+    handler: async (request, reply) => {
+      const authorize = await authenticate(request);
+      const id = customerId(request.params.customerId);
+      const first = monthParam("from", request.query.from);
+      const last = monthParam("to", request.query.to);
+      const months = limitParam(request.query.limit, ANALYTICS_MONTHS);
+      const filter: Filter<Document> = { customer_id: id };
+      const bounds: Document[] = [];
+      if (first) {
+        bounds.push({
+          $or: [
+            { "period.year": { $gt: first.year } },
+            { "period.year": first.year, "period.month": { $gte: first.month } },
+          ],
+        });
+      }
+      if (last) {
+        bounds.push({
+          $or: [
+            { "period.year": { $lt: last.year } },
+            { "period.year": last.year, "period.month": { $lte: last.month } },
+          ],
+        });
+      }
+      if (bounds.length) filter.$and = bounds;
+      if (!(await authorizeRead(authorize, id, reply))) return reply;
+
+      const rows = await analytics
+        .find(filter, { projection: { _id: 0 } })
+        .sort({ "period.year": -1, "period.month": -1 })
+        .limit(months)
+        .toArray();
+      return { data: rows.map(toApi) };
+    },
+  });
+};
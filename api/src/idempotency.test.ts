@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import Fastify, { type FastifyInstance } from "fastify";
+import { MemoryIdempotencyStore, requestFingerprint, scopedKey } from "./idempotency.js";
+
+describe("requestFingerprint and scopedKey", () => {
+  test("object key order does not change the fingerprint", () => {
+    assert.equal(
+      requestFingerprint("POST", "/v1/transactions", { a: 1, b: { c: [1, 2], d: null } }),
+      requestFingerprint("POST", "/v1/transactions", { b: { d: null, c: [1, 2] }, a: 1 }),
+    );
+    assert.notEqual(
+      requestFingerprint("POST", "/v1/transactions", { a: 1 }),
+      requestFingerprint("POST", "/v1/transactions", { a: 2 }),
+    );
+  });
+
+  test("the same key from two subjects does not collide", () => {
+    assert.notEqual(scopedKey("alice", "key-0001"), scopedKey("bob", "key-0001"));
+    assert.equal(scopedKey("alice", "key-0001"), scopedKey("alice", "key-0001"));
+  });
+});
+
+describe("MemoryIdempotencyStore", () => {
+  test("a claimed key reports its first fingerprint, then its response", async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 60_000, lockMs: 60_000 });
+    assert.deepEqual(await store.claim("k", "f1"), { claimed: true });
+    assert.deepEqual(await store.claim("k", "f1"), {
+      claimed: false,
+      record: { fingerprint: "f1", status: "processing", response: null },
+    });
+    const response = { statusCode: 201, contentType: "application/json", body: "{}" };
+    await store.complete("k", response);
+    assert.deepEqual(await store.claim("k", "f2"), {
+      claimed: false,
+      record: { fingerprint: "f1", status: "complete", response },
+    });
+  });
+
+  test("an abandoned lock is taken over", async () => {
+    const store = new MemoryIdempotencyStore({ ttlMs: 60_000, lockMs: 0 });
+    await store.claim("k", "f1");
+    assert.deepEqual(await store.claim("k", "f1"), { claimed: true });
+  });
+});
+
+describe("POST /v1/transactions", () => {
+  let upstream: FastifyInstance;
+  let gateway: FastifyInstance;
+  let forwarded: { key: string; body: unknown }[];
+  let status: number;
+  let hold: Promise<void> | null;
+
+  const body = { account_id: "demo-checking-001", amount_minor: 1250, type: "debit" };
+  const post = (key: string, payload: object = body) =>
+    gateway.inject({ method: "POST", url: "/v1/transactions", headers: { "idempotency-key": key }, payload });
+
+  before(async () => {
+    upstream = Fastify();
+    upstream.post("/transactions", async (request, reply) => {
+      forwarded.push({ key: String(request.headers["idempotency-key"]), body: request.body });
+      await hold;
+      const id = `txn-${forwarded.length}`;
+      return reply.code(status).send({ id, ...(request.body as object), status: "posted" });
+    });
+    await upstream.listen({ port: 0, host: "127.0.0.1" });
+    const { port } = upstream.server.address() as { port: number };
+
+    process.env.UPSTREAM_ACCOUNT_SERVICE_URL = `http://127.0.0.1:${port}`;
+    process.env.REQUIRE_JWT = "false";
+    process.env.IDEMPOTENCY_STORE = "memory";
+    process.env.LOG_LEVEL = "silent";
+    const { buildServer } = await import("./server.js");
+    gateway = await buildServer();
+  });
+
+  after(async () => {
+    await gateway.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    forwarded = [];
+    status = 201;
+    hold = null;
+  });
+
+  test("a repeat with the same body replays the stored response", async () => {
+    const first = await post("replay-0001");
+    assert.equal(first.statusCode, 201);
+    assert.equal(first.headers["idempotent-replayed"], undefined);
+
+    const second = await post("replay-0001", { type: "debit", amount_minor: 1250, account_id: "demo-checking-001" });
+    assert.equal(second.statusCode, 201);
+    assert.equal(second.headers["idempotent-replayed"], "true");
+    assert.deepEqual(second.json(), first.json());
+    assert.deepEqual(forwarded, [{ key: "replay-0001", body }]);
+  });
+
+  test("a repeat with another body is 409 idempotency_key_reused", async () => {
+    await post("reused-0001");
+    const res = await post("reused-0001", { ...body, amount_minor: 9999 });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.json().error, "idempotency_key_reused");
+    assert.equal(forwarded.length, 1);
+  });
+
+  test("a repeat while the first call is in flight is 409 with Retry-After", async () => {
+    let release!: () => void;
+    hold = new Promise((resolve) => (release = resolve));
+    const first = post("inflight-01");
+    while (forwarded.length === 0) await new Promise((resolve) => setImmediate(resolve));
+
+    const second = await post("inflight-01");
+    assert.equal(second.statusCode, 409);
+    assert.equal(second.json().error, "idempotency_request_in_progress");
+    assert.equal(second.headers["retry-after"], "1");
+
+    release();
+    assert.equal((await first).statusCode, 201);
+    assert.equal(forwarded.length, 1);
+  });
+
+  test("a 5xx is not stored, so a retry is forwarded again", async () => {
+    status = 503;
+    assert.equal((await post("retry-0001")).statusCode, 503);
+    status = 201;
+    const retry = await post("retry-0001");
+    assert.equal(retry.statusCode, 201);
+    assert.equal(retry.headers["idempotent-replayed"], undefined);
+    assert.equal(forwarded.length, 2);
+  });
+});
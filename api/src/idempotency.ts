@@ -0,0 +1,217 @@
+import crypto from "node:crypto";
+import mysql from "mysql2/promise";
+
+/** Response replayed for a repeated idempotency key. */
+export interface StoredResponse {
+  statusCode: number;
+  contentType: string | null;
+  body: string;
+}
+
+export interface IdempotencyRecord {
+  /** null for keys written before the gateway stored fingerprints; those are replayed as they are. */
+  fingerprint: string | null;
+  status: "processing" | "complete";
+  response: StoredResponse | null;
+}
+
+export type ClaimResult = { claimed: true } | { claimed: false; record: IdempotencyRecord };
+
+/**
+ * Idempotency keys shared by every gateway replica. `claim` is atomic: exactly one caller gets
+ * `claimed: true` for a key until it completes or releases it, or its lock expires.
+ */
+export interface IdempotencyStore {
+  claim(key: string, fingerprint: string): Promise<ClaimResult>;
+  complete(key: string, response: StoredResponse): Promise<void>;
+  /** Forgets a claimed key so the client can retry (upstream failed or never answered). */
+  release(key: string): Promise<void>;
+  purgeExpired(): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface IdempotencyOptions {
+  /** How long a completed response is replayed. */
+  ttlMs: number;
+  /** How long an unfinished request blocks its key before another request may take it over. */
+  lockMs: number;
+}
+
+/** Stable JSON: object keys sorted, so `{a, b}` and `{b, a}` fingerprint the same. */
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson((value as Record<string, unknown>)[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+export function requestFingerprint(method: string, path: string, body: unknown): string {
+  return crypto
+    .createHash("sha256")
+    .update(`${method} ${path}\n${canonicalJson(body)}`)
+    .digest("hex");
+}
+
+/** Keys are per caller: the same header value from two subjects never collides. */
+export function scopedKey(subject: string | undefined, key: string): string {
+  return crypto
+    .createHash("sha256")
+    .update(`${subject ?? ""}\n${key}`)
+    .digest("hex");
+}
+
+interface MemoryEntry extends IdempotencyRecord {
+  lockedUntil: number;
+  expiresAt: number;
+}
+
+/** Single-process store for tests and local runs; replicas do not see each other's keys. */
+export class MemoryIdempotencyStore implements IdempotencyStore {
+  private readonly entries = new Map<string, MemoryEntry>();
+
+  constructor(private readonly options: IdempotencyOptions) {}
+
+  async claim(key: string, fingerprint: string): Promise<ClaimResult> {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > now && (entry.status === "complete" || entry.lockedUntil > now)) {
+      return {
+        claimed: false,
+        record: { fingerprint: entry.fingerprint, status: entry.status, response: entry.response },
+      };
+    }
+    this.entries.set(key, {
+      fingerprint,
+      status: "processing",
+      response: null,
+      lockedUntil: now + this.options.lockMs,
+      expiresAt: now + this.options.ttlMs,
+    });
+    return { claimed: true };
+  }
+
+  async complete(key: string, response: StoredResponse): Promise<void> {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.set(key, { ...entry, status: "complete", response, expiresAt: Date.now() + this.options.ttlMs });
+  }
+
+  async release(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+
+  async purgeExpired(): Promise<void> {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async close(): Promise<void> {
+    this.entries.clear();
+  }
+}
+
+interface IdempotencyRow extends mysql.RowDataPacket {
+  request_fingerprint: string | null;
+  status: "PROCESSING" | "COMPLETE";
+  response_code: number | null;
+  response_content_type: string | null;
+  response_body: string | null;
+}
+
+/** `idempotency_keys` in MySQL (Flyway V8 + V11), shared by every replica. */
+export class MySqlIdempotencyStore implements IdempotencyStore {
+  constructor(
+    private readonly pool: mysql.Pool,
+    private readonly options: IdempotencyOptions,
+  ) {}
+
+  async claim(key: string, fingerprint: string): Promise<ClaimResult> {
+    // Insert, else take over an expired key or an abandoned lock, else report the holder. A row
+    // deleted between the steps (released or purged) sends us round once more.
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const now = new Date();
+      const lockedUntil = new Date(now.getTime() + this.options.lockMs);
+      const expiresAt = new Date(now.getTime() + this.options.ttlMs);
+      const [inserted] = await this.pool.execute<mysql.ResultSetHeader>(
+        `INSERT IGNORE INTO idempotency_keys
+           (idempotency_key, request_fingerprint, status, locked_until, expires_at)
+         VALUES (?, ?, 'PROCESSING', ?, ?)`,
+        [key, fingerprint, lockedUntil, expiresAt],
+      );
+      if (inserted.affectedRows === 1) return { claimed: true };
+
+      const [taken] = await this.pool.execute<mysql.ResultSetHeader>(
+        `UPDATE idempotency_keys
+            SET request_fingerprint = ?, status = 'PROCESSING', locked_until = ?, expires_at = ?,
+                response_code = NULL, response_content_type = NULL, response_body = NULL
+          WHERE idempotency_key = ?
+            AND (expires_at <= ? OR (status = 'PROCESSING' AND locked_until <= ?))`,
+        [fingerprint, lockedUntil, expiresAt, key, now, now],
+      );
+      if (taken.affectedRows === 1) return { claimed: true };
+
+      const [rows] = await this.pool.execute<IdempotencyRow[]>(
+        `SELECT request_fingerprint, status, response_code, response_content_type, response_body
+           FROM idempotency_keys WHERE idempotency_key = ?`,
+        [key],
+      );
+      const row = rows[0];
+      if (!row) continue;
+      return {
+        claimed: false,
+        record: {
+          fingerprint: row.request_fingerprint,
+          status: row.status === "COMPLETE" ? "complete" : "processing",
+          response:
+            row.status === "COMPLETE" && row.response_code !== null
+              ? { statusCode: row.response_code, contentType: row.response_content_type, body: row.response_body ?? "" }
+              : null,
+        },
+      };
+    }
+    throw new Error(`idempotency key ${key} kept changing while being claimed`);
+  }
+
+  async complete(key: string, response: StoredResponse): Promise<void> {
+    await this.pool.execute(
+      `UPDATE idempotency_keys
+          SET status = 'COMPLETE', locked_until = NULL, response_code = ?, response_content_type = ?,
+              response_body = ?, expires_at = ?
+        WHERE idempotency_key = ?`,
+      [response.statusCode, response.contentType, response.body, new Date(Date.now() + this.options.ttlMs), key],
+    );
+  }
+
+  async release(key: string): Promise<void> {
+    await this.pool.execute(`DELETE FROM idempotency_keys WHERE idempotency_key = ? AND status = 'PROCESSING'`, [key]);
+  }
+
+  async purgeExpired(): Promise<void> {
+    await this.pool.execute(`DELETE FROM idempotency_keys WHERE expires_at <= ? LIMIT 1000`, [new Date()]);
+  }
+
+  async close(): Promise<void> {
+    await this.pool.end();
+  }
+}
+
+/** IDEMPOTENCY_STORE=memory (default) or mysql, which needs IDEMPOTENCY_MYSQL_URL. */
+export function createIdempotencyStore(env: NodeJS.ProcessEnv): IdempotencyStore {
+  const options: IdempotencyOptions = {
+    ttlMs: Number(env.IDEMPOTENCY_TTL_SECONDS ?? 86400) * 1000,
+    lockMs: Number(env.IDEMPOTENCY_LOCK_SECONDS ?? 30) * 1000,
+  };
+  const kind = env.IDEMPOTENCY_STORE ?? "memory";
+  if (kind === "memory") return new MemoryIdempotencyStore(options);
+  if (kind === "mysql") {
+    if (!env.IDEMPOTENCY_MYSQL_URL) throw new Error("IDEMPOTENCY_STORE=mysql needs IDEMPOTENCY_MYSQL_URL");
+    return new MySqlIdempotencyStore(mysql.createPool({ uri: env.IDEMPOTENCY_MYSQL_URL, timezone: "Z" }), options);
+  }
+  throw new Error(`Unknown IDEMPOTENCY_STORE "${kind}"; expected memory or mysql`);
+}
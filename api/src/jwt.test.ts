@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, beforeEach, test } from "node:test";
+import type { FastifyBaseLogger } from "fastify";
+import jwt from "jsonwebtoken";
+import { createTokenVerifier, JwksKeyStore } from "./jwt.js";
+
+const log = { warn: () => {} } as unknown as FastifyBaseLogger;
+
+function signingKey(kid: string) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "ES256" } };
+}
+
+const oldKey = signingKey("2026-01");
+const newKey = signingKey("2026-02");
+let dir: string;
+let file: string;
+
+// Key sets are written after a pause, so a zero refresh cooldown has elapsed when the next lookup runs.
+async function publish(...keys: ReturnType<typeof signingKey>[]) {
+  await writeFile(file, JSON.stringify({ keys: keys.map((k) => k.jwk) }));
+  await sleep(2);
+}
+
+const sign = (key: ReturnType<typeof signingKey>, claims: object = { sub: "alice", roles: ["customer"] }) =>
+  jwt.sign(claims, key.privateKey, { algorithm: "ES256", keyid: key.kid, expiresIn: 60 });
+
+function keyStore(refreshCooldownMs: number) {
+  return new JwksKeyStore({ source: { file }, cacheMs: 3_600_000, refreshCooldownMs, timeoutMs: 1000 }, log);
+}
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "jwks-"));
+  file = join(dir, "jwks.json");
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+beforeEach(() => publish(oldKey));
+
+test("a kid added to the key set is picked up without a restart", async () => {
+  const store = keyStore(0);
+  assert.ok(await store.keyFor(oldKey.kid, "ES256"));
+  assert.equal(await store.keyFor(newKey.kid, "ES256"), null);
+
+  await publish(oldKey, newKey);
+  assert.ok(await store.keyFor(newKey.kid, "ES256"));
+});
+
+test("unknown kids refetch at most once per cooldown", async () => {
+  const store = keyStore(3_600_000);
+  assert.ok(await store.keyFor(oldKey.kid, "ES256"));
+  await publish(oldKey, newKey);
+  assert.equal(await store.keyFor(newKey.kid, "ES256"), null);
+});
+
+test("a failed refetch keeps the cached keys", async () => {
+  const store = keyStore(0);
+  assert.ok(await store.keyFor(oldKey.kid, "ES256"));
+  await writeFile(file, "not json");
+  await sleep(2);
+  assert.equal(await store.keyFor("forged", "ES256"), null);
+  assert.ok(await store.keyFor(oldKey.kid, "ES256"));
+});
+
+test("a key is only used with the algorithm it was published for", async () => {
+  assert.equal(await keyStore(0).keyFor(oldKey.kid, "RS256"), null);
+});
+
+test("tokens signed with a rotated-in key verify, an unknown kid does not", async () => {
+  const verify = createTokenVerifier({ JWT_JWKS_FILE: file, JWT_JWKS_REFRESH_COOLDOWN_SECONDS: "0" }, log);
+  assert.equal((await verify(sign(oldKey))).sub, "alice");
+
+  await publish(oldKey, newKey);
+  assert.equal((await verify(sign(newKey))).sub, "alice");
+
+  await assert.rejects(verify(sign(signingKey("2026-03"))), /no JWKS key for kid 2026-03/);
+});
+
+test("a JWKS never falls back to the shared secret", async () => {
+  const verify = createTokenVerifier({ JWT_JWKS_FILE: file, JWT_SECRET: "shared-secret" }, log);
+  await assert.rejects(verify(jwt.sign({ sub: "alice" }, "shared-secret")), /unsupported alg/);
+});
@@ -0,0 +1,148 @@
+import crypto from "node:crypto";
+import { readFile } from "node:fs/promises";
+import type { FastifyBaseLogger } from "fastify";
+import jwt from "jsonwebtoken";
+import type { TokenClaims } from "./authz.js";
+
+/** Asymmetric algorithms accepted with a JWKS; a JWKS never falls back to the shared secret. */
+const JWKS_ALGORITHMS = ["RS256", "ES256"] as const;
+type JwksAlgorithm = (typeof JWKS_ALGORITHMS)[number];
+
+const KEY_TYPES: Record<JwksAlgorithm, { kty: string; crv?: string }> = {
+  RS256: { kty: "RSA" },
+  ES256: { kty: "EC", crv: "P-256" },
+};
+
+interface Jwk extends crypto.JsonWebKey {
+  kid?: string;
+  use?: string;
+  alg?: string;
+}
+
+interface CachedKey {
+  key: crypto.KeyObject;
+  jwk: Jwk;
+}
+
+export interface JwksOptions {
+  /** `https://issuer/.well-known/jwks.json`, or a local file for offline use. */
+  source: { url: string } | { file: string };
+  /** How long a fetched key set is trusted before it is fetched again. */
+  cacheMs: number;
+  /** Minimum time between fetches triggered by unknown `kid`s, so forged kids cannot flood the issuer. */
+  refreshCooldownMs: number;
+  timeoutMs: number;
+}
+
+/** Keys of a JWKS by `kid`; refetched when stale or when a token names a `kid` it does not have. */
+export class JwksKeyStore {
+  private keys = new Map<string, CachedKey>();
+  private fetchedAt = 0;
+  private refreshing: Promise<void> | null = null;
+
+  constructor(
+    private readonly options: JwksOptions,
+    private readonly log: FastifyBaseLogger,
+  ) {}
+
+  /** The key for a token header, or null when the JWKS has no usable key for it. */
+  async keyFor(kid: string | undefined, alg: JwksAlgorithm): Promise<crypto.KeyObject | null> {
+    if (Date.now() - this.fetchedAt > this.options.cacheMs) await this.refresh();
+    let found = this.lookup(kid);
+    if (!found && Date.now() - this.fetchedAt > this.options.refreshCooldownMs) {
+      await this.refresh();
+      found = this.lookup(kid);
+    }
+    if (!found) return null;
+    const { kty, crv } = KEY_TYPES[alg];
+    const { jwk } = found;
+    if (jwk.kty !== kty || (crv && jwk.crv !== crv) || (jwk.alg && jwk.alg !== alg)) return null;
+    return found.key;
+  }
+
+  /** A token without `kid` is accepted only while the set holds a single key. */
+  private lookup(kid: string | undefined): CachedKey | undefined {
+    if (kid !== undefined) return this.keys.get(kid);
+    return this.keys.size === 1 ? [...this.keys.values()][0] : undefined;
+  }
+
+  private refresh(): Promise<void> {
+    this.refreshing ??= this.load()
+      .catch((err) => {
+        // Keep serving the keys we have; an unknown kid is rejected until a fetch succeeds.
+        this.log.warn({ err }, "JWKS refresh failed");
+      })
+      .finally(() => {
+        this.fetchedAt = Date.now();
+        this.refreshing = null;
+      });
+    return this.refreshing;
+  }
+
+  private async load(): Promise<void> {
+    const { source, timeoutMs } = this.options;
+    let text: string;
+    if ("url" in source) {
+      const res = await fetch(source.url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!res.ok) throw new Error(`JWKS ${source.url} answered ${res.status}`);
+      text = await res.text();
+    } else {
+      text = await readFile(source.file, "utf8");
+    }
+    const { keys } = JSON.parse(text) as { keys?: Jwk[] };
+    if (!Array.isArray(keys)) throw new Error("JWKS has no keys array");
+    const next = new Map<string, CachedKey>();
+    keys.forEach((jwk, i) => {
+      if (jwk.use !== undefined && jwk.use !== "sig") return;
+      if (jwk.kty !== "RSA" && jwk.kty !== "EC") return;
+      try {
+        next.set(jwk.kid ?? `#${i}`, { key: crypto.createPublicKey({ key: jwk, format: "jwk" }), jwk });
+      } catch (err) {
+        this.log.warn({ err, kid: jwk.kid }, "JWKS key skipped");
+      }
+    });
+    this.keys = next;
+  }
+}
+
+export type TokenVerifier = (token: string) => Promise<TokenClaims>;
+
+/**
+ * JWT_JWKS_URL or JWT_JWKS_FILE: RS256/ES256 tokens checked against that key set. Otherwise HS256
+ * with JWT_SECRET. Either way JWT_ISSUER and JWT_AUDIENCE (comma-separated) are enforced when set,
+ * and `exp`/`nbf` allow JWT_CLOCK_SKEW_SECONDS of drift. Rejects with the jsonwebtoken error.
+ */
+export function createTokenVerifier(env: NodeJS.ProcessEnv, log: FastifyBaseLogger): TokenVerifier {
+  const audience = (env.JWT_AUDIENCE ?? "")
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean);
+  const options: jwt.VerifyOptions = {
+    clockTolerance: Number(env.JWT_CLOCK_SKEW_SECONDS ?? 30),
+    ...(env.JWT_ISSUER ? { issuer: env.JWT_ISSUER } : {}),
+    ...(audience.length ? { audience: audience as [string, ...string[]] } : {}),
+  };
+
+  if (!env.JWT_JWKS_URL && !env.JWT_JWKS_FILE) {
+    const secret = env.JWT_SECRET ?? "dev-only-change-in-production-min-32-chars!!";
+    return async (token) => jwt.verify(token, secret, { ...options, algorithms: ["HS256"] }) as TokenClaims;
+  }
+
+  const store = new JwksKeyStore(
+    {
+      source: env.JWT_JWKS_URL ? { url: env.JWT_JWKS_URL } : { file: env.JWT_JWKS_FILE as string },
+      cacheMs: Number(env.JWT_JWKS_CACHE_SECONDS ?? 600) * 1000,
+      refreshCooldownMs: Number(env.JWT_JWKS_REFRESH_COOLDOWN_SECONDS ?? 30) * 1000,
+      timeoutMs: 5000,
+    },
+    log,
+  );
+  return async (token) => {
+    const header = jwt.decode(token, { complete: true })?.header;
+    const alg = header?.alg as JwksAlgorithm | undefined;
+    if (!alg || !JWKS_ALGORITHMS.includes(alg)) throw new jwt.JsonWebTokenError("unsupported alg");
+    const key = await store.keyFor(header?.kid, alg);
+    if (!key) throw new jwt.JsonWebTokenError(`no JWKS key for kid ${header?.kid ?? "(none)"}`);
+    return jwt.verify(token, key, { ...options, algorithms: [alg] }) as TokenClaims;
+  };
+}
@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import Fastify, { type FastifyInstance } from "fastify";
+import { OpenApiRoutes, type OpenApiDocument } from "./openapi.js";
+
+const doc: OpenApiDocument = {
+  openapi: "3.1.0",
+  paths: {
+    "/items/{itemId}": {
+      parameters: [{ name: "itemId", in: "path", required: true, schema: { type: "string", pattern: "^[0-9]+$" } }],
+      get: {
+        operationId: "getItem",
+        parameters: [{ name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 10 } }],
+        responses: {
+          "200": { content: { "application/json": { schema: { $ref: "#/components/schemas/Item" } } } },
+        },
+      },
+    },
+    "/items": {
+      post: {
+        operationId: "createItem",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Item" } } },
+        },
+        responses: {},
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: "object",
+        required: ["id", "count"],
+        additionalProperties: false,
+        properties: { id: { type: "string" }, count: { type: "integer" } },
+      },
+    },
+  },
+};
+
+describe("OpenApiRoutes", () => {
+  let app: FastifyInstance;
+  let served: unknown;
+
+  before(async () => {
+    const api = new OpenApiRoutes(doc, { prefix: "/v1", strictResponses: true });
+    app = Fastify();
+    app.route<{ Params: { itemId: string }; Querystring: { limit?: number } }>({
+      ...api.route("getItem"),
+      handler: async (request) => served ?? { id: request.params.itemId, count: request.query.limit ?? 0 },
+    });
+    app.route({ ...api.route("createItem"), handler: async (request) => request.body });
+  });
+
+  after(() => app.close());
+
+  test("path and query parameters are checked and coerced", async () => {
+    served = undefined;
+    const ok = await app.inject("/v1/items/42?limit=5");
+    assert.equal(ok.statusCode, 200);
+    assert.deepEqual(ok.json(), { id: "42", count: 5 });
+
+    assert.equal((await app.inject("/v1/items/abc")).statusCode, 400);
+    assert.equal((await app.inject("/v1/items/42?limit=11")).statusCode, 400);
+  });
+
+  test("bodies are checked without coercion", async () => {
+    const post = (payload: object) => app.inject({ method: "POST", url: "/v1/items", payload });
+    assert.equal((await post({ id: "1", count: 2 })).statusCode, 200);
+    assert.equal((await post({ id: "1", count: "2" })).statusCode, 400);
+    assert.equal((await post({ id: "1", count: 2, extra: true })).statusCode, 400);
+  });
+
+  test("a response that breaks the schema is 502 with strictResponses", async () => {
+    served = { id: 42 };
+    const res = await app.inject("/v1/items/42");
+    assert.equal(res.statusCode, 502);
+    assert.deepEqual(res.json(), { error: "response_contract_violation" });
+  });
+
+  test("startup fails while an operation has no handler", () => {
+    const api = new OpenApiRoutes(doc, { prefix: "/v1", strictResponses: false });
+    api.route("getItem");
+    assert.throws(() => api.assertAllRouted(), /OpenAPI operations without a handler: createItem/);
+    assert.throws(() => api.route("deleteItem"), /no operation deleteItem/);
+  });
+});
+
+describe("gateway against shared/openapi/financial-api.yaml", () => {
+  let upstream: FastifyInstance;
+  let gateway: FastifyInstance;
+  let upstreamCorrelationIds: unknown[] = [];
+  const transaction = { account_id: "demo-checking-001", amount_minor: 1250, type: "debit" };
+  const post = (headers: Record<string, string>, payload: object) =>
+    gateway.inject({ method: "POST", url: "/v1/transactions", headers, payload });
+
+  before(async () => {
+    process.env.REQUIRE_JWT = "false";
+    process.env.LOG_LEVEL = "silent";
+    upstream = Fastify();
+    upstream.get("/accounts/:id", async (request) => {
+      upstreamCorrelationIds.push(request.headers["x-correlation-id"]);
+      return { id: "acc-1" };
+    });
+    await upstream.listen({ port: 0, host: "127.0.0.1" });
+    const { port } = upstream.server.address() as { port: number };
+    process.env.UPSTREAM_ACCOUNT_SERVICE_URL = `http://127.0.0.1:${port}`;
+    const { buildServer } = await import("./server.js");
+    gateway = await buildServer();
+  });
+
+  after(async () => {
+    await gateway.close();
+    await upstream.close();
+  });
+
+  test("a body outside CreateTransactionRequest is 400 validation_failed", async () => {
+    const headers = { "idempotency-key": "schema-0001" };
+    for (const payload of [
+      { account_id: "demo-checking-001", amount_minor: 1250 },
+      { ...transaction, type: "refund" },
+      { ...transaction, amount_minor: "1250" },
+      { ...transaction, memo: "not in the contract" },
+    ]) {
+      const res = await post(headers, payload);
+      assert.equal(res.statusCode, 400, JSON.stringify(payload));
+      assert.equal(res.json().error, "validation_failed");
+      assert.ok(res.json().details.length > 0);
+    }
+  });
+
+  test("the Idempotency-Key header is required and 8 to 128 characters", async () => {
+    assert.equal((await post({}, transaction)).statusCode, 400);
+    assert.equal((await post({ "idempotency-key": "short" }, transaction)).statusCode, 400);
+  });
+
+  test("any X-Correlation-Id is accepted, not only UUIDs", async () => {
+    upstreamCorrelationIds = [];
+    const res = await gateway.inject({ url: "/v1/accounts/acc-1", headers: { "x-correlation-id": "req-7f3a9c" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["x-correlation-id"], "req-7f3a9c");
+    assert.deepEqual(upstreamCorrelationIds, ["req-7f3a9c"]);
+  });
+
+  test("the document is served as JSON", async () => {
+    const res = await gateway.inject("/v1/openapi.json");
+    assert.equal(res.statusCode, 200);
+    assert.match(res.json().openapi, /^3\.1/);
+  });
+});
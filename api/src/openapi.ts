@@ -0,0 +1,205 @@
+import { readFileSync } from "node:fs";
+import { buffer } from "node:stream/consumers";
+import { fileURLToPath } from "node:url";
+import type { FastifySchema, FastifySchemaCompiler, HTTPMethods, onSendAsyncHookHandler } from "fastify";
+import { Ajv2020, type AnySchemaObject, type ValidateFunction } from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import yaml from "js-yaml";
+
+/** The contract in the repo, relative to both `src/` (tsx) and `dist/` (built). */
+const DEFAULT_SPEC = fileURLToPath(new URL("../../shared/openapi/financial-api.yaml", import.meta.url));
+const METHODS = ["get", "put", "post", "delete", "patch", "head", "options"] as const;
+
+type Schema = AnySchemaObject;
+
+interface Parameter {
+  name: string;
+  in: "path" | "query" | "header" | "cookie";
+  required?: boolean;
+  schema?: Schema;
+}
+
+interface Operation {
+  operationId?: string;
+  parameters?: (Parameter | { $ref: string })[];
+  requestBody?: { $ref?: string; required?: boolean; content?: Record<string, { schema?: Schema }> };
+  responses?: Record<string, { $ref?: string; content?: Record<string, { schema?: Schema }> }>;
+}
+
+export interface OpenApiDocument {
+  openapi: string;
+  paths: Record<string, Record<string, Operation | Parameter[]>>;
+  components?: { schemas?: Record<string, Schema>; [section: string]: unknown };
+  [key: string]: unknown;
+}
+
+export interface OpenApiRoute {
+  method: HTTPMethods;
+  url: string;
+  schema: FastifySchema;
+  validatorCompiler: FastifySchemaCompiler<Schema>;
+  onSend?: onSendAsyncHookHandler;
+}
+
+export interface OpenApiOptions {
+  /** Prepended to every path: the spec's paths are relative to its `/v1` server URL. */
+  prefix: string;
+  /** Check JSON responses against the spec too; a mismatch is logged and answered with 502. */
+  strictResponses: boolean;
+}
+
+/** OPENAPI_SPEC, or the repo's `shared/openapi/financial-api.yaml`. */
+export function loadOpenApi(path = process.env.OPENAPI_SPEC ?? DEFAULT_SPEC): OpenApiDocument {
+  const doc = yaml.load(readFileSync(path, "utf8")) as OpenApiDocument;
+  if (!doc?.openapi?.startsWith("3.1")) throw new Error(`${path}: expected an OpenAPI 3.1 document`);
+  return doc;
+}
+
+function newAjv(coerceTypes: boolean) {
+  const ajv = new Ajv2020({ allErrors: true, strict: true, allowUnionTypes: true, coerceTypes });
+  addFormats.default(ajv);
+  return ajv;
+}
+
+/**
+ * Route options per operationId, with request validation built from the document. Handlers are
+ * attached with `route(operationId)`; `assertAllRouted()` then fails startup for any operation in
+ * the document that the gateway does not serve.
+ */
+export class OpenApiRoutes {
+  /** Params, query and headers arrive as strings; bodies must already have the right types. */
+  private readonly coercing = newAjv(true);
+  private readonly exact = newAjv(false);
+  private readonly routes = new Map<string, OpenApiRoute>();
+  private readonly routed = new Set<string>();
+
+  constructor(
+    private readonly doc: OpenApiDocument,
+    private readonly options: OpenApiOptions,
+  ) {
+    for (const [path, item] of Object.entries(doc.paths)) {
+      const shared = (item.parameters ?? []) as Parameter[];
+      for (const method of METHODS) {
+        const operation = item[method] as Operation | undefined;
+        if (!operation) continue;
+        if (!operation.operationId) throw new Error(`${method.toUpperCase()} ${path} has no operationId`);
+        this.routes.set(operation.operationId, this.build(path, method, operation, shared));
+      }
+    }
+  }
+
+  route(operationId: string): OpenApiRoute {
+    const route = this.routes.get(operationId);
+    if (!route) throw new Error(`OpenAPI document has no operation ${operationId}`);
+    this.routed.add(operationId);
+    return route;
+  }
+
+  assertAllRouted(): void {
+    const missing = [...this.routes.keys()].filter((id) => !this.routed.has(id));
+    if (missing.length) throw new Error(`OpenAPI operations without a handler: ${missing.join(", ")}`);
+  }
+
+  /** Follows a local `$ref` such as `#/components/parameters/CorrelationId`. */
+  private deref<T>(value: T | { $ref: string }): T {
+    const ref = (value as { $ref?: string }).$ref;
+    if (!ref) return value as T;
+    if (!ref.startsWith("#/")) throw new Error(`Only local $refs are supported, got ${ref}`);
+    const target = ref
+      .slice(2)
+      .split("/")
+      .reduce<unknown>((node, key) => (node as Record<string, unknown> | undefined)?.[key], this.doc);
+    if (target === undefined) throw new Error(`Unresolved $ref ${ref}`);
+    return this.deref(target as T | { $ref: string });
+  }
+
+  /** A standalone JSON Schema: component refs point into its own `$defs`. */
+  private jsonSchema(schema: Schema): Schema {
+    const rewrite = (node: unknown): unknown => {
+      if (Array.isArray(node)) return node.map(rewrite);
+      if (!node || typeof node !== "object") return node;
+      return Object.fromEntries(
+        Object.entries(node).map(([key, value]) => [
+          key,
+          key === "$ref" && typeof value === "string"
+            ? value.replace("#/components/schemas/", "#/$defs/")
+            : rewrite(value),
+        ]),
+      );
+    };
+    return { ...(rewrite(schema) as Schema), $defs: rewrite(this.doc.components?.schemas ?? {}) };
+  }
+
+  private objectSchema(parameters: Parameter[], nameOf: (p: Parameter) => string): Schema | undefined {
+    if (parameters.length === 0) return undefined;
+    return this.jsonSchema({
+      type: "object",
+      properties: Object.fromEntries(parameters.map((p) => [nameOf(p), p.schema ?? {}])),
+      required: parameters.filter((p) => p.required || p.in === "path").map(nameOf),
+    });
+  }
+
+  private build(path: string, method: string, operation: Operation, shared: Parameter[]): OpenApiRoute {
+    const byName = new Map<string, Parameter>();
+    for (const p of [...shared, ...(operation.parameters ?? [])].map((p) => this.deref<Parameter>(p))) {
+      byName.set(`${p.in}:${p.name}`, p);
+    }
+    const parameters = [...byName.values()];
+    const where = (location: Parameter["in"]) => parameters.filter((p) => p.in === location);
+
+    const schema: FastifySchema = {};
+    const params = this.objectSchema(where("path"), (p) => p.name);
+    const querystring = this.objectSchema(where("query"), (p) => p.name);
+    // Node lowercases header names.
+    const headers = this.objectSchema(where("header"), (p) => p.name.toLowerCase());
+    if (params) schema.params = params;
+    if (querystring) schema.querystring = querystring;
+    if (headers) schema.headers = headers;
+    const body = operation.requestBody && this.deref(operation.requestBody);
+    const bodySchema = body?.content?.["application/json"]?.schema;
+    if (bodySchema) {
+      schema.body = this.jsonSchema(bodySchema);
+    }
+
+    const route: OpenApiRoute = {
+      method: method.toUpperCase() as HTTPMethods,
+      url: this.options.prefix + path.replace(/\{([^}]+)\}/g, ":$1"),
+      schema,
+      validatorCompiler: ({ schema, httpPart }) =>
+        (httpPart === "body" ? this.exact : this.coercing).compile(schema) as ValidateFunction,
+    };
+    if (this.options.strictResponses) route.onSend = this.responseValidator(operation);
+    return route;
+  }
+
+  /** onSend hook checking JSON bodies of the statuses the operation documents with a schema. */
+  private responseValidator(operation: Operation): onSendAsyncHookHandler {
+    const validators = new Map<string, ValidateFunction>();
+    for (const [status, response] of Object.entries(operation.responses ?? {})) {
+      const schema = this.deref(response).content?.["application/json"]?.schema;
+      if (schema) validators.set(status, this.exact.compile(this.jsonSchema(schema)));
+    }
+    return async (request, reply, payload) => {
+      const status = String(reply.statusCode);
+      const validate = validators.get(status) ?? validators.get(`${status[0]}XX`) ?? validators.get("default");
+      const contentType = String(reply.getHeader("content-type") ?? "");
+      if (!validate || !contentType.includes("json") || reply.getHeader("content-encoding")) return payload;
+
+      const body =
+        typeof payload === "string" || Buffer.isBuffer(payload)
+          ? payload
+          : await buffer(payload as NodeJS.ReadableStream);
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(body.toString());
+      } catch {
+        parsed = undefined;
+      }
+      if (parsed !== undefined && validate(parsed)) return body;
+
+      request.log.error({ status, errors: validate.errors }, "response does not match the OpenAPI document");
+      reply.code(502).type("application/json").removeHeader("content-length");
+      return JSON.stringify({ error: "response_contract_violation" });
+    };
+  }
+}
@@ -0,0 +1,239 @@
+import crypto from "node:crypto";
+import Fastify, { type FastifyError, type FastifyRequest } from "fastify";
+import cors from "@fastify/cors";
+import rateLimit from "@fastify/rate-limit";
+import replyFrom from "@fastify/reply-from";
+import { MongoClient } from "mongodb";
+import {
+  authorizeAccount,
+  authorizeCustomer,
+  createAccessStore,
+  principalFromClaims,
+  requireScope,
+  type Principal,
+  type TokenClaims,
+} from "./authz.js";
+import { customerRoutes } from "./customers.js";
+import { createIdempotencyStore, requestFingerprint, scopedKey } from "./idempotency.js";
+import { createTokenVerifier, type TokenVerifier } from "./jwt.js";
+import { loadOpenApi, OpenApiRoutes } from "./openapi.js";
+
+export const UPSTREAM = process.env.UPSTREAM_ACCOUNT_SERVICE_URL ?? "http://127.0.0.1:7101";
+const RATE_MAX = Number(process.env.RATE_LIMIT_MAX ?? 300);
+const RATE_WINDOW = process.env.RATE_LIMIT_WINDOW ?? "1 minute";
+const MONGODB_URI = process.env.MONGODB_URI ?? "mongodb://localhost:27017/?directConnection=true";
+const MONGODB_DB = process.env.MONGODB_DB ?? "banking";
+const IDEMPOTENCY_PURGE_MS = 10 * 60 * 1000;
+const OPENAPI_STRICT_RESPONSES = process.env.OPENAPI_STRICT_RESPONSES === "true";
+
+function correlationId(request: { headers: Record<string, string | string[] | undefined> }): string {
+  const h = request.headers["x-correlation-id"];
+  const v = Array.isArray(h) ? h[0] : h;
+  if (v && v.length > 4) return v;
+  return crypto.randomUUID();
+}
+
+async function readStream(stream: NodeJS.ReadableStream): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+async function assertJwt(verify: TokenVerifier, authHeader: string | undefined): Promise<TokenClaims> {
+  if (!authHeader?.startsWith("Bearer ")) {
+    const err = new Error("Unauthorized");
+    (err as Error & { statusCode?: number }).statusCode = 401;
+    throw err;
+  }
+  const token = authHeader.slice(7);
+  try {
+    return await verify(token);
+  } catch {
+    const err = new Error("Unauthorized");
+    (err as Error & { statusCode?: number }).statusCode = 401;
+    throw err;
+  }
+}
+
+/** The gateway, configured from process.env; index.ts starts it. */
+export async function buildServer() {
+  const app = Fastify({
+    logger: { level: process.env.LOG_LEVEL ?? "info" },
+    genReqId: (req) => correlationId(req as { headers: Record<string, string | string[] | undefined> }),
+  });
+
+  await app.register(cors, { origin: true });
+  await app.register(rateLimit, { max: RATE_MAX, timeWindow: RATE_WINDOW });
+  await app.register(replyFrom, { global: false });
+
+  const idempotency = createIdempotencyStore(process.env);
+  const purge = setInterval(() => {
+    idempotency.purgeExpired().catch((err) => app.log.warn({ err }, "idempotency purge failed"));
+  }, IDEMPOTENCY_PURGE_MS);
+  purge.unref();
+  app.addHook("onClose", async () => {
+    clearInterval(purge);
+    await idempotency.close();
+  });
+
+  const access = createAccessStore(process.env, app.log);
+  app.addHook("onClose", async () => {
+    await access.close();
+  });
+
+  /** null when REQUIRE_JWT=false: local runs skip authentication and authorization alike. */
+  const verifyToken = createTokenVerifier(process.env, app.log);
+  const principal = async (request: FastifyRequest): Promise<Principal | null> =>
+    process.env.REQUIRE_JWT !== "false"
+      ? principalFromClaims(await assertJwt(verifyToken, request.headers.authorization))
+      : null;
+
+  app.addHook("onRequest", async (request, reply) => {
+    const cid = correlationId(request);
+    request.headers["x-correlation-id"] = cid;
+    reply.header("x-correlation-id", cid);
+  });
+
+  // Routes, parameters, headers and bodies come from the OpenAPI document; a request that does not
+  // match it is rejected before its handler runs.
+  const spec = loadOpenApi();
+  const api = new OpenApiRoutes(spec, { prefix: "/v1", strictResponses: OPENAPI_STRICT_RESPONSES });
+  app.setErrorHandler<FastifyError>((error, _request, reply) => {
+    if (error.validation) {
+      return reply.code(400).send({ error: "validation_failed", details: error.validation });
+    }
+    return reply.send(error);
+  });
+
+  app.get("/v1/openapi.json", async () => spec);
+
+  app.route({ ...api.route("getHealth"), handler: async () => ({ status: "ok", service: "api-gateway" }) });
+
+  app.get("/health", async () => ({ status: "ok", service: "api-gateway" }));
+
+  app.route<{ Params: { id: string } }>({
+    ...api.route("getAccountById"),
+    handler: async (request, reply) => {
+      const caller = await principal(request);
+      if (caller) await authorizeAccount(access, caller, "accounts:read", request.params.id, request);
+      return reply.from(`${UPSTREAM}/accounts/${encodeURIComponent(request.params.id)}`, {
+        rewriteHeaders: (headers) => ({
+          ...headers,
+          "x-correlation-id": String(request.headers["x-correlation-id"] ?? ""),
+        }),
+      });
+    },
+  });
+
+  /**
+   * Idempotent across replicas: the key is claimed in the shared store before forwarding, replays
+   * get the stored response, and a retry while the first call is in flight gets 409. Responses
+   * below 500 are stored; on 5xx or no upstream answer the key is released so the client can retry.
+   */
+  app.route<{ Body: Record<string, unknown> }>({
+    ...api.route("createTransaction"),
+    handler: async (request, reply) => {
+      const caller = await principal(request);
+      const idem = request.headers["idempotency-key"];
+      if (caller) {
+        await authorizeAccount(access, caller, "transactions:write", String(request.body.account_id), request);
+      }
+
+      const key = scopedKey(caller?.subject, String(idem));
+      const fingerprint = requestFingerprint("POST", "/v1/transactions", request.body);
+      const claim = await idempotency.claim(key, fingerprint);
+      if (!claim.claimed) {
+        const { record } = claim;
+        if (record.fingerprint !== null && record.fingerprint !== fingerprint) {
+          return reply.code(409).send({ error: "idempotency_key_reused" });
+        }
+        if (!record.response) {
+          return reply.code(409).header("retry-after", "1").send({ error: "idempotency_request_in_progress" });
+        }
+        reply.code(record.response.statusCode).header("idempotent-replayed", "true");
+        if (record.response.contentType) reply.type(record.response.contentType);
+        return reply.send(record.response.body);
+      }
+
+      const release = () =>
+        idempotency.release(key).catch((err) => request.log.error({ err }, "idempotency release failed"));
+      return reply.from(`${UPSTREAM}/transactions`, {
+        method: "POST",
+        body: JSON.stringify(request.body),
+        contentType: "application/json",
+        rewriteHeaders: (headers) => ({
+          ...headers,
+          "x-correlation-id": String(request.headers["x-correlation-id"] ?? ""),
+          "idempotency-key": String(idem),
+        }),
+        onResponse: (_request, proxied, res) => {
+          const stream = (res as unknown as { stream: NodeJS.ReadableStream }).stream;
+          readStream(stream)
+            .then(async (body) => {
+              if (proxied.statusCode >= 500) {
+                await release();
+              } else {
+                // A failed write leaves the key locked until IDEMPOTENCY_LOCK_SECONDS; the client
+                // still gets its response.
+                await idempotency
+                  .complete(key, {
+                    statusCode: proxied.statusCode,
+                    contentType: String(proxied.getHeader("content-type") ?? "") || null,
+                    body: body.toString("utf8"),
+                  })
+                  .catch((err) => request.log.error({ err }, "idempotency complete failed"));
+              }
+              proxied.send(body);
+            })
+            .catch(async (err) => {
+              await release();
+              proxied.send(err);
+            });
+        },
+        onError: (proxied, { error }) => {
+          void release().then(() => proxied.send(error));
+        },
+      });
+    },
+  });
+
+  app.route<{ Params: { accountId: string }; Querystring: { format?: string } }>({
+    ...api.route("getReportForAccount"),
+    handler: async (request, reply) => {
+      const caller = await principal(request);
+      const fmt = request.query.format ?? "json";
+      if (caller) await authorizeAccount(access, caller, "reports:read", request.params.accountId, request);
+      const q = new URLSearchParams({ format: fmt }).toString();
+      return reply.from(`${UPSTREAM}/reports/${encodeURIComponent(request.params.accountId)}?${q}`, {
+        rewriteHeaders: (headers) => ({
+          ...headers,
+          "x-correlation-id": String(request.headers["x-correlation-id"] ?? ""),
+        }),
+      });
+    },
+  });
+
+  // Customer 360 documents are read straight from MongoDB; the driver connects on the first query.
+  const mongo = new MongoClient(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  app.addHook("onClose", async () => {
+    await mongo.close();
+  });
+  await app.register(customerRoutes, {
+    db: mongo.db(MONGODB_DB),
+    api,
+    authenticate: async (request) => {
+      const caller = await principal(request);
+      if (!caller) return async () => {};
+      requireScope(caller, "customers:read");
+      return (customerId, accountIds) =>
+        authorizeCustomer(access, caller, "customers:read", customerId, accountIds, request);
+    },
+  });
+
+  /** Optional: publish to Kafka via env KAFKA_PROXY_URL in full stack */
+  app.post("/v1/internal/kafka/ping", async () => ({ ok: true, note: "use messages/ producers in CI" }));
+
+  api.assertAllRouted();
+
+  return app;
+}
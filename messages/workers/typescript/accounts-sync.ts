@@ -0,0 +1,248 @@
+// Change-stream worker: customers.accounts[] balance / status changes ->
+// accounts.updated events (shared/schemas/event-accounts-updated.json).
+//
+// The resume token is checkpointed in MongoDB after each change is acked by
+// Kafka, so a restart continues right after the last published change. A
+// crash between the two re-publishes that one change with the same event_id
+// and correlation_id (both derived from the resume token), so consumers can
+// drop the duplicate. A change that cannot become valid events (an amount
+// that does not convert, a schema violation) is dead-lettered by reference and
+// checkpointed like any other, so it cannot stop the stream.
+import { Kafka, logLevel } from "kafkajs";
+import { MongoClient, MongoServerError, type ChangeStreamDocument, type Document, type ResumeToken } from "mongodb";
+import { eventValidator, stableUuid, toMinorUnits } from "./events.js";
+import { PoisonMessage } from "./projector.js";
+
+const MONGODB_URI = process.env.MONGODB_URI ?? "mongodb://localhost:27017/?directConnection=true";
+const MONGODB_DB = process.env.MONGODB_DB ?? "banking";
+const BROKER = process.env.KAFKA_BROKER ?? "localhost:9092";
+const TOPIC = process.env.KAFKA_TOPIC ?? "accounts.updated";
+const DLQ_TOPIC = process.env.KAFKA_DLQ_TOPIC ?? `${TOPIC}.DLQ`;
+const STREAM_NAME = process.env.STREAM_NAME ?? "accounts-updated-sync";
+const CHECKPOINT_COLLECTION = "change_stream_checkpoints";
+// How often the token is saved while no relevant change arrives, so a quiet
+// stream does not fall off the oplog.
+const IDLE_CHECKPOINT_MS = Number(process.env.IDLE_CHECKPOINT_MS ?? 10_000);
+
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+const validateAccountUpdated = eventValidator("event-accounts-updated.json");
+
+type Account = { account_id: unknown; balance?: { toString(): string }; currency?: string; status?: string };
+
+// Only inserts / replaces and updates touching accounts.* reach the worker.
+const pipeline: Document[] = [
+  {
+    $match: {
+      $or: [
+        { operationType: { $in: ["insert", "replace"] } },
+        {
+          operationType: "update",
+          $expr: {
+            $anyElementTrue: {
+              $map: {
+                input: { $objectToArray: "$updateDescription.updatedFields" },
+                in: { $regexMatch: { input: "$$this.k", regex: /^accounts(\.|$)/ } },
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+];
+
+function accountState(account: Account) {
+  const currency = account.currency ?? "USD";
+  return {
+    account_id: String(account.account_id),
+    balance_minor: toMinorUnits(account.balance?.toString() ?? "0", currency),
+    currency,
+    status: account.status ?? null,
+  };
+}
+
+// Accounts whose balance, currency or status differ from the pre-image.
+function changedAccounts(change: ChangeStreamDocument) {
+  if (!("fullDocument" in change) || !change.fullDocument) return [];
+  const after = ((change.fullDocument.accounts ?? []) as Account[]).map(accountState);
+  const preImage = "fullDocumentBeforeChange" in change ? change.fullDocumentBeforeChange : undefined;
+  // A pre-image account that does not convert counts as changed, so the write
+  // fixing a dead-lettered balance publishes the corrected state.
+  const previous = new Map<string, ReturnType<typeof accountState>>();
+  for (const account of (preImage?.accounts ?? []) as Account[]) {
+    try {
+      const state = accountState(account);
+      previous.set(state.account_id, state);
+    } catch {
+      continue;
+    }
+  }
+  return after.filter((a) => {
+    const prev = previous.get(a.account_id);
+    return (
+      !prev || prev.balance_minor !== a.balance_minor || prev.currency !== a.currency || prev.status !== a.status
+    );
+  });
+}
+
+function occurredAt(change: ChangeStreamDocument): string {
+  if ("wallTime" in change && change.wallTime) return change.wallTime.toISOString();
+  const seconds = "clusterTime" in change && change.clusterTime ? change.clusterTime.getHighBits() : Date.now() / 1000;
+  return new Date(seconds * 1000).toISOString();
+}
+
+function changeToken(change: ChangeStreamDocument): string {
+  return (change._id as { _data: string })._data;
+}
+
+function buildEvents(change: ChangeStreamDocument) {
+  const token = changeToken(change);
+  const correlationId = stableUuid(STREAM_NAME, token);
+  const customerId = "fullDocument" in change ? change.fullDocument?.customer_id : undefined;
+  let accounts: ReturnType<typeof changedAccounts>;
+  try {
+    accounts = changedAccounts(change);
+  } catch (err) {
+    throw new PoisonMessage("invalid_amount", (err as Error).message);
+  }
+  return accounts.map((account) => {
+    const event = {
+      event_type: "accounts.updated",
+      event_id: stableUuid(STREAM_NAME, token, account.account_id),
+      ...account,
+      customer_id: customerId === undefined ? null : String(customerId),
+      occurred_at: occurredAt(change),
+      correlation_id: correlationId,
+    };
+    try {
+      validateAccountUpdated(event);
+    } catch (err) {
+      throw new PoisonMessage("schema_violation", (err as Error).message);
+    }
+    return event;
+  });
+}
+
+async function main() {
+  const mongo = new MongoClient(MONGODB_URI);
+  await mongo.connect();
+  const db = mongo.db(MONGODB_DB);
+  const checkpoints = db.collection<{ _id: string; resume_token: ResumeToken; updated_at: Date }>(
+    CHECKPOINT_COLLECTION,
+  );
+
+  const kafka = new Kafka({ clientId: STREAM_NAME, brokers: [BROKER], logLevel: logLevel.NOTHING });
+  const producer = kafka.producer({ idempotent: true, maxInFlightRequests: 1 });
+  await producer.connect();
+
+  // The change itself holds the whole customer document, so the DLQ gets a
+  // reference to it instead; the resume token replays it with startAfter.
+  async function deadLetter(change: ChangeStreamDocument, err: PoisonMessage) {
+    const token = changeToken(change);
+    const documentKey = "documentKey" in change ? String(change.documentKey._id) : null;
+    const customerId = "fullDocument" in change ? change.fullDocument?.customer_id : undefined;
+    const value = {
+      stream: STREAM_NAME,
+      resume_token: token,
+      operation_type: change.operationType,
+      document_key: documentKey,
+      customer_id: customerId === undefined ? null : String(customerId),
+      occurred_at: occurredAt(change),
+    };
+    await producer.send({
+      topic: DLQ_TOPIC,
+      acks: -1,
+      messages: [
+        {
+          key: documentKey,
+          value: JSON.stringify(value),
+          headers: {
+            "x-dlq-reason": err.reason,
+            "x-dlq-error": err.message,
+            "x-dlq-source": `${MONGODB_DB}.customers/${token}`,
+            "x-dlq-stream": STREAM_NAME,
+            "x-dlq-failed-at": new Date().toISOString(),
+          },
+        },
+      ],
+    });
+    console.warn(`dead-lettered change ${token} of customers/${documentKey}: ${err.reason} (${err.message})`);
+  }
+
+  const saved = await checkpoints.findOne({ _id: STREAM_NAME });
+  // "required" makes the server fail the stream instead of silently dropping
+  // changes when customers has no pre-/post-images (migration V9) or they
+  // expired before this worker caught up.
+  const stream = db.collection("customers").watch(pipeline, {
+    fullDocument: "required",
+    fullDocumentBeforeChange: "required",
+    maxAwaitTimeMS: 1000,
+    ...(saved ? { startAfter: saved.resume_token } : {}),
+  });
+  console.log(saved ? `resuming ${STREAM_NAME} from ${saved.updated_at.toISOString()}` : `starting ${STREAM_NAME} now`);
+
+  let lastSaved = Date.now();
+  const checkpoint = async (token: ResumeToken) => {
+    await checkpoints.updateOne(
+      { _id: STREAM_NAME },
+      { $set: { resume_token: token, updated_at: new Date() } },
+      { upsert: true },
+    );
+    lastSaved = Date.now();
+  };
+
+  let stopping = false;
+  const stop = () => {
+    stopping = true;
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+
+  try {
+    while (!stopping) {
+      const change = await stream.tryNext();
+      if (change) {
+        let events: ReturnType<typeof buildEvents> = [];
+        try {
+          events = buildEvents(change);
+        } catch (err) {
+          if (!(err instanceof PoisonMessage)) throw err;
+          await deadLetter(change, err);
+        }
+        if (events.length) {
+          await producer.send({
+            topic: TOPIC,
+            acks: -1,
+            messages: events.map((e) => ({
+              key: e.account_id,
+              headers: { "x-correlation-id": e.correlation_id },
+              value: JSON.stringify(e),
+            })),
+          });
+          console.log(`published ${events.length} ${TOPIC} event(s) correlation=${events[0].correlation_id}`);
+        }
+        await checkpoint(change._id);
+      } else if (stream.resumeToken && Date.now() - lastSaved >= IDLE_CHECKPOINT_MS) {
+        await checkpoint(stream.resumeToken);
+      }
+    }
+  } catch (err) {
+    if (err instanceof MongoServerError && err.code === CHANGE_STREAM_HISTORY_LOST) {
+      console.error(
+        `${STREAM_NAME}: the saved resume token is no longer in the oplog, so changes were missed. ` +
+          `Reconcile accounts from customers, then delete { _id: "${STREAM_NAME}" } from ${CHECKPOINT_COLLECTION} to restart from now.`,
+      );
+    }
+    throw err;
+  } finally {
+    await stream.close();
+    await producer.disconnect();
+    await mongo.close();
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
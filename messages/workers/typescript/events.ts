@@ -0,0 +1,71 @@
+// Helpers shared by the workers: event schema validation (shared/schemas),
+// money conversion between MongoDB and events, and replay-stable ids.
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+const SCHEMAS = new URL("../../../shared/schemas/", import.meta.url);
+
+const ajv = new Ajv2020({ allErrors: true });
+addFormats(ajv);
+
+// Returns a function that throws when an event does not match the schema.
+export function eventValidator(file: string): (event: unknown) => void {
+  const schema = JSON.parse(readFileSync(new URL(file, SCHEMAS), "utf8"));
+  const validate = ajv.compile(schema);
+  return (event) => {
+    if (!validate(event)) throw new Error(`${file}: ${ajv.errorsText(validate.errors)}`);
+  };
+}
+
+// ISO 4217 minor-unit exponents that differ from the default of 2.
+const CURRENCY_EXPONENTS: Record<string, number> = {
+  BHD: 3, CLP: 0, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, OMR: 3, TND: 3, VND: 0,
+};
+
+export function currencyExponent(currency: string): number {
+  return CURRENCY_EXPONENTS[currency] ?? 2;
+}
+
+// NumberDecimal major units (Decimal128#toString()) -> integer minor units, as
+// described in shared/canonical/customer_360.json. Sub-minor digits are
+// rounded half to even.
+export function toMinorUnits(amount: string, currency: string): number {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:E([+-]?\d+))?$/i.exec(amount.trim());
+  if (!match || (match[2] === "" && !match[3])) throw new Error(`not a decimal amount: "${amount}"`);
+  const [, sign, int = "", frac = "", exp = "0"] = match;
+
+  const shift = currencyExponent(currency) + Number(exp) - frac.length;
+  let minor = BigInt(`${int}${frac}` || "0");
+  if (shift >= 0) {
+    minor *= 10n ** BigInt(shift);
+  } else {
+    const divisor = 10n ** BigInt(-shift);
+    const [quotient, twice] = [minor / divisor, (minor % divisor) * 2n];
+    minor = twice > divisor || (twice === divisor && quotient % 2n === 1n) ? quotient + 1n : quotient;
+  }
+  if (sign === "-") minor = -minor;
+  if (minor > BigInt(Number.MAX_SAFE_INTEGER) || minor < -BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error(`${amount} ${currency} does not fit in a JSON integer`);
+  }
+  return Number(minor);
+}
+
+// Integer minor units -> major-unit decimal string for NumberDecimal.
+export function fromMinorUnits(minor: number, currency: string): string {
+  const exponent = currencyExponent(currency);
+  const digits = Math.abs(minor).toString().padStart(exponent + 1, "0");
+  const major = exponent ? `${digits.slice(0, -exponent)}.${digits.slice(-exponent)}` : digits;
+  return minor < 0 ? `-${major}` : major;
+}
+
+// UUID (version 8, name-based) derived from `parts`, so an event rebuilt
+// after a restart carries the same ids as the first attempt.
+export function stableUuid(...parts: string[]): string {
+  const bytes = createHash("sha256").update(parts.join("\0")).digest().subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x80;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
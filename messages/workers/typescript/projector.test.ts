@@ -0,0 +1,199 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Decimal128, Long, MongoServerError, type Collection, type Document } from "mongodb";
+import { createProjector, parseEvent, PoisonMessage, type ProcessedTransaction } from "./projector.js";
+
+// Just enough of a MongoDB collection for the queries projector.ts issues.
+class FakeCollection {
+  docs: Document[] = [];
+
+  async findOne(filter: Document) {
+    return this.docs.find((d) => matches(d, filter)) ?? null;
+  }
+
+  async insertOne(doc: Document) {
+    if (doc._id !== undefined && this.docs.some((d) => same(d._id, doc._id))) {
+      throw new MongoServerError({ message: "E11000 duplicate key error", code: 11000 });
+    }
+    this.docs.push({ ...doc });
+    return { acknowledged: true };
+  }
+
+  async findOneAndUpdate(filter: Document, update: Document) {
+    const doc = await this.findOne(filter);
+    if (doc) apply(doc, update, []);
+    return doc;
+  }
+
+  async updateOne(filter: Document, update: Document, options: { arrayFilters?: Document[] } = {}) {
+    const doc = await this.findOne(filter);
+    if (doc) apply(doc, update, options.arrayFilters ?? []);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }
+}
+
+function same(a: unknown, b: unknown): boolean {
+  if (a instanceof Long && b instanceof Long) return a.equals(b);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return a === b;
+}
+
+// Values at a dotted path, descending into arrays like MongoDB does.
+function valuesAt(doc: unknown, path: string[]): unknown[] {
+  if (path.length === 0) return Array.isArray(doc) ? [doc, ...doc] : [doc];
+  if (Array.isArray(doc)) return doc.flatMap((item) => valuesAt(item, path));
+  if (!doc || typeof doc !== "object") return [];
+  return valuesAt((doc as Document)[path[0]], path.slice(1));
+}
+
+function matches(doc: Document, filter: Document): boolean {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return (cond as Document[]).some((f) => matches(doc, f));
+    const values = valuesAt(doc, key.split("."));
+    if (cond && typeof cond === "object" && "$in" in cond) {
+      return values.some((v) => (cond.$in as unknown[]).some((c) => same(v, c)));
+    }
+    if (cond && typeof cond === "object" && "$lt" in cond) return values.some((v) => (v as Date) < cond.$lt);
+    return values.some((v) => same(v, cond));
+  });
+}
+
+function apply(doc: Document, update: Document, arrayFilters: Document[]) {
+  const targets = (path: string): [Document, string][] => {
+    const keys = path.split(".");
+    let parents: Document[] = [doc];
+    for (const key of keys.slice(0, -1)) {
+      if (key === "$[a]") {
+        const [filter] = arrayFilters;
+        parents = parents.flatMap((p) => p as Document[]).filter((item) => matches({ a: item }, filter));
+      } else {
+        parents = parents.map((p) => (p[key] ??= {}));
+      }
+    }
+    return parents.map((p) => [p, keys[keys.length - 1]]);
+  };
+  for (const [path, value] of Object.entries(update.$set ?? {})) {
+    for (const [parent, key] of targets(path)) parent[key] = value;
+  }
+  for (const [path, value] of Object.entries(update.$inc ?? {})) {
+    for (const [parent, key] of targets(path)) parent[key] = (parent[key] ?? 0) + (value as number);
+  }
+  for (const [path, value] of Object.entries(update.$max ?? {})) {
+    for (const [parent, key] of targets(path)) if (!(parent[key] >= (value as Date))) parent[key] = value;
+  }
+}
+
+// What messages/producers/typescript/producer.ts publishes.
+function producerPayload(occurredAt = new Date()): Buffer {
+  const correlationId = crypto.randomUUID();
+  return Buffer.from(
+    JSON.stringify({
+      event_type: "transactions.created",
+      transaction_id: `demo-${occurredAt.getTime()}`,
+      account_id: "demo-checking-001",
+      amount_minor: 1,
+      occurred_at: occurredAt.toISOString(),
+      correlation_id: correlationId,
+    }),
+  );
+}
+
+let customers: FakeCollection;
+let transactions: FakeCollection;
+let processed: FakeCollection;
+let project: ReturnType<typeof createProjector>;
+
+beforeEach(() => {
+  customers = new FakeCollection();
+  transactions = new FakeCollection();
+  processed = new FakeCollection();
+  // The demo seed's John Doe, whose accounts carry the MySQL ids (Flyway V7).
+  customers.docs.push({
+    _id: "john",
+    customer_id: Long.fromNumber(123456789),
+    accounts: [
+      { account_id: Long.fromNumber(987654321), external_account_id: "demo-checking-001", currency: "USD" },
+      { account_id: Long.fromNumber(987654322), external_account_id: "demo-savings-001", currency: "USD" },
+    ],
+    transactions: { total_lifetime_count: 5 },
+    version: 1,
+  });
+  project = createProjector(
+    {
+      customers: customers as unknown as Collection,
+      transactions: transactions as unknown as Collection,
+      processed: processed as unknown as Collection<ProcessedTransaction>,
+    },
+    { source: "transactions.created", leaseMs: 30_000, withTransaction: (fn) => fn() },
+  );
+});
+
+test("projects a reference producer event with string ids", async () => {
+  const occurredAt = new Date();
+  const event = parseEvent(producerPayload(occurredAt));
+  await project(event);
+
+  assert.equal(transactions.docs.length, 1);
+  const [doc] = transactions.docs;
+  assert.equal(doc.transaction_id, event.transaction_id);
+  assert.ok(Long.fromNumber(987654321).equals(doc.account_id));
+  assert.ok(Long.fromNumber(123456789).equals(doc.customer_id));
+  assert.equal((doc.amount as Decimal128).toString(), "0.01");
+  assert.equal(doc.currency, "USD");
+  assert.equal(doc.transaction_type, "DEPOSIT");
+  assert.deepEqual(doc.metadata, { source: "transactions.created", correlation_id: event.correlation_id });
+
+  assert.deepEqual(
+    processed.docs.map((d) => [d._id, d.status]),
+    [[event.transaction_id, "APPLIED"]],
+  );
+  const [john] = customers.docs;
+  assert.equal(john.transactions.total_lifetime_count, 6);
+  assert.equal(john.transactions.last_30_days_count, 1);
+  assert.equal(john.accounts[0].last_transaction.getTime(), occurredAt.getTime());
+  assert.equal(john.accounts[1].last_transaction, undefined);
+});
+
+test("a debit with a positive amount_minor is stored as negative spend", async () => {
+  const debit = { ...parseEvent(producerPayload()), type: "debit", amount_minor: 1250 };
+  const credit = {
+    ...parseEvent(producerPayload()),
+    transaction_id: "demo-credit",
+    type: "credit",
+    amount_minor: -500,
+  };
+  await project(debit);
+  await project(credit);
+
+  assert.deepEqual(
+    transactions.docs.map((d) => [d.transaction_type, (d.amount as Decimal128).toString()]),
+    [
+      ["PAYMENT", "-12.50"],
+      ["DEPOSIT", "5.00"],
+    ],
+  );
+});
+
+test("a redelivered event is skipped", async () => {
+  const payload = producerPayload();
+  await project(parseEvent(payload));
+  await project(parseEvent(payload));
+
+  assert.equal(transactions.docs.length, 1);
+  assert.equal(customers.docs[0].transactions.total_lifetime_count, 6);
+});
+
+test("an event already applied under its pre-V15 NumberLong id is skipped", async () => {
+  await processed.insertOne({ _id: Long.fromNumber(42), status: "APPLIED", claimed_at: new Date() });
+  const event = { ...parseEvent(producerPayload()), transaction_id: "42", account_id: "987654321" };
+  await project(event);
+
+  assert.equal(transactions.docs.length, 0);
+  assert.equal(customers.docs[0].transactions.total_lifetime_count, 5);
+});
+
+test("an account nobody owns is a poison message", async () => {
+  const event = { ...parseEvent(producerPayload()), account_id: "demo-checking-999" };
+  await assert.rejects(project(event), (err) => err instanceof PoisonMessage && err.reason === "unknown_account");
+  assert.equal(processed.docs.length, 0);
+});
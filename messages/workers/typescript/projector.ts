@@ -0,0 +1,221 @@
+// transactions.created -> transactions_ts projection, without the Kafka and
+// MongoClient wiring of transactions-projector.ts, so it can run against any
+// set of collections.
+//
+// Event ids are kept as published. The reference producers send MySQL
+// accounts.id strings ("demo-checking-001") and free-form transaction ids
+// ("demo-1767225600000"):
+//
+// - processed_transactions and transactions_ts are keyed on the
+//   transaction_id string (migration V15 lets transaction_id be a string)
+// - the account is resolved through customers accounts.external_account_id,
+//   or accounts.account_id when the id is a decimal NumberLong
+// - transactions_ts.account_id is the resolved account's NumberLong id, so
+//   per-account aggregations keep joining on customers accounts.account_id
+import { Decimal128, Long, MongoServerError, type ClientSession, type Collection, type Document } from "mongodb";
+import { eventValidator, fromMinorUnits } from "./events.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+const DUPLICATE_KEY = 11000;
+const INT64_MAX = 2n ** 63n - 1n;
+
+const validateTransactionCreated = eventValidator("event-transaction-created.json");
+
+// Never retried: the message goes to the dead-letter topic.
+export class PoisonMessage extends Error {
+  constructor(
+    readonly reason: string,
+    message: string,
+  ) {
+    super(message);
+  }
+}
+
+export type TransactionCreated = {
+  transaction_id: string;
+  account_id: string;
+  amount_minor: number;
+  currency?: string;
+  occurred_at: string;
+  correlation_id?: string;
+  type?: string;
+  narrative?: string;
+};
+
+export type ProcessedTransaction = {
+  // The event's transaction_id; entries written before V15 have the NumberLong.
+  _id: string | Long;
+  status: "PENDING" | "APPLIED";
+  claimed_at: Date;
+  applied_at?: Date;
+  correlation_id?: string;
+};
+
+export type ProjectorCollections = {
+  customers: Collection;
+  transactions: Collection;
+  processed: Collection<ProcessedTransaction>;
+};
+
+export type ProjectorOptions = {
+  // Stored as metadata.source on every transactions_ts document.
+  source: string;
+  // A PENDING claim older than this is assumed abandoned and taken over.
+  leaseMs: number;
+  // Runs fn inside one MongoDB transaction.
+  withTransaction: (fn: (session?: ClientSession) => Promise<void>) => Promise<void>;
+};
+
+export function parseEvent(value: Buffer | null): TransactionCreated {
+  let event: unknown;
+  try {
+    event = JSON.parse(value?.toString("utf8") ?? "");
+  } catch (err) {
+    throw new PoisonMessage("invalid_json", String(err));
+  }
+  try {
+    validateTransactionCreated(event);
+  } catch (err) {
+    throw new PoisonMessage("schema_violation", (err as Error).message);
+  }
+  return event as TransactionCreated;
+}
+
+// The NumberLong an id was stored as before V15, when it is a decimal int64.
+function numericId(value: string): Long | null {
+  return /^\d{1,19}$/.test(value) && BigInt(value) <= INT64_MAX ? Long.fromString(value) : null;
+}
+
+const TYPES: Record<string, string> = { debit: "PAYMENT", credit: "DEPOSIT", transfer: "TRANSFER" };
+
+// As documented in shared/schemas/MONGODB_MAPPING.md.
+function transactionType(event: TransactionCreated): string {
+  return TYPES[event.type ?? ""] ?? (event.amount_minor < 0 ? "PAYMENT" : "DEPOSIT");
+}
+
+// Money leaving the customer is stored negative (spend is amount < 0 in the
+// summaries and analytics), whatever sign the producer used.
+function signedAmountMinor(event: TransactionCreated, type: string): number {
+  if (type === "PAYMENT") return -Math.abs(event.amount_minor);
+  if (type === "DEPOSIT") return Math.abs(event.amount_minor);
+  return event.amount_minor;
+}
+
+export function createProjector(
+  { customers, transactions, processed }: ProjectorCollections,
+  { source, leaseMs, withTransaction }: ProjectorOptions,
+): (event: TransactionCreated) => Promise<void> {
+  // "claimed", or "applied" when an earlier delivery already finished.
+  async function claim(
+    transactionId: string,
+    legacyId: Long | null,
+    correlationId?: string,
+  ): Promise<"claimed" | "applied"> {
+    if (legacyId && (await processed.findOne({ _id: legacyId, status: "APPLIED" }))) return "applied";
+    const now = new Date();
+    try {
+      await processed.insertOne({
+        _id: transactionId,
+        status: "PENDING",
+        claimed_at: now,
+        correlation_id: correlationId,
+      });
+      return "claimed";
+    } catch (err) {
+      if (!(err instanceof MongoServerError && err.code === DUPLICATE_KEY)) throw err;
+    }
+    const takenOver = await processed.findOneAndUpdate(
+      { _id: transactionId, status: "PENDING", claimed_at: { $lt: new Date(now.getTime() - leaseMs) } },
+      { $set: { claimed_at: now } },
+    );
+    if (takenOver) return "claimed";
+    const current = await processed.findOne({ _id: transactionId });
+    if (current?.status === "APPLIED") return "applied";
+    // Another consumer holds a live lease; throwing lets kafkajs retry later.
+    throw new Error(`transaction ${transactionId} is being projected by another consumer`);
+  }
+
+  return async function project(event: TransactionCreated) {
+    const transactionId = event.transaction_id;
+    const legacyId = numericId(transactionId);
+    const accountLong = numericId(event.account_id);
+    const timestamp = new Date(event.occurred_at);
+
+    const owner = await customers.findOne(
+      {
+        $or: [
+          { "accounts.external_account_id": event.account_id },
+          ...(accountLong ? [{ "accounts.account_id": accountLong }] : []),
+        ],
+      },
+      { projection: { customer_id: 1, accounts: 1 } },
+    );
+    const account = (owner?.accounts as Document[] | undefined)?.find(
+      (a) => a.external_account_id === event.account_id || (accountLong !== null && accountLong.equals(a.account_id)),
+    );
+    if (!owner || !account) throw new PoisonMessage("unknown_account", `no customer owns account ${event.account_id}`);
+    const customerId = Long.fromString(String(owner.customer_id));
+    const accountId = Long.fromString(String(account.account_id));
+    const currency = event.currency ?? account.currency ?? "USD";
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new PoisonMessage("invalid_currency", `currency "${currency}" is not an ISO 4217 code`);
+    }
+
+    if ((await claim(transactionId, legacyId, event.correlation_id)) === "applied") {
+      console.log(`skipped duplicate transaction ${transactionId}`);
+      return;
+    }
+
+    const existing = await transactions.findOne(
+      {
+        customer_id: customerId,
+        timestamp,
+        transaction_id: legacyId ? { $in: [transactionId, legacyId] } : transactionId,
+      },
+      { projection: { _id: 1 } },
+    );
+    if (!existing) {
+      const type = transactionType(event);
+      await transactions.insertOne({
+        timestamp,
+        customer_id: customerId,
+        transaction_id: transactionId,
+        account_id: accountId,
+        transaction_type: type,
+        amount: Decimal128.fromString(fromMinorUnits(signedAmountMinor(event, type), currency)),
+        currency,
+        status: "COMPLETED",
+        ...(event.narrative ? { description: event.narrative } : {}),
+        metadata: { source, correlation_id: event.correlation_id ?? null },
+      });
+    }
+
+    // Window counters only count transactions still inside their window; the
+    // refresh_customer_summaries job recomputes them as they age out.
+    const age = Date.now() - timestamp.getTime();
+    const $inc: Record<string, number> = { "transactions.total_lifetime_count": 1, version: 1 };
+    if (age <= 30 * DAY_MS) $inc["transactions.last_30_days_count"] = 1;
+    if (age <= 90 * DAY_MS) $inc["transactions.last_90_days_count"] = 1;
+    if (age <= 365 * DAY_MS) $inc["transactions.last_year_count"] = 1;
+
+    await withTransaction(async (session) => {
+      const marked = await processed.updateOne(
+        { _id: transactionId, status: "PENDING" },
+        { $set: { status: "APPLIED", applied_at: new Date() } },
+        { session },
+      );
+      // Someone else finished it while this delivery was inserting.
+      if (marked.modifiedCount === 0) return;
+      await customers.updateOne(
+        { _id: owner._id },
+        {
+          $inc,
+          $max: { "transactions.last_transaction_date": timestamp, "accounts.$[a].last_transaction": timestamp },
+          $set: { updated_at: new Date() },
+        },
+        { session, arrayFilters: [{ "a.account_id": accountId }] },
+      );
+    });
+    console.log(`projected transaction ${transactionId} for customer ${customerId}`);
+  };
+}
@@ -0,0 +1,101 @@
+// Kafka consumer: transactions.created events -> transactions_ts documents,
+// plus the owning customer's denormalized transaction counters.
+//
+// transactions_ts is a time-series collection, which allows neither unique
+// indexes nor writes inside transactions, so idempotency is tracked in
+// processed_transactions (one document per transaction_id):
+//
+//   1. claim the transaction_id (PENDING, leased for LEASE_MS)
+//   2. insert into transactions_ts unless a document with that id exists
+//   3. in one transaction: update the customer and mark the claim APPLIED
+//
+// A crash anywhere re-runs the remaining steps on redelivery; an APPLIED
+// transaction_id is skipped. Messages that can never be projected (invalid
+// JSON or schema, unknown account, invalid currency) are copied to the
+// dead-letter topic and their offset committed. The projection itself is in
+// projector.ts.
+import { Kafka, logLevel, type EachMessagePayload, type IHeaders } from "kafkajs";
+import { MongoClient } from "mongodb";
+import { createProjector, parseEvent, PoisonMessage, type ProcessedTransaction } from "./projector.js";
+
+const MONGODB_URI = process.env.MONGODB_URI ?? "mongodb://localhost:27017/?directConnection=true";
+const MONGODB_DB = process.env.MONGODB_DB ?? "banking";
+const BROKER = process.env.KAFKA_BROKER ?? "localhost:9092";
+const TOPIC = process.env.KAFKA_TOPIC ?? "transactions.created";
+const DLQ_TOPIC = process.env.KAFKA_DLQ_TOPIC ?? `${TOPIC}.DLQ`;
+const GROUP_ID = process.env.KAFKA_GROUP_ID ?? "transactions-projector";
+const FROM_BEGINNING = process.env.FROM_BEGINNING === "true";
+// A PENDING claim older than this is assumed abandoned and taken over.
+const LEASE_MS = Number(process.env.LEASE_MS ?? 30_000);
+
+async function main() {
+  const mongo = new MongoClient(MONGODB_URI);
+  await mongo.connect();
+  const db = mongo.db(MONGODB_DB);
+  const project = createProjector(
+    {
+      customers: db.collection("customers"),
+      transactions: db.collection("transactions_ts"),
+      processed: db.collection<ProcessedTransaction>("processed_transactions"),
+    },
+    {
+      source: TOPIC,
+      leaseMs: LEASE_MS,
+      withTransaction: async (fn) => {
+        const session = mongo.startSession();
+        try {
+          await session.withTransaction(() => fn(session));
+        } finally {
+          await session.endSession();
+        }
+      },
+    },
+  );
+
+  const kafka = new Kafka({ clientId: GROUP_ID, brokers: [BROKER], logLevel: logLevel.NOTHING });
+  const dlq = kafka.producer({ idempotent: true, maxInFlightRequests: 1 });
+  const consumer = kafka.consumer({ groupId: GROUP_ID });
+  await dlq.connect();
+  await consumer.connect();
+  await consumer.subscribe({ topic: TOPIC, fromBeginning: FROM_BEGINNING });
+
+  // Copies the original message to the DLQ with the failure in headers; the
+  // offset is only committed once the DLQ write is acknowledged.
+  async function deadLetter({ topic, partition, message }: EachMessagePayload, err: PoisonMessage) {
+    const headers: IHeaders = {
+      ...message.headers,
+      "x-dlq-reason": err.reason,
+      "x-dlq-error": err.message,
+      "x-dlq-source": `${topic}/${partition}/${message.offset}`,
+      "x-dlq-consumer-group": GROUP_ID,
+      "x-dlq-failed-at": new Date().toISOString(),
+    };
+    await dlq.send({ topic: DLQ_TOPIC, acks: -1, messages: [{ key: message.key, value: message.value, headers }] });
+    console.warn(`dead-lettered ${topic}/${partition}/${message.offset}: ${err.reason} (${err.message})`);
+  }
+
+  await consumer.run({
+    eachMessage: async (payload) => {
+      try {
+        await project(parseEvent(payload.message.value));
+      } catch (err) {
+        if (!(err instanceof PoisonMessage)) throw err;
+        await deadLetter(payload, err);
+      }
+    },
+  });
+
+  const shutdown = async () => {
+    await consumer.disconnect();
+    await dlq.disconnect();
+    await mongo.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
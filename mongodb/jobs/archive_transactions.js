@@ -0,0 +1,133 @@
+// Archives transactions_ts months into transactions_archive before the
+// two-year TTL removes them, verifies archived months against their manifests
+// and restores a customer's date range into transactions_restored.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   COMMAND                  archive, verify or restore (default archive)
+//   MONTH                    comma-separated YYYY-MM; archive / verify only these
+//                            (default every month older than ARCHIVE_AFTER_DAYS,
+//                            or every archived month for verify)
+//   ARCHIVE_AFTER_DAYS       age of a month's end before it is archived (default 640)
+//   CHUNK_SIZE               transactions per archive document (default 1000)
+//   ARCHIVE_RETENTION_YEARS  JSON per transaction_type overrides, e.g. '{"FEE": 5}';
+//                            0 skips the type, null keeps it indefinitely
+//   CUSTOMER_ID              restore: the customer_id to restore
+//   SINCE / UNTIL            restore: ISO-8601 period to restore (required)
+//   AS_OF                    ISO-8601 "now" for ages and expiry (default now)
+//   DRY_RUN                  true prints what would be archived / restored
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/archive_transactions.js
+//   MONTH=2023-01 DRY_RUN=true mongosh "$MONGODB_URI" mongodb/jobs/archive_transactions.js
+//   COMMAND=verify mongosh "$MONGODB_URI" mongodb/jobs/archive_transactions.js
+//   COMMAND=restore CUSTOMER_ID=1 SINCE=2023-01-01T00:00:00Z UNTIL=2023-04-01T00:00:00Z \
+//     mongosh "$MONGODB_URI" mongodb/jobs/archive_transactions.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/archival.js`);
+
+const COMMANDS = ["archive", "verify", "restore"];
+
+const command = setting("COMMAND", "archive");
+if (!COMMANDS.includes(command)) {
+  throw new Error(
+    `Unknown COMMAND "${command}"; expected ${COMMANDS.join(", ")}`,
+  );
+}
+
+const asOf = dateSetting("AS_OF") ?? new Date();
+const monthsSetting = () => {
+  const raw = setting("MONTH", null);
+  if (raw === null) return null;
+  return raw.split(",").map((m) => {
+    archiveMonthRange(m.trim());
+    return m.trim();
+  });
+};
+
+if (command === "archive") {
+  const retentionYears = archiveRetentionSetting();
+  const months =
+    monthsSetting() ??
+    archivableMonths({
+      asOf,
+      archiveAfterDays: intSetting(
+        "ARCHIVE_AFTER_DAYS",
+        ARCHIVE_DEFAULTS.archiveAfterDays,
+        0,
+      ),
+    });
+  const chunkSize = intSetting("CHUNK_SIZE", ARCHIVE_DEFAULTS.chunkSize, 1);
+
+  const results = months.map((month) =>
+    archiveMonth(month, { chunkSize, retentionYears, asOf }),
+  );
+  const archived = results.filter((r) => r.status === "ARCHIVED");
+  const blocked = results.filter((r) => r.status === "BLOCKED");
+  const transactions = archived.reduce((n, r) => n + r.transactions, 0);
+  print(
+    dryRun
+      ? `=== Dry Run Complete: ${archived.length} month(s), ${transactions} transaction(s) to archive ===`
+      : `=== Archived ${transactions} transaction(s) in ${archived.length} month(s); ` +
+          `${results.length - archived.length - blocked.length} already archived ===`,
+  );
+  if (blocked.length > 0) {
+    throw new Error(
+      `Left IN_PROGRESS, as rebuilding could lose archived transactions ` +
+        `transactions_ts no longer holds: ${blocked.map((r) => r.month).join(", ")}`,
+    );
+  }
+}
+
+if (command === "verify") {
+  const months =
+    monthsSetting() ??
+    db
+      .getCollection(ARCHIVE_MANIFESTS)
+      .find({}, { _id: 1 })
+      .sort({ _id: 1 })
+      .toArray()
+      .map((m) => m._id);
+
+  const results = months.map((month) => verifyArchivedMonth(month, { asOf }));
+  results.forEach(({ month, problems, expired }) => {
+    if (expired.length) {
+      print(`${month}\tretention ended for ${expired.join(", ")}`);
+    }
+    problems.forEach((p) => print(`${month}\t[problem] ${p}`));
+  });
+  const failed = results.filter((r) => r.problems.length);
+  print(
+    `=== Verified ${results.length} month(s): ${failed.length} with problems ===`,
+  );
+  if (failed.length) {
+    throw new Error(
+      `archive verification failed for ${failed.map((r) => r.month).join(", ")}`,
+    );
+  }
+}
+
+if (command === "restore") {
+  const customerIds = customerIdsSetting();
+  if (!customerIds || customerIds.length !== 1) {
+    throw new Error("COMMAND=restore needs exactly one CUSTOMER_ID");
+  }
+  const since = dateSetting("SINCE");
+  const until = dateSetting("UNTIL");
+  if (!since || !until || since >= until) {
+    throw new Error("COMMAND=restore needs SINCE < UNTIL");
+  }
+
+  const summary = restoreTransactions({
+    customerId: customerIds[0],
+    since,
+    until,
+  });
+  print(
+    dryRun
+      ? `=== Dry Run Complete: ${summary.chunks} archive chunk(s) to restore from ===`
+      : `=== Restored ${summary.restored} transaction(s) into ${RESTORE_COLLECTION}; ` +
+          `${summary.alreadyRestored} already there ===`,
+  );
+}
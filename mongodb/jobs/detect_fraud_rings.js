@@ -0,0 +1,62 @@
+// Runs fraud-ring detection over transaction_relationships and records the
+// rings on customers.fraud_ring_connections, flagging the edges involved.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   DETECT          comma-separated: components, cycles, hubs (default all)
+//   SINCE / UNTIL   ISO-8601 period to analyse (default the last 30 days)
+//   MAX_HOPS        traversal depth / longest cycle in edges (default 3)
+//   WINDOW_HOURS    time a cycle must close in (default 72)
+//   MIN_RING_SIZE   smallest component reported (default 3)
+//   MIN_HUB_DEGREE  distinct counterparties that make a hub (default 5)
+//   CUSTOMER_ID     comma-separated component seeds (default every sender)
+//   DRY_RUN         true prints the rings without writing them
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/detect_fraud_rings.js
+//   DETECT=cycles MAX_HOPS=5 WINDOW_HOURS=24 mongosh "$MONGODB_URI" mongodb/jobs/detect_fraud_rings.js
+//   SINCE=2024-01-01T00:00:00Z DRY_RUN=true mongosh "$MONGODB_URI" mongodb/jobs/detect_fraud_rings.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/fraud_rings.js`);
+
+const DETECTORS = {
+  components: findConnectedComponents,
+  cycles: findTransferCycles,
+  hubs: findHubs,
+};
+
+const detect = setting("DETECT", Object.keys(DETECTORS).join(","))
+  .split(",")
+  .map((d) => d.trim());
+const unknown = detect.filter((d) => !DETECTORS[d]);
+if (unknown.length) {
+  throw new Error(
+    `Unknown DETECT value(s) ${unknown.join(", ")}; expected ${Object.keys(DETECTORS).join(", ")}`,
+  );
+}
+
+const options = {
+  since: dateSetting("SINCE"),
+  until: dateSetting("UNTIL"),
+  maxHops: intSetting("MAX_HOPS", RING_DEFAULTS.maxHops, 2),
+  windowHours: intSetting("WINDOW_HOURS", RING_DEFAULTS.windowHours, 1),
+  minRingSize: intSetting("MIN_RING_SIZE", RING_DEFAULTS.minRingSize, 2),
+  minHubDegree: intSetting("MIN_HUB_DEGREE", RING_DEFAULTS.minHubDegree, 2),
+  customerIds: customerIdsSetting(),
+};
+
+const rings = detect.flatMap((d) => DETECTORS[d](options));
+rings.forEach((ring) =>
+  print(
+    `${ring.type}\t${ring.ring_id}\tmembers ${ring.members.join(", ")}\t` +
+      `transactions ${ring.transaction_ids.join(", ")}`,
+  ),
+);
+
+const written = recordFraudRings(rings);
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${rings.length} ring(s) found, nothing written ===`
+    : `=== Recorded ${written} ring(s) ===`,
+);
@@ -0,0 +1,55 @@
+// Runs the impossible-travel and out-of-region checks from
+// lib/geo_anomalies.js and appends the findings to customers.fraud_indicators.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   DETECT           comma-separated: travel, region (default both)
+//   CUSTOMER_ID      comma-separated customer_id values; all customers when unset
+//   SINCE / UNTIL    ISO-8601 period to check (default the last 30 days)
+//   MAX_SPEED_KMH    fastest plausible travel (default 900)
+//   MIN_DISTANCE_KM  ignore hops shorter than this (default 100)
+//   BATCH_SIZE       customers read per query (default 200)
+//   DRY_RUN          true prints the findings without writing them
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/detect_geo_anomalies.js
+//   DETECT=travel MAX_SPEED_KMH=500 mongosh "$MONGODB_URI" mongodb/jobs/detect_geo_anomalies.js
+//   SINCE=2024-01-01T00:00:00Z DRY_RUN=true mongosh "$MONGODB_URI" mongodb/jobs/detect_geo_anomalies.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/geo.js`);
+load(`${__dirname}/../lib/geo_anomalies.js`);
+
+const CHECKS = ["travel", "region"];
+
+const checks = setting("DETECT", CHECKS.join(","))
+  .split(",")
+  .map((c) => c.trim());
+const unknown = checks.filter((c) => !CHECKS.includes(c));
+if (unknown.length) {
+  throw new Error(
+    `Unknown DETECT value(s) ${unknown.join(", ")}; expected ${CHECKS.join(", ")}`,
+  );
+}
+
+const summary = detectGeoAnomalies({
+  checks,
+  customerIds: customerIdsSetting(),
+  batchSize: intSetting("BATCH_SIZE", GEO_DEFAULTS.batchSize, 1),
+  since: dateSetting("SINCE"),
+  until: dateSetting("UNTIL"),
+  maxSpeedKmh: intSetting("MAX_SPEED_KMH", GEO_DEFAULTS.maxSpeedKmh, 1),
+  minDistanceKm: intSetting("MIN_DISTANCE_KM", GEO_DEFAULTS.minDistanceKm, 0),
+});
+
+if (summary.noRegion.length) {
+  print(
+    `[warn] no geo_regions boundary for the address of ${summary.noRegion.length} ` +
+      `customer(s): ${summary.noRegion.join(", ")}; out-of-region check skipped`,
+  );
+}
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${plannedChanges} customer(s) with new findings ===`
+    : `=== Added ${summary.indicators} fraud indicator(s) across ${summary.scanned} customer(s) ===`,
+);
@@ -0,0 +1,39 @@
+// Loads daily exchange rates into fx_rates (lib/fx.js) from a CSV file:
+//
+//   currency,effective_from,rate,source
+//   EUR,2024-01-15,1.0950,ECB
+//
+// `rate` is the number of USD one unit of `currency` buys from that UTC day
+// on. Loading a day again replaces its rate. Rollups already computed are not
+// restated; rebuild them with refresh_customer_analytics_monthly.js FULL=true
+// after loading rates for past days.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   FILE     CSV file to load (required)
+//   SOURCE   source recorded on rows without a source column, e.g. ECB
+//   DRY_RUN  true validates the file and prints the planned upsert
+//
+// Usage:
+//   FILE=rates.csv SOURCE=ECB mongosh "$MONGODB_URI" mongodb/jobs/load_fx_rates.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/fx.js`);
+
+const file = setting("FILE", null);
+if (!file) throw new Error("FILE is required");
+
+const rates = parseFxRatesCsv(require("fs").readFileSync(file, "utf8"), {
+  source: setting("SOURCE", null),
+});
+const currencies = [...new Set(rates.map((r) => r.currency))].sort();
+print(
+  `${file}: ${rates.length} rate(s) for ${currencies.join(", ") || "no currency"}`,
+);
+
+const summary = upsertFxRates(rates);
+
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${rates.length} rate(s) would be upserted ===`
+    : `=== Loaded ${summary.upserted} new and ${summary.modified} changed rate(s) ===`,
+);
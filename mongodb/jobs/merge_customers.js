@@ -0,0 +1,83 @@
+// Merges a duplicate customer into the one that is kept, or reverts an
+// earlier merge (lib/customer_dedup.js). Every merge is logged in
+// customer_merges with both documents as they were.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   COMMAND      merge or revert (default merge)
+//   SURVIVOR_ID  merge: customer_id that is kept
+//   MERGED_ID    merge: customer_id folded into SURVIVOR_ID
+//   MERGE_ID     revert: _id of the customer_merges entry
+//   ACTOR        who performs the merge or revert (required)
+//   REASON       merge: why, e.g. the review ticket
+//   DRY_RUN      true prints what would change
+//
+// Usage:
+//   SURVIVOR_ID=1 MERGED_ID=1000000042 ACTOR=ops@example.com \
+//     mongosh "$MONGODB_URI" mongodb/jobs/merge_customers.js
+//   COMMAND=revert MERGE_ID=65f0c0ffee0000000000abcd ACTOR=ops@example.com \
+//     mongosh "$MONGODB_URI" mongodb/jobs/merge_customers.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/csfle.js`);
+load(`${__dirname}/../lib/customer_dedup.js`);
+
+const COMMANDS = ["merge", "revert"];
+
+const command = setting("COMMAND", "merge");
+if (!COMMANDS.includes(command)) {
+  throw new Error(
+    `Unknown COMMAND "${command}"; expected ${COMMANDS.join(", ")}`,
+  );
+}
+const actor = setting("ACTOR", null);
+if (!actor) throw new Error("ACTOR is required");
+
+const idSetting = (name) => {
+  const raw = setting(name, null);
+  if (raw === null || !/^\d+$/.test(raw.trim())) {
+    throw new Error(`${name} must be a numeric customer_id`);
+  }
+  return NumberLong(raw.trim());
+};
+
+if (command === "merge") {
+  const survivorId = idSetting("SURVIVOR_ID");
+  const mergedId = idSetting("MERGED_ID");
+
+  // Recorded with the merge, for the review trail.
+  const match = scoreCustomerPair(survivorId, mergedId);
+  const result = mergeCustomers(survivorId, mergedId, {
+    actor,
+    reason: setting("REASON", null),
+    score: match?.score ?? null,
+    signals: match?.signals ?? null,
+  });
+  print(
+    `accounts moved ${result.accounts}, transactions re-pointed ` +
+      `${result.transactions}, relationships re-pointed ${result.relationships}`,
+  );
+  print(
+    dryRun
+      ? `=== Dry Run Complete: ${plannedChanges} planned change(s) ===`
+      : `=== Merged customer ${mergedId} into ${survivorId} (merge ${result.mergeId}); ` +
+          "refresh the survivor with jobs/refresh_customer_analytics_monthly.js " +
+          "and jobs/score_customer_risk.js ===",
+  );
+}
+
+if (command === "revert") {
+  const raw = setting("MERGE_ID", null);
+  if (!raw || !/^[0-9a-f]{24}$/.test(raw)) {
+    throw new Error("COMMAND=revert needs MERGE_ID, a customer_merges _id");
+  }
+  const result = revertMerge(ObjectId(raw), { actor });
+  print(
+    `transactions re-pointed ${result.transactions}, relationships ` +
+      `re-pointed ${result.relationships}`,
+  );
+  print(
+    dryRun
+      ? `=== Dry Run Complete: ${plannedChanges} planned change(s) ===`
+      : `=== Reverted merge ${result.mergeId} ===`,
+  );
+}
@@ -0,0 +1,90 @@
+// Handles a customer's privacy request (lib/privacy.js): a subject-access
+// export of everything held about them, or erasure of their personal data.
+// Both record an audit_events entry and print it as an audit.events message.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   COMMAND      export or erase (default export)
+//   CUSTOMER_ID  the customer_id the request is for (required, exactly one)
+//   ACTOR        who handles the request, recorded in the audit entry
+//                (required)
+//   REQUEST_ID   ticket or request reference; a UUID becomes the audit
+//                correlation_id
+//   REASON       erase: legal basis, recorded in the audit entry
+//   CONFIRM      erase: must repeat CUSTOMER_ID, since erasure cannot be undone
+//   EXPORT_DIR   export: output directory (default mongodb/.exports, git-ignored)
+//   DRY_RUN      true prints what would be written, erased or deleted
+//
+// Usage:
+//   COMMAND=export CUSTOMER_ID=1 ACTOR=dpo@example.com mongosh "$MONGODB_URI" mongodb/jobs/privacy_request.js
+//   COMMAND=erase CUSTOMER_ID=1 CONFIRM=1 ACTOR=dpo@example.com REASON="GDPR Art. 17" \
+//     mongosh "$MONGODB_URI" mongodb/jobs/privacy_request.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/csfle.js`);
+load(`${__dirname}/../lib/archival.js`);
+load(`${__dirname}/../lib/privacy.js`);
+
+const COMMANDS = ["export", "erase"];
+
+const command = setting("COMMAND", "export");
+if (!COMMANDS.includes(command)) {
+  throw new Error(
+    `Unknown COMMAND "${command}"; expected ${COMMANDS.join(", ")}`,
+  );
+}
+const customerIds = customerIdsSetting();
+if (!customerIds || customerIds.length !== 1) {
+  throw new Error("a privacy request needs exactly one CUSTOMER_ID");
+}
+const [customerId] = customerIds;
+const actor = setting("ACTOR", null);
+if (!actor) throw new Error("ACTOR is required for the audit entry");
+const requestId = setting("REQUEST_ID", null);
+
+if (command === "export") {
+  const result = exportCustomerData(customerId, { actor, requestId });
+  Object.entries(result.counts).forEach(([collName, count]) =>
+    print(`${collName}\t${count}`),
+  );
+  if (!result.decrypted) {
+    print("[warn] CSFLE fields exported as ciphertext");
+  }
+  print(EJSON.stringify(auditEventMessage(result.event)));
+  print(
+    dryRun
+      ? `=== Dry Run Complete: would write ${result.file} ===`
+      : `=== Exported customer ${customerId} to ${result.file} ===`,
+  );
+}
+
+if (command === "erase") {
+  if (!dryRun && setting("CONFIRM", null) !== String(customerId)) {
+    throw new Error(
+      `erasure cannot be undone; set CONFIRM=${customerId} to go ahead`,
+    );
+  }
+  const summary = eraseCustomer(customerId, {
+    actor,
+    reason: setting("REASON", null),
+    requestId,
+  });
+  print(
+    `customer ${summary.customer}, data keys deleted ${summary.keysDeleted}, ` +
+      `transactions anonymized ${summary.transactions}, archived ` +
+      `${summary.archived.transactions}, restored deleted ${summary.restoredDeleted}, ` +
+      `analytics rows deleted ${summary.analyticsDeleted}, risk scores redacted ${summary.riskScores}`,
+  );
+  if (summary.mergedCustomerIds.length) {
+    print(
+      `[warn] customer ${customerId} absorbed ${summary.mergedCustomerIds.join(", ")}; ` +
+        "erase those customer_ids too",
+    );
+  }
+  print(EJSON.stringify(auditEventMessage(summary.event)));
+  print(
+    dryRun
+      ? `=== Dry Run Complete: ${plannedChanges} planned change(s) ===`
+      : `=== Erased customer ${customerId} ===`,
+  );
+}
@@ -0,0 +1,37 @@
+// Refreshes the customer_analytics_monthly rollups from transactions_ts.
+//
+// Schedule it (cron, Atlas trigger, k8s CronJob) after transaction ingestion;
+// each run only recomputes the months of transactions timestamped since the
+// previous run, so it is cheap to run often.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   FULL                true rebuilds every month instead of only touched ones
+//   LOOKBACK_SECONDS    how late a transaction may be written after its
+//                       timestamp and still be counted (default 86400)
+//   REPORTING_CURRENCY  convert every row to this ISO 4217 code instead of the
+//                       customer's currency_preference
+//   DRY_RUN             true lists the months that would be recomputed
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/refresh_customer_analytics_monthly.js
+//   FULL=true mongosh "$MONGODB_URI" mongodb/jobs/refresh_customer_analytics_monthly.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/fx.js`);
+load(`${__dirname}/../lib/analytics.js`);
+
+const summary = refreshCustomerAnalyticsMonthly({
+  full: setting("FULL", "false") === "true",
+  lookbackSeconds: intSetting(
+    "LOOKBACK_SECONDS",
+    ANALYTICS_LOOKBACK_SECONDS,
+    0,
+  ),
+  reportingCurrency: reportingCurrencySetting(),
+});
+
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${summary.months} month(s) would be recomputed ===`
+    : `=== Refreshed ${summary.rows} row(s) across ${summary.months} month(s), removed ${summary.removed} stale row(s) ===`,
+);
@@ -0,0 +1,41 @@
+// Rebuilds the denormalized summary fields on customers (transaction counts,
+// behavior, accounts[].last_transaction) from transactions_ts, bumping
+// version and updated_at on every customer that changed.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   CUSTOMER_ID  comma-separated customer_id values; all customers when unset
+//   BATCH_SIZE   customers per aggregation (default 500)
+//   AS_OF        ISO-8601 reference time for the 30/90/365-day windows
+//                (default now; set it to replay demo data)
+//   DRY_RUN      true lists the customers and fields that would change
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/refresh_customer_summaries.js
+//   CUSTOMER_ID=1,2 mongosh "$MONGODB_URI" mongodb/jobs/refresh_customer_summaries.js
+//   AS_OF=2024-02-01T00:00:00Z DRY_RUN=true mongosh "$MONGODB_URI" mongodb/jobs/refresh_customer_summaries.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/fx.js`);
+load(`${__dirname}/../lib/customer_summary.js`);
+
+const summary = refreshCustomerSummaries({
+  customerIds: customerIdsSetting(),
+  batchSize: intSetting("BATCH_SIZE", SUMMARY_BATCH_SIZE, 1),
+  asOf: dateSetting("AS_OF"),
+});
+
+summary.changed.forEach(({ customer_id, fields }) =>
+  print(`changed ${customer_id}: ${fields.join(", ")}`),
+);
+if (summary.conflicts.length) {
+  print(
+    `[warn] skipped ${summary.conflicts.length} customer(s) modified during ` +
+      `the run: ${summary.conflicts.join(", ")}; run again to refresh them`,
+  );
+}
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${plannedChanges} of ${summary.scanned} customer(s) would change ===`
+    : `=== Refreshed ${summary.changed.length} of ${summary.scanned} customer(s) ===`,
+);
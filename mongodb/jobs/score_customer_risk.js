@@ -0,0 +1,39 @@
+// Recomputes customers.risk_score and risk_factors with the rule-based engine
+// in lib/risk_scoring.js and appends every change to risk_score_history.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   CUSTOMER_ID  comma-separated customer_id values; all customers when unset
+//   BATCH_SIZE   customers per aggregation (default 200)
+//   AS_OF        ISO-8601 reference time for the rule windows (default now)
+//   DRY_RUN      true prints the score changes without writing them
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/jobs/score_customer_risk.js
+//   CUSTOMER_ID=123456789 mongosh "$MONGODB_URI" mongodb/jobs/score_customer_risk.js
+//   AS_OF=2024-02-01T00:00:00Z DRY_RUN=true mongosh "$MONGODB_URI" mongodb/jobs/score_customer_risk.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/geo.js`);
+load(`${__dirname}/../lib/risk_scoring.js`);
+
+const summary = scoreCustomers({
+  customerIds: customerIdsSetting(),
+  batchSize: intSetting("BATCH_SIZE", RISK_BATCH_SIZE, 1),
+  asOf: dateSetting("AS_OF"),
+});
+
+summary.changed.forEach(({ customer_id, previous_score, risk_score }) =>
+  print(`changed ${customer_id}: ${previous_score ?? "-"} -> ${risk_score}`),
+);
+if (summary.conflicts.length) {
+  print(
+    `[warn] skipped ${summary.conflicts.length} customer(s) modified during ` +
+      `the run: ${summary.conflicts.join(", ")}; run again to score them`,
+  );
+}
+print(
+  dryRun
+    ? `=== Dry Run Complete: ${plannedChanges} of ${summary.scanned} customer(s) would change ===`
+    : `=== Rescored ${summary.changed.length} of ${summary.scanned} customer(s) ===`,
+);
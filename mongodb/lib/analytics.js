@@ -0,0 +1,302 @@
+// Rebuilds customer_analytics_monthly from transactions_ts.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, dryRun) and
+// lib/fx.js (currency conversion). Each customer/month row is recomputed from
+// the raw COMPLETED transactions and written with $merge, so the rollups
+// always reconcile with transactions_ts.
+//
+// Amounts are converted to the customer's preferences.currency_preference, or
+// to one reporting currency for every row, at the rates in effect on each
+// transaction's day; metrics.currency records which. Rows are not restated
+// when a preference or a rate changes later: rebuild them with `full`.
+//
+// Incremental runs only recompute the months of transactions timestamped
+// since the previous run's computed_at, found through the { timestamp: 1 }
+// index. transactions_ts has no ingestion time, so a transaction written
+// later than lookbackSeconds after its timestamp (a backfill, a replayed
+// topic) is only counted by a `full` run.
+
+var ANALYTICS_SOURCE = "transactions_ts";
+var ANALYTICS_TARGET = "customer_analytics_monthly";
+
+// Transactions timestamped up to this long before the previous computed_at
+// are read again: they may have been written after that run aggregated.
+var ANALYTICS_LOOKBACK_SECONDS = 86400;
+
+function monthBounds(year, month) {
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1)),
+    end: new Date(Date.UTC(year, month, 1)),
+  };
+}
+
+function lastComputedAt() {
+  const latest = db
+    .getCollection(ANALYTICS_TARGET)
+    .find({}, { computed_at: 1 })
+    .sort({ computed_at: -1 })
+    .limit(1)
+    .toArray()[0];
+  return latest?.computed_at ?? null;
+}
+
+// Returns [{ year, month, customerIds }] for every month holding a transaction
+// matched by `match`, oldest first.
+function customerMonths(match) {
+  return db
+    .getCollection(ANALYTICS_SOURCE)
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            year: { $year: "$timestamp" },
+            month: { $month: "$timestamp" },
+          },
+          customer_ids: { $addToSet: "$customer_id" },
+        },
+      },
+      { $sort: { "_id.year": 1, "_id.month": 1 } },
+    ])
+    .toArray()
+    .map(({ _id, customer_ids }) => ({
+      year: _id.year,
+      month: _id.month,
+      customerIds: customer_ids,
+    }));
+}
+
+function monthlyRollupPipeline(
+  year,
+  month,
+  customerIds,
+  computedAt,
+  { reportingCurrency = null } = {},
+) {
+  const { start, end } = monthBounds(year, month);
+  return [
+    {
+      $match: {
+        customer_id: { $in: customerIds },
+        timestamp: { $gte: start, $lt: end },
+        status: "COMPLETED",
+      },
+    },
+    // Volumes are absolute: debits are stored as negative amounts.
+    {
+      $set: {
+        volume: { $abs: { $toDecimal: "$amount" } },
+        day: { $dateTrunc: { date: "$timestamp", unit: "day" } },
+      },
+    },
+    // Rates change at UTC midnight, so daily totals per currency convert
+    // exactly and far fewer rows need a rate lookup than transactions.
+    {
+      $group: {
+        _id: {
+          customer_id: "$customer_id",
+          type: "$transaction_type",
+          currency: "$currency",
+          day: "$day",
+        },
+        count: { $sum: 1 },
+        total: { $sum: "$volume" },
+        min: { $min: "$volume" },
+        max: { $max: "$volume" },
+      },
+    },
+    ...fxTargetCurrencyStages({
+      customerId: "_id.customer_id",
+      as: "target",
+      reportingCurrency,
+    }),
+    ...fxConvertStages({
+      amounts: ["total", "min", "max"],
+      from: "_id.currency",
+      to: "target",
+      at: "$_id.day",
+    }),
+    {
+      $group: {
+        _id: { customer_id: "$_id.customer_id", type: "$_id.type" },
+        currency: { $first: "$target" },
+        count: { $sum: "$count" },
+        total: { $sum: "$total" },
+        min: { $min: "$min" },
+        max: { $max: "$max" },
+        days: { $addToSet: "$_id.day" },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.customer_id",
+        currency: { $first: "$currency" },
+        total_amount: { $sum: "$total" },
+        transaction_count: { $sum: "$count" },
+        min_amount: { $min: "$min" },
+        max_amount: { $max: "$max" },
+        transaction_types: { $push: { k: "$_id.type", v: "$count" } },
+        days: { $push: "$days" },
+      },
+    },
+    {
+      $set: {
+        days_active: {
+          $size: {
+            $reduce: {
+              input: "$days",
+              initialValue: [],
+              in: { $setUnion: ["$$value", "$$this"] },
+            },
+          },
+        },
+      },
+    },
+    {
+      $replaceWith: {
+        _id: {
+          customer_id: "$_id",
+          year: NumberInt(year),
+          month: NumberInt(month),
+        },
+        customer_id: "$_id",
+        period: {
+          year: NumberInt(year),
+          month: NumberInt(month),
+          start_date: start,
+          end_date: new Date(end.getTime() - 1000),
+        },
+        metrics: {
+          currency: "$currency",
+          total_amount: { $round: ["$total_amount", 2] },
+          transaction_count: "$transaction_count",
+          avg_amount: {
+            $round: [{ $divide: ["$total_amount", "$transaction_count"] }, 2],
+          },
+          min_amount: { $round: ["$min_amount", 2] },
+          max_amount: { $round: ["$max_amount", 2] },
+          transaction_types: { $arrayToObject: "$transaction_types" },
+          days_active: "$days_active",
+          avg_daily_transactions: {
+            $round: [{ $divide: ["$transaction_count", "$days_active"] }, 2],
+          },
+        },
+        computed_at: computedAt,
+        version: NumberInt(1),
+      },
+    },
+    {
+      $merge: {
+        into: ANALYTICS_TARGET,
+        on: "_id",
+        whenMatched: [
+          {
+            $replaceWith: {
+              $mergeObjects: [
+                "$$new",
+                { version: { $add: [{ $ifNull: ["$version", 0] }, 1] } },
+              ],
+            },
+          },
+        ],
+        whenNotMatched: "insert",
+      },
+    },
+  ];
+}
+
+// Recomputes customer_analytics_monthly. `full` rebuilds every month present
+// in transactions_ts; otherwise only months with transactions timestamped
+// since the last computed_at (minus lookbackSeconds) are rebuilt. Rows for
+// touched months that no longer have COMPLETED transactions are removed; rows
+// for months whose transactions have all expired are left alone. reportingCurrency
+// converts every row to that currency instead of the customer's preference.
+// Throws before writing anything when fx_rates lacks a rate a month needs.
+function refreshCustomerAnalyticsMonthly({
+  full = false,
+  lookbackSeconds = ANALYTICS_LOOKBACK_SECONDS,
+  reportingCurrency = null,
+} = {}) {
+  const since = full ? null : lastComputedAt();
+  const computedAt = new Date();
+  const match = {};
+  if (since) {
+    match.timestamp = {
+      $gte: new Date(since.getTime() - lookbackSeconds * 1000),
+    };
+  }
+
+  // Erased customers keep their transactions but not their rollups
+  // (lib/privacy.js).
+  const erased = new Set(
+    db.customers
+      .distinct("customer_id", { "metadata.erased_at": { $exists: true } })
+      .map(String),
+  );
+  const months = customerMonths(match)
+    .map((m) => ({
+      ...m,
+      customerIds: m.customerIds.filter((id) => !erased.has(String(id))),
+    }))
+    .filter((m) => m.customerIds.length > 0);
+  print(
+    since
+      ? `${ANALYTICS_TARGET}: ${months.length} month(s) with transactions since ${since.toISOString()}`
+      : `${ANALYTICS_TARGET}: full rebuild of ${months.length} month(s)`,
+  );
+
+  const missing = months.flatMap(({ year, month, customerIds }) => {
+    const { start, end } = monthBounds(year, month);
+    return missingFxRates(
+      ANALYTICS_SOURCE,
+      {
+        customer_id: { $in: customerIds },
+        timestamp: { $gte: start, $lt: end },
+        status: "COMPLETED",
+      },
+      { reportingCurrency },
+    );
+  });
+  if (missing.length) {
+    throw new Error(
+      `${FX_RATES} has no rate for ` +
+        missing
+          .map(({ currency, at }) => `${currency} on ${at.toISOString()}`)
+          .join(", ") +
+        "; load the rates (jobs/load_fx_rates.js) and run again",
+    );
+  }
+
+  const summary = { months: months.length, rows: 0, removed: 0 };
+  months.forEach(({ year, month, customerIds }) => {
+    const label = `${year}-${String(month).padStart(2, "0")}`;
+    applyChange(
+      `recompute ${ANALYTICS_TARGET} ${label} for ${customerIds.length} customer(s)`,
+      () => {
+        db.getCollection(ANALYTICS_SOURCE)
+          .aggregate(
+            monthlyRollupPipeline(year, month, customerIds, computedAt, {
+              reportingCurrency,
+            }),
+          )
+          .toArray();
+        // By period rather than _id, so rows of any _id layout are replaced.
+        const scope = {
+          customer_id: { $in: customerIds },
+          "period.year": year,
+          "period.month": month,
+        };
+        summary.rows += db
+          .getCollection(ANALYTICS_TARGET)
+          .countDocuments({ ...scope, computed_at: computedAt });
+        summary.removed += db
+          .getCollection(ANALYTICS_TARGET)
+          .deleteMany({
+            ...scope,
+            computed_at: { $lt: computedAt },
+          }).deletedCount;
+      },
+    );
+  });
+  return summary;
+}
@@ -0,0 +1,458 @@
+// Archival of transactions_ts ahead of its two-year TTL.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, setting,
+// sameValue) and lib/customers.js (DAY_MS). Months are archived whole, once
+// they ended archiveAfterDays ago:
+//
+//   transactions_archive            the month's transactions, unchanged, in
+//                                   chunks of up to chunkSize per customer and
+//                                   transaction_type (zstd-compressed), each
+//                                   with a SHA-256 checksum
+//   transactions_archive_manifests  one per month: counts and checksums per
+//                                   transaction_type plus a month checksum;
+//                                   COMPLETE only once every chunk is written
+//   transactions_restored           where restoreTransactions() copies a
+//                                   customer's date range back to; rows expire
+//                                   after 30 days
+//
+// Each chunk expires retention years after the end of its month, per
+// transaction_type (ARCHIVE_RETENTION_YEARS; null keeps it indefinitely). A
+// type with 0 years is not archived and only lives in transactions_ts.
+
+var ARCHIVE_COLLECTION = "transactions_archive";
+var ARCHIVE_MANIFESTS = "transactions_archive_manifests";
+var RESTORE_COLLECTION = "transactions_restored";
+
+// transactions_ts expireAfterSeconds, in days.
+var TRANSACTIONS_TS_TTL_DAYS = 730;
+
+var ARCHIVE_DEFAULTS = {
+  // The first day of a month expires about 700 days after the month ends, so
+  // this leaves two months for a monthly run to catch it.
+  archiveAfterDays: 640,
+  chunkSize: 1000,
+};
+
+var ARCHIVE_RETENTION_YEARS = {
+  DEPOSIT: 10,
+  WITHDRAWAL: 10,
+  TRANSFER: 10,
+  PAYMENT: 7,
+  FEE: 7,
+  INTEREST: 7,
+};
+
+// ARCHIVE_RETENTION_YEARS setting: JSON overrides such as '{"FEE": 5}',
+// merged over the defaults.
+function archiveRetentionSetting() {
+  const raw = setting("ARCHIVE_RETENTION_YEARS", null);
+  if (raw === null) return { ...ARCHIVE_RETENTION_YEARS };
+  const overrides = JSON.parse(raw);
+  Object.entries(overrides).forEach(([type, years]) => {
+    if (!(type in ARCHIVE_RETENTION_YEARS)) {
+      throw new Error(
+        `ARCHIVE_RETENTION_YEARS: unknown transaction_type "${type}"`,
+      );
+    }
+    if (years !== null && !(Number.isInteger(years) && years >= 0)) {
+      throw new Error(
+        `ARCHIVE_RETENTION_YEARS: ${type} must be a whole number of years or null`,
+      );
+    }
+  });
+  return { ...ARCHIVE_RETENTION_YEARS, ...overrides };
+}
+
+function archiveMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function archiveMonthRange(month) {
+  if (!/^[0-9]{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new Error(`month must be YYYY-MM, got "${month}"`);
+  }
+  const start = new Date(`${month}-01T00:00:00Z`);
+  return {
+    start,
+    end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)),
+  };
+}
+
+function archiveChecksum(value) {
+  return require("crypto")
+    .createHash("sha256")
+    .update(
+      typeof value === "string"
+        ? value
+        : EJSON.stringify(value, { relaxed: false }),
+    )
+    .digest("hex");
+}
+
+function retentionExpiry(monthEnd, years) {
+  if (years === null || years === undefined) return null;
+  return new Date(
+    Date.UTC(monthEnd.getUTCFullYear() + years, monthEnd.getUTCMonth(), 1),
+  );
+}
+
+// Months from the oldest transaction up to the last one that ended at least
+// archiveAfterDays before asOf.
+function archivableMonths({
+  asOf = new Date(),
+  archiveAfterDays = ARCHIVE_DEFAULTS.archiveAfterDays,
+} = {}) {
+  const [oldest] = db
+    .getCollection("transactions_ts")
+    .find({}, { timestamp: 1 })
+    .sort({ timestamp: 1 })
+    .limit(1)
+    .toArray();
+  if (!oldest) return [];
+
+  const cutoff = new Date(asOf.getTime() - archiveAfterDays * DAY_MS);
+  const months = [];
+  let month = archiveMonthKey(oldest.timestamp);
+  while (archiveMonthRange(month).end <= cutoff) {
+    months.push(month);
+    month = archiveMonthKey(archiveMonthRange(month).end);
+  }
+  return months;
+}
+
+// Copies one month into transactions_archive. A COMPLETE month is skipped; an
+// IN_PROGRESS one (interrupted run) is rewritten from scratch, unless the TTL
+// may already have removed some of its rows from transactions_ts: rewriting
+// would then delete archived transactions that can no longer be copied, so
+// the month is left as it is with status BLOCKED. Returns
+// { month, status, transactions }.
+function archiveMonth(
+  month,
+  {
+    chunkSize = ARCHIVE_DEFAULTS.chunkSize,
+    retentionYears = ARCHIVE_RETENTION_YEARS,
+    asOf = new Date(),
+  } = {},
+) {
+  const manifests = db.getCollection(ARCHIVE_MANIFESTS);
+  const archive = db.getCollection(ARCHIVE_COLLECTION);
+  const { start, end } = archiveMonthRange(month);
+
+  const current = manifests.findOne({ _id: month }, { status: 1 });
+  if (current?.status === "COMPLETE") {
+    return { month, status: "COMPLETE", transactions: null };
+  }
+
+  const types = Object.keys(retentionYears).filter(
+    (type) => retentionYears[type] !== 0,
+  );
+  const source = {
+    timestamp: { $gte: start, $lt: end },
+    transaction_type: { $in: types },
+  };
+  const expected = db.getCollection("transactions_ts").countDocuments(source);
+  const expiring =
+    start.getTime() < asOf.getTime() - TRANSACTIONS_TS_TTL_DAYS * DAY_MS;
+  const chunks = current ? archive.countDocuments({ month }) : 0;
+  if (expiring && chunks > 0) {
+    print(
+      `[warn] ${month}: an interrupted run left ${chunks} chunk(s) and ` +
+        "transactions_ts may already have expired part of this month; " +
+        "not rebuilding it, as that could lose archived transactions",
+    );
+    return { month, status: "BLOCKED", transactions: null };
+  }
+  if (expiring) {
+    print(
+      `[warn] ${month}: transactions_ts may already have expired part of ` +
+        "this month; the archive only holds what is left",
+    );
+  }
+
+  applyChange(`archive ${month}: ${expected} transaction(s)`, () => {
+    manifests.replaceOne(
+      { _id: month },
+      {
+        status: "IN_PROGRESS",
+        start,
+        end,
+        started_at: new Date(),
+        archived_at: null,
+      },
+      { upsert: true },
+    );
+    archive.deleteMany({ month });
+
+    const archivedAt = new Date();
+    const byType = {};
+    const chunkChecksums = [];
+    let chunk = null;
+    let total = 0;
+
+    const flush = () => {
+      if (!chunk) return;
+      const checksum = archiveChecksum(chunk.transactions);
+      const years = retentionYears[chunk.transaction_type] ?? null;
+      archive.insertOne({
+        _id: `${month}:${chunk.customer_id}:${chunk.transaction_type}:${chunk.chunk}`,
+        month,
+        ...chunk,
+        count: chunk.transactions.length,
+        checksum,
+        archived_at: archivedAt,
+        expire_at: retentionExpiry(end, years),
+      });
+      if (!byType[chunk.transaction_type]) {
+        byType[chunk.transaction_type] = {
+          count: 0,
+          checksums: [],
+          retention_years: years,
+          expire_at: retentionExpiry(end, years),
+        };
+      }
+      const type = byType[chunk.transaction_type];
+      type.count += chunk.transactions.length;
+      type.checksums.push(checksum);
+      chunkChecksums.push(checksum);
+      total += chunk.transactions.length;
+    };
+
+    db.getCollection("transactions_ts")
+      .find(source)
+      .sort({
+        customer_id: 1,
+        transaction_type: 1,
+        timestamp: 1,
+        transaction_id: 1,
+      })
+      .allowDiskUse()
+      .forEach((tx) => {
+        const sameGroup =
+          chunk &&
+          sameValue(chunk.customer_id, tx.customer_id) &&
+          chunk.transaction_type === tx.transaction_type;
+        if (!sameGroup || chunk.transactions.length >= chunkSize) {
+          flush();
+          chunk = {
+            customer_id: tx.customer_id,
+            transaction_type: tx.transaction_type,
+            chunk: sameGroup ? chunk.chunk + 1 : 0,
+            transactions: [],
+          };
+        }
+        chunk.transactions.push(tx);
+      });
+    flush();
+
+    if (total !== expected) {
+      throw new Error(
+        `archive ${month}: copied ${total} of ${expected} transaction(s); ` +
+          "transactions_ts changed during the run, run again",
+      );
+    }
+    const summary = {};
+    Object.entries(byType).forEach(([type, { checksums, ...rest }]) => {
+      summary[type] = {
+        ...rest,
+        checksum: archiveChecksum(checksums.join("")),
+      };
+    });
+    manifests.updateOne(
+      { _id: month },
+      {
+        $set: {
+          status: "COMPLETE",
+          chunks: chunkChecksums.length,
+          transactions: total,
+          by_type: summary,
+          checksum: archiveChecksum(chunkChecksums.join("")),
+          archived_at: new Date(),
+        },
+      },
+    );
+  });
+  return { month, status: "ARCHIVED", transactions: expected };
+}
+
+// Recomputes every checksum of an archived month and compares it with the
+// manifest. Types whose retention has ended are reported, not checked.
+// Returns { month, problems, expired }.
+function verifyArchivedMonth(month, { asOf = new Date() } = {}) {
+  const manifest = db.getCollection(ARCHIVE_MANIFESTS).findOne({ _id: month });
+  if (manifest?.status !== "COMPLETE") {
+    return { month, problems: ["no COMPLETE manifest"], expired: [] };
+  }
+
+  const problems = [];
+  const expired = Object.keys(manifest.by_type ?? {}).filter(
+    (type) =>
+      manifest.by_type[type].expire_at &&
+      manifest.by_type[type].expire_at <= asOf,
+  );
+  const seen = {};
+  const chunkChecksums = [];
+  db.getCollection(ARCHIVE_COLLECTION)
+    .find({ month, transaction_type: { $nin: expired } })
+    .sort({ customer_id: 1, transaction_type: 1, chunk: 1 })
+    .forEach((chunk) => {
+      const checksum = archiveChecksum(chunk.transactions);
+      if (checksum !== chunk.checksum) {
+        problems.push(`${chunk._id}: checksum mismatch`);
+      }
+      if (!seen[chunk.transaction_type]) {
+        seen[chunk.transaction_type] = { count: 0, checksums: [] };
+      }
+      const type = seen[chunk.transaction_type];
+      type.count += chunk.transactions.length;
+      type.checksums.push(checksum);
+      chunkChecksums.push(checksum);
+    });
+
+  Object.entries(manifest.by_type ?? {})
+    .filter(([type]) => !expired.includes(type))
+    .forEach(([type, expected]) => {
+      const actual = seen[type] ?? { count: 0, checksums: [] };
+      if (actual.count !== expected.count) {
+        problems.push(
+          `${type}: ${actual.count} of ${expected.count} transaction(s)`,
+        );
+      }
+      if (archiveChecksum(actual.checksums.join("")) !== expected.checksum) {
+        problems.push(`${type}: checksum differs from the manifest`);
+      }
+    });
+  if (
+    expired.length === 0 &&
+    archiveChecksum(chunkChecksums.join("")) !== manifest.checksum
+  ) {
+    problems.push("month checksum differs from the manifest");
+  }
+  return { month, problems, expired };
+}
+
+// Copies one customer's archived transactions with since <= timestamp <
+// until into transactions_restored, after checking each chunk's checksum.
+// Transactions already restored are left alone. Returns
+// { chunks, restored, alreadyRestored }.
+function restoreTransactions({ customerId, since, until }) {
+  if (!customerId || !since || !until) {
+    throw new Error(
+      "restoreTransactions: customerId, since and until are required",
+    );
+  }
+  const summary = { chunks: 0, restored: 0, alreadyRestored: 0 };
+  const months = {
+    $gte: archiveMonthKey(since),
+    $lte: archiveMonthKey(new Date(until.getTime() - 1)),
+  };
+
+  db.getCollection(ARCHIVE_COLLECTION)
+    .find({ customer_id: customerId, month: months })
+    .sort({ month: 1, transaction_type: 1, chunk: 1 })
+    .forEach((chunk) => {
+      if (archiveChecksum(chunk.transactions) !== chunk.checksum) {
+        throw new Error(
+          `${chunk._id}: checksum mismatch, archive chunk is corrupt`,
+        );
+      }
+      const txns = chunk.transactions.filter(
+        (tx) => tx.timestamp >= since && tx.timestamp < until,
+      );
+      if (txns.length === 0) return;
+      summary.chunks += 1;
+
+      applyChange(
+        `restore ${txns.length} transaction(s) from ${chunk._id}`,
+        () => {
+          const restoredAt = new Date();
+          const res = db.getCollection(RESTORE_COLLECTION).bulkWrite(
+            txns.map((tx) => ({
+              updateOne: {
+                filter: { transaction_id: tx.transaction_id },
+                update: {
+                  $setOnInsert: {
+                    ...tx,
+                    restored_at: restoredAt,
+                    archive_chunk: chunk._id,
+                  },
+                },
+                upsert: true,
+              },
+            })),
+            { ordered: false },
+          );
+          summary.restored += res.upsertedCount;
+          summary.alreadyRestored += txns.length - res.upsertedCount;
+        },
+      );
+    });
+  return summary;
+}
+
+// Recomputes a COMPLETE month's per-type and month checksums from its chunks,
+// after chunks were rewritten in place (redactArchivedTransactions). Types
+// with no chunks left, i.e. expired ones, keep their recorded checksum.
+function rechecksumArchivedMonth(month) {
+  const manifests = db.getCollection(ARCHIVE_MANIFESTS);
+  const manifest = manifests.findOne({ _id: month }, { status: 1 });
+  if (manifest?.status !== "COMPLETE") return;
+
+  const byType = {};
+  const chunkChecksums = [];
+  db.getCollection(ARCHIVE_COLLECTION)
+    .find({ month }, { transaction_type: 1, checksum: 1 })
+    .sort({ customer_id: 1, transaction_type: 1, chunk: 1 })
+    .forEach(({ transaction_type: type, checksum }) => {
+      if (!byType[type]) byType[type] = [];
+      byType[type].push(checksum);
+      chunkChecksums.push(checksum);
+    });
+
+  const $set = { checksum: archiveChecksum(chunkChecksums.join("")) };
+  Object.entries(byType).forEach(([type, checksums]) => {
+    $set[`by_type.${type}.checksum`] = archiveChecksum(checksums.join(""));
+  });
+  manifests.updateOne({ _id: month }, { $set });
+}
+
+// Rewrites every archived transaction of one customer through redact(tx),
+// then refreshes the chunk checksums and the manifests of the months touched
+// so verifyArchivedMonth keeps passing. Used by erasure (lib/privacy.js),
+// which keeps the transactions but not the personal data in them. Returns
+// { chunks, transactions } rewritten.
+function redactArchivedTransactions(customerId, redact) {
+  const archive = db.getCollection(ARCHIVE_COLLECTION);
+  const summary = { chunks: 0, transactions: 0 };
+  const months = new Set();
+
+  archive
+    .find({ customer_id: customerId })
+    .sort({ month: 1, transaction_type: 1, chunk: 1 })
+    .forEach((chunk) => {
+      if (archiveChecksum(chunk.transactions) !== chunk.checksum) {
+        throw new Error(
+          `${chunk._id}: checksum mismatch, archive chunk is corrupt`,
+        );
+      }
+      const transactions = chunk.transactions.map(redact);
+      const checksum = archiveChecksum(transactions);
+      if (checksum === chunk.checksum) return;
+
+      summary.chunks += 1;
+      summary.transactions += transactions.length;
+      months.add(chunk.month);
+      applyChange(`redact ${chunk._id}`, () =>
+        archive.updateOne(
+          { _id: chunk._id },
+          { $set: { transactions, checksum } },
+        ),
+      );
+    });
+
+  months.forEach((month) =>
+    applyChange(`recompute manifest checksums of ${month}`, () =>
+      rechecksumArchivedMonth(month),
+    ),
+  );
+  return summary;
+}
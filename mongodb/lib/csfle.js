@@ -0,0 +1,318 @@
+// Client-side field level encryption (CSFLE) for the customers PII fields.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, setting,
+// ensureIndexes). Data keys live in the key vault collection (default
+// encryption.__keyVault), found by keyAltName and wrapped by a local 96-byte
+// master key read from a file, so everything works offline:
+//
+//   personal_info.ssn              customer_ssn                Deterministic
+//   personal_info.date_of_birth    customer_pii_<customer_id>  Random
+//   personal_info.drivers_license  customer_pii_<customer_id>  Random
+//
+// ssn shares one key so it can still be matched by equality
+// (findCustomerBySsn). The other fields get a data key per customer, named in
+// the customer's top-level pii_key field; deleting that key
+// (deleteCsfleCustomerKey) leaves their ciphertext unreadable everywhere,
+// backups included. Anyone holding the master key file and read access to the
+// key vault can decrypt:
+//
+//   load("mongodb/lib/provisioning.js");
+//   load("mongodb/lib/csfle.js");
+//   csfleConnection().getDB(db.getName()).customers.findOne({ customer_id: 1 });
+//
+// Settings: CSFLE_MASTER_KEY_FILE (default mongodb/.csfle/master-key.bin,
+// git-ignored) and CSFLE_KEY_VAULT_NAMESPACE.
+
+var CSFLE_KEY_VAULT_NAMESPACE = setting(
+  "CSFLE_KEY_VAULT_NAMESPACE",
+  "encryption.__keyVault",
+);
+var CSFLE_MASTER_KEY_FILE = require("path").resolve(
+  setting("CSFLE_MASTER_KEY_FILE", `${__dirname}/../.csfle/master-key.bin`),
+);
+var CSFLE_MASTER_KEY_BYTES = 96;
+
+var CSFLE_DETERMINISTIC = "AEAD_AES_256_CBC_HMAC_SHA_512-Deterministic";
+var CSFLE_RANDOM = "AEAD_AES_256_CBC_HMAC_SHA_512-Random";
+
+// Keyed by the field name under personal_info. perCustomer fields are
+// encrypted with the customer's own data key; deterministic encryption is not
+// offered for them, since equality lookups would need one key for everybody.
+var CSFLE_FIELDS = {
+  ssn: {
+    keyAltName: "customer_ssn",
+    bsonType: "string",
+    algorithm: CSFLE_DETERMINISTIC,
+  },
+  date_of_birth: {
+    perCustomer: true,
+    bsonType: "date",
+    algorithm: CSFLE_RANDOM,
+  },
+  drivers_license: {
+    perCustomer: true,
+    bsonType: "string",
+    algorithm: CSFLE_RANDOM,
+  },
+};
+
+// Top-level customers field holding the keyAltName of the customer's data key,
+// which the encryption schema points at (csfleSchemaMap).
+var CSFLE_CUSTOMER_KEY_FIELD = "pii_key";
+
+var CSFLE_KEY_VAULT_INDEX = {
+  key: { keyAltNames: 1 },
+  options: {
+    unique: true,
+    partialFilterExpression: { keyAltNames: { $exists: true } },
+  },
+};
+
+// Connection, ClientEncryption and key ids shared by the helpers below;
+// reset whenever a shared data key is created.
+var csfleSession = null;
+
+function csfleKeyVault() {
+  const [dbName, ...rest] = CSFLE_KEY_VAULT_NAMESPACE.split(".");
+  return { database: db.getSiblingDB(dbName), collName: rest.join(".") };
+}
+
+// The master key as a Buffer, or null when the file does not exist yet.
+function csfleMasterKey() {
+  const fs = require("fs");
+  if (!fs.existsSync(CSFLE_MASTER_KEY_FILE)) return null;
+  const key = fs.readFileSync(CSFLE_MASTER_KEY_FILE);
+  if (key.length !== CSFLE_MASTER_KEY_BYTES) {
+    throw new Error(
+      `${CSFLE_MASTER_KEY_FILE}: expected ${CSFLE_MASTER_KEY_BYTES} bytes, got ${key.length}`,
+    );
+  }
+  return key;
+}
+
+// Generates the master key file when missing. Losing the file makes every
+// encrypted value unreadable, so an existing file is never replaced.
+function ensureCsfleMasterKey() {
+  if (csfleMasterKey()) return;
+  applyChange(`create local master key ${CSFLE_MASTER_KEY_FILE}`, () => {
+    const fs = require("fs");
+    fs.mkdirSync(require("path").dirname(CSFLE_MASTER_KEY_FILE), {
+      recursive: true,
+      mode: 0o700,
+    });
+    fs.writeFileSync(
+      CSFLE_MASTER_KEY_FILE,
+      require("crypto").randomBytes(CSFLE_MASTER_KEY_BYTES),
+      { mode: 0o600, flag: "wx" },
+    );
+  });
+}
+
+// A second connection to the same deployment that decrypts on read. With a
+// schemaMap it also encrypts on write, which needs mongocryptd or the
+// crypt_shared library (Enterprise / Atlas); without one, writes must use
+// explicit encryption (csfleEncrypt).
+function csfleConnection({ schemaMap } = {}) {
+  const masterKey = csfleMasterKey();
+  if (!masterKey) {
+    throw new Error(
+      `CSFLE master key ${CSFLE_MASTER_KEY_FILE} not found; run the schema provisioning first`,
+    );
+  }
+  return Mongo(db.getMongo().getURI(), {
+    keyVaultNamespace: CSFLE_KEY_VAULT_NAMESPACE,
+    kmsProviders: { local: { key: masterKey } },
+    ...(schemaMap ? { schemaMap } : { bypassAutoEncryption: true }),
+  });
+}
+
+function csfleSharedFields() {
+  return Object.entries(CSFLE_FIELDS).filter(([, spec]) => !spec.perCustomer);
+}
+
+function csfleKeyIdByAltName(keyAltName) {
+  const { database, collName } = csfleKeyVault();
+  return (
+    database
+      .getCollection(collName)
+      .findOne({ keyAltNames: keyAltName }, { _id: 1 })?._id ?? null
+  );
+}
+
+// Map of shared personal_info field -> data key UUID; fields without a key are
+// missing from the map.
+function csfleKeyIds() {
+  const ids = {};
+  csfleSharedFields().forEach(([field, { keyAltName }]) => {
+    const id = csfleKeyIdByAltName(keyAltName);
+    if (id) ids[field] = id;
+  });
+  return ids;
+}
+
+// Key vault with its keyAltNames index, the master key file and one data key
+// per shared field. Per-customer keys are created as customers are encrypted
+// (ensureCsfleCustomerKey).
+function ensureCsfleKeys() {
+  const { database, collName } = csfleKeyVault();
+  ensureIndexes(collName, [CSFLE_KEY_VAULT_INDEX], database);
+  ensureCsfleMasterKey();
+
+  const existing = csfleKeyIds();
+  let keyVault = null;
+  csfleSharedFields()
+    .filter(([field]) => !existing[field])
+    .forEach(([, { keyAltName }]) =>
+      applyChange(`create data key ${keyAltName}`, () => {
+        keyVault = keyVault ?? csfleConnection().getKeyVault();
+        keyVault.createKey("local", { keyAltNames: [keyAltName] });
+        csfleSession = null;
+      }),
+    );
+}
+
+function csfleCustomerKeyAltName(customerId) {
+  return `customer_pii_${customerId}`;
+}
+
+// UUID of the customer's data key, created when missing; null in a dry run
+// before it exists. Refuses for an erased customer, whose deleted key must
+// stay deleted.
+function ensureCsfleCustomerKey(customerId) {
+  const keyAltName = csfleCustomerKeyAltName(customerId);
+  let id = csfleKeyIdByAltName(keyAltName);
+  if (!id) {
+    const erased = db.customers.countDocuments(
+      { customer_id: customerId, "metadata.erased_at": { $exists: true } },
+      { limit: 1 },
+    );
+    if (erased) {
+      throw new Error(
+        `customer ${customerId} is erased; data key ${keyAltName} is not recreated`,
+      );
+    }
+    applyChange(`create data key ${keyAltName}`, () => {
+      id = csfleClientEncryption()
+        .connection.getKeyVault()
+        .createKey("local", { keyAltNames: [keyAltName] });
+    });
+  }
+  return id;
+}
+
+// Crypto-shredding: deletes the customer's data key, after which their
+// per-customer fields cannot be decrypted from any copy of the data. Returns
+// the number of keys deleted.
+function deleteCsfleCustomerKey(customerId) {
+  const keyAltName = csfleCustomerKeyAltName(customerId);
+  if (!csfleKeyIdByAltName(keyAltName)) return 0;
+  const { database, collName } = csfleKeyVault();
+  let deleted = 1;
+  applyChange(`delete data key ${keyAltName}`, () => {
+    deleted = database
+      .getCollection(collName)
+      .deleteMany({ keyAltNames: keyAltName }).deletedCount;
+  });
+  return deleted;
+}
+
+// Encryption schema for customers, for clients using automatic encryption.
+// Built from the key vault because data key ids differ per environment;
+// per-customer fields resolve their key through the document's pii_key.
+function csfleSchemaMap(keyIds = csfleKeyIds()) {
+  const properties = {};
+  Object.entries(CSFLE_FIELDS).forEach(([field, spec]) => {
+    const { bsonType, algorithm } = spec;
+    if (spec.perCustomer) {
+      properties[field] = {
+        encrypt: { keyId: `/${CSFLE_CUSTOMER_KEY_FIELD}`, bsonType, algorithm },
+      };
+      return;
+    }
+    if (!keyIds[field]) {
+      throw new Error(
+        `CSFLE data key ${CSFLE_FIELDS[field].keyAltName} missing`,
+      );
+    }
+    properties[field] = {
+      encrypt: { keyId: [keyIds[field]], bsonType, algorithm },
+    };
+  });
+  return {
+    [`${db.getName()}.customers`]: {
+      bsonType: "object",
+      properties: {
+        personal_info: { bsonType: "object", properties },
+      },
+    },
+  };
+}
+
+function csfleClientEncryption() {
+  if (!csfleSession) {
+    const connection = csfleConnection();
+    csfleSession = {
+      connection,
+      encryption: connection.getClientEncryption(),
+      keyIds: csfleKeyIds(),
+    };
+  }
+  return csfleSession;
+}
+
+// True once the master key file and every shared data key exist.
+function csfleReady() {
+  const keyIds = csfleKeyIds();
+  return (
+    csfleMasterKey() !== null &&
+    csfleSharedFields().every(([field]) => keyIds[field])
+  );
+}
+
+// Explicitly encrypts one personal_info field; returns BinData subtype 6.
+// Per-customer fields need the customerId and its data key.
+function csfleEncrypt(field, value, customerId) {
+  const spec = CSFLE_FIELDS[field];
+  if (!spec) throw new Error(`${field} is not a CSFLE field`);
+  const { encryption, keyIds } = csfleClientEncryption();
+  const keyAltName = spec.perCustomer
+    ? csfleCustomerKeyAltName(customerId)
+    : spec.keyAltName;
+  const keyId = spec.perCustomer
+    ? csfleKeyIdByAltName(keyAltName)
+    : keyIds[field];
+  if (!keyId) throw new Error(`CSFLE data key ${keyAltName} missing`);
+  return encryption.encrypt(keyId, value, spec.algorithm);
+}
+
+function csfleDecrypt(value) {
+  return csfleClientEncryption().encryption.decrypt(value);
+}
+
+// { ssn, date_of_birth, drivers_license } with each value encrypted, ready to
+// spread into personal_info; creates the customer's data key when needed. The
+// document must also carry pii_key: csfleCustomerKeyAltName(customerId). A dry
+// run before the keys exist gets {}, since nothing is written anyway.
+function encryptCustomerPii(customerId, values) {
+  if (dryRun && !csfleReady()) return {};
+  const perCustomer = Object.keys(values).some(
+    (field) => CSFLE_FIELDS[field]?.perCustomer,
+  );
+  if (perCustomer && !ensureCsfleCustomerKey(customerId)) return {};
+  const encrypted = {};
+  Object.entries(values).forEach(([field, value]) => {
+    encrypted[field] = csfleEncrypt(field, value, customerId);
+  });
+  return encrypted;
+}
+
+// Equality lookup on the deterministic ssn field; returns the decrypted
+// customer or null.
+function findCustomerBySsn(ssn, projection = {}) {
+  return csfleClientEncryption()
+    .connection.getDB(db.getName())
+    .customers.findOne(
+      { "personal_info.ssn": csfleEncrypt("ssn", ssn) },
+      projection,
+    );
+}
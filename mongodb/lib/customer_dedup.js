@@ -0,0 +1,691 @@
+// Duplicate customer detection and reversible merges for the customer 360.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, sameValue) and
+// lib/csfle.js (csfleMasterKey, csfleConnection). The unique customer_id and
+// personal_info.email indexes only stop exact duplicates; findDuplicateCustomers
+// scores pairs on normalized signals:
+//
+//   name     Jaro-Winkler of first and last name (either order), accents,
+//            case and punctuation ignored
+//   phone    any primary / mobile number in common: the last ten digits when
+//            both have an area code, otherwise the last seven, so
+//            +1-555-0123 and 5550123 match
+//   address  same postal code, then Jaro-Winkler of the normalized street line
+//            (Street -> st, Apartment -> apt, ...)
+//   dob      same date of birth; needs the CSFLE master key to decrypt it
+//
+// A missing signal is left out of the weighted score. Only customers sharing
+// a blocking key (phone, last name + postal code, date of birth + last
+// initial) are compared.
+//
+// mergeCustomers folds one customer into another: accounts, products and
+// service_history are combined on the survivor, transactions_ts and
+// transaction_relationships are re-pointed, and the duplicate is kept empty
+// with metadata.merged_into. customer_merges keeps both documents as they
+// were and everything that moved, so revertMerge can undo it. Re-pointing
+// transactions_ts by transaction_id needs MongoDB 7.0, and the customer
+// updates need a replica set for their transaction.
+
+var MERGE_LOG = "customer_merges";
+
+var DEDUP_DEFAULTS = {
+  minScore: 0.7,
+  likelyScore: 0.9,
+  // Blocks larger than this (shared office numbers, common names) are skipped
+  // and reported rather than compared pairwise.
+  maxBlockSize: 50,
+};
+
+var DEDUP_WEIGHTS = { name: 0.35, phone: 0.25, address: 0.2, dob: 0.2 };
+
+// Primary key field per products array; arrays not listed are de-duplicated
+// on the whole element.
+var MERGE_PRODUCT_KEYS = { credit_cards: "card_id", loans: "loan_id" };
+
+var ADDRESS_ABBREVIATIONS = {
+  street: "st",
+  avenue: "ave",
+  road: "rd",
+  boulevard: "blvd",
+  drive: "dr",
+  lane: "ln",
+  court: "ct",
+  place: "pl",
+  parkway: "pkwy",
+  highway: "hwy",
+  apartment: "apt",
+  suite: "ste",
+  unit: "apt",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+};
+
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches += 1;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions += 1;
+    j++;
+  }
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function normalizeName(value) {
+  return (value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+}
+
+// Comparable form of a phone number: its last ten digits when it has an area
+// code, its last seven otherwise; null when too short to compare.
+function normalizePhone(value) {
+  const digits = (value ?? "").replace(/\D/g, "");
+  if (digits.length < 7) return null;
+  return digits.length >= 10 ? digits.slice(-10) : digits.slice(-7);
+}
+
+function phonesMatch(a, b) {
+  return a.some((x) =>
+    b.some((y) =>
+      x.length === y.length ? x === y : x.slice(-7) === y.slice(-7),
+    ),
+  );
+}
+
+function normalizeStreet(address) {
+  return [address?.line1, address?.line2]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => ADDRESS_ABBREVIATIONS[word] ?? word)
+    .join(" ");
+}
+
+// The normalized signals of one customer document.
+function dedupProfile(customer) {
+  const info = customer.personal_info ?? {};
+  const dob = info.date_of_birth;
+  return {
+    customer_id: customer.customer_id,
+    first: normalizeName(info.name?.first),
+    last: normalizeName(info.name?.last),
+    phones: [info.phone?.primary, info.phone?.mobile]
+      .map(normalizePhone)
+      .filter(Boolean),
+    postal: (info.address?.postal_code ?? "").slice(0, 5) || null,
+    street: normalizeStreet(info.address),
+    // Still ciphertext when it could not be decrypted.
+    dob: dob instanceof Date ? dob.toISOString().slice(0, 10) : null,
+  };
+}
+
+function blockingKeys(profile) {
+  const keys = profile.phones.map((p) => `phone:${p.slice(-7)}`);
+  if (profile.last && profile.postal) {
+    keys.push(`name:${profile.last}:${profile.postal}`);
+  }
+  if (profile.dob && profile.last) {
+    keys.push(`dob:${profile.dob}:${profile.last[0]}`);
+  }
+  return keys;
+}
+
+// { score, signals: { name, phone, address, dob } }; a signal is null when
+// either side lacks it.
+function scoreDuplicatePair(a, b) {
+  const signals = {
+    name:
+      a.first && a.last && b.first && b.last
+        ? Math.max(
+            (jaroWinkler(a.first, b.first) + jaroWinkler(a.last, b.last)) / 2,
+            (jaroWinkler(a.first, b.last) + jaroWinkler(a.last, b.first)) / 2,
+          )
+        : null,
+    phone:
+      a.phones.length && b.phones.length
+        ? Number(phonesMatch(a.phones, b.phones))
+        : null,
+    address:
+      a.postal && b.postal && a.street && b.street
+        ? a.postal === b.postal
+          ? jaroWinkler(a.street, b.street)
+          : 0
+        : null,
+    dob: a.dob && b.dob ? Number(a.dob === b.dob) : null,
+  };
+  let weighted = 0;
+  let weights = 0;
+  Object.entries(signals).forEach(([signal, value]) => {
+    if (value === null) return;
+    weighted += value * DEDUP_WEIGHTS[signal];
+    weights += DEDUP_WEIGHTS[signal];
+  });
+  Object.keys(signals).forEach((signal) => {
+    if (signals[signal] !== null) {
+      signals[signal] = Math.round(signals[signal] * 1000) / 1000;
+    }
+  });
+  return {
+    score: weights ? Math.round((weighted / weights) * 1000) / 1000 : 0,
+    signals,
+  };
+}
+
+// Normalized profiles of the customers matching filter, read through the
+// decrypting connection when the master key is available so date of birth can
+// be compared. Returns { profiles, dobCompared }.
+function dedupProfiles(filter) {
+  const projection = {
+    customer_id: 1,
+    "personal_info.name": 1,
+    "personal_info.phone": 1,
+    "personal_info.address": 1,
+    "personal_info.date_of_birth": 1,
+  };
+  const database = csfleMasterKey()
+    ? csfleConnection().getDB(db.getName())
+    : db;
+  const profiles = [];
+  database.customers
+    .find(filter, projection)
+    .sort({ customer_id: 1 })
+    .forEach((customer) => profiles.push(dedupProfile(customer)));
+  return {
+    profiles,
+    dobCompared: profiles.some((p) => p.dob !== null),
+  };
+}
+
+// Match score of two given customers, as scoreDuplicatePair; null when
+// either does not exist.
+function scoreCustomerPair(aId, bId) {
+  const { profiles } = dedupProfiles({ customer_id: { $in: [aId, bId] } });
+  return profiles.length === 2
+    ? scoreDuplicatePair(profiles[0], profiles[1])
+    : null;
+}
+
+// Scores candidate pairs among every active customer. With customerIds, only
+// pairs involving one of them are reported. Returns
+// { customers, dobCompared, pairs: [{ customer_ids, score, label, signals }],
+//   skippedBlocks: [{ key, size }] }, pairs by descending score.
+function findDuplicateCustomers({
+  customerIds = null,
+  minScore = DEDUP_DEFAULTS.minScore,
+  maxBlockSize = DEDUP_DEFAULTS.maxBlockSize,
+} = {}) {
+  // Erased customers and merged-away duplicates are not compared.
+  const { profiles, dobCompared } = dedupProfiles({
+    "metadata.merged_into": { $exists: false },
+    "metadata.erased_at": { $exists: false },
+  });
+  const focus = customerIds ? new Set(customerIds.map(String)) : null;
+
+  const blocks = new Map();
+  profiles.forEach((profile, i) =>
+    blockingKeys(profile).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(i);
+    }),
+  );
+
+  const skippedBlocks = [];
+  const seen = new Set();
+  const pairs = [];
+  blocks.forEach((members, key) => {
+    if (members.length > maxBlockSize) {
+      skippedBlocks.push({ key, size: members.length });
+      return;
+    }
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const a = profiles[members[x]];
+        const b = profiles[members[y]];
+        const pairKey = `${members[x]}:${members[y]}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        if (
+          focus &&
+          !focus.has(String(a.customer_id)) &&
+          !focus.has(String(b.customer_id))
+        ) {
+          continue;
+        }
+        const { score, signals } = scoreDuplicatePair(a, b);
+        if (score < minScore) continue;
+        pairs.push({
+          customer_ids: [a.customer_id, b.customer_id],
+          score,
+          label: score >= DEDUP_DEFAULTS.likelyScore ? "likely" : "review",
+          signals,
+        });
+      }
+    }
+  });
+  pairs.sort((p, q) => q.score - p.score);
+  return { customers: profiles.length, dobCompared, pairs, skippedBlocks };
+}
+
+// Runs fn(database) in a multi-document transaction, so the two customers
+// of a merge change together or not at all.
+function inTransaction(fn) {
+  const session = db.getMongo().startSession();
+  try {
+    return session.withTransaction(() => fn(session.getDatabase(db.getName())));
+  } finally {
+    session.endSession();
+  }
+}
+
+function mergeById(base, extra, key) {
+  const id = (item) =>
+    key ? String(item?.[key]) : EJSON.stringify(item, { relaxed: false });
+  const ids = new Set(base.map(id));
+  return [...base, ...extra.filter((item) => !ids.has(id(item)))];
+}
+
+function laterOf(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+// The survivor's accounts, products, service_history and transaction
+// counters after absorbing the duplicate's.
+function mergedCustomerFields(survivor, duplicate) {
+  const products = { ...(survivor.products ?? {}) };
+  Object.entries(duplicate.products ?? {}).forEach(([name, items]) => {
+    products[name] = mergeById(
+      products[name] ?? [],
+      items ?? [],
+      MERGE_PRODUCT_KEYS[name],
+    );
+  });
+
+  const a = survivor.service_history ?? {};
+  const b = duplicate.service_history ?? {};
+  const interactions =
+    (a.total_interactions ?? 0) + (b.total_interactions ?? 0);
+  const rated = [a, b].filter((h) => typeof h.satisfaction_score === "number");
+  const ratedInteractions = rated.reduce(
+    (n, h) => n + (h.total_interactions ?? 0),
+    0,
+  );
+  const serviceHistory = {
+    ...b,
+    ...a,
+    total_interactions: interactions,
+    last_interaction: laterOf(a.last_interaction, b.last_interaction),
+    open_tickets: (a.open_tickets ?? 0) + (b.open_tickets ?? 0),
+    resolved_tickets: (a.resolved_tickets ?? 0) + (b.resolved_tickets ?? 0),
+    satisfaction_score: rated.length
+      ? Math.round(
+          (ratedInteractions
+            ? rated.reduce(
+                (s, h) =>
+                  s + h.satisfaction_score * (h.total_interactions ?? 0),
+                0,
+              ) / ratedInteractions
+            : rated.reduce((s, h) => s + h.satisfaction_score, 0) /
+              rated.length) * 10,
+        ) / 10
+      : null,
+  };
+
+  // The two customers' transactions are disjoint, so the counters add up.
+  const ta = survivor.transactions ?? {};
+  const tb = duplicate.transactions ?? {};
+  const transactions = { ...tb, ...ta };
+  [
+    "last_30_days_count",
+    "last_90_days_count",
+    "last_year_count",
+    "total_lifetime_count",
+  ].forEach((counter) => {
+    if (ta[counter] !== undefined || tb[counter] !== undefined) {
+      transactions[counter] = (ta[counter] ?? 0) + (tb[counter] ?? 0);
+    }
+  });
+  transactions.last_transaction_date = laterOf(
+    ta.last_transaction_date,
+    tb.last_transaction_date,
+  );
+
+  return {
+    accounts: mergeById(
+      survivor.accounts ?? [],
+      duplicate.accounts ?? [],
+      "account_id",
+    ),
+    products,
+    service_history: serviceHistory,
+    transactions,
+  };
+}
+
+// Folds mergedId into survivorId and logs it in customer_merges. An
+// IN_PROGRESS log for the same pair (interrupted run) is resumed. Returns
+// { mergeId, status, transactions, relationships, accounts }.
+function mergeCustomers(
+  survivorId,
+  mergedId,
+  { actor, reason = null, score = null, signals = null } = {},
+) {
+  if (!actor) throw new Error("mergeCustomers: actor is required");
+  if (sameValue(survivorId, mergedId)) {
+    throw new Error("cannot merge a customer into itself");
+  }
+  const log = db.getCollection(MERGE_LOG);
+  let entry = log.findOne({
+    survivor_id: survivorId,
+    merged_id: mergedId,
+    status: "IN_PROGRESS",
+  });
+
+  if (!entry) {
+    const survivor = db.customers.findOne({ customer_id: survivorId });
+    const duplicate = db.customers.findOne({ customer_id: mergedId });
+    [
+      [survivorId, survivor],
+      [mergedId, duplicate],
+    ].forEach(([id, doc]) => {
+      if (!doc) throw new Error(`no customer with customer_id ${id}`);
+      if (doc.metadata?.merged_into) {
+        throw new Error(
+          `customer ${id} was already merged into ${doc.metadata.merged_into}`,
+        );
+      }
+      if (doc.metadata?.erased_at) throw new Error(`customer ${id} is erased`);
+    });
+
+    entry = {
+      survivor_id: survivorId,
+      merged_id: mergedId,
+      status: "IN_PROGRESS",
+      score,
+      ...(signals ? { signals } : {}),
+      actor,
+      reason,
+      survivor_before: survivor,
+      merged_before: duplicate,
+      moved: {
+        transaction_ids: db.transactions_ts.distinct("transaction_id", {
+          customer_id: mergedId,
+        }),
+        relationship_ids: db.transaction_relationships.distinct("_id", {
+          customer_id: mergedId,
+        }),
+        related_relationship_ids: db.transaction_relationships.distinct("_id", {
+          related_customer_id: mergedId,
+        }),
+      },
+      survivor_version: null,
+      merged_version: null,
+      merged_at: new Date(),
+      completed_at: null,
+      reverted_at: null,
+    };
+    applyChange(`log merge of customer ${mergedId} into ${survivorId}`, () => {
+      entry._id = log.insertOne(entry).insertedId;
+    });
+  }
+
+  const { survivor_before: survivor, merged_before: duplicate, moved } = entry;
+  const fields = mergedCustomerFields(survivor, duplicate);
+  const current = db.customers.findOne(
+    { customer_id: mergedId },
+    { "metadata.merged_into": 1 },
+  );
+  // A resumed run may already have got past this step.
+  if (!current?.metadata?.merged_into) {
+    applyChange(
+      `merge customer ${mergedId} into ${survivorId}: ` +
+        `${fields.accounts.length - (survivor.accounts ?? []).length} account(s) moved`,
+      () =>
+        inTransaction((database) => {
+          const now = new Date();
+          const updates = [
+            [
+              survivorId,
+              survivor,
+              {
+                $set: {
+                  ...fields,
+                  "metadata.merged_customer_ids": [
+                    ...(survivor.metadata?.merged_customer_ids ?? []),
+                    mergedId,
+                  ],
+                  updated_at: now,
+                },
+                $inc: { version: 1 },
+              },
+            ],
+            [
+              mergedId,
+              duplicate,
+              {
+                $set: {
+                  accounts: [],
+                  products: Object.fromEntries(
+                    Object.keys(duplicate.products ?? {}).map((name) => [
+                      name,
+                      [],
+                    ]),
+                  ),
+                  "metadata.merged_into": survivorId,
+                  "metadata.merged_at": now,
+                  updated_at: now,
+                },
+                $unset: { service_history: "" },
+                $inc: { version: 1 },
+              },
+            ],
+          ];
+          updates.forEach(([id, before, update]) => {
+            const res = database.customers.updateOne(
+              { customer_id: id, version: before.version ?? null },
+              update,
+            );
+            if (res.matchedCount === 0) {
+              throw new Error(
+                `customer ${id} changed since merge ${entry._id} started; ` +
+                  `set its status to REVERTED and merge again`,
+              );
+            }
+          });
+        }),
+    );
+  }
+
+  // transaction_id batches keep each update well under the 16 MB limit.
+  for (let i = 0; i < moved.transaction_ids.length; i += 10000) {
+    const batch = moved.transaction_ids.slice(i, i + 10000);
+    applyChange(
+      `re-point ${batch.length} transaction(s) to customer ${survivorId}`,
+      () =>
+        db.transactions_ts.updateMany(
+          { customer_id: mergedId, transaction_id: { $in: batch } },
+          { $set: { customer_id: survivorId } },
+        ),
+    );
+  }
+  [
+    ["customer_id", moved.relationship_ids],
+    ["related_customer_id", moved.related_relationship_ids],
+  ].forEach(([field, ids]) => {
+    if (ids.length === 0) return;
+    applyChange(
+      `re-point ${field} of ${ids.length} relationship(s) to customer ${survivorId}`,
+      () =>
+        db.transaction_relationships.updateMany(
+          { _id: { $in: ids }, [field]: mergedId },
+          { $set: { [field]: survivorId } },
+        ),
+    );
+  });
+
+  applyChange(`complete merge ${entry._id ?? "(new)"}`, () => {
+    const version = (id) =>
+      db.customers.findOne({ customer_id: id }, { version: 1 })?.version ??
+      null;
+    log.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: "COMPLETE",
+          survivor_version: version(survivorId),
+          merged_version: version(mergedId),
+          completed_at: new Date(),
+        },
+      },
+    );
+  });
+  return {
+    mergeId: entry._id ?? null,
+    status: dryRun ? "PLANNED" : "COMPLETE",
+    transactions: moved.transaction_ids.length,
+    relationships:
+      moved.relationship_ids.length + moved.related_relationship_ids.length,
+    accounts: (duplicate.accounts ?? []).length,
+  };
+}
+
+// Undoes a COMPLETE merge: both customers are restored as they were, and the
+// transactions and relationships that moved are pointed back. Refuses when
+// either customer changed after the merge, since those changes would be lost.
+//
+// transactions_ts is a time series collection and cannot be written in a
+// transaction, so the re-pointing runs first, outside the one that restores
+// the customers. Each step only moves what still points at the survivor, and
+// the entry stays COMPLETE (with revert_started_at set) until the customers
+// are restored, so an interrupted revert is finished by running it again.
+// Returns { mergeId, transactions, relationships }.
+function revertMerge(mergeId, { actor } = {}) {
+  if (!actor) throw new Error("revertMerge: actor is required");
+  const log = db.getCollection(MERGE_LOG);
+  const entry = log.findOne({ _id: mergeId });
+  if (!entry) throw new Error(`no merge ${mergeId}`);
+  if (entry.status !== "COMPLETE") {
+    throw new Error(`merge ${mergeId} is ${entry.status}, not COMPLETE`);
+  }
+  const { survivor_id: survivorId, merged_id: mergedId, moved } = entry;
+
+  [
+    [survivorId, entry.survivor_version],
+    [mergedId, entry.merged_version],
+  ].forEach(([id, version]) => {
+    const current = db.customers.findOne({ customer_id: id }, { version: 1 });
+    if (!sameValue(current?.version ?? null, version)) {
+      throw new Error(
+        `customer ${id} changed after merge ${mergeId} (version ` +
+          `${current?.version} != ${version}); revert it by hand from ${MERGE_LOG}`,
+      );
+    }
+  });
+
+  if (!entry.revert_started_at) {
+    applyChange(`start revert of merge ${mergeId}`, () =>
+      log.updateOne(
+        { _id: mergeId, status: "COMPLETE" },
+        { $set: { revert_started_by: actor, revert_started_at: new Date() } },
+      ),
+    );
+  }
+
+  for (let i = 0; i < moved.transaction_ids.length; i += 10000) {
+    const batch = moved.transaction_ids.slice(i, i + 10000);
+    applyChange(
+      `re-point ${batch.length} transaction(s) back to customer ${mergedId}`,
+      () =>
+        db.transactions_ts.updateMany(
+          { customer_id: survivorId, transaction_id: { $in: batch } },
+          { $set: { customer_id: mergedId } },
+        ),
+    );
+  }
+  [
+    ["customer_id", moved.relationship_ids],
+    ["related_customer_id", moved.related_relationship_ids],
+  ].forEach(([field, ids]) => {
+    if (ids.length === 0) return;
+    applyChange(
+      `re-point ${field} of ${ids.length} relationship(s) back to customer ${mergedId}`,
+      () =>
+        db.transaction_relationships.updateMany(
+          { _id: { $in: ids }, [field]: survivorId },
+          { $set: { [field]: mergedId } },
+        ),
+    );
+  });
+
+  applyChange(`restore customers ${survivorId} and ${mergedId}`, () =>
+    inTransaction((database) => {
+      const now = new Date();
+      [
+        [entry.survivor_before, entry.survivor_version],
+        [entry.merged_before, entry.merged_version],
+      ].forEach(([before, version]) => {
+        const res = database.customers.replaceOne(
+          { _id: before._id, version },
+          // A newer version, so readers holding the merged state see a change.
+          { ...before, updated_at: now, version: (version ?? 0) + 1 },
+        );
+        if (res.matchedCount === 0) {
+          throw new Error(
+            `customer ${before.customer_id} changed during the revert`,
+          );
+        }
+      });
+      database.getCollection(MERGE_LOG).updateOne(
+        { _id: mergeId },
+        {
+          $set: {
+            status: "REVERTED",
+            reverted_by: actor,
+            reverted_at: now,
+          },
+        },
+      );
+    }),
+  );
+  return {
+    mergeId,
+    transactions: moved.transaction_ids.length,
+    relationships:
+      moved.relationship_ids.length + moved.related_relationship_ids.length,
+  };
+}
@@ -0,0 +1,301 @@
+// Customer search (name, email, phone, account number) with an offline
+// fallback.
+//
+// Loaded with load(). searchCustomers() uses the Atlas Search index
+// customer_search when it exists and is queryable; otherwise (local mongo:7.0,
+// CI) it runs an aggregation with anchored case-insensitive regexes. Both modes
+// score on the server from the same clauses (searchClauses) and sort by score,
+// then customer_id, before the limit, so results and their order match.
+//
+// The local mode is a collection scan: case-insensitive regexes cannot use an
+// index, so every search reads all of customers. It is meant for development
+// and CI data sets; production search needs the Atlas Search index.
+//
+//   load("mongodb/lib/customer_search.js");
+//   searchCustomers("jo");                       // { mode, results }
+//   searchCustomers("ACC1234567890", { limit: 1 });
+//
+// A result is { customer_id, name, email, phone, account_numbers, score,
+// matched_fields }.
+
+// Searched fields hold the whole value as one lower-cased token, so `text`
+// matches it exactly and `wildcard` by prefix, case-insensitively like the
+// local regexes.
+var CUSTOMER_SEARCH_KEYWORD = { type: "string", analyzer: "keywordLowercase" };
+
+var CUSTOMER_SEARCH_INDEX = {
+  name: "customer_search",
+  definition: {
+    analyzers: [
+      {
+        name: "keywordLowercase",
+        tokenizer: { type: "keyword" },
+        tokenFilters: [{ type: "lowercase" }],
+      },
+    ],
+    mappings: {
+      dynamic: true,
+      fields: {
+        customer_id: { type: "number" },
+        personal_info: {
+          type: "document",
+          fields: {
+            name: {
+              type: "document",
+              fields: {
+                first: CUSTOMER_SEARCH_KEYWORD,
+                last: CUSTOMER_SEARCH_KEYWORD,
+              },
+            },
+            email: CUSTOMER_SEARCH_KEYWORD,
+            phone: {
+              type: "document",
+              fields: { primary: CUSTOMER_SEARCH_KEYWORD },
+            },
+          },
+        },
+        accounts: {
+          type: "document",
+          fields: {
+            account_type: { type: "string", analyzer: "lucene.keyword" },
+            account_number: CUSTOMER_SEARCH_KEYWORD,
+          },
+        },
+        risk_score: { type: "number" },
+        behavior: {
+          type: "document",
+          fields: { avg_transaction_amount: { type: "number" } },
+        },
+        products: {
+          type: "document",
+          fields: {
+            credit_cards: {
+              type: "document",
+              fields: {
+                card_type: { type: "string", analyzer: "lucene.keyword" },
+              },
+            },
+          },
+        },
+        metadata: {
+          type: "document",
+          fields: {
+            kyc_status: { type: "string", analyzer: "lucene.keyword" },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Points per matching clause; a result's score is their sum. An exact match
+// also matches the prefix clause, so it earns both: account number 10 / 4,
+// phone 8 / 3, email 6 / 3, a name part 3 / 2 (exact / prefix only).
+var SEARCH_WEIGHTS = {
+  account_number_exact: 6,
+  account_number_prefix: 4,
+  phone_exact: 5,
+  phone_prefix: 3,
+  email_exact: 3,
+  email_prefix: 3,
+  name_exact: 1,
+  name_prefix: 2,
+};
+
+var SEARCH_PROJECTION = {
+  customer_id: 1,
+  "personal_info.name": 1,
+  "personal_info.email": 1,
+  "personal_info.phone.primary": 1,
+  "accounts.account_number": 1,
+};
+
+function searchTerms(query) {
+  return query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Atlas wildcard syntax: only *, ? and \ are special.
+function escapeWildcard(text) {
+  return text.replace(/[*?\\]/g, "\\$&");
+}
+
+// The scoring clauses for a query. `values` are lower-cased; a clause matches
+// when the field equals (exact) or starts with (prefix) any of them.
+function searchClauses(query) {
+  const whole = [query.trim().toLowerCase()];
+  const terms = searchTerms(query);
+  return [
+    ["accounts.account_number", whole, "account_number"],
+    ["personal_info.phone.primary", whole, "phone"],
+    ["personal_info.email", whole, "email"],
+    ["personal_info.name.first", terms, "name"],
+    ["personal_info.name.last", terms, "name"],
+  ].flatMap(([field, values, weights]) =>
+    ["exact", "prefix"].map((match) => ({
+      field,
+      match,
+      values,
+      weight: SEARCH_WEIGHTS[`${weights}_${match}`],
+    })),
+  );
+}
+
+function clauseRegex({ match, values }) {
+  const alternatives = values.map(escapeRegex).join("|");
+  return match === "exact" ? `^(?:${alternatives})$` : `^(?:${alternatives})`;
+}
+
+// Local mode: true when the document's field matches the clause. accounts is
+// an array, so any of its account numbers may match.
+function clauseExpr(clause) {
+  const regexMatch = (input) => ({
+    $regexMatch: {
+      input: { $ifNull: [input, ""] },
+      regex: clauseRegex(clause),
+      options: "i",
+    },
+  });
+  if (clause.field === "accounts.account_number") {
+    return {
+      $anyElementTrue: [
+        {
+          $map: {
+            input: { $ifNull: ["$accounts", []] },
+            in: regexMatch("$$this.account_number"),
+          },
+        },
+      ],
+    };
+  }
+  return regexMatch(`$${clause.field}`);
+}
+
+// Fields of the matching clauses, in clause order.
+function matchedFields(clauses, matched = []) {
+  return [...new Set(clauses.filter((c, i) => matched[i]).map((c) => c.field))];
+}
+
+function toResult(doc, score, matched_fields) {
+  const info = doc.personal_info ?? {};
+  return {
+    customer_id: doc.customer_id,
+    name: [info.name?.first, info.name?.last].filter(Boolean).join(" "),
+    email: info.email ?? null,
+    phone: info.phone?.primary ?? null,
+    account_numbers: (doc.accounts ?? [])
+      .map((a) => a.account_number)
+      .filter(Boolean),
+    score,
+    matched_fields,
+  };
+}
+
+// Each clause adds its weight as a constant score, so searchScore is the same
+// sum the local mode computes.
+function atlasSearch(query, limit) {
+  const clauses = searchClauses(query);
+  const should = clauses.map((c) =>
+    c.match === "exact"
+      ? {
+          text: {
+            query: c.values,
+            path: c.field,
+            score: { constant: { value: c.weight } },
+          },
+        }
+      : {
+          wildcard: {
+            query: c.values.map((v) => `${escapeWildcard(v)}*`),
+            path: c.field,
+            allowAnalyzedField: true,
+            score: { constant: { value: c.weight } },
+          },
+        },
+  );
+  const docs = db.customers
+    .aggregate([
+      {
+        $search: {
+          index: CUSTOMER_SEARCH_INDEX.name,
+          compound: { should, minimumShouldMatch: 1 },
+          sort: { score: { $meta: "searchScore" }, customer_id: 1 },
+        },
+      },
+      { $limit: limit },
+      { $project: { ...SEARCH_PROJECTION, score: { $meta: "searchScore" } } },
+    ])
+    .toArray();
+  // $search does not say which clauses matched; the local expressions do.
+  const matched = docs.length
+    ? db.customers
+        .aggregate([
+          { $match: { _id: { $in: docs.map((d) => d._id) } } },
+          { $project: { matched: clauses.map(clauseExpr) } },
+        ])
+        .toArray()
+    : [];
+  const byId = new Map(matched.map((m) => [String(m._id), m.matched]));
+  return docs.map((doc) =>
+    toResult(doc, doc.score, matchedFields(clauses, byId.get(String(doc._id)))),
+  );
+}
+
+// Scans customers; see the header.
+function localSearch(query, limit) {
+  const clauses = searchClauses(query);
+  const filter = {
+    $or: clauses
+      .filter((c) => c.match === "prefix")
+      .map((c) => ({
+        [c.field]: { $regex: clauseRegex(c), $options: "i" },
+      })),
+  };
+  return db.customers
+    .aggregate([
+      { $match: filter },
+      { $project: { ...SEARCH_PROJECTION, matched: clauses.map(clauseExpr) } },
+      {
+        $addFields: {
+          score: {
+            $sum: clauses.map((c, i) => ({
+              $cond: [{ $arrayElemAt: ["$matched", i] }, c.weight, 0],
+            })),
+          },
+        },
+      },
+      { $sort: { score: -1, customer_id: 1 } },
+      { $limit: limit },
+    ])
+    .toArray()
+    .map((doc) =>
+      toResult(doc, doc.score, matchedFields(clauses, doc.matched)),
+    );
+}
+
+function atlasSearchReady() {
+  try {
+    return db.customers
+      .getSearchIndexes(CUSTOMER_SEARCH_INDEX.name)
+      .some((index) => index.queryable);
+  } catch (err) {
+    return false;
+  }
+}
+
+// mode: "auto" (default) picks Atlas when customer_search is queryable;
+// "atlas" / "local" force one. Returns { mode, results } with results sorted
+// by score, then customer_id.
+function searchCustomers(query, { limit = 10, mode = "auto" } = {}) {
+  if (typeof query !== "string" || query.trim() === "") {
+    throw new Error("searchCustomers: query must be a non-empty string");
+  }
+  const useAtlas = mode === "atlas" || (mode === "auto" && atlasSearchReady());
+  const results = useAtlas
+    ? atlasSearch(query, limit)
+    : localSearch(query, limit);
+  return { mode: useAtlas ? "atlas" : "local", results };
+}
@@ -0,0 +1,248 @@
+// Rebuilds the denormalized summary fields on customers from transactions_ts.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, sameValue),
+// lib/customers.js (forEachCustomerBatch, DAY_MS) and lib/fx.js (currency
+// conversion).
+// Refreshed fields, all computed from COMPLETED transactions up to `asOf`:
+//
+//   transactions.last_30_days_count / last_90_days_count / last_year_count
+//   transactions.last_transaction_date   latest transaction
+//   behavior.avg_transaction_amount      mean absolute amount, last year
+//   behavior.avg_monthly_transactions    last_year_count / 12
+//   behavior.preferred_merchants         top merchants by count, last year
+//   behavior.spending_patterns           debit volume per transaction_type
+//                                        (lower-cased), last 30 days
+//   accounts[].last_transaction          latest transaction per account
+//
+// Amounts are in the customer's preferences.currency_preference, converted at
+// each transaction's date; transactions whose currency has no rate in fx_rates
+// yet are left out of them.
+//
+// transactions_ts expires rows after two years, so last-transaction dates are
+// only ever moved forward and total_lifetime_count is left untouched.
+
+var SUMMARY_BATCH_SIZE = 500;
+var SUMMARY_PREFERRED_MERCHANTS = 5;
+
+function laterDate(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+// One aggregation per batch; returns Map(customer_id string -> stats).
+function summaryStats(customerIds, asOf) {
+  const since = (days) => new Date(asOf.getTime() - days * DAY_MS);
+  const within = (days) => ({ $gte: ["$timestamp", since(days)] });
+  const count = (days) => ({ $sum: { $cond: [within(days), 1, 0] } });
+
+  const [facets] = db
+    .getCollection("transactions_ts")
+    .aggregate([
+      {
+        $match: {
+          customer_id: { $in: customerIds },
+          timestamp: { $lte: asOf },
+          status: "COMPLETED",
+        },
+      },
+      { $set: { volume: { $abs: { $toDecimal: "$amount" } } } },
+      ...fxTargetCurrencyStages({ customerId: "customer_id", as: "target" }),
+      ...fxConvertStages({
+        amounts: ["volume"],
+        from: "currency",
+        to: "target",
+        at: "$timestamp",
+      }),
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: "$customer_id",
+                last_30_days_count: count(30),
+                last_90_days_count: count(90),
+                last_year_count: count(365),
+                last_transaction_date: { $max: "$timestamp" },
+                avg_transaction_amount: {
+                  $avg: { $cond: [within(365), "$volume", null] },
+                },
+              },
+            },
+          ],
+          accounts: [
+            {
+              $group: {
+                _id: { customer_id: "$customer_id", account_id: "$account_id" },
+                last_transaction: { $max: "$timestamp" },
+              },
+            },
+          ],
+          merchants: [
+            { $match: { merchant_id: { $ne: null }, $expr: within(365) } },
+            {
+              $group: {
+                _id: {
+                  customer_id: "$customer_id",
+                  merchant_id: "$merchant_id",
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1, "_id.merchant_id": 1 } },
+          ],
+          spending: [
+            { $match: { amount: { $lt: 0 }, $expr: within(30) } },
+            {
+              $group: {
+                _id: {
+                  customer_id: "$customer_id",
+                  type: { $toLower: "$transaction_type" },
+                },
+                total: { $sum: "$volume" },
+              },
+            },
+            { $sort: { "_id.type": 1 } },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  const stats = new Map();
+  const entry = (customerId) => {
+    const key = String(customerId);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        totals: null,
+        accounts: {},
+        merchants: [],
+        spending: {},
+      });
+    }
+    return stats.get(key);
+  };
+  facets.totals.forEach((t) => {
+    entry(t._id).totals = t;
+  });
+  facets.accounts.forEach(({ _id, last_transaction }) => {
+    entry(_id.customer_id).accounts[String(_id.account_id)] = last_transaction;
+  });
+  facets.merchants.forEach(({ _id, count }) => {
+    const merchants = entry(_id.customer_id).merchants;
+    if (merchants.length < SUMMARY_PREFERRED_MERCHANTS) {
+      merchants.push({ merchant_id: _id.merchant_id, count });
+    }
+  });
+  facets.spending.forEach(({ _id, total }) => {
+    entry(_id.customer_id).spending[_id.type] = total;
+  });
+  return stats;
+}
+
+// Returns { path: value } for every refreshed field of `customer`.
+function summaryFields(customer, stats) {
+  const totals = stats?.totals;
+  const yearCount = totals?.last_year_count ?? 0;
+  const avg = totals?.avg_transaction_amount;
+  return {
+    "transactions.last_30_days_count": totals?.last_30_days_count ?? 0,
+    "transactions.last_90_days_count": totals?.last_90_days_count ?? 0,
+    "transactions.last_year_count": yearCount,
+    "transactions.last_transaction_date": laterDate(
+      customer.transactions?.last_transaction_date,
+      totals?.last_transaction_date,
+    ),
+    "behavior.avg_transaction_amount": NumberDecimal(
+      avg ? Number(avg.toString()).toFixed(2) : "0.00",
+    ),
+    "behavior.avg_monthly_transactions":
+      Math.round((yearCount / 12) * 100) / 100,
+    "behavior.preferred_merchants": stats?.merchants ?? [],
+    "behavior.spending_patterns": stats?.spending ?? {},
+    accounts: (customer.accounts ?? []).map((account) => ({
+      ...account,
+      last_transaction: laterDate(
+        account.last_transaction,
+        stats?.accounts[String(account.account_id)],
+      ),
+    })),
+  };
+}
+
+function currentValue(doc, path) {
+  return path.split(".").reduce((v, key) => v?.[key], doc);
+}
+
+// Writes the changed fields of one batch; the version guard skips customers
+// updated by someone else since they were read (picked up on the next run).
+function refreshSummaryBatch(customers, asOf, summary) {
+  const stats = summaryStats(
+    customers.map((c) => c.customer_id),
+    asOf,
+  );
+  customers.forEach((customer) => {
+    const fields = summaryFields(
+      customer,
+      stats.get(String(customer.customer_id)),
+    );
+    const changed = Object.keys(fields).filter(
+      (path) => !sameValue(currentValue(customer, path), fields[path]),
+    );
+    summary.scanned += 1;
+    if (changed.length === 0) return;
+
+    applyChange(
+      `refresh customer ${customer.customer_id}: ${changed.join(", ")}`,
+      () => {
+        const $set = { updated_at: new Date() };
+        changed.forEach((path) => {
+          $set[path] = fields[path];
+        });
+        const res = db.customers.updateOne(
+          { _id: customer._id, version: customer.version ?? null },
+          { $set, $inc: { version: 1 } },
+        );
+        if (res.matchedCount === 0) {
+          summary.conflicts.push(customer.customer_id);
+          return;
+        }
+        summary.changed.push({
+          customer_id: customer.customer_id,
+          fields: changed,
+        });
+      },
+    );
+  });
+}
+
+// Refreshes the given customers (customer_id values) or, without
+// customerIds, every customer in batches of batchSize ordered by customer_id.
+// Returns { scanned, changed: [{ customer_id, fields }], conflicts }; in a dry
+// run nothing is written and `changed` stays empty.
+function refreshCustomerSummaries({
+  customerIds = null,
+  batchSize = SUMMARY_BATCH_SIZE,
+  asOf = new Date(),
+} = {}) {
+  const summary = { scanned: 0, changed: [], conflicts: [] };
+  const projection = {
+    customer_id: 1,
+    accounts: 1,
+    transactions: 1,
+    behavior: 1,
+    version: 1,
+    "metadata.erased_at": 1,
+  };
+
+  // Erased customers (lib/privacy.js) keep their transactions, but no
+  // behavior profile is rebuilt from them.
+  forEachCustomerBatch({ customerIds, batchSize, projection }, (batch) =>
+    refreshSummaryBatch(
+      batch.filter((c) => !c.metadata?.erased_at),
+      asOf,
+      summary,
+    ),
+  );
+  return summary;
+}
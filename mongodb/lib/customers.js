@@ -0,0 +1,49 @@
+// Batch iteration over customers for the maintenance jobs in mongodb/jobs.
+//
+// Loaded with load(); declarations are global for the calling script.
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// CUSTOMER_ID setting: comma-separated customer_id values, or null when unset.
+function customerIdsSetting() {
+  const raw = setting("CUSTOMER_ID", null);
+  if (raw === null) return null;
+  return raw.split(",").map((id) => {
+    if (!/^\d+$/.test(id.trim())) {
+      throw new Error(`CUSTOMER_ID must list numeric ids, got "${id}"`);
+    }
+    return NumberLong(id.trim());
+  });
+}
+
+// Calls fn(batch) with up to batchSize customers at a time, projected with
+// `projection`: the given customer_id values, or every customer in
+// customer_id order (keyset pagination, so documents inserted mid-run with a
+// higher customer_id are still visited).
+function forEachCustomerBatch({ customerIds, batchSize, projection }, fn) {
+  if (customerIds) {
+    for (let i = 0; i < customerIds.length; i += batchSize) {
+      fn(
+        db.customers
+          .find(
+            { customer_id: { $in: customerIds.slice(i, i + batchSize) } },
+            projection,
+          )
+          .toArray(),
+      );
+    }
+    return;
+  }
+
+  let after = null;
+  for (;;) {
+    const batch = db.customers
+      .find(after === null ? {} : { customer_id: { $gt: after } }, projection)
+      .sort({ customer_id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (batch.length === 0) return;
+    fn(batch);
+    after = batch[batch.length - 1].customer_id;
+  }
+}
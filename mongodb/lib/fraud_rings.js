@@ -0,0 +1,314 @@
+// Fraud-ring detection over transaction_relationships.
+//
+// Loaded with load() after lib/provisioning.js (applyChange). The find*
+// functions are read-only and return rings; recordFraudRings() writes them to
+// customers.fraud_ring_connections and flags the edges involved. From an
+// analyst's mongosh session:
+//
+//   load("mongodb/lib/provisioning.js");
+//   load("mongodb/lib/fraud_rings.js");
+//   findTransferCycles({ maxHops: 4, windowHours: 24 });
+//
+// A ring is { ring_id, type, members, transaction_ids }, with
+// type COMPONENT, CYCLE, FAN_IN or FAN_OUT. ring_id is stable for the same
+// ring across runs so re-recording it does not duplicate entries. The copy
+// recorded on customers keeps at most maxStoredTransactionIds of the ids, plus
+// transaction_count, so a large component cannot outgrow the document limit.
+
+var RING_EDGES = "transaction_relationships";
+
+var RING_DEFAULTS = {
+  maxHops: 3,
+  windowHours: 72,
+  lookbackDays: 30,
+  minRingSize: 3,
+  minHubDegree: 5,
+  maxStoredTransactionIds: 100,
+};
+
+function ringPeriod({ since, until } = {}) {
+  const end = until ?? new Date();
+  return {
+    since:
+      since ??
+      new Date(end.getTime() - RING_DEFAULTS.lookbackDays * 24 * 3600 * 1000),
+    until: end,
+  };
+}
+
+function sortedIds(ids) {
+  const unique = new Map(ids.map((id) => [String(id), id]));
+  return [...unique.values()].sort((a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true }),
+  );
+}
+
+function makeRing(type, key, members, edges) {
+  return {
+    ring_id: `${type}:${key}`,
+    type,
+    members: sortedIds(members),
+    transaction_ids: sortedIds(edges.map((e) => e.transaction_id)),
+  };
+}
+
+// Customers linked to customerId by a chain of at most maxHops relationships
+// in the period, whichever way the money flowed (A -> B <- C puts C in A's
+// component). Expands one hop per round and stops after maxHops rounds.
+function findConnectedComponent(customerId, options = {}) {
+  const { maxHops = RING_DEFAULTS.maxHops } = options;
+  const { since, until } = ringPeriod(options);
+  const window = { timestamp: { $gte: since, $lte: until } };
+  const members = new Map([[String(customerId), customerId]]);
+  const edges = new Map();
+
+  let frontier = [customerId];
+  for (let hop = 0; hop < maxHops && frontier.length > 0; hop += 1) {
+    const found = db
+      .getCollection(RING_EDGES)
+      .find(
+        {
+          $or: [
+            { customer_id: { $in: frontier } },
+            { related_customer_id: { $in: frontier } },
+          ],
+          ...window,
+        },
+        { customer_id: 1, related_customer_id: 1, transaction_id: 1 },
+      )
+      .toArray();
+    frontier = [];
+    found.forEach((e) => {
+      edges.set(String(e._id), e);
+      [e.customer_id, e.related_customer_id].forEach((id) => {
+        if (members.has(String(id))) return;
+        members.set(String(id), id);
+        frontier.push(id);
+      });
+    });
+  }
+  if (edges.size === 0) return null;
+
+  return makeRing(
+    "COMPONENT",
+    String(sortedIds([...members.values()])[0]),
+    [...members.values()],
+    [...edges.values()],
+  );
+}
+
+// Components of at least minRingSize customers. Seeds default to every
+// customer with an outgoing relationship in the period; each customer is
+// reported in at most one component.
+function findConnectedComponents(options = {}) {
+  const { minRingSize = RING_DEFAULTS.minRingSize, customerIds } = options;
+  const { since, until } = ringPeriod(options);
+  const seeds =
+    customerIds ??
+    db
+      .getCollection(RING_EDGES)
+      .distinct("customer_id", { timestamp: { $gte: since, $lte: until } });
+
+  const visited = new Set();
+  const rings = [];
+  seeds.forEach((seed) => {
+    if (visited.has(String(seed))) return;
+    const ring = findConnectedComponent(seed, { ...options, since, until });
+    if (!ring) return;
+    ring.members.forEach((m) => visited.add(String(m)));
+    if (ring.members.length >= minRingSize) rings.push(ring);
+  });
+  return rings;
+}
+
+// Transfer cycles (A -> B -> ... -> A) of at most maxHops edges whose
+// transfers happen in order and within windowHours of the first one.
+function findTransferCycles(options = {}) {
+  const {
+    maxHops = RING_DEFAULTS.maxHops,
+    windowHours = RING_DEFAULTS.windowHours,
+  } = options;
+  const { since, until } = ringPeriod(options);
+  const transfers = {
+    relationship_type: "TRANSFER",
+    timestamp: { $gte: since, $lte: until },
+  };
+
+  const candidates = db
+    .getCollection(RING_EDGES)
+    .aggregate([
+      { $match: transfers },
+      {
+        $graphLookup: {
+          from: RING_EDGES,
+          startWith: "$related_customer_id",
+          connectFromField: "related_customer_id",
+          connectToField: "customer_id",
+          as: "path_edges",
+          maxDepth: Math.max(maxHops - 2, 0),
+          restrictSearchWithMatch: transfers,
+        },
+      },
+      // Only keep start edges whose neighbourhood leads back to the sender.
+      {
+        $match: {
+          $expr: { $in: ["$customer_id", "$path_edges.related_customer_id"] },
+        },
+      },
+    ])
+    .toArray();
+
+  const rings = new Map();
+  candidates.forEach((start) => {
+    const deadline = start.timestamp.getTime() + windowHours * 3600 * 1000;
+    const next = (edge) =>
+      start.path_edges.filter(
+        (e) =>
+          String(e.customer_id) === String(edge.related_customer_id) &&
+          e.timestamp >= edge.timestamp &&
+          e.timestamp.getTime() <= deadline,
+      );
+
+    const walk = (path) => {
+      const last = path[path.length - 1];
+      if (String(last.related_customer_id) === String(start.customer_id)) {
+        const ring = makeRing(
+          "CYCLE",
+          require("crypto")
+            .createHash("sha256")
+            .update(sortedIds(path.map((e) => e.transaction_id)).join(","))
+            .digest("hex")
+            .slice(0, 16),
+          path.map((e) => e.customer_id),
+          path,
+        );
+        rings.set(ring.ring_id, ring);
+        return;
+      }
+      if (path.length >= maxHops) return;
+      const seen = new Set(path.map((e) => String(e.customer_id)));
+      next(last)
+        .filter(
+          (e) =>
+            !seen.has(String(e.related_customer_id)) ||
+            String(e.related_customer_id) === String(start.customer_id),
+        )
+        .forEach((e) => walk([...path, e]));
+    };
+    walk([start]);
+  });
+  return [...rings.values()];
+}
+
+// Customers sending to (FAN_OUT) or receiving from (FAN_IN) at least
+// minHubDegree distinct counterparties in the period.
+function findHubs(options = {}) {
+  const { minHubDegree = RING_DEFAULTS.minHubDegree } = options;
+  const { since, until } = ringPeriod(options);
+  const hubs = (type, hubField, otherField) =>
+    db
+      .getCollection(RING_EDGES)
+      .aggregate([
+        { $match: { timestamp: { $gte: since, $lte: until } } },
+        {
+          $group: {
+            _id: `$${hubField}`,
+            counterparties: { $addToSet: `$${otherField}` },
+            edges: { $push: { transaction_id: "$transaction_id" } },
+          },
+        },
+        {
+          $match: {
+            $expr: { $gte: [{ $size: "$counterparties" }, minHubDegree] },
+          },
+        },
+      ])
+      .toArray()
+      .map((hub) =>
+        makeRing(
+          type,
+          String(hub._id),
+          [hub._id, ...hub.counterparties],
+          hub.edges,
+        ),
+      );
+
+  return [
+    ...hubs("FAN_OUT", "customer_id", "related_customer_id"),
+    ...hubs("FAN_IN", "related_customer_id", "customer_id"),
+  ];
+}
+
+// Adds or refreshes each ring on its members' fraud_ring_connections (keyed by
+// ring_id) and flags the ring's edges. Components only describe reachability,
+// so their edges are not flagged. Members without a customers document (e.g.
+// external counterparties) and erased customers are skipped. Returns the
+// number of rings written.
+function recordFraudRings(rings) {
+  const detectedAt = new Date();
+  let written = 0;
+  rings.forEach((ring) => {
+    const transactionIds = ring.transaction_ids.slice(
+      0,
+      RING_DEFAULTS.maxStoredTransactionIds,
+    );
+    const entry = {
+      ...ring,
+      transaction_ids: transactionIds,
+      transaction_count: ring.transaction_ids.length,
+      detected_at: detectedAt,
+    };
+    applyChange(
+      `record ${ring.type} ring ${ring.ring_id} (${ring.members.length} customer(s), ${ring.transaction_ids.length} edge(s))`,
+      () => {
+        db.customers.updateMany(
+          {
+            customer_id: { $in: ring.members },
+            "metadata.erased_at": { $exists: false },
+            fraud_ring_connections: {
+              $not: {
+                $elemMatch: {
+                  ring_id: ring.ring_id,
+                  transaction_ids: transactionIds,
+                  transaction_count: ring.transaction_ids.length,
+                },
+              },
+            },
+          },
+          [
+            {
+              $set: {
+                fraud_ring_connections: {
+                  $concatArrays: [
+                    {
+                      $filter: {
+                        input: { $ifNull: ["$fraud_ring_connections", []] },
+                        cond: { $ne: ["$$this.ring_id", ring.ring_id] },
+                      },
+                    },
+                    [{ $literal: entry }],
+                  ],
+                },
+                updated_at: "$$NOW",
+                version: { $add: [{ $ifNull: ["$version", 0] }, 1] },
+              },
+            },
+          ],
+        );
+        written += 1;
+        if (ring.type === "COMPONENT") return;
+        db.getCollection(RING_EDGES).updateMany(
+          { transaction_id: { $in: ring.transaction_ids }, flagged: false },
+          {
+            $set: {
+              flagged: true,
+              "metadata.detected_at": detectedAt,
+              "metadata.detection_method": `graph_${ring.type.toLowerCase()}`,
+            },
+          },
+        );
+      },
+    );
+  });
+  return written;
+}
@@ -0,0 +1,245 @@
+// Currency conversion for the customer 360 aggregations.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, setting).
+// fx_rates holds one rate per currency and UTC day:
+//
+//   { currency: "EUR", effective_from: ISODate("2024-01-15"),
+//     rate: NumberDecimal("1.0950"), source: "ECB", loaded_at: ISODate(...) }
+//
+// `rate` is the number of FX_BASE_CURRENCY units one unit of `currency` buys,
+// in effect until the currency's next effective_from. The base currency has no
+// rows (its rate is 1); any two currencies convert through it:
+//
+//   converted = amount x rate(from) / rate(to)
+//
+// with both rates taken at the transaction's timestamp. Amounts already in
+// the target currency are never converted, so they need no rate.
+
+var FX_RATES = "fx_rates";
+var FX_BASE_CURRENCY = "USD";
+var FX_CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// REPORTING_CURRENCY, or null to convert to each customer's preference.
+function reportingCurrencySetting() {
+  const currency = setting("REPORTING_CURRENCY", null);
+  if (currency !== null && !FX_CURRENCY_PATTERN.test(currency)) {
+    throw new Error(
+      `REPORTING_CURRENCY must be an ISO 4217 code, got "${currency}"`,
+    );
+  }
+  return currency;
+}
+
+// The rate of `currency` in effect at `at` as a Decimal128, or null when
+// fx_rates has none that early.
+function fxRateOn(currency, at) {
+  if (currency === FX_BASE_CURRENCY) return NumberDecimal("1");
+  const [latest] = db
+    .getCollection(FX_RATES)
+    .find({ currency, effective_from: { $lte: at } }, { _id: 0, rate: 1 })
+    .sort({ effective_from: -1 })
+    .limit(1)
+    .toArray();
+  return latest?.rate ?? null;
+}
+
+// Stages setting `as` to the rate of the currency at the field path
+// `currency`, in effect at `at` (an expression). `as` is left unset when
+// fx_rates has no rate for it yet.
+function fxRateStages(currency, at, as) {
+  return [
+    {
+      $lookup: {
+        from: FX_RATES,
+        localField: currency,
+        foreignField: "currency",
+        let: { at },
+        pipeline: [
+          { $match: { $expr: { $lte: ["$effective_from", "$$at"] } } },
+          { $sort: { effective_from: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, rate: 1 } },
+        ],
+        as,
+      },
+    },
+    {
+      $set: {
+        [as]: {
+          $cond: [
+            { $eq: [`$${currency}`, FX_BASE_CURRENCY] },
+            NumberDecimal("1"),
+            { $first: `$${as}.rate` },
+          ],
+        },
+      },
+    },
+  ];
+}
+
+// Stages converting the decimal fields `amounts` from the currency at `from`
+// to the currency at `to` (field paths), at the rates in effect at `at` (an
+// expression, e.g. "$timestamp"). A converted field is null when a rate is
+// missing; missingFxRates() finds those gaps up front.
+function fxConvertStages({ amounts, from, to, at }) {
+  const converted = {};
+  amounts.forEach((field) => {
+    converted[field] = {
+      $cond: [
+        { $eq: [`$${from}`, `$${to}`] },
+        `$${field}`,
+        {
+          $divide: [{ $multiply: [`$${field}`, "$_fx.from"] }, "$_fx.to"],
+        },
+      ],
+    };
+  });
+  return [
+    ...fxRateStages(from, at, "_fx.from"),
+    ...fxRateStages(to, at, "_fx.to"),
+    { $set: converted },
+    { $unset: "_fx" },
+  ];
+}
+
+// Stages setting `as` to the currency amounts of the customer at the field
+// path `customerId` are reported in: reportingCurrency when given, otherwise
+// the customer's preferences.currency_preference (FX_BASE_CURRENCY when the
+// customer has none, e.g. after erasure).
+function fxTargetCurrencyStages({ customerId, as, reportingCurrency = null }) {
+  if (reportingCurrency) {
+    return [{ $set: { [as]: { $literal: reportingCurrency } } }];
+  }
+  return [
+    {
+      $lookup: {
+        from: "customers",
+        localField: customerId,
+        foreignField: "customer_id",
+        pipeline: [
+          {
+            $project: { _id: 0, currency: "$preferences.currency_preference" },
+          },
+        ],
+        as,
+      },
+    },
+    {
+      $set: {
+        [as]: { $ifNull: [{ $first: `$${as}.currency` }, FX_BASE_CURRENCY] },
+      },
+    },
+  ];
+}
+
+// Rates a conversion of the `collName` transactions matched by `match` would
+// need but fx_rates lacks: [{ currency, at }] with `at` the earliest
+// transaction needing that currency's rate.
+function missingFxRates(collName, match, { reportingCurrency = null } = {}) {
+  const needed = new Map();
+  const need = (currency, at) => {
+    if (currency === FX_BASE_CURRENCY) return;
+    const earliest = needed.get(currency);
+    if (!earliest || at < earliest) needed.set(currency, at);
+  };
+  db.getCollection(collName)
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { customer_id: "$customer_id", currency: "$currency" },
+          at: { $min: "$timestamp" },
+        },
+      },
+      ...fxTargetCurrencyStages({
+        customerId: "_id.customer_id",
+        as: "target",
+        reportingCurrency,
+      }),
+      { $match: { $expr: { $ne: ["$_id.currency", "$target"] } } },
+    ])
+    .forEach(({ _id, at, target }) => {
+      need(_id.currency, at);
+      need(target, at);
+    });
+  return [...needed]
+    .filter(([currency, at]) => fxRateOn(currency, at) === null)
+    .map(([currency, at]) => ({ currency, at }));
+}
+
+// Parses CSV text with a `currency,effective_from,rate[,source]` header into
+// fx_rates documents; effective_from is a YYYY-MM-DD day.
+function parseFxRatesCsv(text, { source = null } = {}) {
+  const [header, ...lines] = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  const columns = (header ?? "").split(",").map((c) => c.trim());
+  ["currency", "effective_from", "rate"].forEach((column) => {
+    if (!columns.includes(column)) {
+      throw new Error(`fx rates CSV: missing column "${column}"`);
+    }
+  });
+  return lines.map((line, i) => {
+    const values = line.split(",").map((v) => v.trim());
+    const row = Object.fromEntries(columns.map((c, j) => [c, values[j]]));
+    const where = `fx rates CSV line ${i + 2}`;
+    if (!FX_CURRENCY_PATTERN.test(row.currency ?? "")) {
+      throw new Error(`${where}: bad currency "${row.currency}"`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(row.effective_from ?? "")) {
+      throw new Error(`${where}: effective_from must be YYYY-MM-DD`);
+    }
+    const effectiveFrom = new Date(`${row.effective_from}T00:00:00Z`);
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      throw new Error(`${where}: bad effective_from "${row.effective_from}"`);
+    }
+    if (!/^\d+(\.\d+)?$/.test(row.rate ?? "") || Number(row.rate) === 0) {
+      throw new Error(`${where}: rate must be a positive decimal`);
+    }
+    return {
+      currency: row.currency,
+      effective_from: effectiveFrom,
+      rate: NumberDecimal(row.rate),
+      source: row.source || source,
+    };
+  });
+}
+
+// Upserts fx_rates documents keyed on currency and effective_from. Rates
+// apply to whole UTC days: the monthly rollups convert daily totals.
+// Returns { upserted, modified }; zeros in a dry run.
+function upsertFxRates(rates) {
+  rates.forEach(({ currency, effective_from }) => {
+    if (currency === FX_BASE_CURRENCY) {
+      throw new Error(
+        `${FX_BASE_CURRENCY} is the base currency; its rate is 1`,
+      );
+    }
+    if (!effective_from.toISOString().endsWith("T00:00:00.000Z")) {
+      throw new Error(
+        `${currency} ${effective_from.toISOString()}: effective_from must be a UTC midnight`,
+      );
+    }
+  });
+  const summary = { upserted: 0, modified: 0 };
+  if (rates.length === 0) return summary;
+  const loadedAt = new Date();
+  applyChange(`upsert ${rates.length} rate(s) into ${FX_RATES}`, () => {
+    const result = db.getCollection(FX_RATES).bulkWrite(
+      rates.map(({ currency, effective_from, rate, source }) => ({
+        updateOne: {
+          filter: { currency, effective_from },
+          update: {
+            $set: { rate, source: source ?? null, loaded_at: loadedAt },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+    summary.upserted = result.upsertedCount;
+    summary.modified = result.modifiedCount;
+  });
+  return summary;
+}
@@ -0,0 +1,23 @@
+// Geodesic helpers for GeoJSON points ([longitude, latitude]).
+//
+// Loaded with load(); declarations are global for the calling script.
+
+var EARTH_RADIUS_KM = 6378.1;
+
+function haversineKm([lon1, lat1], [lon2, lat2]) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Mean position of coordinate pairs; adequate for points within a region,
+// not for sets straddling the antimeridian.
+function centroid(points) {
+  if (points.length === 0) return null;
+  const sum = points.reduce(([lon, lat], [x, y]) => [lon + x, lat + y], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
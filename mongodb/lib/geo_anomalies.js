@@ -0,0 +1,190 @@
+// Geospatial anomaly checks over transactions_ts.location.
+//
+// Loaded with load() after lib/provisioning.js (applyChange), lib/customers.js
+// (forEachCustomerBatch, DAY_MS) and lib/geo.js (haversineKm).
+//
+//   IMPOSSIBLE_TRAVEL  two consecutive transactions further apart than the
+//                      customer could have travelled at maxSpeedKmh
+//   OUT_OF_REGION      a transaction outside the geo_regions boundary of the
+//                      customer's personal_info.address (subdivision, falling
+//                      back to country); found with $geoWithin, which uses
+//                      the transactions_ts 2dsphere index
+//
+// Findings are appended to customers.fraud_indicators as
+// { indicator_id, type, transaction_ids, details, detected_at }; indicator_id
+// is derived from the transactions involved, so re-running never duplicates a
+// finding and analysts' reviewed entries are left untouched.
+
+var GEO_DEFAULTS = {
+  // Faster than a commercial flight, including boarding.
+  maxSpeedKmh: 900,
+  // Below this, GPS / IP geolocation noise dominates the implied speed.
+  minDistanceKm: 100,
+  lookbackDays: 30,
+  batchSize: 200,
+};
+
+function geoPeriod({ since, until } = {}) {
+  const end = until ?? new Date();
+  return {
+    since:
+      since ?? new Date(end.getTime() - GEO_DEFAULTS.lookbackDays * DAY_MS),
+    until: end,
+  };
+}
+
+function locatedTransactions(customerId, period, extra = {}) {
+  return db
+    .getCollection("transactions_ts")
+    .find(
+      {
+        customer_id: customerId,
+        timestamp: { $gte: period.since, $lte: period.until },
+        "location.coordinates": { $exists: true },
+        ...extra,
+      },
+      { transaction_id: 1, timestamp: 1, location: 1 },
+    )
+    .sort({ timestamp: 1 })
+    .toArray();
+}
+
+// Consecutive transaction pairs whose implied travel speed exceeds
+// maxSpeedKmh over at least minDistanceKm.
+function findImpossibleTravel(customerId, options = {}) {
+  const {
+    maxSpeedKmh = GEO_DEFAULTS.maxSpeedKmh,
+    minDistanceKm = GEO_DEFAULTS.minDistanceKm,
+  } = options;
+  const txns = locatedTransactions(customerId, geoPeriod(options));
+
+  const findings = [];
+  for (let i = 1; i < txns.length; i += 1) {
+    const [prev, cur] = [txns[i - 1], txns[i]];
+    const km = haversineKm(prev.location.coordinates, cur.location.coordinates);
+    const hours = (cur.timestamp - prev.timestamp) / 3600000;
+    const speed = hours > 0 ? km / hours : Infinity;
+    if (km < minDistanceKm || speed <= maxSpeedKmh) continue;
+    findings.push({
+      indicator_id: `IMPOSSIBLE_TRAVEL:${prev.transaction_id}-${cur.transaction_id}`,
+      type: "IMPOSSIBLE_TRAVEL",
+      transaction_ids: [prev.transaction_id, cur.transaction_id],
+      details: {
+        distance_km: Math.round(km),
+        elapsed_minutes: Math.round(hours * 60),
+        speed_kmh: Number.isFinite(speed) ? Math.round(speed) : null,
+        from: prev.location,
+        to: cur.location,
+      },
+    });
+  }
+  return findings;
+}
+
+// geo_regions document for a personal_info.address: the subdivision
+// (US-NY) when loaded, otherwise the country (US); null when neither is.
+function homeRegion(address) {
+  if (!address?.country) return null;
+  const ids = address.state
+    ? [`${address.country}-${address.state}`, address.country]
+    : [address.country];
+  return (
+    ids
+      .map((id) => db.geo_regions.findOne({ _id: id }))
+      .find((region) => region) ?? null
+  );
+}
+
+// Transactions located outside the customer's home region. Returns null when
+// no region is known for the address, so callers can report the gap.
+function findOutOfRegion(customer, options = {}) {
+  const region = homeRegion(customer.personal_info?.address);
+  if (!region) return null;
+  const period = geoPeriod(options);
+
+  const inside = new Set(
+    locatedTransactions(customer.customer_id, period, {
+      location: { $geoWithin: { $geometry: region.geometry } },
+    }).map((t) => String(t.transaction_id)),
+  );
+  return locatedTransactions(customer.customer_id, period)
+    .filter((t) => !inside.has(String(t.transaction_id)))
+    .map((t) => ({
+      indicator_id: `OUT_OF_REGION:${t.transaction_id}`,
+      type: "OUT_OF_REGION",
+      transaction_ids: [t.transaction_id],
+      details: { region: region._id, location: t.location },
+    }));
+}
+
+// Appends the findings not yet present on the customer. Returns the number of
+// indicators added (0 in a dry run).
+function recordFraudIndicators(customer, findings) {
+  const known = new Set(
+    (customer.fraud_indicators ?? []).map((f) => f.indicator_id),
+  );
+  const fresh = findings.filter((f) => !known.has(f.indicator_id));
+  if (fresh.length === 0) return 0;
+
+  const detectedAt = new Date();
+  let added = 0;
+  applyChange(
+    `fraud_indicators ${customer.customer_id}: ${fresh.map((f) => f.indicator_id).join(", ")}`,
+    () => {
+      const res = db.customers.updateOne(
+        {
+          _id: customer._id,
+          "fraud_indicators.indicator_id": {
+            $nin: fresh.map((f) => f.indicator_id),
+          },
+        },
+        {
+          $push: {
+            fraud_indicators: {
+              $each: fresh.map((f) => ({ ...f, detected_at: detectedAt })),
+            },
+          },
+          $set: { updated_at: detectedAt },
+          $inc: { version: 1 },
+        },
+      );
+      added = res.modifiedCount ? fresh.length : 0;
+    },
+  );
+  return added;
+}
+
+// Runs the checks for the given customers (customer_id values) or every
+// customer. `checks` is a subset of ["travel", "region"]. Returns
+// { scanned, indicators, noRegion } where noRegion lists customers whose
+// address has no geo_regions boundary.
+function detectGeoAnomalies({
+  customerIds = null,
+  checks = ["travel", "region"],
+  batchSize = GEO_DEFAULTS.batchSize,
+  ...options
+} = {}) {
+  const summary = { scanned: 0, indicators: 0, noRegion: [] };
+  const projection = {
+    customer_id: 1,
+    "personal_info.address": 1,
+    "fraud_indicators.indicator_id": 1,
+  };
+
+  forEachCustomerBatch({ customerIds, batchSize, projection }, (batch) =>
+    batch.forEach((customer) => {
+      summary.scanned += 1;
+      const findings = [];
+      if (checks.includes("travel")) {
+        findings.push(...findImpossibleTravel(customer.customer_id, options));
+      }
+      if (checks.includes("region")) {
+        const outside = findOutOfRegion(customer, options);
+        if (outside === null) summary.noRegion.push(customer.customer_id);
+        else findings.push(...outside);
+      }
+      summary.indicators += recordFraudIndicators(customer, findings);
+    }),
+  );
+  return summary;
+}
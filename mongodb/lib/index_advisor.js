@@ -0,0 +1,495 @@
+// Index advisor: checks the customer 360 indexes against the query shapes the
+// application actually runs.
+//
+// Loaded with load() after lib/provisioning.js (collectionInfo, sameValue),
+// lib/customers.js (DAY_MS) and lib/geo.js (EARTH_RADIUS_KM).
+// Read-only; adviseIndexes() returns
+//
+//   { queries, indexes, redundant, unused, missing }
+//
+//   queries    one entry per INDEX_ADVISOR_QUERIES shape: winning index(es),
+//              COLLSCAN, keys / documents examined, returned, time
+//   indexes    every index with its $indexStats ops and size in bytes
+//   redundant  indexes another index already serves: duplicates, left
+//              prefixes of a compound index, and wildcard indexes whose
+//              projection is fully covered by field-specific ones
+//   unused     no $indexStats ops since `since` (a restart resets them) and
+//              not chosen by any query shape; _id, unique and TTL indexes are
+//              never reported, they do work besides serving reads
+//   missing    shapes that scan a collection or examine more than
+//              maxExaminedRatio documents per result, with an ESR (equality,
+//              sort, range) suggestion
+//
+// Every index costs a write on each insert and on each update to its fields,
+// so redundant and unused ones are pure write amplification.
+
+var INDEX_ADVISOR_DEFAULTS = {
+  maxExaminedRatio: 10,
+  // Below this many documents examined, a high ratio is not worth an index.
+  minExamined: 1000,
+};
+
+// The sample queries of seed/customer_360_demo_seed.js plus the lookups the
+// jobs, workers and API run. Each build(sample) returns { filter, sort,
+// projection, limit } or { pipeline }; `sample` holds values from an existing
+// customer so the shapes hit real data.
+var INDEX_ADVISOR_QUERIES = [
+  {
+    name: "customer by customer_id",
+    collection: "customers",
+    build: ({ customerId }) => ({ filter: { customer_id: customerId } }),
+  },
+  {
+    name: "customer by email",
+    collection: "customers",
+    build: ({ email }) => ({ filter: { "personal_info.email": email } }),
+  },
+  {
+    name: "customer owning an account",
+    collection: "customers",
+    build: ({ accountId }) => ({
+      filter: { "accounts.account_id": accountId },
+    }),
+  },
+  {
+    name: "high-risk customers",
+    collection: "customers",
+    build: () => ({
+      filter: { risk_score: { $gte: 0.7 } },
+      sort: { risk_score: -1 },
+    }),
+  },
+  {
+    name: "customers pending KYC",
+    collection: "customers",
+    build: () => ({ filter: { "metadata.kyc_status": "PENDING" } }),
+  },
+  {
+    name: "customer transactions in a date range",
+    collection: "transactions_ts",
+    build: ({ customerId, since, until }) => ({
+      filter: {
+        customer_id: customerId,
+        timestamp: { $gte: since, $lt: until },
+      },
+      sort: { timestamp: -1 },
+    }),
+  },
+  {
+    name: "customer spending by transaction_type",
+    collection: "transactions_ts",
+    build: ({ customerId, since }) => ({
+      pipeline: [
+        { $match: { customer_id: customerId, timestamp: { $gte: since } } },
+        {
+          $group: {
+            _id: "$transaction_type",
+            total_amount: { $sum: "$amount" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { total_amount: -1 } },
+      ],
+    }),
+  },
+  {
+    name: "transactions near a point",
+    collection: "transactions_ts",
+    build: ({ coordinates, since }) => ({
+      filter: {
+        location: {
+          $geoWithin: { $centerSphere: [coordinates, 5 / EARTH_RADIUS_KM] },
+        },
+        timestamp: { $gte: since },
+      },
+    }),
+  },
+  {
+    name: "recent high fraud_score transactions",
+    collection: "transactions_ts",
+    build: ({ since }) => ({
+      filter: { fraud_score: { $gte: 0.8 }, timestamp: { $gte: since } },
+      sort: { fraud_score: -1 },
+    }),
+  },
+  {
+    // transactions.created projector duplicate check
+    name: "transaction by transaction_id",
+    collection: "transactions_ts",
+    build: ({ customerId, transactionId, transactionTimestamp }) => ({
+      filter: {
+        customer_id: customerId,
+        timestamp: transactionTimestamp,
+        transaction_id: transactionId,
+      },
+    }),
+  },
+  {
+    name: "customer relationships in a period",
+    collection: "transaction_relationships",
+    build: ({ customerId, since, until }) => ({
+      filter: {
+        customer_id: customerId,
+        timestamp: { $gte: since, $lte: until },
+      },
+      sort: { timestamp: -1 },
+    }),
+  },
+  {
+    name: "flagged relationships",
+    collection: "transaction_relationships",
+    build: () => ({ filter: { flagged: true }, sort: { timestamp: -1 } }),
+  },
+  {
+    name: "customer risk score history",
+    collection: "risk_score_history",
+    build: ({ customerId }) => ({
+      filter: { customer_id: customerId },
+      sort: { computed_at: -1 },
+      limit: 20,
+    }),
+  },
+  {
+    name: "customer monthly analytics",
+    collection: "customer_analytics_monthly",
+    build: ({ customerId }) => ({
+      filter: { customer_id: customerId },
+      sort: { "period.year": -1, "period.month": -1 },
+    }),
+  },
+  {
+    // Incremental analytics refresh (lib/analytics.js lastComputedAt)
+    name: "latest analytics computed_at",
+    collection: "customer_analytics_monthly",
+    build: () => ({ filter: {}, sort: { computed_at: -1 }, limit: 1 }),
+  },
+  {
+    // Rate lookups of lib/fx.js (fxRateOn, fxRateStages)
+    name: "fx rate in effect at a date",
+    collection: "fx_rates",
+    build: ({ transactionTimestamp }) => ({
+      filter: {
+        currency: "EUR",
+        effective_from: { $lte: transactionTimestamp },
+      },
+      sort: { effective_from: -1 },
+      limit: 1,
+    }),
+  },
+];
+
+// Values from the first customer (or customerId) and its latest
+// transaction, so the query shapes match real documents.
+function indexAdvisorSample({ customerId, asOf = new Date() } = {}) {
+  const customer = db.customers.findOne(
+    customerId ? { customer_id: customerId } : {},
+    {
+      customer_id: 1,
+      "personal_info.email": 1,
+      "accounts.account_id": 1,
+    },
+  );
+  const id = customer?.customer_id ?? customerId ?? NumberLong(0);
+  const latest = db.transactions_ts
+    .find({ customer_id: id }, { transaction_id: 1, timestamp: 1, location: 1 })
+    .sort({ timestamp: -1 })
+    .limit(1)
+    .toArray()[0];
+  return {
+    customerId: id,
+    email: customer?.personal_info?.email ?? "nobody@example.com",
+    accountId: customer?.accounts?.[0]?.account_id ?? NumberLong(0),
+    transactionId: latest?.transaction_id ?? NumberLong(0),
+    transactionTimestamp: latest?.timestamp ?? asOf,
+    coordinates: latest?.location?.coordinates ?? [-74.006, 40.7128],
+    since: new Date(asOf.getTime() - 90 * DAY_MS),
+    until: asOf,
+  };
+}
+
+// Collects winning-plan index names, COLLSCANs and the first execution
+// stats block from an explain document, whatever its shape (find,
+// aggregate, time-series, sharded).
+function summarizeExplain(explain) {
+  const indexes = new Set();
+  let collscan = false;
+  let stats = null;
+  const walk = (node, inWinningPlan) => {
+    if (Array.isArray(node)) {
+      node.forEach((n) => walk(n, inWinningPlan));
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+    if (!stats && typeof node.totalDocsExamined === "number") stats = node;
+    if (inWinningPlan && node.stage === "COLLSCAN") collscan = true;
+    if (inWinningPlan && node.indexName) indexes.add(node.indexName);
+    Object.entries(node).forEach(([key, value]) =>
+      walk(value, inWinningPlan || key === "winningPlan"),
+    );
+  };
+  walk(explain, false);
+  return {
+    indexes: [...indexes],
+    collscan,
+    keysExamined: stats?.totalKeysExamined ?? null,
+    docsExamined: stats?.totalDocsExamined ?? null,
+    returned: stats?.nReturned ?? null,
+    millis: stats?.executionTimeMillis ?? null,
+  };
+}
+
+function explainQuery(collName, query) {
+  const coll = db.getCollection(collName);
+  if (query.pipeline) {
+    return coll.explain("executionStats").aggregate(query.pipeline);
+  }
+  let cursor = coll.find(query.filter ?? {}, query.projection ?? {});
+  if (query.sort) cursor = cursor.sort(query.sort);
+  if (query.limit) cursor = cursor.limit(query.limit);
+  return cursor.explain("executionStats");
+}
+
+function queryFilterAndSort(query) {
+  if (!query.pipeline) return { filter: query.filter ?? {}, sort: query.sort };
+  const [first, second] = query.pipeline;
+  return { filter: first?.$match ?? {}, sort: second?.$sort };
+}
+
+var GEO_OPERATORS = ["$geoWithin", "$geoIntersects", "$near", "$nearSphere"];
+
+// ESR key for a filter / sort: equality fields, then the sort, then range
+// fields; a geo predicate adds a trailing 2dsphere field. null when the
+// filter has nothing indexable (top-level $or, $text, ...).
+function suggestIndexKey({ filter, sort }) {
+  const key = {};
+  const range = [];
+  let geo = null;
+  Object.entries(filter).forEach(([field, condition]) => {
+    if (field.startsWith("$")) return;
+    const operators =
+      condition &&
+      typeof condition === "object" &&
+      !Array.isArray(condition) &&
+      Object.keys(condition).every((op) => op.startsWith("$")) &&
+      Object.keys(condition).length
+        ? Object.keys(condition)
+        : null;
+    if (!operators || operators.every((op) => op === "$eq" || op === "$in")) {
+      key[field] = 1;
+    } else if (operators.some((op) => GEO_OPERATORS.includes(op))) {
+      geo = field;
+    } else {
+      range.push(field);
+    }
+  });
+  Object.entries(sort ?? {}).forEach(([field, direction]) => {
+    if (!(field in key)) key[field] = direction;
+  });
+  range.forEach((field) => {
+    if (!(field in key)) key[field] = 1;
+  });
+  if (geo) key[geo] = "2dsphere";
+  return Object.keys(key).length ? key : null;
+}
+
+function isSpecialIndex(key) {
+  return Object.entries(key).some(
+    ([field, type]) => typeof type === "string" || field.endsWith("$**"),
+  );
+}
+
+// True when `a` is a left prefix of `b` with the same directions, or with
+// every direction flipped (the index is then scanned backwards).
+function isKeyPrefix(a, b) {
+  const left = Object.entries(a);
+  const right = Object.entries(b);
+  if (left.length > right.length) return false;
+  const matches = (flip) =>
+    left.every(
+      ([field, dir], i) =>
+        right[i][0] === field && right[i][1] === (flip ? -dir : dir),
+    );
+  return matches(false) || matches(true);
+}
+
+// Indexes with a job besides serving reads, or that only cover some
+// documents; never reported redundant or unused.
+function hasSideEffects(index) {
+  return (
+    index.name === "_id_" ||
+    index.unique ||
+    index.expireAfterSeconds !== undefined
+  );
+}
+
+function coversAllDocuments(index) {
+  return !index.partialFilterExpression && !index.sparse;
+}
+
+function findRedundantIndexes(indexes) {
+  const redundant = [];
+  indexes.forEach((index, i) => {
+    if (hasSideEffects(index)) return;
+    const duplicate = indexes.find(
+      (other, j) =>
+        j < i &&
+        sameValue(other.key, index.key) &&
+        sameValue(other.collation, index.collation),
+    );
+    if (duplicate) {
+      redundant.push({
+        index,
+        coveredBy: duplicate.name,
+        reason: "duplicate key",
+      });
+      return;
+    }
+    if (isSpecialIndex(index.key)) return;
+    const wider = indexes.find(
+      (other) =>
+        other !== index &&
+        !isSpecialIndex(other.key) &&
+        Object.keys(other.key).length > Object.keys(index.key).length &&
+        isKeyPrefix(index.key, other.key) &&
+        coversAllDocuments(other) &&
+        sameValue(other.collation, index.collation),
+    );
+    if (wider) {
+      redundant.push({ index, coveredBy: wider.name, reason: "left prefix" });
+    }
+  });
+
+  // A projected $** index adds nothing when every field it projects already
+  // has its own "<field>.$**" index.
+  indexes
+    .filter((index) => index.key["$**"] && index.wildcardProjection)
+    .forEach((index) => {
+      const included = Object.entries(index.wildcardProjection)
+        .filter(([field, on]) => on && field !== "_id")
+        .map(([field]) => field);
+      const specific = included.map((field) =>
+        indexes.find((other) => other.key[`${field}.$**`] !== undefined),
+      );
+      if (included.length && specific.every(Boolean)) {
+        redundant.push({
+          index,
+          coveredBy: specific.map((other) => other.name).join(", "),
+          reason: "wildcard projection covered by field-specific wildcards",
+        });
+      }
+    });
+  return redundant;
+}
+
+function indexUsage(collName) {
+  const usage = {};
+  try {
+    db.getCollection(collName)
+      .aggregate([{ $indexStats: {} }])
+      .forEach(({ name, accesses }) => {
+        usage[name] = { ops: Number(accesses.ops), since: accesses.since };
+      });
+  } catch (err) {
+    print(`[warn] $indexStats on ${collName} failed: ${err.message}`);
+  }
+  return usage;
+}
+
+function indexSizes(collName) {
+  try {
+    const [stats] = db
+      .getCollection(collName)
+      .aggregate([{ $collStats: { storageStats: {} } }])
+      .toArray();
+    return stats?.storageStats?.indexSizes ?? {};
+  } catch (err) {
+    print(`[warn] index sizes of ${collName} unavailable: ${err.message}`);
+    return {};
+  }
+}
+
+function adviseIndexes({
+  collections = [...new Set(INDEX_ADVISOR_QUERIES.map((q) => q.collection))],
+  queries = INDEX_ADVISOR_QUERIES,
+  sample = indexAdvisorSample(),
+  maxExaminedRatio = INDEX_ADVISOR_DEFAULTS.maxExaminedRatio,
+  minExamined = INDEX_ADVISOR_DEFAULTS.minExamined,
+} = {}) {
+  const present = collections.filter((name) => collectionInfo(name));
+  const report = {
+    queries: [],
+    indexes: [],
+    redundant: [],
+    unused: [],
+    missing: [],
+  };
+  const chosen = new Set();
+
+  queries
+    .filter((q) => present.includes(q.collection))
+    .forEach((q) => {
+      const query = q.build(sample);
+      const result = {
+        name: q.name,
+        collection: q.collection,
+        ...summarizeExplain(explainQuery(q.collection, query)),
+      };
+      result.indexes.forEach((name) => chosen.add(`${q.collection}.${name}`));
+      report.queries.push(result);
+
+      const examined = result.docsExamined ?? 0;
+      const ratio = examined / Math.max(result.returned ?? 0, 1);
+      if (
+        result.collscan ||
+        (examined >= minExamined && ratio > maxExaminedRatio)
+      ) {
+        const key = suggestIndexKey(queryFilterAndSort(query));
+        const existing = db.getCollection(q.collection).getIndexes();
+        report.missing.push({
+          query: q.name,
+          collection: q.collection,
+          reason: result.collscan
+            ? "collection scan"
+            : `${examined} documents examined for ${result.returned} returned`,
+          suggestion: key,
+          exists: key
+            ? existing.some((index) => isKeyPrefix(key, index.key))
+            : false,
+        });
+      }
+    });
+
+  present.forEach((collName) => {
+    const indexes = db.getCollection(collName).getIndexes();
+    const usage = indexUsage(collName);
+    const sizes = indexSizes(collName);
+    const entry = (index) => ({
+      collection: collName,
+      name: index.name,
+      key: index.key,
+      ops: usage[index.name]?.ops ?? null,
+      since: usage[index.name]?.since ?? null,
+      bytes: sizes[index.name] ?? null,
+    });
+
+    indexes.forEach((index) => report.indexes.push(entry(index)));
+    findRedundantIndexes(indexes).forEach(({ index, coveredBy, reason }) =>
+      report.redundant.push({ ...entry(index), coveredBy, reason }),
+    );
+    indexes
+      .filter(
+        (index) =>
+          !hasSideEffects(index) &&
+          usage[index.name]?.ops === 0 &&
+          !chosen.has(`${collName}.${index.name}`),
+      )
+      .forEach((index) => report.unused.push(entry(index)));
+  });
+  return report;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return "n/a";
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
@@ -0,0 +1,424 @@
+// Subject-access export and right to erasure for one customer (GDPR / CCPA).
+//
+// Loaded with load() after lib/provisioning.js (applyChange, setting, dryRun),
+// lib/csfle.js (per-customer data keys) and lib/archival.js (archive and
+// restore collections):
+//
+//   exportCustomerData  everything held about the customer as one EJSON file,
+//                       CSFLE fields decrypted when the master key is present
+//   eraseCustomer       pseudonymizes the profile, deletes the customer's
+//                       CSFLE data key (crypto-shredding), strips location,
+//                       device and free text from the transactions, which are
+//                       kept for their legal retention period, and removes
+//                       the locations copied into fraud indicators, risk
+//                       scores and analytics
+//
+// Both record an entry in audit_events, shaped after
+// shared/schemas/event-audit.json (auditEventMessage gives the event itself).
+// Erasure is idempotent: running it again finishes an interrupted request.
+
+var AUDIT_COLLECTION = "audit_events";
+
+// Merge log of lib/customer_dedup.js; its snapshots hold the customer
+// documents as they were before a merge.
+var PRIVACY_MERGE_LOG = "customer_merges";
+
+var PRIVACY_EXPORT_DIR = require("path").resolve(
+  setting("EXPORT_DIR", `${__dirname}/../.exports`),
+);
+
+// Collections holding a customer's data and the filter that finds it. Archive
+// chunks are exported as the transactions they contain.
+var PRIVACY_SOURCES = [
+  ["transactions_ts", (id) => ({ customer_id: id })],
+  [ARCHIVE_COLLECTION, (id) => ({ customer_id: id })],
+  [RESTORE_COLLECTION, (id) => ({ customer_id: id })],
+  [
+    "transaction_relationships",
+    (id) => ({ $or: [{ customer_id: id }, { related_customer_id: id }] }),
+  ],
+  ["customer_analytics_monthly", (id) => ({ customer_id: id })],
+  ["risk_score_history", (id) => ({ customer_id: id })],
+  [
+    PRIVACY_MERGE_LOG,
+    (id) => ({ $or: [{ survivor_id: id }, { merged_id: id }] }),
+  ],
+];
+
+// Removed from customers on erasure. Accounts, products, risk and KYC / AML
+// status stay: they are needed to honour retention and anti-fraud duties.
+// fraud_ring_connections names the customer's counterparties and is dropped.
+var ERASED_CUSTOMER_FIELDS = [
+  CSFLE_CUSTOMER_KEY_FIELD,
+  "personal_info.name.middle",
+  "personal_info.phone",
+  "personal_info.address",
+  ...Object.keys(CSFLE_FIELDS).map((field) => `personal_info.${field}`),
+  "profile",
+  "preferences",
+  "behavior",
+  "service_history",
+  "fraud_ring_connections",
+];
+
+// Removed from the details of fraud_indicators (lib/geo_anomalies.js): the
+// transaction locations. Distances, speeds and regions stay.
+var ERASED_INDICATOR_DETAILS = ["from", "to", "location"];
+
+// risk_factors whose value is derived from the customer's locations; the
+// value is cleared, the score kept.
+var ERASED_RISK_FACTORS = ["unusual_location"];
+
+// Removed from the customer's transactions; amounts, dates, accounts and
+// merchants are the retained record.
+var ERASED_TRANSACTION_FIELDS = [
+  "description",
+  "location",
+  "device_info",
+  "metadata",
+];
+
+var UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// fraud_indicators without ERASED_INDICATOR_DETAILS, or null when none of
+// them is present.
+function redactedFraudIndicators(indicators) {
+  const located = (f) =>
+    ERASED_INDICATOR_DETAILS.some((key) => f.details?.[key] !== undefined);
+  if (!(indicators ?? []).some(located)) return null;
+  return indicators.map((f) => {
+    if (!located(f)) return f;
+    const details = { ...f.details };
+    ERASED_INDICATOR_DETAILS.forEach((key) => delete details[key]);
+    return { ...f, details };
+  });
+}
+
+// risk_factors with the values of ERASED_RISK_FACTORS cleared, or null when
+// none has a value.
+function redactedRiskFactors(factors) {
+  const located = (f) =>
+    ERASED_RISK_FACTORS.includes(f.factor) && f.value !== null;
+  if (!(factors ?? []).some(located)) return null;
+  return factors.map((f) => (located(f) ? { ...f, value: null } : f));
+}
+
+// True while a customer document (or a snapshot of one) still holds personal
+// data that erasureUpdate removes.
+function needsErasure(customer) {
+  return (
+    !customer.metadata?.erased_at ||
+    ERASED_CUSTOMER_FIELDS.some(
+      (path) =>
+        path.split(".").reduce((v, key) => v?.[key], customer) !== undefined,
+    ) ||
+    redactedFraudIndicators(customer.fraud_indicators) !== null ||
+    redactedRiskFactors(customer.risk_factors) !== null
+  );
+}
+
+// $set / $unset that pseudonymize customer, a customer document or the
+// snapshot of one stored under prefix.
+function erasureUpdate(prefix, customer, { email, erasedAt }) {
+  const at = (path) => (prefix ? `${prefix}.${path}` : path);
+  const $unset = {};
+  ERASED_CUSTOMER_FIELDS.forEach((path) => {
+    $unset[at(path)] = "";
+  });
+  const $set = {
+    [at("personal_info.name.first")]: "Erased",
+    [at("personal_info.name.last")]: "Customer",
+    [at("personal_info.email")]: email,
+    [at("metadata.erased_at")]: erasedAt,
+  };
+  const indicators = redactedFraudIndicators(customer.fraud_indicators);
+  if (indicators) $set[at("fraud_indicators")] = indicators;
+  const factors = redactedRiskFactors(customer.risk_factors);
+  if (factors) $set[at("risk_factors")] = factors;
+  return { $set, $unset };
+}
+
+// Inserts one audit_events document and returns it. A requestId that is a
+// UUID becomes the correlation_id; any other reference goes into metadata.
+function recordAuditEvent({ actor, action, resource, requestId, metadata }) {
+  if (!actor) throw new Error("recordAuditEvent: actor is required");
+  const correlated = requestId && UUID_PATTERN.test(requestId);
+  const event = {
+    correlation_id: correlated ? requestId : require("crypto").randomUUID(),
+    actor,
+    action,
+    resource,
+    occurred_at: new Date(),
+    metadata: {
+      ...(requestId && !correlated ? { request_id: requestId } : {}),
+      ...metadata,
+    },
+  };
+  applyChange(`record audit event ${action} ${resource}`, () =>
+    db.getCollection(AUDIT_COLLECTION).insertOne(event),
+  );
+  return event;
+}
+
+// The audit.events message (event-audit.json) for an audit_events document.
+function auditEventMessage({ _id, occurred_at, ...event }) {
+  return {
+    event_type: "audit.events",
+    ...event,
+    occurred_at: occurred_at.toISOString(),
+  };
+}
+
+// The customer documents, decrypted through csfleConnection() when the master
+// key is available. A missing per-customer key (already erased) or no key at
+// all falls back to the stored ciphertext.
+function privacyCustomerDocuments(customerId) {
+  if (csfleMasterKey()) {
+    try {
+      return {
+        decrypted: true,
+        documents: csfleConnection()
+          .getDB(db.getName())
+          .customers.find({ customer_id: customerId })
+          .toArray(),
+      };
+    } catch (e) {
+      print(`[warn] customer ${customerId}: not decrypted: ${e.message}`);
+    }
+  }
+  return {
+    decrypted: false,
+    documents: db.customers.find({ customer_id: customerId }).toArray(),
+  };
+}
+
+// Writes the customer's data to EXPORT_DIR/customer-<id>-<time>.json (mode
+// 0600) and records a customer.exported audit event. Returns
+// { file, counts, decrypted, event }; in a dry run no file is written.
+function exportCustomerData(customerId, { actor, requestId = null } = {}) {
+  const customers = privacyCustomerDocuments(customerId);
+  if (customers.documents.length === 0) {
+    throw new Error(`no customer with customer_id ${customerId}`);
+  }
+
+  const generatedAt = new Date();
+  const collections = { customers: customers.documents };
+  PRIVACY_SOURCES.forEach(([collName, filter]) => {
+    const docs = db
+      .getCollection(collName)
+      .find(filter(customerId))
+      .sort({ _id: 1 })
+      .toArray();
+    collections[collName] =
+      collName === ARCHIVE_COLLECTION
+        ? docs.flatMap((chunk) => chunk.transactions)
+        : docs;
+  });
+  const counts = {};
+  Object.entries(collections).forEach(([collName, docs]) => {
+    counts[collName] = docs.length;
+  });
+
+  const path = require("path");
+  const file = path.join(
+    PRIVACY_EXPORT_DIR,
+    `customer-${customerId}-${generatedAt.toISOString().replace(/[:.]/g, "-")}.json`,
+  );
+  applyChange(`write ${file}`, () => {
+    const fs = require("fs");
+    fs.mkdirSync(PRIVACY_EXPORT_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(
+      file,
+      EJSON.stringify(
+        {
+          customer_id: customerId,
+          generated_at: generatedAt,
+          pii_decrypted: customers.decrypted,
+          collections,
+        },
+        null,
+        2,
+        { relaxed: true },
+      ),
+      { mode: 0o600, flag: "wx" },
+    );
+  });
+
+  const event = recordAuditEvent({
+    actor,
+    action: "customer.exported",
+    resource: `customers/${customerId}`,
+    requestId,
+    metadata: {
+      file: path.basename(file),
+      counts,
+      pii_decrypted: customers.decrypted,
+    },
+  });
+  return { file, counts, decrypted: customers.decrypted, event };
+}
+
+// Erases the customer's personal data and records a customer.erased audit
+// event. transactions_ts, the archive and relationships are kept with the
+// personal fields removed; restored copies and analytics rows are deleted and
+// risk_score_history loses its location-derived values. Updating
+// transactions_ts needs MongoDB 7.0 (arbitrary updates on time series).
+// Merged-away customers of a survivor (metadata.merged_customer_ids) are the
+// same person under another customer_id and need their own request. Returns
+// { customer, keysDeleted, transactions, archived, restoredDeleted,
+// analyticsDeleted, riskScores, mergeSnapshots, mergedCustomerIds, event }.
+function eraseCustomer(
+  customerId,
+  { actor, reason = null, requestId = null } = {},
+) {
+  if (!actor) throw new Error("eraseCustomer: actor is required");
+  const customer = db.customers.findOne({ customer_id: customerId });
+  if (!customer) throw new Error(`no customer with customer_id ${customerId}`);
+
+  const summary = { customer: "already erased" };
+  const erasedAt = customer.metadata?.erased_at ?? new Date();
+  // A repeated request keeps the pseudonym of the first run.
+  const email = customer.metadata?.erased_at
+    ? customer.personal_info.email
+    : `erased.${require("crypto").randomUUID()}@erased.invalid`;
+  if (needsErasure(customer)) {
+    summary.customer = "pseudonymized";
+    applyChange(`pseudonymize customer ${customerId}`, () => {
+      const { $set, $unset } = erasureUpdate(null, customer, {
+        email,
+        erasedAt,
+      });
+      db.customers.updateOne(
+        { customer_id: customerId },
+        {
+          $set: { ...$set, updated_at: new Date() },
+          $unset,
+          $inc: { version: 1 },
+        },
+      );
+    });
+  }
+  summary.mergedCustomerIds = customer.metadata?.merged_customer_ids ?? [];
+
+  summary.mergeSnapshots = 0;
+  [
+    ["survivor_id", "survivor_before"],
+    ["merged_id", "merged_before"],
+  ].forEach(([idField, snapshot]) => {
+    db.getCollection(PRIVACY_MERGE_LOG)
+      .find({ [idField]: customerId }, { [snapshot]: 1 })
+      .toArray()
+      .filter((merge) => merge[snapshot] && needsErasure(merge[snapshot]))
+      .forEach((merge) => {
+        summary.mergeSnapshots += 1;
+        applyChange(`pseudonymize ${snapshot} of merge ${merge._id}`, () =>
+          db
+            .getCollection(PRIVACY_MERGE_LOG)
+            .updateOne(
+              { _id: merge._id },
+              erasureUpdate(snapshot, merge[snapshot], { email, erasedAt }),
+            ),
+        );
+      });
+  });
+
+  summary.keysDeleted = deleteCsfleCustomerKey(customerId);
+
+  const withPersonalFields = {
+    customer_id: customerId,
+    $or: ERASED_TRANSACTION_FIELDS.map((field) => ({
+      [field]: { $exists: true },
+    })),
+  };
+  const $unset = {};
+  ERASED_TRANSACTION_FIELDS.forEach((field) => {
+    $unset[field] = "";
+  });
+  summary.transactions = db.transactions_ts.countDocuments(withPersonalFields);
+  if (summary.transactions) {
+    applyChange(
+      `strip ${ERASED_TRANSACTION_FIELDS.join(", ")} from ${summary.transactions} transaction(s)`,
+      () => db.transactions_ts.updateMany(withPersonalFields, { $unset }),
+    );
+  }
+
+  summary.archived = redactArchivedTransactions(customerId, (tx) => {
+    const kept = { ...tx };
+    ERASED_TRANSACTION_FIELDS.forEach((field) => delete kept[field]);
+    return kept;
+  });
+
+  summary.restoredDeleted = db
+    .getCollection(RESTORE_COLLECTION)
+    .countDocuments({ customer_id: customerId });
+  if (summary.restoredDeleted) {
+    applyChange(
+      `delete ${summary.restoredDeleted} restored transaction(s)`,
+      () =>
+        db
+          .getCollection(RESTORE_COLLECTION)
+          .deleteMany({ customer_id: customerId }),
+    );
+  }
+
+  summary.analyticsDeleted = db
+    .getCollection("customer_analytics_monthly")
+    .countDocuments({ customer_id: customerId });
+  if (summary.analyticsDeleted) {
+    applyChange(
+      `delete ${summary.analyticsDeleted} customer_analytics_monthly row(s)`,
+      () =>
+        db
+          .getCollection("customer_analytics_monthly")
+          .deleteMany({ customer_id: customerId }),
+    );
+  }
+
+  const scores = db.risk_score_history
+    .find(
+      {
+        customer_id: customerId,
+        risk_factors: {
+          $elemMatch: {
+            factor: { $in: ERASED_RISK_FACTORS },
+            value: { $ne: null },
+          },
+        },
+      },
+      { risk_factors: 1 },
+    )
+    .toArray();
+  summary.riskScores = scores.length;
+  if (scores.length) {
+    applyChange(
+      `clear ${ERASED_RISK_FACTORS.join(", ")} values of ${scores.length} risk_score_history row(s)`,
+      () =>
+        scores.forEach((score) =>
+          db.risk_score_history.updateOne(
+            { _id: score._id },
+            { $set: { risk_factors: redactedRiskFactors(score.risk_factors) } },
+          ),
+        ),
+    );
+  }
+
+  summary.event = recordAuditEvent({
+    actor,
+    action: "customer.erased",
+    resource: `customers/${customerId}`,
+    requestId,
+    metadata: {
+      ...(reason ? { reason } : {}),
+      customer: summary.customer,
+      data_keys_deleted: summary.keysDeleted,
+      transactions_anonymized: summary.transactions,
+      archived_transactions_anonymized: summary.archived.transactions,
+      restored_transactions_deleted: summary.restoredDeleted,
+      analytics_rows_deleted: summary.analyticsDeleted,
+      risk_scores_redacted: summary.riskScores,
+      merge_snapshots_pseudonymized: summary.mergeSnapshots,
+    },
+  });
+  return summary;
+}
@@ -0,0 +1,308 @@
+// Erasure against an in-memory stand-in for the mongosh `db`. The libraries
+// are mongosh scripts, so they are loaded into a vm context the way load()
+// would. Runs with Node's test runner; no server or packages are needed:
+//
+//   node --test mongodb/lib/
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { dirname, join } from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+
+const libDir = dirname(fileURLToPath(import.meta.url));
+
+function valuesAt(doc, path) {
+  return path.split(".").reduce(
+    (values, key) =>
+      values.flatMap((v) => {
+        if (Array.isArray(v) && !/^\d+$/.test(key)) {
+          return v.map((e) => e?.[key]);
+        }
+        return [v?.[key]];
+      }),
+    [doc],
+  );
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Objects built inside the vm context have that realm's prototypes.
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function matchesValue(values, condition) {
+  const isOperator =
+    condition !== null &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).every((k) => k.startsWith("$"));
+  if (!isOperator) {
+    return values.some(
+      (v) =>
+        same(v, condition) ||
+        (Array.isArray(v) && v.some((e) => same(e, condition))),
+    );
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    const present = values.filter((v) => v !== undefined);
+    switch (op) {
+      case "$exists":
+        return present.length > 0 === arg;
+      case "$in":
+        return arg.some((a) => matchesValue(values, a));
+      case "$ne":
+        return !matchesValue(values, arg);
+      case "$lt":
+        return present.some((v) => v < arg);
+      case "$elemMatch":
+        return present.some(
+          (v) => Array.isArray(v) && v.some((e) => matches(e, arg)),
+        );
+      default:
+        throw new Error(`fake db: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) =>
+    key === "$or"
+      ? condition.some((f) => matches(doc, f))
+      : matchesValue(valuesAt(doc, key), condition),
+  );
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((d, k) => (d[k] ??= {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+function applyUpdate(doc, { $set = {}, $unset = {}, $inc = {} }) {
+  Object.entries($set).forEach(([path, v]) => setPath(doc, path, v));
+  Object.keys($unset).forEach((path) => setPath(doc, path, undefined));
+  Object.entries($inc).forEach(([path, n]) =>
+    setPath(doc, path, (valuesAt(doc, path)[0] ?? 0) + n),
+  );
+}
+
+function fakeCollection(docs) {
+  const find = (filter = {}) => docs.filter((d) => matches(d, filter));
+  const cursor = (found) => ({
+    sort: () => cursor(found),
+    toArray: () => structuredClone(found),
+    forEach: (fn) => structuredClone(found).forEach(fn),
+  });
+  return {
+    docs,
+    find: (filter) => cursor(find(filter)),
+    findOne: (filter) => structuredClone(find(filter)[0] ?? null),
+    countDocuments: (filter) => find(filter).length,
+    distinct: (field, filter) => [
+      ...new Set(find(filter).flatMap((d) => valuesAt(d, field))),
+    ],
+    insertOne: (doc) => {
+      docs.push({ _id: `${docs.length + 1}`, ...doc });
+    },
+    updateOne: (filter, update) => {
+      const [doc] = find(filter);
+      if (doc) applyUpdate(doc, update);
+    },
+    updateMany: (filter, update) =>
+      find(filter).forEach((doc) => applyUpdate(doc, update)),
+    deleteMany: (filter) => {
+      const gone = find(filter);
+      gone.forEach((d) => docs.splice(docs.indexOf(d), 1));
+      return { deletedCount: gone.length };
+    },
+  };
+}
+
+function fakeDb(data) {
+  const collections = {};
+  const getCollection = (name) =>
+    (collections[name] ??= fakeCollection(data[name] ?? []));
+  return new Proxy(
+    {
+      getCollection,
+      getName: () => "customer_360",
+      getSiblingDB: () => ({ getCollection }),
+    },
+    { get: (target, name) => target[name] ?? getCollection(name) },
+  );
+}
+
+function loadPrivacy(data) {
+  const context = vm.createContext({
+    db: fakeDb(data),
+    print: () => {},
+    require: createRequire(import.meta.url),
+    process: { env: { CSFLE_MASTER_KEY_FILE: "/nonexistent/master-key.bin" } },
+    EJSON: { stringify: (value) => JSON.stringify(value) },
+    __dirname: libDir,
+  });
+  ["provisioning", "customers", "csfle", "archival", "privacy"].forEach((lib) =>
+    vm.runInContext(readFileSync(join(libDir, `${lib}.js`), "utf8"), context),
+  );
+  return context;
+}
+
+const tokyo = { type: "Point", coordinates: [139.6917, 35.6895] };
+const paris = { type: "Point", coordinates: [2.3522, 48.8566] };
+
+const travelIndicator = {
+  indicator_id: "IMPOSSIBLE_TRAVEL:tx-1-tx-2",
+  type: "IMPOSSIBLE_TRAVEL",
+  transaction_ids: ["tx-1", "tx-2"],
+  details: {
+    distance_km: 9713,
+    elapsed_minutes: 30,
+    speed_kmh: 19426,
+    from: tokyo,
+    to: paris,
+  },
+};
+
+function traveller() {
+  return {
+    _id: "c-7",
+    customer_id: 7,
+    personal_info: {
+      name: { first: "Ada", last: "Lovelace" },
+      email: "ada@example.com",
+      address: { city: "London", country: "GB" },
+    },
+    risk_score: 0.4,
+    risk_factors: [
+      { factor: "unusual_location", score: 1, weight: 0.2, value: 9713 },
+      { factor: "night_time_activity", score: 0.5, weight: 0.1, value: 0.5 },
+    ],
+    fraud_indicators: [
+      travelIndicator,
+      {
+        indicator_id: "OUT_OF_REGION:tx-2",
+        type: "OUT_OF_REGION",
+        transaction_ids: ["tx-2"],
+        details: { region: "GB", location: paris },
+      },
+    ],
+    fraud_ring_connections: [
+      { ring_id: "COMPONENT:7", type: "COMPONENT", members: [7, 8] },
+    ],
+    metadata: {},
+    version: 3,
+  };
+}
+
+function travellerData() {
+  return {
+    customers: [traveller()],
+    transactions_ts: [
+      { _id: "t-1", customer_id: 7, transaction_id: "tx-1", location: tokyo },
+      { _id: "t-2", customer_id: 7, transaction_id: "tx-2", location: paris },
+    ],
+    risk_score_history: [
+      {
+        _id: "r-1",
+        customer_id: 7,
+        risk_score: 0.4,
+        risk_factors: traveller().risk_factors,
+      },
+    ],
+    customer_analytics_monthly: [
+      { _id: { customer_id: 7, year: 2024, month: 3 }, customer_id: 7 },
+    ],
+    customer_merges: [
+      {
+        _id: "m-1",
+        survivor_id: 7,
+        merged_id: 8,
+        survivor_before: traveller(),
+      },
+    ],
+  };
+}
+
+const customerData = (data) =>
+  JSON.stringify(
+    Object.entries(data).map(([name, docs]) =>
+      name === "audit_events" ? [] : docs,
+    ),
+  );
+
+test("erasure leaves no coordinates of an impossible-travel customer", () => {
+  const data = travellerData();
+  const privacy = loadPrivacy(data);
+
+  const summary = privacy.eraseCustomer(7, { actor: "dpo@example.com" });
+
+  assert.equal(summary.customer, "pseudonymized");
+  assert.equal(summary.analyticsDeleted, 1);
+  assert.equal(summary.riskScores, 1);
+  assert.equal(summary.mergeSnapshots, 1);
+  const stored = customerData(data);
+  [...tokyo.coordinates, ...paris.coordinates].forEach((coordinate) =>
+    assert.ok(!stored.includes(String(coordinate)), `${coordinate} survived`),
+  );
+  assert.ok(!stored.includes("coordinates"));
+});
+
+test("erasure keeps indicators, scores and the retained record", () => {
+  const data = travellerData();
+  const privacy = loadPrivacy(data);
+
+  privacy.eraseCustomer(7, { actor: "dpo@example.com" });
+
+  const customer = plain(data.customers[0]);
+  assert.deepEqual(customer.fraud_indicators[0], {
+    ...travelIndicator,
+    details: { distance_km: 9713, elapsed_minutes: 30, speed_kmh: 19426 },
+  });
+  assert.deepEqual(customer.fraud_indicators[1].details, { region: "GB" });
+  assert.equal(customer.fraud_ring_connections, undefined);
+  assert.deepEqual(
+    customer.risk_factors.map((f) => [f.factor, f.score, f.value]),
+    [
+      ["unusual_location", 1, null],
+      ["night_time_activity", 0.5, 0.5],
+    ],
+  );
+  assert.equal(customer.risk_score, 0.4);
+  assert.equal(data.transactions_ts.length, 2);
+  assert.deepEqual(data.customer_analytics_monthly, []);
+  assert.equal(data.risk_score_history[0].risk_factors[0].value, null);
+  assert.equal(
+    data.customer_merges[0].survivor_before.personal_info.name.first,
+    "Erased",
+  );
+});
+
+test("erasing again finishes a customer erased before indicators were redacted", () => {
+  const data = travellerData();
+  Object.assign(data.customers[0], {
+    personal_info: {
+      name: { first: "Erased", last: "Customer" },
+      email: "erased.1@erased.invalid",
+    },
+    metadata: { erased_at: new Date("2024-01-01T00:00:00Z") },
+  });
+  const privacy = loadPrivacy(data);
+
+  const first = privacy.eraseCustomer(7, { actor: "dpo@example.com" });
+  const second = privacy.eraseCustomer(7, { actor: "dpo@example.com" });
+
+  assert.equal(first.customer, "pseudonymized");
+  assert.equal(
+    data.customers[0].personal_info.email,
+    "erased.1@erased.invalid",
+  );
+  assert.ok(!customerData(data).includes("coordinates"));
+  assert.equal(second.customer, "already erased");
+  assert.equal(second.riskScores, 0);
+  assert.equal(second.mergeSnapshots, 0);
+});
@@ -0,0 +1,290 @@
+// Idempotent provisioning helpers for mongosh scripts.
+//
+// Loaded with load(); declarations are global so the calling script and any
+// files it loads share the same dry-run flag and change counter.
+//
+// Set DRY_RUN=true (environment) or `var DRY_RUN = true` (--eval) to print the
+// planned changes without applying them.
+
+var dryRun =
+  (typeof DRY_RUN !== "undefined" && DRY_RUN === true) ||
+  process.env.DRY_RUN === "true";
+
+// Reads a setting from `var NAME = ...` (--eval) or the environment.
+function setting(name, fallback) {
+  if (typeof globalThis[name] !== "undefined") return String(globalThis[name]);
+  return process.env[name] ?? fallback;
+}
+
+function intSetting(name, fallback, min) {
+  const raw = setting(name, String(fallback));
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer >= ${min}, got "${raw}"`);
+  }
+  return value;
+}
+
+// undefined when unset, so callers can fall back to their own default.
+function dateSetting(name) {
+  const raw = setting(name, null);
+  if (raw === null) return undefined;
+  const value = new Date(raw);
+  if (Number.isNaN(value.getTime())) {
+    throw new Error(`${name} must be an ISO-8601 date, got "${raw}"`);
+  }
+  return value;
+}
+
+// Index options compared against the server; anything else (v, ns,
+// 2dsphereIndexVersion, ...) is server-managed and ignored.
+var COMPARED_INDEX_OPTIONS = [
+  "unique",
+  "sparse",
+  "expireAfterSeconds",
+  "partialFilterExpression",
+  "wildcardProjection",
+  "collation",
+  "hidden",
+  "weights",
+  "default_language",
+];
+
+// Options collMod can change in place; any other drift drops and rebuilds the index.
+var COLLMOD_INDEX_OPTIONS = ["expireAfterSeconds", "hidden"];
+
+var plannedChanges = 0;
+
+function applyChange(description, apply) {
+  plannedChanges += 1;
+  if (dryRun) {
+    print(`[dry-run] ${description}`);
+    return;
+  }
+  print(`[apply] ${description}`);
+  apply();
+}
+
+function sameValue(a, b) {
+  const normalize = (v) => (v === undefined || v === false ? null : v);
+  return EJSON.stringify(normalize(a)) === EJSON.stringify(normalize(b));
+}
+
+function collectionInfo(name, database = db) {
+  return database.getCollectionInfos({ name })[0] ?? null;
+}
+
+var VALIDATION_OPTIONS = ["validator", "validationLevel", "validationAction"];
+
+// Some server versions reject validators on time-series collections. Rather
+// than failing the whole run, provision without them and say so; the rules
+// can still be checked with countSchemaViolations().
+function runWithTimeseriesValidatorFallback(name, options, command, retry) {
+  try {
+    command();
+  } catch (err) {
+    if (!options.timeseries || options.validator === undefined) throw err;
+    print(
+      `[warn] ${name}: server rejected the validator on a time-series ` +
+        `collection (${err.message}); continuing without it`,
+    );
+    retry();
+  }
+}
+
+function withoutValidation(options) {
+  const rest = { ...options };
+  VALIDATION_OPTIONS.forEach((opt) => delete rest[opt]);
+  return rest;
+}
+
+function ensureCollection(name, options = {}) {
+  const info = collectionInfo(name);
+  if (!info) {
+    applyChange(`create collection ${name}`, () =>
+      runWithTimeseriesValidatorFallback(
+        name,
+        options,
+        () => db.createCollection(name, options),
+        () => db.createCollection(name, withoutValidation(options)),
+      ),
+    );
+    return;
+  }
+
+  const current = info.options ?? {};
+  const mod = {};
+
+  if (options.validator !== undefined) {
+    if (!sameValue(current.validator, options.validator)) {
+      mod.validator = options.validator;
+    }
+    const level = options.validationLevel ?? "strict";
+    const action = options.validationAction ?? "error";
+    if ((current.validationLevel ?? "strict") !== level) {
+      mod.validationLevel = level;
+    }
+    if ((current.validationAction ?? "error") !== action) {
+      mod.validationAction = action;
+    }
+  }
+
+  if (
+    options.expireAfterSeconds !== undefined &&
+    Number(current.expireAfterSeconds) !== options.expireAfterSeconds
+  ) {
+    mod.expireAfterSeconds = options.expireAfterSeconds;
+  }
+
+  if (
+    options.changeStreamPreAndPostImages !== undefined &&
+    Boolean(current.changeStreamPreAndPostImages?.enabled) !==
+      options.changeStreamPreAndPostImages.enabled
+  ) {
+    mod.changeStreamPreAndPostImages = options.changeStreamPreAndPostImages;
+  }
+
+  if (options.timeseries) {
+    const ts = current.timeseries ?? {};
+    if (
+      ts.timeField !== options.timeseries.timeField ||
+      ts.metaField !== options.timeseries.metaField
+    ) {
+      print(
+        `[warn] ${name}: timeField/metaField differ from the definition; ` +
+          "they cannot be changed in place, recreate the collection",
+      );
+    } else if (ts.granularity !== options.timeseries.granularity) {
+      mod.timeseries = { granularity: options.timeseries.granularity };
+    }
+  }
+
+  if (Object.keys(mod).length === 0) return;
+  applyChange(
+    `update collection ${name} (${Object.keys(mod).join(", ")})`,
+    () =>
+      runWithTimeseriesValidatorFallback(
+        name,
+        options,
+        () => db.runCommand({ collMod: name, ...mod }),
+        () => {
+          const rest = withoutValidation(mod);
+          if (Object.keys(rest).length === 0) return;
+          db.runCommand({ collMod: name, ...rest });
+        },
+      ),
+  );
+}
+
+// Counts documents that do not match a validator's $jsonSchema. Validators
+// with validationLevel "moderate" leave pre-existing invalid documents alone,
+// so this is how drift in existing data is surfaced.
+function countSchemaViolations(collName, { validator }) {
+  if (!collectionInfo(collName)) return 0;
+  return db.getCollection(collName).countDocuments({ $nor: [validator] });
+}
+
+// Text indexes are stored under { _fts: "text", _ftsx: 1 } whatever their
+// fields, and a collection has at most one, so they are matched by type; the
+// indexed fields show up in `weights`.
+function findIndex(existing, key) {
+  if (Object.values(key).includes("text")) {
+    return existing.find((index) => index.key._fts === "text");
+  }
+  return existing.find((index) => sameValue(index.key, key));
+}
+
+// `database` defaults to the shell's db; pass db.getSiblingDB(...) for
+// collections kept elsewhere, such as the CSFLE key vault.
+function ensureIndexes(collName, specs, database = db) {
+  const coll = database.getCollection(collName);
+  const existing = collectionInfo(collName, database) ? coll.getIndexes() : [];
+  const prefix = database === db ? "" : `${database.getName()}.`;
+
+  specs.forEach(({ key, options = {} }) => {
+    const label = `${prefix}${collName} ${EJSON.stringify(key)}`;
+    const current = findIndex(existing, key);
+
+    if (!current) {
+      applyChange(`create index ${label}`, () =>
+        coll.createIndex(key, options),
+      );
+      return;
+    }
+
+    const drifted = COMPARED_INDEX_OPTIONS.filter(
+      (opt) => !sameValue(current[opt], options[opt]),
+    );
+    if (drifted.length === 0) return;
+
+    const inPlace = drifted.every(
+      (opt) =>
+        COLLMOD_INDEX_OPTIONS.includes(opt) &&
+        (opt === "hidden" || options[opt] !== undefined),
+    );
+    if (inPlace) {
+      const index = { keyPattern: key };
+      drifted.forEach((opt) => {
+        index[opt] = options[opt] ?? false;
+      });
+      applyChange(`update index ${label} (${drifted.join(", ")})`, () =>
+        database.runCommand({ collMod: collName, index }),
+      );
+      return;
+    }
+
+    applyChange(`rebuild index ${label} (${drifted.join(", ")})`, () => {
+      coll.dropIndex(current.name);
+      coll.createIndex(key, options);
+    });
+  });
+}
+
+// Atlas Search indexes for collName, or null when the deployment has no
+// Atlas Search (community / enterprise servers reject the command).
+function searchIndexes(collName) {
+  try {
+    return db.getCollection(collName).getSearchIndexes();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Creates or updates an Atlas Search index. Returns false, changing nothing,
+// when Atlas Search is not available.
+function ensureSearchIndex(collName, { name, definition }) {
+  const existing = searchIndexes(collName);
+  if (existing === null) {
+    print(
+      `[skip] ${collName} search index ${name}: Atlas Search is not available`,
+    );
+    return false;
+  }
+  const current = existing.find((index) => index.name === name);
+  if (!current) {
+    applyChange(`create search index ${collName} ${name}`, () =>
+      db.getCollection(collName).createSearchIndex(name, definition),
+    );
+  } else if (!sameValue(current.latestDefinition, definition)) {
+    applyChange(`update search index ${collName} ${name}`, () =>
+      db.getCollection(collName).updateSearchIndex(name, definition),
+    );
+  }
+  return true;
+}
+
+function seedDocument(collName, keyFields, doc) {
+  const filter = {};
+  keyFields.forEach((field) => {
+    filter[field] = doc[field];
+  });
+  const coll = db.getCollection(collName);
+  if (coll.countDocuments(filter, { limit: 1 }) > 0) return;
+  applyChange(`insert ${collName} ${EJSON.stringify(filter)}`, () =>
+    coll.insertOne(doc),
+  );
+}
+
+function seedDocuments(collName, keyFields, docs) {
+  docs.forEach((doc) => seedDocument(collName, keyFields, doc));
+}
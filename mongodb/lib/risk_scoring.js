@@ -0,0 +1,294 @@
+// Rule-based risk scoring for customers.risk_score and risk_factors.
+//
+// Loaded with load() after lib/provisioning.js (applyChange), lib/customers.js
+// (forEachCustomerBatch, DAY_MS) and lib/geo.js (haversineKm, centroid).
+// Each factor scores 0-1 from the customer's transactions_ts rows; risk_score
+// is their weighted sum. A customer is only written when the score or a factor
+// changed, and every write appends the old and new score to
+// risk_score_history for audit.
+//
+//   high_transaction_volume  transactions in the last 24 hours / velocityLimit
+//   amount_deviation         largest recent amount vs behavior.avg_transaction_amount
+//   unusual_location         furthest recent transaction from the 30-90 day centroid
+//   night_time_activity      share of recent transactions 00:00-05:00 local time
+//   high_fraud_score         highest recent transactions_ts.fraud_score
+//
+// "Recent" is the last 30 days before asOf.
+
+var RISK_MODEL = "rules-v1";
+
+var RISK_WEIGHTS = {
+  high_transaction_volume: 0.2,
+  amount_deviation: 0.25,
+  unusual_location: 0.2,
+  night_time_activity: 0.1,
+  high_fraud_score: 0.25,
+};
+
+var RISK_RULES = {
+  velocityHours: 24,
+  velocityLimit: 20,
+  // A recent amount this many times the customer's average scores 1.
+  deviationCap: 10,
+  distanceCapKm: 1000,
+  nightEndHour: 5,
+  recentDays: 30,
+  baselineDays: 90,
+  // Factors scoring below this are not listed in risk_factors.
+  minFactorScore: 0.05,
+};
+
+var RISK_BATCH_SIZE = 200;
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function localHour(date, timeZone) {
+  const hour = new Intl.DateTimeFormat("en-US", {
+    hour: "numeric",
+    hourCycle: "h23",
+    timeZone: timeZone ?? "UTC",
+  }).format(date);
+  return Number(hour);
+}
+
+// One aggregation per batch; returns Map(customer_id string -> activity).
+function riskActivity(customerIds, asOf) {
+  const ago = (ms) => new Date(asOf.getTime() - ms);
+  const recentStart = ago(RISK_RULES.recentDays * DAY_MS);
+  const recent = { $gte: ["$timestamp", recentStart] };
+
+  const rows = db
+    .getCollection("transactions_ts")
+    .aggregate([
+      {
+        $match: {
+          customer_id: { $in: customerIds },
+          timestamp: {
+            $gte: ago(RISK_RULES.baselineDays * DAY_MS),
+            $lte: asOf,
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$customer_id",
+          velocity: {
+            $sum: {
+              $cond: [
+                {
+                  $gte: [
+                    "$timestamp",
+                    ago(RISK_RULES.velocityHours * 3600 * 1000),
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          max_amount: {
+            $max: {
+              $cond: [recent, { $abs: { $toDecimal: "$amount" } }, null],
+            },
+          },
+          max_fraud_score: { $max: { $cond: [recent, "$fraud_score", null] } },
+          recent_times: {
+            $push: { $cond: [recent, "$timestamp", "$$REMOVE"] },
+          },
+          recent_points: {
+            $push: {
+              $cond: [
+                { $and: [recent, "$location.coordinates"] },
+                "$location.coordinates",
+                "$$REMOVE",
+              ],
+            },
+          },
+          baseline_points: {
+            $push: {
+              $cond: [
+                { $and: [{ $not: [recent] }, "$location.coordinates"] },
+                "$location.coordinates",
+                "$$REMOVE",
+              ],
+            },
+          },
+        },
+      },
+    ])
+    .toArray();
+  return new Map(rows.map((row) => [String(row._id), row]));
+}
+
+// Returns [{ factor, score, value }] for every rule, unweighted.
+function riskFactorScores(customer, activity) {
+  const avg = Number(customer.behavior?.avg_transaction_amount?.toString());
+  const maxAmount = activity?.max_amount
+    ? Number(activity.max_amount.toString())
+    : null;
+  const ratio = avg > 0 && maxAmount !== null ? maxAmount / avg : null;
+
+  const home = centroid(activity?.baseline_points ?? []);
+  const distance =
+    home && activity.recent_points.length
+      ? Math.max(...activity.recent_points.map((p) => haversineKm(home, p)))
+      : null;
+
+  const times = activity?.recent_times ?? [];
+  const nightShare = times.length
+    ? times.filter(
+        (t) =>
+          localHour(t, customer.preferences?.timezone) <
+          RISK_RULES.nightEndHour,
+      ).length / times.length
+    : null;
+
+  const velocity = activity?.velocity ?? 0;
+  const fraudScore = activity?.max_fraud_score ?? null;
+
+  return [
+    {
+      factor: "high_transaction_volume",
+      score: clamp01(velocity / RISK_RULES.velocityLimit),
+      value: velocity,
+    },
+    {
+      factor: "amount_deviation",
+      score:
+        ratio === null
+          ? 0
+          : clamp01((ratio - 1) / (RISK_RULES.deviationCap - 1)),
+      value: ratio === null ? null : round3(ratio),
+    },
+    {
+      factor: "unusual_location",
+      score:
+        distance === null ? 0 : clamp01(distance / RISK_RULES.distanceCapKm),
+      value: distance === null ? null : Math.round(distance),
+    },
+    {
+      factor: "night_time_activity",
+      score: nightShare ?? 0,
+      value: nightShare === null ? null : round3(nightShare),
+    },
+    {
+      factor: "high_fraud_score",
+      score: clamp01(fraudScore ?? 0),
+      value: fraudScore,
+    },
+  ];
+}
+
+// Returns { risk_score, risk_factors } for one customer. Factors that were
+// already present keep their original detected_at.
+function scoreCustomer(customer, activity, computedAt) {
+  const previous = new Map(
+    (customer.risk_factors ?? []).map((f) => [f.factor, f.detected_at]),
+  );
+  const scores = riskFactorScores(customer, activity);
+  const riskScore = round3(
+    scores.reduce((sum, f) => sum + RISK_WEIGHTS[f.factor] * f.score, 0),
+  );
+  return {
+    risk_score: riskScore,
+    risk_factors: scores
+      .filter((f) => f.score >= RISK_RULES.minFactorScore)
+      .map((f) => ({
+        factor: f.factor,
+        score: round3(f.score),
+        weight: RISK_WEIGHTS[f.factor],
+        value: f.value,
+        detected_at: previous.get(f.factor) ?? computedAt,
+      })),
+  };
+}
+
+function sameFactors(a = [], b = []) {
+  const key = (factors) =>
+    factors.map((f) => `${f.factor}:${f.score}`).join(",");
+  return key(a) === key(b);
+}
+
+function scoreBatch(customers, asOf, summary) {
+  const activity = riskActivity(
+    customers.map((c) => c.customer_id),
+    asOf,
+  );
+  customers.forEach((customer) => {
+    summary.scanned += 1;
+    const computedAt = new Date();
+    const result = scoreCustomer(
+      customer,
+      activity.get(String(customer.customer_id)),
+      computedAt,
+    );
+    if (
+      result.risk_score === customer.risk_score &&
+      sameFactors(result.risk_factors, customer.risk_factors)
+    ) {
+      return;
+    }
+
+    applyChange(
+      `risk_score ${customer.customer_id}: ${customer.risk_score ?? "-"} -> ${result.risk_score}`,
+      () => {
+        const res = db.customers.updateOne(
+          { _id: customer._id, version: customer.version ?? null },
+          {
+            $set: { ...result, updated_at: computedAt },
+            $inc: { version: 1 },
+          },
+        );
+        if (res.matchedCount === 0) {
+          summary.conflicts.push(customer.customer_id);
+          return;
+        }
+        db.risk_score_history.insertOne({
+          customer_id: customer.customer_id,
+          risk_score: result.risk_score,
+          previous_score: customer.risk_score ?? null,
+          risk_factors: result.risk_factors,
+          model: RISK_MODEL,
+          computed_at: computedAt,
+        });
+        summary.changed.push({
+          customer_id: customer.customer_id,
+          previous_score: customer.risk_score ?? null,
+          risk_score: result.risk_score,
+        });
+      },
+    );
+  });
+}
+
+// Scores the given customers (customer_id values) or, without customerIds,
+// every customer in batches ordered by customer_id. `asOf` anchors the time
+// windows (default now). Returns { scanned, changed, conflicts } like
+// refreshCustomerSummaries(); customers modified mid-run are left for the
+// next run.
+function scoreCustomers({
+  customerIds = null,
+  batchSize = RISK_BATCH_SIZE,
+  asOf = new Date(),
+} = {}) {
+  const summary = { scanned: 0, changed: [], conflicts: [] };
+  const projection = {
+    customer_id: 1,
+    risk_score: 1,
+    risk_factors: 1,
+    "behavior.avg_transaction_amount": 1,
+    "preferences.timezone": 1,
+    version: 1,
+  };
+
+  forEachCustomerBatch({ customerIds, batchSize, projection }, (batch) =>
+    scoreBatch(batch, asOf, summary),
+  );
+  return summary;
+}
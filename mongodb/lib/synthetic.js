@@ -0,0 +1,931 @@
+// Deterministic synthetic customers and transactions for load and index
+// testing.
+//
+// Loaded with load() after lib/provisioning.js (applyChange, dryRun),
+// lib/customers.js (DAY_MS) and lib/csfle.js (encryptCustomerPii). Everything
+// is drawn from a PRNG seeded with `${seed}:<stream>`, one stream per
+// customer plus one for the cross-customer plan, so the same settings produce
+// the same documents whatever the batch size.
+//
+// Customer n (1-based) gets customer_id idBase + n; its accounts are
+// customer_id * 10 + i and its transactions customer_id * 1e6 + sequence, in
+// timestamp order. Balances start from an opening balance at `since` and
+// every transaction's balance_after follows from the previous one, so the
+// final balance_after of an account equals accounts[].balance.
+//
+// Injected patterns, marked with metadata.injected_pattern on the
+// transactions (and transaction_relationships.metadata) involved so detection
+// recall can be measured:
+//
+//   FRAUD_RING         ringSize customers transferring a similar amount round
+//                      a cycle within windowHours (findTransferCycles)
+//   IMPOSSIBLE_TRAVEL  a card payment abroad shortly after one at home
+//                      (findImpossibleTravel)
+//
+// P2P transfers between random customers are added as background edges for
+// the graph queries.
+
+var SYNTHETIC_DEFAULTS = {
+  seed: "polyglot",
+  customers: 1000,
+  transactionsPerCustomer: 100,
+  days: 365,
+  batchSize: 200,
+  idBase: 1000000000,
+  ringSize: 3,
+  // Rings must close within fraud_rings.js RING_DEFAULTS.windowHours.
+  ringWindowHours: 48,
+};
+
+var SYNTHETIC_TRANSACTION_ID_FACTOR = 1000000;
+
+var SYNTHETIC_FIRST_NAMES = (
+  "James Mary Robert Patricia John Jennifer Michael Linda David Elizabeth " +
+  "William Barbara Richard Susan Joseph Jessica Thomas Sarah Carlos Karen " +
+  "Daniel Maria Matthew Nancy Anthony Lisa Wei Aisha Hiroshi Priya"
+).split(" ");
+
+var SYNTHETIC_LAST_NAMES = (
+  "Smith Johnson Williams Brown Jones Garcia Miller Davis Rodriguez " +
+  "Martinez Hernandez Lopez Gonzalez Wilson Anderson Thomas Taylor Moore " +
+  "Jackson Martin Lee Perez Thompson White Harris Chen Nguyen Patel Kim Okafor"
+).split(" ");
+
+var SYNTHETIC_STREETS = [
+  "Main Street",
+  "Oak Avenue",
+  "Maple Drive",
+  "Cedar Lane",
+  "Park Avenue",
+  "Elm Street",
+  "Washington Boulevard",
+  "Lake Road",
+  "Hillcrest Drive",
+  "Sunset Boulevard",
+];
+
+// [city, state, postal code, timezone, [longitude, latitude]]. Mostly in
+// states with a geo_regions boundary in the demo seed; the rest fall back to
+// the US boundary.
+var SYNTHETIC_CITIES = [
+  ["New York", "NY", "10001", "America/New_York", [-74.006, 40.7128]],
+  ["Buffalo", "NY", "14202", "America/New_York", [-78.8784, 42.8864]],
+  ["Los Angeles", "CA", "90012", "America/Los_Angeles", [-118.2437, 34.0522]],
+  ["San Francisco", "CA", "94103", "America/Los_Angeles", [-122.4194, 37.7749]],
+  ["San Diego", "CA", "92101", "America/Los_Angeles", [-117.1611, 32.7157]],
+  ["Chicago", "IL", "60601", "America/Chicago", [-87.6298, 41.8781]],
+  ["Springfield", "IL", "62701", "America/Chicago", [-89.6501, 39.7817]],
+  ["Houston", "TX", "77002", "America/Chicago", [-95.3698, 29.7604]],
+  ["Austin", "TX", "78701", "America/Chicago", [-97.7431, 30.2672]],
+  ["Dallas", "TX", "75201", "America/Chicago", [-96.797, 32.7767]],
+  ["Phoenix", "AZ", "85004", "America/Phoenix", [-112.074, 33.4484]],
+  ["Tucson", "AZ", "85701", "America/Phoenix", [-110.9747, 32.2226]],
+  ["Seattle", "WA", "98101", "America/Los_Angeles", [-122.3321, 47.6062]],
+  ["Miami", "FL", "33130", "America/New_York", [-80.1918, 25.7617]],
+  ["Denver", "CO", "80202", "America/Denver", [-104.9903, 39.7392]],
+].map(([city, state, postal, timezone, coordinates]) => ({
+  city,
+  state,
+  postal,
+  timezone,
+  coordinates,
+}));
+
+// Where injected impossible-travel payments happen.
+var SYNTHETIC_FOREIGN_CITIES = [
+  { city: "London", coordinates: [-0.1276, 51.5072] },
+  { city: "Lagos", coordinates: [3.3792, 6.5244] },
+  { city: "Singapore", coordinates: [103.8198, 1.3521] },
+  { city: "Sydney", coordinates: [151.2093, -33.8688] },
+  { city: "Sao Paulo", coordinates: [-46.6333, -23.5505] },
+  { city: "Moscow", coordinates: [37.6173, 55.7558] },
+  { city: "Dubai", coordinates: [55.2708, 25.2048] },
+];
+
+// [merchant_id, name, category, typical payment in dollars, relative
+// frequency]
+var SYNTHETIC_MERCHANTS = [
+  [1001, "Amazon.com", "shopping", 45, 12],
+  [1002, "Starbucks", "dining", 7, 14],
+  [1003, "Walmart", "groceries", 65, 12],
+  [1004, "Whole Foods Market", "groceries", 80, 7],
+  [1005, "Kroger", "groceries", 55, 8],
+  [1006, "Uber", "transport", 22, 8],
+  [1007, "Shell", "transport", 48, 7],
+  [1008, "Netflix", "entertainment", 15, 3],
+  [1009, "AMC Theatres", "entertainment", 30, 3],
+  [1010, "Con Edison", "utilities", 110, 3],
+  [1011, "Verizon", "utilities", 85, 3],
+  [1012, "Chipotle", "dining", 14, 8],
+  [1013, "Target", "shopping", 55, 7],
+  [1014, "Delta Air Lines", "travel", 380, 1],
+  [1015, "Marriott", "travel", 240, 1],
+  [1016, "CVS Pharmacy", "health", 25, 5],
+].map(([merchant_id, name, category, typical, weight]) => ({
+  merchant_id,
+  name,
+  category,
+  typical,
+  weight,
+}));
+
+var SYNTHETIC_FOREIGN_MERCHANT = {
+  merchant_id: 1900,
+  name: "Duty Free International",
+  category: "travel",
+  typical: 320,
+};
+
+// Kinds of regular (non-injected) transaction and how often they occur.
+var SYNTHETIC_TRANSACTION_MIX = [
+  ["PAYMENT", 70],
+  ["WITHDRAWAL", 8],
+  ["DEPOSIT", 10],
+  ["TRANSFER", 6],
+  ["FEE", 3],
+  ["INTEREST", 3],
+];
+
+// sfc32 seeded from SHA-256 of `${seed}:${stream}`.
+function syntheticRng(seed, stream) {
+  const hash = require("crypto")
+    .createHash("sha256")
+    .update(`${seed}:${stream}`)
+    .digest();
+  let [a, b, c, d] = [0, 4, 8, 12].map((i) => hash.readUInt32LE(i));
+  const next = () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  const rng = {
+    next,
+    // Integer in [min, max].
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (p) => next() < p,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    weighted: (entries) => {
+      const total = entries.reduce((sum, [, w]) => sum + w, 0);
+      let r = next() * total;
+      for (const [value, w] of entries) {
+        r -= w;
+        if (r < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+    // Standard normal (Box-Muller).
+    normal: () =>
+      Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+    digits: (n) =>
+      Array.from({ length: n }, () => Math.floor(next() * 10)).join(""),
+  };
+  return rng;
+}
+
+// Integer cents -> NumberDecimal dollars, without floating-point rounding.
+function centsDecimal(cents) {
+  const abs = Math.abs(cents);
+  return NumberDecimal(
+    `${cents < 0 ? "-" : ""}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, "0")}`,
+  );
+}
+
+// Log-normal amount around `typical` dollars, in cents, at least $1.
+function syntheticAmountCents(rng, typical, spread = 0.6) {
+  return Math.max(
+    100,
+    Math.round(typical * 100 * Math.exp(spread * rng.normal())),
+  );
+}
+
+function jitter(rng, [lon, lat], degrees = 0.08) {
+  const round = (v) => Math.round(v * 1e5) / 1e5;
+  return [
+    round(lon + (rng.next() * 2 - 1) * degrees),
+    round(lat + (rng.next() * 2 - 1) * degrees),
+  ];
+}
+
+// Cross-customer transfers, planned up front from the "plan" stream so both
+// sides agree on them. Ring members are distinct across rings. Returns a Map
+// of customer index -> legs
+// { timestamp, cents, direction: "out" | "in", counterpart, pattern, group }.
+function planSyntheticTransfers({
+  seed,
+  customers,
+  since,
+  until,
+  fraudRings,
+  ringSize,
+  ringWindowHours,
+  p2pTransfers,
+}) {
+  const rng = syntheticRng(seed, "plan");
+  const legs = new Map();
+  const add = (n, leg) => {
+    if (!legs.has(n)) legs.set(n, []);
+    legs.get(n).push(leg);
+  };
+  const span = until.getTime() - since.getTime();
+  const transfer = (from, to, timestamp, cents, pattern, group) => {
+    add(from, {
+      timestamp,
+      cents,
+      direction: "out",
+      counterpart: to,
+      pattern,
+      group,
+    });
+    add(to, {
+      timestamp,
+      cents,
+      direction: "in",
+      counterpart: from,
+      pattern,
+      group,
+    });
+  };
+
+  const ringMembers = new Set();
+  for (let r = 1; r <= fraudRings; r += 1) {
+    const members = [];
+    while (members.length < ringSize) {
+      const n = rng.int(1, customers);
+      if (!members.includes(n) && !ringMembers.has(n)) members.push(n);
+    }
+    members.forEach((n) => ringMembers.add(n));
+
+    const windowMs = ringWindowHours * 3600 * 1000;
+    let t = since.getTime() + Math.floor(rng.next() * (span - windowMs));
+    const hopMs = Math.floor(windowMs / ringSize);
+    // Each hop keeps a 1-3% "fee", as mules usually do.
+    let cents = rng.int(2000, 9000) * 100;
+    members.forEach((from, i) => {
+      t += rng.int(Math.floor(hopMs / 4), hopMs);
+      transfer(
+        from,
+        members[(i + 1) % ringSize],
+        new Date(t),
+        cents,
+        "FRAUD_RING",
+        `ring-${r}`,
+      );
+      cents = Math.round(cents * (1 - rng.int(1, 3) / 100));
+    });
+  }
+
+  for (let p = 1; p <= p2pTransfers; p += 1) {
+    const from = rng.int(1, customers);
+    let to = rng.int(1, customers - 1);
+    if (to >= from) to += 1;
+    transfer(
+      from,
+      to,
+      new Date(since.getTime() + Math.floor(rng.next() * span)),
+      rng.int(10, 500) * 100,
+      null,
+      `p2p-${p}`,
+    );
+  }
+  return legs;
+}
+
+// Customer indexes that get an injected impossible-travel payment.
+function planSyntheticTravel({ seed, customers, impossibleTravel }) {
+  const rng = syntheticRng(seed, "travel");
+  const chosen = new Set();
+  while (chosen.size < Math.min(impossibleTravel, customers)) {
+    chosen.add(rng.int(1, customers));
+  }
+  return chosen;
+}
+
+function topEntries(counts, limit) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit);
+}
+
+// One customer with its transactions_ts and transaction_relationships
+// documents: { customer, transactions, relationships }.
+function syntheticCustomer(n, options) {
+  const {
+    seed,
+    idBase,
+    since,
+    until,
+    transactionsPerCustomer,
+    plan,
+    travellers,
+    encryptPii,
+  } = options;
+  const rng = syntheticRng(seed, `customer:${n}`);
+  const customerId = idBase + n;
+  const customerIdOf = (index) => NumberLong(idBase + index);
+  const home = rng.pick(SYNTHETIC_CITIES);
+
+  // ---- Profile ------------------------------------------------------------
+  const first = rng.pick(SYNTHETIC_FIRST_NAMES);
+  const middle = rng.chance(0.4) ? rng.pick(SYNTHETIC_FIRST_NAMES) : null;
+  const last = rng.pick(SYNTHETIC_LAST_NAMES);
+  const createdAt = new Date(
+    since.getTime() - rng.int(30, 8 * 365) * DAY_MS - rng.int(0, DAY_MS - 1),
+  );
+  // Drawn whether or not they are encrypted, so ENCRYPT_PII does not change
+  // the rest of the document.
+  const pii = {
+    ssn: `9${rng.digits(2)}-${rng.digits(2)}-${rng.digits(4)}`,
+    date_of_birth: new Date(
+      Date.UTC(
+        until.getUTCFullYear() - rng.int(18, 85),
+        rng.int(0, 11),
+        rng.int(1, 28),
+      ),
+    ),
+    drivers_license: `${home.state}${rng.digits(9)}`,
+  };
+  const devices = Array.from({ length: rng.int(1, 2) }, (_, i) => {
+    const mobile = rng.chance(0.7);
+    return {
+      device_id: `syn-${customerId}-${i + 1}`,
+      device_type: mobile ? "mobile" : "web",
+      os: mobile
+        ? rng.pick(["iOS", "Android"])
+        : rng.pick(["Windows", "macOS"]),
+      app_version: mobile ? `2.${rng.int(0, 9)}.${rng.int(0, 9)}` : null,
+    };
+  });
+  const salaryCents = rng.int(1500, 6000) * 100;
+
+  // ---- Accounts -----------------------------------------------------------
+  const accounts = [
+    {
+      account_id: customerId * 10 + 1,
+      type: "CHECKING",
+      cents: rng.int(500, 8000) * 100,
+      opened: createdAt,
+    },
+  ];
+  if (rng.chance(0.6)) {
+    accounts.push({
+      account_id: customerId * 10 + 2,
+      type: "SAVINGS",
+      cents: rng.int(1000, 50000) * 100,
+      opened: new Date(createdAt.getTime() + rng.int(0, 365) * DAY_MS),
+    });
+  }
+  accounts.forEach((a) => {
+    a.lastTransaction = null;
+  });
+  const [checking, savings = null] = accounts;
+
+  // ---- Events, in time order ----------------------------------------------
+  const span = until.getTime() - since.getTime();
+  const events = [];
+  for (let i = 0; i < transactionsPerCustomer; i += 1) {
+    events.push({
+      timestamp: new Date(since.getTime() + Math.floor(rng.next() * span)),
+      kind: rng.weighted(SYNTHETIC_TRANSACTION_MIX),
+    });
+  }
+  (plan.get(n) ?? []).forEach((leg) =>
+    events.push({ timestamp: leg.timestamp, kind: "LEG", leg }),
+  );
+  if (travellers.has(n) && transactionsPerCustomer > 0) {
+    const after =
+      rng.pick(events.filter((e) => e.kind === "PAYMENT")) ?? events[0];
+    events.push({
+      timestamp: new Date(
+        after.timestamp.getTime() + rng.int(30, 180) * 60 * 1000,
+      ),
+      kind: "TRAVEL",
+    });
+  }
+  events.forEach((e, i) => {
+    e.order = i;
+  });
+  events.sort((a, b) => a.timestamp - b.timestamp || a.order - b.order);
+
+  // ---- Transactions ---------------------------------------------------------
+  const transactions = [];
+  const relationships = [];
+  let sequence = 0;
+  const record = (
+    account,
+    e,
+    {
+      type,
+      cents,
+      description,
+      merchant = null,
+      status = "COMPLETED",
+      location,
+      pattern = null,
+      extra = {},
+    },
+  ) => {
+    sequence += 1;
+    if (status === "COMPLETED") account.cents += cents;
+    account.lastTransaction = e.timestamp;
+    const device = rng.pick(devices);
+    const doc = {
+      timestamp: e.timestamp,
+      customer_id: NumberLong(customerId),
+      transaction_id: NumberLong(
+        customerId * SYNTHETIC_TRANSACTION_ID_FACTOR + sequence,
+      ),
+      account_id: NumberLong(account.account_id),
+      transaction_type: type,
+      amount: centsDecimal(cents),
+      balance_after: centsDecimal(account.cents),
+      currency: "USD",
+      description,
+      merchant_id: merchant ? NumberLong(merchant.merchant_id) : null,
+      status,
+      fraud_score: pattern
+        ? Math.round((0.3 + rng.next() * 0.6) * 100) / 100
+        : Math.round(rng.next() * 0.25 * 100) / 100,
+      location: {
+        type: "Point",
+        coordinates: location ?? jitter(rng, home.coordinates),
+      },
+      device_info: device,
+      metadata: {
+        ip_address: `10.${rng.int(0, 255)}.${rng.int(0, 255)}.${rng.int(1, 254)}`,
+        session_id: `syn-session-${rng.digits(12)}`,
+        source: "synthetic",
+        ...(pattern ? { injected_pattern: pattern } : {}),
+        ...extra,
+      },
+    };
+    transactions.push({ doc, cents, merchant });
+    return doc;
+  };
+  // Cash deposit making room for a debit larger than the balance.
+  const cover = (account, e, cents) => {
+    if (account.cents >= cents) return;
+    record(account, e, {
+      type: "DEPOSIT",
+      cents: cents - account.cents + rng.int(0, 200) * 100,
+      description: "Cash deposit",
+    });
+  };
+
+  events.forEach((e) => {
+    if (e.kind === "LEG") {
+      const { leg } = e;
+      const counterpart = customerIdOf(leg.counterpart);
+      const extra = {
+        transfer_group: leg.group,
+        counterparty_customer_id: counterpart,
+      };
+      if (leg.direction === "in") {
+        record(checking, e, {
+          type: "TRANSFER",
+          cents: leg.cents,
+          description: "Transfer received",
+          pattern: leg.pattern,
+          extra,
+        });
+        return;
+      }
+      cover(checking, e, leg.cents);
+      const doc = record(checking, e, {
+        type: "TRANSFER",
+        cents: -leg.cents,
+        description: "Transfer sent",
+        pattern: leg.pattern,
+        extra,
+      });
+      relationships.push({
+        transaction_id: doc.transaction_id,
+        customer_id: NumberLong(customerId),
+        related_customer_id: counterpart,
+        relationship_type: "TRANSFER",
+        amount: centsDecimal(leg.cents),
+        timestamp: e.timestamp,
+        flagged: false,
+        fraud_score: doc.fraud_score,
+        metadata: {
+          detected_at: e.timestamp,
+          detection_method: "synthetic",
+          ...(leg.pattern
+            ? { injected_pattern: leg.pattern, ring: leg.group }
+            : {}),
+        },
+      });
+      return;
+    }
+
+    if (e.kind === "TRAVEL") {
+      const merchant = SYNTHETIC_FOREIGN_MERCHANT;
+      const cents = syntheticAmountCents(rng, merchant.typical);
+      cover(checking, e, cents);
+      record(checking, e, {
+        type: "PAYMENT",
+        cents: -cents,
+        description: `Payment to ${merchant.name}`,
+        merchant,
+        location: jitter(
+          rng,
+          rng.pick(SYNTHETIC_FOREIGN_CITIES).coordinates,
+          0.02,
+        ),
+        pattern: "IMPOSSIBLE_TRAVEL",
+      });
+      return;
+    }
+
+    const debit = (account, cents, fields) => {
+      // Never overdrawn: an unaffordable debit becomes the next payroll.
+      if (account.cents < cents) {
+        record(checking, e, {
+          type: "DEPOSIT",
+          cents: salaryCents,
+          description: "Payroll deposit",
+        });
+        return;
+      }
+      record(account, e, { cents: -cents, ...fields });
+    };
+    switch (e.kind) {
+      case "PAYMENT": {
+        const merchant = rng.weighted(
+          SYNTHETIC_MERCHANTS.map((m) => [m, m.weight]),
+        );
+        debit(checking, syntheticAmountCents(rng, merchant.typical), {
+          type: "PAYMENT",
+          description: `Payment to ${merchant.name}`,
+          merchant,
+          status: rng.chance(0.01) ? "FAILED" : "COMPLETED",
+        });
+        break;
+      }
+      case "WITHDRAWAL":
+        debit(checking, rng.int(1, 20) * 2000, {
+          type: "WITHDRAWAL",
+          description: "ATM withdrawal",
+        });
+        break;
+      case "DEPOSIT":
+        record(checking, e, {
+          type: "DEPOSIT",
+          cents: Math.round(salaryCents * (0.95 + rng.next() * 0.1)),
+          description: "Payroll deposit",
+        });
+        break;
+      case "TRANSFER": {
+        if (!savings) {
+          debit(checking, rng.int(20, 300) * 100, {
+            type: "TRANSFER",
+            description: "Transfer to external account",
+          });
+          break;
+        }
+        const cents = rng.int(50, 1000) * 100;
+        if (checking.cents < cents) break;
+        record(checking, e, {
+          type: "TRANSFER",
+          cents: -cents,
+          description: "Transfer to savings",
+        });
+        record(savings, e, {
+          type: "TRANSFER",
+          cents,
+          description: "Transfer from checking",
+        });
+        break;
+      }
+      case "FEE":
+        debit(checking, rng.pick([500, 1200, 2500, 3500]), {
+          type: "FEE",
+          description: "Monthly account fee",
+        });
+        break;
+      case "INTEREST": {
+        const account = savings ?? checking;
+        record(account, e, {
+          type: "INTEREST",
+          cents: Math.max(1, Math.round(account.cents * 0.0004)),
+          description: "Interest payment",
+        });
+        break;
+      }
+    }
+  });
+
+  // ---- Summaries derived from the transactions -----------------------------
+  const age = (d) => until.getTime() - d.getTime();
+  const completed = transactions.filter(
+    ({ doc }) => doc.status === "COMPLETED",
+  );
+  const payments = completed.filter(
+    ({ doc }) => doc.transaction_type === "PAYMENT",
+  );
+  const paymentCents = payments.map(({ cents }) => -cents);
+  const hours = new Map();
+  const merchants = new Map();
+  const spending = new Map();
+  payments.forEach(({ doc, merchant }, i) => {
+    const hour = `${String(doc.timestamp.getUTCHours()).padStart(2, "0")}:00`;
+    hours.set(hour, (hours.get(hour) ?? 0) + 1);
+    merchants.set(
+      merchant.merchant_id,
+      (merchants.get(merchant.merchant_id) ?? 0) + 1,
+    );
+    spending.set(
+      merchant.category,
+      (spending.get(merchant.category) ?? 0) + paymentCents[i],
+    );
+  });
+  const lastTransaction = transactions.length
+    ? transactions[transactions.length - 1].doc.timestamp
+    : null;
+  const months = Math.max(1, span / (30 * DAY_MS));
+
+  const cards = Array.from(
+    {
+      length: rng.weighted([
+        [0, 3],
+        [1, 5],
+        [2, 2],
+      ]),
+    },
+    (_, i) => {
+      const limit = rng.int(2, 50) * 50000;
+      return {
+        card_id: NumberLong(customerId * 100 + 10 + i),
+        card_type: rng.pick(["VISA", "MASTERCARD", "AMEX", "DISCOVER"]),
+        credit_limit: centsDecimal(limit),
+        available_credit: centsDecimal(limit - rng.int(0, limit / 100) * 100),
+        status: rng.chance(0.95) ? "ACTIVE" : "FROZEN",
+      };
+    },
+  );
+  const loans = rng.chance(0.35)
+    ? [
+        (() => {
+          const loanType = rng.weighted([
+            ["MORTGAGE", 3],
+            ["AUTO", 4],
+            ["PERSONAL", 2],
+            ["STUDENT", 2],
+          ]);
+          const principal =
+            (loanType === "MORTGAGE"
+              ? rng.int(150, 900) * 1000
+              : rng.int(5, 60) * 1000) * 100;
+          return {
+            loan_id: NumberLong(customerId * 100 + 20),
+            loan_type: loanType,
+            principal: centsDecimal(principal),
+            remaining_balance: centsDecimal(
+              Math.round(principal * (0.2 + rng.next() * 0.8)),
+            ),
+            monthly_payment: centsDecimal(
+              Math.round(principal / (loanType === "MORTGAGE" ? 360 : 60)),
+            ),
+            status: "ACTIVE",
+          };
+        })(),
+      ]
+    : [];
+  const interactions = rng.int(0, 20);
+  const openTickets = interactions ? rng.int(0, 1) : 0;
+  const kyc = rng.weighted([
+    ["VERIFIED", 90],
+    ["PENDING", 8],
+    ["EXPIRED", 2],
+  ]);
+
+  const customer = {
+    customer_id: NumberLong(customerId),
+    ...(encryptPii ? { pii_key: csfleCustomerKeyAltName(customerId) } : {}),
+    personal_info: {
+      name: { first, ...(middle ? { middle } : {}), last },
+      email: `${first}.${last}.${customerId}@example.com`.toLowerCase(),
+      phone: {
+        primary: `+1-555-${rng.digits(4)}`,
+        mobile: `+1-555-${rng.digits(4)}`,
+      },
+      ...(encryptPii ? encryptCustomerPii(customerId, pii) : {}),
+      address: {
+        line1: `${rng.int(1, 9999)} ${rng.pick(SYNTHETIC_STREETS)}`,
+        city: home.city,
+        state: home.state,
+        postal_code: home.postal,
+        country: "US",
+      },
+    },
+    accounts: accounts.map((a) => ({
+      account_id: NumberLong(a.account_id),
+      account_number: `SYN${a.account_id}`,
+      account_type: a.type,
+      balance: centsDecimal(a.cents),
+      available_balance: centsDecimal(a.cents),
+      currency: "USD",
+      status: "ACTIVE",
+      opened_date: a.opened,
+      last_transaction: a.lastTransaction,
+    })),
+    transactions: {
+      collection: "transactions_ts",
+      last_30_days_count: transactions.filter(
+        ({ doc }) => age(doc.timestamp) <= 30 * DAY_MS,
+      ).length,
+      last_90_days_count: transactions.filter(
+        ({ doc }) => age(doc.timestamp) <= 90 * DAY_MS,
+      ).length,
+      last_year_count: transactions.filter(
+        ({ doc }) => age(doc.timestamp) <= 365 * DAY_MS,
+      ).length,
+      total_lifetime_count: transactions.length,
+      last_transaction_date: lastTransaction,
+    },
+    preferences: {
+      notification_channels: ["email", "sms", "push"].filter(() =>
+        rng.chance(0.6),
+      ),
+      language: rng.weighted([
+        ["en-US", 85],
+        ["es-US", 15],
+      ]),
+      timezone: home.timezone,
+      currency_preference: "USD",
+      marketing_opt_in: rng.chance(0.4),
+      paperless_statements: rng.chance(0.7),
+    },
+    risk_score: Math.round(rng.next() * 0.4 * 100) / 100,
+    risk_factors: [],
+    fraud_indicators: [],
+    fraud_ring_connections: [],
+    behavior: {
+      avg_transaction_amount: centsDecimal(
+        paymentCents.length
+          ? Math.round(
+              paymentCents.reduce((s, c) => s + c, 0) / paymentCents.length,
+            )
+          : 0,
+      ),
+      avg_monthly_transactions:
+        Math.round((transactions.length / months) * 10) / 10,
+      preferred_transaction_times: topEntries(hours, 3).map(([hour]) => hour),
+      preferred_merchants: topEntries(merchants, 3).map(
+        ([merchantId, count]) => ({
+          merchant_id: NumberLong(merchantId),
+          count,
+        }),
+      ),
+      spending_patterns: Object.fromEntries(
+        [...spending.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([category, cents]) => [category, centsDecimal(cents)]),
+      ),
+    },
+    products: { credit_cards: cards, loans, investments: [] },
+    service_history: {
+      total_interactions: interactions,
+      last_interaction: interactions
+        ? new Date(until.getTime() - rng.int(1, 365) * DAY_MS)
+        : null,
+      satisfaction_score: rng.int(6, 10) / 2,
+      open_tickets: openTickets,
+      resolved_tickets: interactions - openTickets,
+    },
+    metadata: {
+      source: "synthetic",
+      acquisition_channel: rng.pick([
+        "referral",
+        "online_ad",
+        "branch",
+        "partner",
+        "organic",
+      ]),
+      acquisition_date: createdAt,
+      last_profile_update: new Date(until.getTime() - rng.int(1, 365) * DAY_MS),
+      profile_completeness: Math.round((0.6 + rng.next() * 0.4) * 100) / 100,
+      kyc_status: kyc,
+      aml_status: rng.weighted([
+        ["CLEAR", 95],
+        ["REVIEW", 5],
+      ]),
+      synthetic_seed: seed,
+    },
+    created_at: createdAt,
+    updated_at: until,
+    version: 1,
+  };
+
+  return {
+    customer,
+    transactions: transactions.map(({ doc }) => doc),
+    relationships,
+  };
+}
+
+// customer_id range of the customers generated with these options.
+function syntheticIdFilter({ idBase, customers }) {
+  return { $gt: NumberLong(idBase), $lte: NumberLong(idBase + customers) };
+}
+
+function deleteSyntheticData(options) {
+  const range = syntheticIdFilter(options);
+  // Per-customer CSFLE data keys go with their customers.
+  const keyAltNames = db.customers.distinct("pii_key", { customer_id: range });
+  if (keyAltNames.length) {
+    const { database, collName } = csfleKeyVault();
+    applyChange(
+      `delete ${keyAltNames.length} per-customer CSFLE data key(s)`,
+      () =>
+        database
+          .getCollection(collName)
+          .deleteMany({ keyAltNames: { $in: keyAltNames } }),
+    );
+  }
+  [
+    ["customers", { customer_id: range }],
+    ["transactions_ts", { customer_id: range }],
+    ["transaction_relationships", { customer_id: range }],
+    ["customer_analytics_monthly", { customer_id: range }],
+  ].forEach(([collName, filter]) =>
+    applyChange(
+      `delete ${collName} with customer_id in (${options.idBase}, ${options.idBase + options.customers}]`,
+      () => db.getCollection(collName).deleteMany(filter),
+    ),
+  );
+}
+
+// Generates and bulk-loads customers 1..customers in batches of batchSize.
+// Returns { customers, transactions, relationships, rings, travellers, ms }.
+function generateSyntheticData(options) {
+  const opts = { ...SYNTHETIC_DEFAULTS, ...options };
+  const { customers, batchSize, idBase } = opts;
+  const until = opts.until;
+  const since = new Date(until.getTime() - opts.days * DAY_MS);
+  const maxCustomerId =
+    Math.floor(Number.MAX_SAFE_INTEGER / SYNTHETIC_TRANSACTION_ID_FACTOR) - 1;
+  if (idBase + customers > maxCustomerId) {
+    throw new Error(`ID_BASE + CUSTOMERS must not exceed ${maxCustomerId}`);
+  }
+  // Leaves room in the per-customer transaction_id range for injected legs.
+  if (opts.transactionsPerCustomer > SYNTHETIC_TRANSACTION_ID_FACTOR / 10) {
+    throw new Error(
+      `at most ${SYNTHETIC_TRANSACTION_ID_FACTOR / 10} transactions per customer`,
+    );
+  }
+  if (opts.p2pTransfers > 0 && customers < 2) {
+    throw new Error("P2P transfers need at least 2 customers");
+  }
+  if (opts.fraudRings * opts.ringSize > customers) {
+    throw new Error(
+      `${opts.fraudRings} ring(s) of ${opts.ringSize} need more than ${customers} customers`,
+    );
+  }
+
+  const plan = planSyntheticTransfers({ ...opts, since, until });
+  const travellers = planSyntheticTravel(opts);
+  const totals = { customers: 0, transactions: 0, relationships: 0 };
+  const started = Date.now();
+
+  for (let from = 1; from <= customers; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, customers);
+    const batch = { customers: [], transactions: [], relationships: [] };
+    for (let n = from; n <= to; n += 1) {
+      const generated = syntheticCustomer(n, {
+        ...opts,
+        since,
+        until,
+        plan,
+        travellers,
+      });
+      batch.customers.push(generated.customer);
+      batch.transactions.push(...generated.transactions);
+      batch.relationships.push(...generated.relationships);
+    }
+    applyChange(
+      `insert customers ${idBase + from}-${idBase + to}: ${batch.transactions.length} transaction(s), ${batch.relationships.length} relationship(s)`,
+      () => {
+        db.customers.insertMany(batch.customers, { ordered: false });
+        db.transactions_ts.insertMany(batch.transactions, { ordered: false });
+        if (batch.relationships.length) {
+          db.transaction_relationships.insertMany(batch.relationships, {
+            ordered: false,
+          });
+        }
+      },
+    );
+    totals.customers += batch.customers.length;
+    totals.transactions += batch.transactions.length;
+    totals.relationships += batch.relationships.length;
+  }
+  return {
+    ...totals,
+    rings: opts.fraudRings,
+    travellers: travellers.size,
+    ms: Date.now() - started,
+  };
+}
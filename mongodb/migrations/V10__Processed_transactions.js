@@ -0,0 +1,10 @@
+// V10 - processed_transactions: one document per transaction_id projected
+// from transactions.created (messages/workers/typescript), so redelivered
+// events are not written to transactions_ts twice. APPLIED entries expire
+// with the same two-year TTL as transactions_ts.
+
+(() => {
+  ensureIndexes("processed_transactions", [
+    { key: { applied_at: 1 }, options: { expireAfterSeconds: 63072000 } },
+  ]);
+})();
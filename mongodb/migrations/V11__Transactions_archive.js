@@ -0,0 +1,279 @@
+// V11 - Archive tier for transactions_ts (lib/archival.js,
+// jobs/archive_transactions.js):
+//
+//   transactions_archive            zstd-compressed chunks of a month's
+//                                   transactions; each expires at the end of
+//                                   its transaction_type's retention
+//   transactions_archive_manifests  per-month counts and checksums
+//   transactions_restored           restored date ranges, kept for 30 days
+//
+// Validators frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const transactionsArchiveValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "_id",
+          "month",
+          "customer_id",
+          "transaction_type",
+          "chunk",
+          "transactions",
+          "count",
+          "checksum",
+          "archived_at",
+        ],
+        properties: {
+          _id: {
+            bsonType: "string",
+            description: "<month>:<customer_id>:<transaction_type>:<chunk>",
+          },
+          month: {
+            bsonType: "string",
+            pattern: "^[0-9]{4}-(0[1-9]|1[0-2])$",
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          transaction_type: {
+            enum: [
+              "DEPOSIT",
+              "WITHDRAWAL",
+              "TRANSFER",
+              "PAYMENT",
+              "FEE",
+              "INTEREST",
+            ],
+          },
+          chunk: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+          transactions: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+            },
+            minItems: 1,
+            description:
+              "transactions_ts documents, unchanged, ordered by timestamp then transaction_id",
+          },
+          count: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+          checksum: {
+            bsonType: "string",
+            pattern: "^[0-9a-f]{64}$",
+            description: "SHA-256 of the canonical EJSON of transactions",
+          },
+          archived_at: {
+            bsonType: "date",
+          },
+          expire_at: {
+            bsonType: ["date", "null"],
+            description:
+              "end of retention for transaction_type; null keeps the chunk indefinitely",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const transactionsArchiveManifestsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "status", "start", "end", "started_at"],
+        properties: {
+          _id: {
+            bsonType: "string",
+            pattern: "^[0-9]{4}-(0[1-9]|1[0-2])$",
+            description: "archived month (UTC)",
+          },
+          status: {
+            enum: ["IN_PROGRESS", "COMPLETE"],
+          },
+          start: {
+            bsonType: "date",
+          },
+          end: {
+            bsonType: "date",
+          },
+          chunks: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+          transactions: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+          by_type: {
+            bsonType: "object",
+            additionalProperties: {
+              bsonType: "object",
+              required: ["count", "checksum"],
+              properties: {
+                count: {
+                  bsonType: ["int", "long"],
+                  minimum: 0,
+                },
+                checksum: {
+                  bsonType: "string",
+                  pattern: "^[0-9a-f]{64}$",
+                },
+                retention_years: {
+                  bsonType: ["int", "null"],
+                },
+                expire_at: {
+                  bsonType: ["date", "null"],
+                },
+              },
+            },
+          },
+          checksum: {
+            bsonType: "string",
+            pattern: "^[0-9a-f]{64}$",
+            description:
+              "SHA-256 over the month's chunk checksums ordered by customer_id, transaction_type, chunk",
+          },
+          started_at: {
+            bsonType: "date",
+          },
+          archived_at: {
+            bsonType: ["date", "null"],
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const transactionsTsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "timestamp",
+          "customer_id",
+          "transaction_id",
+          "account_id",
+          "transaction_type",
+          "amount",
+          "currency",
+          "status",
+        ],
+        properties: {
+          timestamp: {
+            bsonType: "date",
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          transaction_id: {
+            bsonType: "long",
+          },
+          account_id: {
+            bsonType: "long",
+          },
+          transaction_type: {
+            enum: [
+              "DEPOSIT",
+              "WITHDRAWAL",
+              "TRANSFER",
+              "PAYMENT",
+              "FEE",
+              "INTEREST",
+            ],
+          },
+          amount: {
+            bsonType: "decimal",
+          },
+          balance_after: {
+            bsonType: "decimal",
+          },
+          currency: {
+            bsonType: "string",
+            pattern: "^[A-Z]{3}$",
+          },
+          description: {
+            bsonType: "string",
+          },
+          merchant_id: {
+            bsonType: ["long", "null"],
+          },
+          status: {
+            enum: ["PENDING", "COMPLETED", "FAILED", "REVERSED"],
+          },
+          fraud_score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+          },
+          location: {
+            bsonType: "object",
+            required: ["type", "coordinates"],
+            properties: {
+              type: {
+                enum: ["Point"],
+              },
+              coordinates: {
+                bsonType: "array",
+                items: [
+                  {
+                    bsonType: ["double", "int"],
+                    minimum: -180,
+                    maximum: 180,
+                  },
+                  {
+                    bsonType: ["double", "int"],
+                    minimum: -90,
+                    maximum: 90,
+                  },
+                ],
+                minItems: 2,
+                maxItems: 2,
+                description: "[longitude, latitude]",
+              },
+            },
+          },
+          device_info: {
+            bsonType: "object",
+          },
+          metadata: {
+            bsonType: "object",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("transactions_archive", {
+    ...transactionsArchiveValidator,
+    storageEngine: { wiredTiger: { configString: "block_compressor=zstd" } },
+  });
+  ensureIndexes("transactions_archive", [
+    { key: { customer_id: 1, month: 1 } },
+    { key: { month: 1, customer_id: 1, transaction_type: 1, chunk: 1 } },
+    { key: { expire_at: 1 }, options: { expireAfterSeconds: 0 } },
+  ]);
+
+  ensureCollection(
+    "transactions_archive_manifests",
+    transactionsArchiveManifestsValidator,
+  );
+
+  ensureCollection("transactions_restored", transactionsTsValidator);
+  ensureIndexes("transactions_restored", [
+    { key: { transaction_id: 1 }, options: { unique: true } },
+    { key: { customer_id: 1, timestamp: -1 } },
+    { key: { restored_at: 1 }, options: { expireAfterSeconds: 2592000 } },
+  ]);
+})();
@@ -0,0 +1,53 @@
+// V12 - audit_events: audit entries written by the customer 360 tooling
+// (lib/privacy.js), shaped after shared/schemas/event-audit.json so they can
+// be published to the audit.events topic unchanged apart from occurred_at.
+//
+// Validator frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const auditEventsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "correlation_id",
+          "actor",
+          "action",
+          "resource",
+          "occurred_at",
+        ],
+        properties: {
+          correlation_id: {
+            bsonType: "string",
+            pattern:
+              "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$",
+          },
+          actor: {
+            bsonType: "string",
+          },
+          action: {
+            bsonType: "string",
+          },
+          resource: {
+            bsonType: "string",
+            description: "<collection>/<id>, e.g. customers/42",
+          },
+          occurred_at: {
+            bsonType: "date",
+          },
+          metadata: {
+            bsonType: "object",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("audit_events", auditEventsValidator);
+  ensureIndexes("audit_events", [
+    { key: { resource: 1, occurred_at: -1 } },
+    { key: { correlation_id: 1 } },
+  ]);
+})();
@@ -0,0 +1,122 @@
+// V13 - customer_merges: log of customer merges (lib/customer_dedup.js,
+// jobs/merge_customers.js). Each entry keeps both customers as they were and
+// the transactions and relationships that moved, so a merge can be reverted.
+//
+// Validator frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const customerMergesValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "survivor_id",
+          "merged_id",
+          "status",
+          "actor",
+          "survivor_before",
+          "merged_before",
+          "moved",
+          "merged_at",
+        ],
+        properties: {
+          survivor_id: {
+            bsonType: "long",
+            description: "customer that is kept",
+          },
+          merged_id: {
+            bsonType: "long",
+            description:
+              "customer folded into survivor_id; kept with metadata.merged_into",
+          },
+          status: {
+            enum: ["IN_PROGRESS", "COMPLETE", "REVERTED"],
+          },
+          score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+            description:
+              "duplicate match score when merged; null for a manual merge",
+          },
+          signals: {
+            bsonType: "object",
+            description: "per-signal match scores (name, phone, address, dob)",
+          },
+          actor: {
+            bsonType: "string",
+          },
+          reason: {
+            bsonType: ["string", "null"],
+          },
+          survivor_before: {
+            bsonType: "object",
+            description:
+              "survivor document before the merge, restored on revert",
+          },
+          merged_before: {
+            bsonType: "object",
+            description: "merged document before the merge, restored on revert",
+          },
+          moved: {
+            bsonType: "object",
+            required: [
+              "transaction_ids",
+              "relationship_ids",
+              "related_relationship_ids",
+            ],
+            properties: {
+              transaction_ids: {
+                bsonType: "array",
+                items: {
+                  bsonType: "long",
+                },
+                description: "transactions_ts re-pointed to survivor_id",
+              },
+              relationship_ids: {
+                bsonType: "array",
+                description:
+                  "transaction_relationships _ids whose customer_id was re-pointed",
+              },
+              related_relationship_ids: {
+                bsonType: "array",
+                description:
+                  "transaction_relationships _ids whose related_customer_id was re-pointed",
+              },
+            },
+          },
+          survivor_version: {
+            bsonType: ["int", "long", "null"],
+            minimum: 0,
+            description:
+              "survivor version after the merge; revert refuses once it changed",
+          },
+          merged_version: {
+            bsonType: ["int", "long", "null"],
+            minimum: 0,
+          },
+          merged_at: {
+            bsonType: "date",
+          },
+          completed_at: {
+            bsonType: ["date", "null"],
+          },
+          reverted_by: {
+            bsonType: ["string", "null"],
+          },
+          reverted_at: {
+            bsonType: ["date", "null"],
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("customer_merges", customerMergesValidator);
+  ensureIndexes("customer_merges", [
+    { key: { merged_id: 1, status: 1 } },
+    { key: { survivor_id: 1, merged_at: -1 } },
+  ]);
+})();
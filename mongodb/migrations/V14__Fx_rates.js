@@ -0,0 +1,157 @@
+// V14 - fx_rates: daily exchange rates against USD, read by lib/fx.js to
+// convert amounts to the customer's preferred (or a reporting) currency at the
+// transaction date. customer_analytics_monthly rows record that currency in
+// metrics.currency; rebuild them with FULL=true after loading the rates.
+//
+// Validators frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const customerAnalyticsMonthlyValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "customer_id", "period", "metrics", "computed_at"],
+        properties: {
+          _id: {
+            bsonType: "object",
+            required: ["customer_id", "year", "month"],
+            properties: {
+              customer_id: {
+                bsonType: "long",
+              },
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+            },
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          period: {
+            bsonType: "object",
+            required: ["year", "month", "start_date", "end_date"],
+            properties: {
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+              start_date: {
+                bsonType: "date",
+              },
+              end_date: {
+                bsonType: "date",
+              },
+            },
+          },
+          metrics: {
+            bsonType: "object",
+            required: ["currency", "total_amount", "transaction_count"],
+            properties: {
+              currency: {
+                bsonType: "string",
+                pattern: "^[A-Z]{3}$",
+                description:
+                  "currency of the amounts: the customer's currency_preference, or the refresh's REPORTING_CURRENCY",
+              },
+              total_amount: {
+                bsonType: "decimal",
+              },
+              transaction_count: {
+                bsonType: ["int", "long"],
+                minimum: 0,
+              },
+              avg_amount: {
+                bsonType: "decimal",
+              },
+              min_amount: {
+                bsonType: "decimal",
+              },
+              max_amount: {
+                bsonType: "decimal",
+              },
+              transaction_types: {
+                bsonType: "object",
+                additionalProperties: {
+                  bsonType: ["int", "long"],
+                  minimum: 0,
+                },
+              },
+              days_active: {
+                bsonType: "int",
+                minimum: 0,
+                maximum: 31,
+              },
+              avg_daily_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+            },
+          },
+          computed_at: {
+            bsonType: "date",
+          },
+          version: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const fxRatesValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["currency", "effective_from", "rate", "loaded_at"],
+        properties: {
+          currency: {
+            bsonType: "string",
+            pattern: "^[A-Z]{3}$",
+          },
+          effective_from: {
+            bsonType: "date",
+            description:
+              "UTC midnight; in effect until the currency's next effective_from",
+          },
+          rate: {
+            bsonType: "decimal",
+            description:
+              "units of USD (the base currency) per unit of currency",
+          },
+          source: {
+            bsonType: ["string", "null"],
+          },
+          loaded_at: {
+            bsonType: "date",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection(
+    "customer_analytics_monthly",
+    customerAnalyticsMonthlyValidator,
+  );
+  ensureCollection("fx_rates", fxRatesValidator);
+  ensureIndexes("fx_rates", [
+    {
+      key: { currency: 1, effective_from: -1 },
+      options: { unique: true },
+    },
+  ]);
+})();
@@ -0,0 +1,45 @@
+// V16 - customer_analytics_monthly rows are keyed on
+// { customer_id, year, month }. Rows written before that layout have an
+// ObjectId (or another non-document) _id, so the refresh job's $merge never
+// replaces them and they sit next to the recomputed row for the same month.
+//
+// Each such row is re-keyed when no keyed row exists for its customer and
+// period (its month may have expired from transactions_ts, so it cannot be
+// recomputed), and removed otherwise.
+
+(() => {
+  const analytics = db.getCollection("customer_analytics_monthly");
+  const legacy = { _id: { $not: { $type: "object" } } };
+  const rows = analytics.countDocuments(legacy);
+  if (rows === 0) return;
+  applyChange(
+    `re-key or remove ${rows} customer_analytics_monthly row(s) with a legacy _id`,
+    () => {
+      let rekeyed = 0;
+      let removed = 0;
+      analytics.find(legacy).forEach((row) => {
+        const { customer_id: customerId, period } = row;
+        const key =
+          customerId != null && period?.year != null && period?.month != null
+            ? {
+                customer_id: NumberLong(String(customerId)),
+                year: NumberInt(period.year),
+                month: NumberInt(period.month),
+              }
+            : null;
+        if (key && analytics.countDocuments({ _id: key }, { limit: 1 }) === 0) {
+          // Only the _id changes, so a row from before the validator stays.
+          analytics.insertOne(
+            { ...row, _id: key },
+            { bypassDocumentValidation: true },
+          );
+          rekeyed += 1;
+        } else {
+          removed += 1;
+        }
+        analytics.deleteOne({ _id: row._id });
+      });
+      print(`  ${rekeyed} re-keyed, ${removed} removed`);
+    },
+  );
+})();
@@ -0,0 +1,131 @@
+// V1 - Baseline: customer 360 collections, customers validator and indexes.
+//
+// Frozen copy of the schema section of schemas/customer_360_schema.js as of
+// the introduction of the migration runner. Uses the idempotent helpers from
+// lib/provisioning.js, so databases already provisioned by that script adopt
+// this baseline without changes. Demo seed data is not part of any migration.
+
+(() => {
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: { bsonType: "string" },
+                  last: { bsonType: "string" },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: "double",
+            minimum: 0,
+            maximum: 1,
+            description: "must be a double between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: { bsonType: "long" },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: { bsonType: "decimal" },
+              },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  // Customer 360° view
+  ensureCollection("customers", customersValidator);
+
+  // Time-series collection for transactions
+  ensureCollection("transactions_ts", {
+    timeseries: {
+      timeField: "timestamp",
+      metaField: "customer_id",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: 63072000,
+  });
+
+  // Customer analytics monthly materialized view
+  ensureCollection("customer_analytics_monthly");
+
+  // Transaction relationships for fraud ring detection
+  ensureCollection("transaction_relationships");
+
+  // Customer collection indexes
+  ensureIndexes("customers", [
+    { key: { customer_id: 1 }, options: { unique: true } },
+    { key: { "personal_info.email": 1 }, options: { unique: true } },
+    { key: { "personal_info.phone.primary": 1 } },
+    { key: { risk_score: -1 } },
+    { key: { "accounts.account_id": 1 } },
+    { key: { "accounts.account_number": 1 } },
+    { key: { "metadata.kyc_status": 1 } },
+    { key: { "metadata.aml_status": 1 } },
+    { key: { created_at: -1 } },
+    { key: { updated_at: -1 } },
+
+    { key: { "profile.$**": 1 } },
+    { key: { "preferences.$**": 1 } },
+    { key: { "metadata.$**": 1 } },
+
+    // Wildcard index for dynamic profile attributes
+    {
+      key: { "$**": 1 },
+      options: {
+        wildcardProjection: {
+          profile: 1,
+          preferences: 1,
+          metadata: 1,
+        },
+      },
+    },
+  ]);
+
+  // Time-series collection indexes
+  ensureIndexes("transactions_ts", [
+    { key: { customer_id: 1, timestamp: -1 } },
+    { key: { transaction_type: 1, timestamp: -1 } },
+    { key: { status: 1, timestamp: -1 } },
+    { key: { merchant_id: 1, timestamp: -1 } },
+    { key: { location: "2dsphere" } },
+    { key: { fraud_score: -1, timestamp: -1 } },
+    { key: { timestamp: 1 } }, // optional but recommended
+  ]);
+
+  // Indexes for graph queries
+  ensureIndexes("transaction_relationships", [
+    { key: { customer_id: 1, timestamp: -1 } },
+    { key: { related_customer_id: 1 } },
+    { key: { flagged: 1, timestamp: -1 } },
+    { key: { fraud_score: -1 } },
+  ]);
+})();
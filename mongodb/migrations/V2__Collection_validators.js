@@ -0,0 +1,346 @@
+// V2 - $jsonSchema validators for transactions_ts, transaction_relationships
+// and customer_analytics_monthly; extends the customers validator with
+// preferences, products, behavior and metadata.kyc_status / aml_status.
+//
+// All validators use validationLevel "moderate": existing documents that do
+// not match are only rejected when updated. Servers that refuse validators on
+// time-series collections keep transactions_ts unvalidated (with a warning).
+
+(() => {
+  // Shared sub-schemas
+  const decimalField = { bsonType: "decimal" };
+  const scoreField = {
+    bsonType: ["double", "int", "null"],
+    minimum: 0,
+    maximum: 1,
+  };
+  const currencyField = { bsonType: "string", pattern: "^[A-Z]{3}$" };
+  const productStatusField = {
+    enum: ["ACTIVE", "INACTIVE", "FROZEN", "CLOSED", "PAID_OFF"],
+  };
+
+  // Validation schema for the customers collection
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: { bsonType: "string" },
+                  last: { bsonType: "string" },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: "double",
+            minimum: 0,
+            maximum: 1,
+            description: "must be a double between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: { bsonType: "long" },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: { bsonType: "decimal" },
+              },
+            },
+          },
+          preferences: {
+            bsonType: "object",
+            properties: {
+              notification_channels: {
+                bsonType: "array",
+                uniqueItems: true,
+                items: { enum: ["email", "sms", "push"] },
+              },
+              language: { bsonType: "string" },
+              timezone: { bsonType: "string" },
+              currency_preference: currencyField,
+              marketing_opt_in: { bsonType: "bool" },
+              paperless_statements: { bsonType: "bool" },
+            },
+          },
+          products: {
+            bsonType: "object",
+            properties: {
+              credit_cards: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["card_id", "card_type", "credit_limit", "status"],
+                  properties: {
+                    card_id: { bsonType: "long" },
+                    card_type: {
+                      enum: ["VISA", "MASTERCARD", "AMEX", "DISCOVER"],
+                    },
+                    credit_limit: decimalField,
+                    available_credit: decimalField,
+                    status: productStatusField,
+                  },
+                },
+              },
+              loans: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["loan_id", "loan_type", "principal", "status"],
+                  properties: {
+                    loan_id: { bsonType: "long" },
+                    loan_type: {
+                      enum: ["MORTGAGE", "AUTO", "PERSONAL", "STUDENT"],
+                    },
+                    principal: decimalField,
+                    remaining_balance: decimalField,
+                    monthly_payment: decimalField,
+                    status: productStatusField,
+                  },
+                },
+              },
+              investments: { bsonType: "array" },
+            },
+          },
+          behavior: {
+            bsonType: "object",
+            properties: {
+              avg_transaction_amount: decimalField,
+              avg_monthly_transactions: {
+                bsonType: ["int", "double"],
+                minimum: 0,
+              },
+              preferred_transaction_times: {
+                bsonType: "array",
+                items: {
+                  bsonType: "string",
+                  pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+                },
+              },
+              preferred_merchants: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["merchant_id", "count"],
+                  properties: {
+                    merchant_id: { bsonType: "long" },
+                    count: { bsonType: ["int", "long"], minimum: 0 },
+                  },
+                },
+              },
+              spending_patterns: {
+                bsonType: "object",
+                additionalProperties: decimalField,
+              },
+            },
+          },
+          metadata: {
+            bsonType: "object",
+            properties: {
+              kyc_status: {
+                enum: ["PENDING", "VERIFIED", "REJECTED", "EXPIRED"],
+              },
+              aml_status: { enum: ["CLEAR", "REVIEW", "FLAGGED", "BLOCKED"] },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  // Validation schema for the transactions_ts time-series collection
+  const transactionsTsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "timestamp",
+          "customer_id",
+          "transaction_id",
+          "account_id",
+          "transaction_type",
+          "amount",
+          "currency",
+          "status",
+        ],
+        properties: {
+          timestamp: { bsonType: "date" },
+          customer_id: { bsonType: "long" },
+          transaction_id: { bsonType: "long" },
+          account_id: { bsonType: "long" },
+          transaction_type: {
+            enum: [
+              "DEPOSIT",
+              "WITHDRAWAL",
+              "TRANSFER",
+              "PAYMENT",
+              "FEE",
+              "INTEREST",
+            ],
+          },
+          amount: decimalField,
+          balance_after: decimalField,
+          currency: currencyField,
+          description: { bsonType: "string" },
+          merchant_id: { bsonType: ["long", "null"] },
+          status: { enum: ["PENDING", "COMPLETED", "FAILED", "REVERSED"] },
+          fraud_score: scoreField,
+          location: {
+            bsonType: "object",
+            required: ["type", "coordinates"],
+            properties: {
+              type: { enum: ["Point"] },
+              coordinates: {
+                bsonType: "array",
+                minItems: 2,
+                maxItems: 2,
+                items: [
+                  { bsonType: ["double", "int"], minimum: -180, maximum: 180 },
+                  { bsonType: ["double", "int"], minimum: -90, maximum: 90 },
+                ],
+                description: "[longitude, latitude]",
+              },
+            },
+          },
+          device_info: { bsonType: "object" },
+          metadata: { bsonType: "object" },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  // Validation schema for the transaction_relationships graph collection
+  const transactionRelationshipsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "transaction_id",
+          "customer_id",
+          "related_customer_id",
+          "relationship_type",
+          "timestamp",
+          "flagged",
+        ],
+        properties: {
+          transaction_id: { bsonType: "long" },
+          customer_id: { bsonType: "long" },
+          related_customer_id: { bsonType: "long" },
+          relationship_type: { enum: ["TRANSFER", "PAYMENT"] },
+          amount: decimalField,
+          timestamp: { bsonType: "date" },
+          flagged: { bsonType: "bool" },
+          fraud_score: scoreField,
+          metadata: {
+            bsonType: "object",
+            properties: {
+              detected_at: { bsonType: "date" },
+              detection_method: { bsonType: "string" },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  // Validation schema for the customer_analytics_monthly materialized view
+  const customerAnalyticsMonthlyValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "customer_id", "period", "metrics", "computed_at"],
+        properties: {
+          _id: {
+            bsonType: "object",
+            required: ["customer_id", "year", "month"],
+            properties: {
+              customer_id: { bsonType: "long" },
+              year: { bsonType: "int" },
+              month: { bsonType: "int", minimum: 1, maximum: 12 },
+            },
+          },
+          customer_id: { bsonType: "long" },
+          period: {
+            bsonType: "object",
+            required: ["year", "month", "start_date", "end_date"],
+            properties: {
+              year: { bsonType: "int" },
+              month: { bsonType: "int", minimum: 1, maximum: 12 },
+              start_date: { bsonType: "date" },
+              end_date: { bsonType: "date" },
+            },
+          },
+          metrics: {
+            bsonType: "object",
+            required: ["total_amount", "transaction_count"],
+            properties: {
+              total_amount: decimalField,
+              transaction_count: { bsonType: ["int", "long"], minimum: 0 },
+              avg_amount: decimalField,
+              min_amount: decimalField,
+              max_amount: decimalField,
+              transaction_types: {
+                bsonType: "object",
+                additionalProperties: { bsonType: ["int", "long"], minimum: 0 },
+              },
+              days_active: { bsonType: "int", minimum: 0, maximum: 31 },
+              avg_daily_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+            },
+          },
+          computed_at: { bsonType: "date" },
+          version: { bsonType: ["int", "long"] },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("customers", customersValidator);
+  ensureCollection("transactions_ts", {
+    timeseries: {
+      timeField: "timestamp",
+      metaField: "customer_id",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: 63072000,
+    ...transactionsTsValidator,
+  });
+  ensureCollection(
+    "transaction_relationships",
+    transactionRelationshipsValidator,
+  );
+  ensureCollection(
+    "customer_analytics_monthly",
+    customerAnalyticsMonthlyValidator,
+  );
+})();
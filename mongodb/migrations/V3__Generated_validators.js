@@ -0,0 +1,332 @@
+// V3 - Validators generated from shared/canonical/customer_360.json: customers
+// gains created_at (date) and accounts[].last_transaction (date or null) and
+// accepts int risk scores; customer_analytics_monthly.version must be >= 0.
+//
+// Frozen copy of mongodb/schemas/generated/validators.js at the time the
+// generator was introduced; later canonical changes need their own migration.
+
+(() => {
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: {
+                    bsonType: "string",
+                  },
+                  last: {
+                    bsonType: "string",
+                  },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: ["double", "int"],
+            minimum: 0,
+            maximum: 1,
+            description: "must be a number between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: {
+                  bsonType: "long",
+                },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: {
+                  bsonType: "decimal",
+                },
+                last_transaction: {
+                  bsonType: ["date", "null"],
+                },
+              },
+            },
+          },
+          preferences: {
+            bsonType: "object",
+            properties: {
+              notification_channels: {
+                bsonType: "array",
+                items: {
+                  enum: ["email", "sms", "push"],
+                },
+                uniqueItems: true,
+              },
+              language: {
+                bsonType: "string",
+              },
+              timezone: {
+                bsonType: "string",
+              },
+              currency_preference: {
+                bsonType: "string",
+                pattern: "^[A-Z]{3}$",
+              },
+              marketing_opt_in: {
+                bsonType: "bool",
+              },
+              paperless_statements: {
+                bsonType: "bool",
+              },
+            },
+          },
+          products: {
+            bsonType: "object",
+            properties: {
+              credit_cards: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["card_id", "card_type", "credit_limit", "status"],
+                  properties: {
+                    card_id: {
+                      bsonType: "long",
+                    },
+                    card_type: {
+                      enum: ["VISA", "MASTERCARD", "AMEX", "DISCOVER"],
+                    },
+                    credit_limit: {
+                      bsonType: "decimal",
+                    },
+                    available_credit: {
+                      bsonType: "decimal",
+                    },
+                    status: {
+                      enum: [
+                        "ACTIVE",
+                        "INACTIVE",
+                        "FROZEN",
+                        "CLOSED",
+                        "PAID_OFF",
+                      ],
+                    },
+                  },
+                },
+              },
+              loans: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["loan_id", "loan_type", "principal", "status"],
+                  properties: {
+                    loan_id: {
+                      bsonType: "long",
+                    },
+                    loan_type: {
+                      enum: ["MORTGAGE", "AUTO", "PERSONAL", "STUDENT"],
+                    },
+                    principal: {
+                      bsonType: "decimal",
+                    },
+                    remaining_balance: {
+                      bsonType: "decimal",
+                    },
+                    monthly_payment: {
+                      bsonType: "decimal",
+                    },
+                    status: {
+                      enum: [
+                        "ACTIVE",
+                        "INACTIVE",
+                        "FROZEN",
+                        "CLOSED",
+                        "PAID_OFF",
+                      ],
+                    },
+                  },
+                },
+              },
+              investments: {
+                bsonType: "array",
+              },
+            },
+          },
+          behavior: {
+            bsonType: "object",
+            properties: {
+              avg_transaction_amount: {
+                bsonType: "decimal",
+              },
+              avg_monthly_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+              preferred_transaction_times: {
+                bsonType: "array",
+                items: {
+                  bsonType: "string",
+                  pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+                },
+              },
+              preferred_merchants: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["merchant_id", "count"],
+                  properties: {
+                    merchant_id: {
+                      bsonType: "long",
+                    },
+                    count: {
+                      bsonType: ["int", "long"],
+                      minimum: 0,
+                    },
+                  },
+                },
+              },
+              spending_patterns: {
+                bsonType: "object",
+                additionalProperties: {
+                  bsonType: "decimal",
+                },
+              },
+            },
+          },
+          metadata: {
+            bsonType: "object",
+            properties: {
+              kyc_status: {
+                enum: ["PENDING", "VERIFIED", "REJECTED", "EXPIRED"],
+              },
+              aml_status: {
+                enum: ["CLEAR", "REVIEW", "FLAGGED", "BLOCKED"],
+              },
+            },
+          },
+          created_at: {
+            bsonType: "date",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const customerAnalyticsMonthlyValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "customer_id", "period", "metrics", "computed_at"],
+        properties: {
+          _id: {
+            bsonType: "object",
+            required: ["customer_id", "year", "month"],
+            properties: {
+              customer_id: {
+                bsonType: "long",
+              },
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+            },
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          period: {
+            bsonType: "object",
+            required: ["year", "month", "start_date", "end_date"],
+            properties: {
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+              start_date: {
+                bsonType: "date",
+              },
+              end_date: {
+                bsonType: "date",
+              },
+            },
+          },
+          metrics: {
+            bsonType: "object",
+            required: ["total_amount", "transaction_count"],
+            properties: {
+              total_amount: {
+                bsonType: "decimal",
+              },
+              transaction_count: {
+                bsonType: ["int", "long"],
+                minimum: 0,
+              },
+              avg_amount: {
+                bsonType: "decimal",
+              },
+              min_amount: {
+                bsonType: "decimal",
+              },
+              max_amount: {
+                bsonType: "decimal",
+              },
+              transaction_types: {
+                bsonType: "object",
+                additionalProperties: {
+                  bsonType: ["int", "long"],
+                  minimum: 0,
+                },
+              },
+              days_active: {
+                bsonType: "int",
+                minimum: 0,
+                maximum: 31,
+              },
+              avg_daily_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+            },
+          },
+          computed_at: {
+            bsonType: "date",
+          },
+          version: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("customers", customersValidator);
+  ensureCollection(
+    "customer_analytics_monthly",
+    customerAnalyticsMonthlyValidator,
+  );
+})();
@@ -0,0 +1,6 @@
+// V4 - Index transaction_relationships.transaction_id, used by the fraud-ring
+// jobs to flag the edges of a detected ring.
+
+(() => {
+  ensureIndexes("transaction_relationships", [{ key: { transaction_id: 1 } }]);
+})();
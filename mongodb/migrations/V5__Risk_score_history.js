@@ -0,0 +1,77 @@
+// V5 - risk_score_history: audit trail of customers.risk_score changes written
+// by the risk scoring engine (lib/risk_scoring.js).
+//
+// Validator frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const riskScoreHistoryValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "customer_id",
+          "risk_score",
+          "risk_factors",
+          "model",
+          "computed_at",
+        ],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+          },
+          risk_score: {
+            bsonType: ["double", "int"],
+            minimum: 0,
+            maximum: 1,
+          },
+          previous_score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+          },
+          risk_factors: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["factor", "score", "weight", "detected_at"],
+              properties: {
+                factor: {
+                  bsonType: "string",
+                },
+                score: {
+                  bsonType: ["double", "int"],
+                  minimum: 0,
+                  maximum: 1,
+                },
+                weight: {
+                  bsonType: ["double", "int"],
+                  minimum: 0,
+                  maximum: 1,
+                },
+                value: {
+                  bsonType: ["double", "int", "null"],
+                },
+                detected_at: {
+                  bsonType: "date",
+                },
+              },
+            },
+          },
+          model: {
+            bsonType: "string",
+          },
+          computed_at: {
+            bsonType: "date",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("risk_score_history", riskScoreHistoryValidator);
+  ensureIndexes("risk_score_history", [
+    { key: { customer_id: 1, computed_at: -1 } },
+  ]);
+})();
@@ -0,0 +1,50 @@
+// V6 - geo_regions: ISO 3166 country / subdivision boundaries used by the
+// out-of-region check in lib/geo_anomalies.js.
+//
+// Validator frozen from mongodb/schemas/generated/validators.js.
+
+(() => {
+  const geoRegionsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "country", "name", "geometry"],
+        properties: {
+          _id: {
+            bsonType: "string",
+            pattern: "^[A-Z]{2}(-[A-Z0-9]{1,3})?$",
+            description:
+              "ISO 3166-1 alpha-2 country or ISO 3166-2 subdivision code",
+          },
+          country: {
+            bsonType: "string",
+            pattern: "^[A-Z]{2}$",
+          },
+          subdivision: {
+            bsonType: ["string", "null"],
+          },
+          name: {
+            bsonType: "string",
+          },
+          geometry: {
+            bsonType: "object",
+            required: ["type", "coordinates"],
+            properties: {
+              type: {
+                enum: ["Polygon", "MultiPolygon"],
+              },
+              coordinates: {
+                bsonType: "array",
+              },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("geo_regions", geoRegionsValidator);
+  ensureIndexes("geo_regions", [{ key: { geometry: "2dsphere" } }]);
+})();
@@ -0,0 +1,115 @@
+// V7 - Customer search: the customer_search Atlas Search index where Atlas
+// Search is available (skipped elsewhere). The offline fallback in
+// lib/customer_search.js uses no index: it scans customers with
+// case-insensitive regexes.
+//
+// Definition frozen from lib/customer_search.js.
+
+(() => {
+  const CUSTOMER_SEARCH_INDEX = {
+    name: "customer_search",
+    definition: {
+      analyzers: [
+        {
+          name: "keywordLowercase",
+          tokenizer: {
+            type: "keyword",
+          },
+          tokenFilters: [
+            {
+              type: "lowercase",
+            },
+          ],
+        },
+      ],
+      mappings: {
+        dynamic: true,
+        fields: {
+          customer_id: {
+            type: "number",
+          },
+          personal_info: {
+            type: "document",
+            fields: {
+              name: {
+                type: "document",
+                fields: {
+                  first: {
+                    type: "string",
+                    analyzer: "keywordLowercase",
+                  },
+                  last: {
+                    type: "string",
+                    analyzer: "keywordLowercase",
+                  },
+                },
+              },
+              email: {
+                type: "string",
+                analyzer: "keywordLowercase",
+              },
+              phone: {
+                type: "document",
+                fields: {
+                  primary: {
+                    type: "string",
+                    analyzer: "keywordLowercase",
+                  },
+                },
+              },
+            },
+          },
+          accounts: {
+            type: "document",
+            fields: {
+              account_type: {
+                type: "string",
+                analyzer: "lucene.keyword",
+              },
+              account_number: {
+                type: "string",
+                analyzer: "keywordLowercase",
+              },
+            },
+          },
+          risk_score: {
+            type: "number",
+          },
+          behavior: {
+            type: "document",
+            fields: {
+              avg_transaction_amount: {
+                type: "number",
+              },
+            },
+          },
+          products: {
+            type: "document",
+            fields: {
+              credit_cards: {
+                type: "document",
+                fields: {
+                  card_type: {
+                    type: "string",
+                    analyzer: "lucene.keyword",
+                  },
+                },
+              },
+            },
+          },
+          metadata: {
+            type: "document",
+            fields: {
+              kyc_status: {
+                type: "string",
+                analyzer: "lucene.keyword",
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  ensureSearchIndex("customers", CUSTOMER_SEARCH_INDEX);
+})();
@@ -0,0 +1,28 @@
+// V8 - CSFLE key vault: the keyAltNames index that keeps data key names
+// unique (creating the collection, by default encryption.__keyVault).
+//
+// Data keys are not created here: they are wrapped by a master key from the
+// environment's KMS, which a migration cannot assume. The schema script
+// (lib/csfle.js) creates them with the local master key for development.
+
+(() => {
+  const namespace = setting(
+    "CSFLE_KEY_VAULT_NAMESPACE",
+    "encryption.__keyVault",
+  );
+  const [dbName, ...rest] = namespace.split(".");
+
+  ensureIndexes(
+    rest.join("."),
+    [
+      {
+        key: { keyAltNames: 1 },
+        options: {
+          unique: true,
+          partialFilterExpression: { keyAltNames: { $exists: true } },
+        },
+      },
+    ],
+    db.getSiblingDB(dbName),
+  );
+})();
@@ -0,0 +1,9 @@
+// V9 - Record change-stream pre- and post-images for customers, so the
+// accounts.updated sync worker can tell which accounts changed even when the
+// whole accounts array is rewritten. Needs MongoDB 6.0+.
+
+(() => {
+  ensureCollection("customers", {
+    changeStreamPreAndPostImages: { enabled: true },
+  });
+})();
@@ -0,0 +1,335 @@
+// MongoDB migration runner (mongosh) - the document-side counterpart of
+// mysql/flyway.
+//
+// Applies numbered migrations (V<version>__<Description>.js) from this
+// directory in version order, records each one in the schema_migrations
+// collection with a SHA-256 checksum, and holds a lock document in
+// schema_migrations_lock while it runs so two operators (or two boot jobs)
+// cannot migrate the same database at once.
+//
+// Commands (COMMAND environment variable or `var COMMAND = "..."` via --eval):
+//   migrate   validate, then apply pending migrations up to TARGET (default)
+//   info      list applied and pending migrations
+//   validate  fail when an applied migration's file is missing or changed
+//   undo      run rollback/U<version>__*.js for the latest applied migration,
+//             or for every applied migration above TARGET
+//   repair    realign stored checksums with the files and remove failed entries
+//   unlock    release a lock left behind by a crashed run
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/migrations/migrate.js
+//   COMMAND=info mongosh "$MONGODB_URI" mongodb/migrations/migrate.js
+//   COMMAND=undo TARGET=1 mongosh "$MONGODB_URI" mongodb/migrations/migrate.js
+//   DRY_RUN=true mongosh "$MONGODB_URI" mongodb/migrations/migrate.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+load(`${__dirname}/../lib/provisioning.js`);
+
+const MIGRATIONS_DIR = __dirname;
+const ROLLBACK_DIR = path.join(__dirname, "rollback");
+const HISTORY_COLLECTION = "schema_migrations";
+const LOCK_COLLECTION = "schema_migrations_lock";
+const LOCK_ID = "migration_lock";
+const MIGRATION_FILE = /^V(\d+)__(\w+)\.js$/;
+const ROLLBACK_FILE = /^U(\d+)__(\w+)\.js$/;
+const COMMANDS = ["migrate", "info", "validate", "undo", "repair", "unlock"];
+
+const command = setting("COMMAND", "migrate");
+const targetSetting = setting("TARGET", null);
+const target = targetSetting === null ? null : Number(targetSetting);
+
+if (!COMMANDS.includes(command)) {
+  throw new Error(
+    `Unknown COMMAND "${command}"; expected one of ${COMMANDS.join(", ")}`,
+  );
+}
+if (target !== null && !Number.isInteger(target)) {
+  throw new Error(
+    `TARGET must be a migration version number, got "${targetSetting}"`,
+  );
+}
+
+function checksum(file) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(file, "utf8"))
+    .digest("hex");
+}
+
+function scanDirectory(dir, pattern) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((script) => ({ script, match: pattern.exec(script) }))
+    .filter(({ match }) => match)
+    .map(({ script, match }) => ({
+      version: Number(match[1]),
+      description: match[2].replace(/_/g, " "),
+      script,
+      file: path.join(dir, script),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function discoverMigrations() {
+  const migrations = scanDirectory(MIGRATIONS_DIR, MIGRATION_FILE);
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(
+        `Duplicate migration version ${m.version}: ${migrations[i - 1].script}, ${m.script}`,
+      );
+    }
+    m.checksum = checksum(m.file);
+  });
+  return migrations;
+}
+
+function appliedHistory() {
+  return db
+    .getCollection(HISTORY_COLLECTION)
+    .find({})
+    .sort({ version: 1 })
+    .toArray();
+}
+
+function acquireLock() {
+  const owner = `${os.hostname()}:${process.pid}`;
+  try {
+    db.getCollection(LOCK_COLLECTION).insertOne({
+      _id: LOCK_ID,
+      owner,
+      command,
+      acquired_at: new Date(),
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const held = db.getCollection(LOCK_COLLECTION).findOne({ _id: LOCK_ID });
+    throw new Error(
+      `Migrations are locked by ${held?.owner} (${held?.command}) since ` +
+        `${held?.acquired_at?.toISOString()}; if that run crashed, use COMMAND=unlock`,
+    );
+  }
+}
+
+function releaseLock() {
+  db.getCollection(LOCK_COLLECTION).deleteOne({ _id: LOCK_ID });
+}
+
+function withLock(fn) {
+  acquireLock();
+  try {
+    fn();
+  } finally {
+    releaseLock();
+  }
+}
+
+// Returns a list of problems; an empty list means history and files agree.
+function validationErrors(migrations, history) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const errors = [];
+  history.forEach((entry) => {
+    const migration = byVersion.get(entry.version);
+    if (!entry.success) {
+      errors.push(
+        `V${entry.version} (${entry.script}) failed previously; fix it and run COMMAND=repair`,
+      );
+    } else if (!migration) {
+      errors.push(
+        `V${entry.version} (${entry.script}) is applied but its file is missing`,
+      );
+    } else if (migration.checksum !== entry.checksum) {
+      errors.push(
+        `V${entry.version} (${entry.script}) checksum mismatch: ` +
+          `applied ${entry.checksum}, file ${migration.checksum}`,
+      );
+    }
+  });
+  return errors;
+}
+
+function assertValid(migrations, history) {
+  const errors = validationErrors(migrations, history);
+  if (errors.length === 0) return;
+  errors.forEach((e) => print(`[error] ${e}`));
+  throw new Error(`Validation failed with ${errors.length} error(s)`);
+}
+
+function pendingMigrations(migrations, history) {
+  const applied = new Set(history.map((h) => h.version));
+  const latest = history.length ? history[history.length - 1].version : 0;
+  return migrations.filter((m) => {
+    if (applied.has(m.version)) return false;
+    if (target !== null && m.version > target) return false;
+    if (m.version < latest) {
+      throw new Error(
+        `${m.script} is older than the latest applied version V${latest}; ` +
+          "renumber it above the current version",
+      );
+    }
+    return true;
+  });
+}
+
+function applyMigration(migration) {
+  const started = Date.now();
+  const entry = {
+    _id: migration.version,
+    version: migration.version,
+    description: migration.description,
+    script: migration.script,
+    checksum: migration.checksum,
+    installed_by: `${os.userInfo().username}@${os.hostname()}`,
+    installed_at: new Date(),
+  };
+  print(`[migrate] V${migration.version} ${migration.description}`);
+  try {
+    load(migration.file);
+  } catch (err) {
+    db.getCollection(HISTORY_COLLECTION).replaceOne(
+      { _id: migration.version },
+      {
+        ...entry,
+        execution_time_ms: Date.now() - started,
+        success: false,
+        error: String(err),
+      },
+      { upsert: true },
+    );
+    throw err;
+  }
+  db.getCollection(HISTORY_COLLECTION).replaceOne(
+    { _id: migration.version },
+    { ...entry, execution_time_ms: Date.now() - started, success: true },
+    { upsert: true },
+  );
+}
+
+function undoMigration(entry) {
+  const rollback = scanDirectory(ROLLBACK_DIR, ROLLBACK_FILE).find(
+    (r) => r.version === entry.version,
+  );
+  if (!rollback) {
+    throw new Error(
+      `No rollback script rollback/U${entry.version}__*.js for ${entry.script}`,
+    );
+  }
+  print(`[undo] V${entry.version} ${entry.description} (${rollback.script})`);
+  load(rollback.file);
+  db.getCollection(HISTORY_COLLECTION).deleteOne({ _id: entry.version });
+}
+
+function printInfo(migrations, history) {
+  const applied = new Map(history.map((h) => [h.version, h]));
+  const rows = migrations.map((m) => {
+    const entry = applied.get(m.version);
+    let state = "Pending";
+    if (entry) state = entry.success ? "Success" : "Failed";
+    if (entry && entry.checksum !== m.checksum) state += " (checksum mismatch)";
+    return {
+      version: m.version,
+      description: m.description,
+      state,
+      installed_at: entry?.installed_at ?? null,
+    };
+  });
+  history
+    .filter((h) => !migrations.some((m) => m.version === h.version))
+    .forEach((h) =>
+      rows.push({
+        version: h.version,
+        description: h.description,
+        state: "Missing file",
+        installed_at: h.installed_at,
+      }),
+    );
+  rows
+    .sort((a, b) => a.version - b.version)
+    .forEach((r) =>
+      print(
+        `V${r.version}\t${r.state}\t${r.installed_at ? r.installed_at.toISOString() : "-"}\t${r.description}`,
+      ),
+    );
+}
+
+const migrations = discoverMigrations();
+const history = appliedHistory();
+
+switch (command) {
+  case "info":
+    printInfo(migrations, history);
+    break;
+
+  case "validate":
+    assertValid(migrations, history);
+    print(`Validated ${history.length} applied migration(s)`);
+    break;
+
+  case "migrate": {
+    assertValid(migrations, history);
+    const pending = pendingMigrations(migrations, history);
+    if (pending.length === 0) {
+      print("Schema is up to date");
+      break;
+    }
+    if (dryRun) {
+      pending.forEach((m) => print(`[dry-run] V${m.version} ${m.description}`));
+      break;
+    }
+    withLock(() => pending.forEach(applyMigration));
+    print(`Applied ${pending.length} migration(s)`);
+    break;
+  }
+
+  case "undo": {
+    const toUndo = history
+      .filter((h) =>
+        target === null
+          ? h === history[history.length - 1]
+          : h.version > target,
+      )
+      .reverse();
+    if (toUndo.length === 0) {
+      print("Nothing to undo");
+      break;
+    }
+    if (dryRun) {
+      toUndo.forEach((h) =>
+        print(`[dry-run] undo V${h.version} ${h.description}`),
+      );
+      break;
+    }
+    withLock(() => toUndo.forEach(undoMigration));
+    break;
+  }
+
+  case "repair":
+    withLock(() => {
+      const failed = db
+        .getCollection(HISTORY_COLLECTION)
+        .deleteMany({ success: false });
+      let realigned = 0;
+      migrations.forEach((m) => {
+        const res = db
+          .getCollection(HISTORY_COLLECTION)
+          .updateOne(
+            { _id: m.version, checksum: { $ne: m.checksum } },
+            { $set: { checksum: m.checksum } },
+          );
+        realigned += res.modifiedCount;
+      });
+      print(
+        `Removed ${failed.deletedCount} failed entr(ies), realigned ${realigned} checksum(s)`,
+      );
+    });
+    break;
+
+  case "unlock":
+    releaseLock();
+    print("Migration lock released");
+    break;
+}
@@ -0,0 +1,9 @@
+// U10 - Drop processed_transactions. The transactions.created projector must
+// be stopped first: without the ledger, redelivered events are projected
+// again.
+
+(() => {
+  if (!collectionInfo("processed_transactions")) return;
+  print("[undo] drop collection processed_transactions");
+  db.getCollection("processed_transactions").drop();
+})();
@@ -0,0 +1,26 @@
+// U11 - Drop the archive tier. transactions_archive holds the only copy of
+// transactions older than the transactions_ts TTL, so it and its manifests
+// are only dropped while empty; export (mongodump) and drop them by hand
+// otherwise.
+
+(() => {
+  const drop = (name) => {
+    if (!collectionInfo(name)) return;
+    print(`[undo] drop collection ${name}`);
+    db.getCollection(name).drop();
+  };
+
+  drop("transactions_restored");
+
+  const chunks = collectionInfo("transactions_archive")
+    ? db.getCollection("transactions_archive").estimatedDocumentCount()
+    : 0;
+  if (chunks > 0) {
+    print(
+      `[undo] keeping transactions_archive and transactions_archive_manifests: ${chunks} archived chunk(s)`,
+    );
+    return;
+  }
+  drop("transactions_archive_manifests");
+  drop("transactions_archive");
+})();
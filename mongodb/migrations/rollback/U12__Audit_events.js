@@ -0,0 +1,14 @@
+// U12 - Drop audit_events. Erasure and export records may be the only proof a
+// privacy request was handled, so the collection is only dropped while empty;
+// export (mongodump) and drop it by hand otherwise.
+
+(() => {
+  if (!collectionInfo("audit_events")) return;
+  const events = db.getCollection("audit_events").estimatedDocumentCount();
+  if (events > 0) {
+    print(`[undo] keeping audit_events: ${events} audit event(s)`);
+    return;
+  }
+  print("[undo] drop collection audit_events");
+  db.getCollection("audit_events").drop();
+})();
@@ -0,0 +1,14 @@
+// U13 - Drop customer_merges. Without it merges can no longer be reverted, so
+// the collection is only dropped while empty; export (mongodump) and drop it
+// by hand otherwise.
+
+(() => {
+  if (!collectionInfo("customer_merges")) return;
+  const merges = db.getCollection("customer_merges").estimatedDocumentCount();
+  if (merges > 0) {
+    print(`[undo] keeping customer_merges: ${merges} merge(s) logged`);
+    return;
+  }
+  print("[undo] drop collection customer_merges");
+  db.getCollection("customer_merges").drop();
+})();
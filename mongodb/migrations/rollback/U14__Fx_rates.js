@@ -0,0 +1,117 @@
+// U14 - Restore the V3 customer_analytics_monthly validator (no
+// metrics.currency) and drop fx_rates. Rates are reference data but may not
+// be reloadable for past dates, so the collection is only dropped while
+// empty; export (mongoexport) and drop it by hand otherwise.
+
+(() => {
+  const customerAnalyticsMonthlyValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "customer_id", "period", "metrics", "computed_at"],
+        properties: {
+          _id: {
+            bsonType: "object",
+            required: ["customer_id", "year", "month"],
+            properties: {
+              customer_id: {
+                bsonType: "long",
+              },
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+            },
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          period: {
+            bsonType: "object",
+            required: ["year", "month", "start_date", "end_date"],
+            properties: {
+              year: {
+                bsonType: "int",
+              },
+              month: {
+                bsonType: "int",
+                minimum: 1,
+                maximum: 12,
+              },
+              start_date: {
+                bsonType: "date",
+              },
+              end_date: {
+                bsonType: "date",
+              },
+            },
+          },
+          metrics: {
+            bsonType: "object",
+            required: ["total_amount", "transaction_count"],
+            properties: {
+              total_amount: {
+                bsonType: "decimal",
+              },
+              transaction_count: {
+                bsonType: ["int", "long"],
+                minimum: 0,
+              },
+              avg_amount: {
+                bsonType: "decimal",
+              },
+              min_amount: {
+                bsonType: "decimal",
+              },
+              max_amount: {
+                bsonType: "decimal",
+              },
+              transaction_types: {
+                bsonType: "object",
+                additionalProperties: {
+                  bsonType: ["int", "long"],
+                  minimum: 0,
+                },
+              },
+              days_active: {
+                bsonType: "int",
+                minimum: 0,
+                maximum: 31,
+              },
+              avg_daily_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+            },
+          },
+          computed_at: {
+            bsonType: "date",
+          },
+          version: {
+            bsonType: ["int", "long"],
+            minimum: 0,
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+  ensureCollection(
+    "customer_analytics_monthly",
+    customerAnalyticsMonthlyValidator,
+  );
+
+  if (!collectionInfo("fx_rates")) return;
+  const rates = db.getCollection("fx_rates").estimatedDocumentCount();
+  if (rates > 0) {
+    print(`[undo] keeping fx_rates: ${rates} rate(s) loaded`);
+    return;
+  }
+  print("[undo] drop collection fx_rates");
+  db.getCollection("fx_rates").drop();
+})();
@@ -0,0 +1,527 @@
+// U15 - Drop the accounts.external_account_id index and restore the V14
+// validators, where transaction_id must be a long. Kept while any
+// transactions_ts or transactions_restored document has a string
+// transaction_id: undo the projection first, or those documents could no
+// longer be updated.
+
+(() => {
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: {
+                    bsonType: "string",
+                  },
+                  last: {
+                    bsonType: "string",
+                  },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: ["double", "int"],
+            minimum: 0,
+            maximum: 1,
+            description: "must be a number between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: {
+                  bsonType: "long",
+                },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: {
+                  bsonType: "decimal",
+                },
+                last_transaction: {
+                  bsonType: ["date", "null"],
+                },
+              },
+            },
+          },
+          preferences: {
+            bsonType: "object",
+            properties: {
+              notification_channels: {
+                bsonType: "array",
+                items: {
+                  enum: ["email", "sms", "push"],
+                },
+                uniqueItems: true,
+              },
+              language: {
+                bsonType: "string",
+              },
+              timezone: {
+                bsonType: "string",
+              },
+              currency_preference: {
+                bsonType: "string",
+                pattern: "^[A-Z]{3}$",
+              },
+              marketing_opt_in: {
+                bsonType: "bool",
+              },
+              paperless_statements: {
+                bsonType: "bool",
+              },
+            },
+          },
+          products: {
+            bsonType: "object",
+            properties: {
+              credit_cards: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["card_id", "card_type", "credit_limit", "status"],
+                  properties: {
+                    card_id: {
+                      bsonType: "long",
+                    },
+                    card_type: {
+                      enum: ["VISA", "MASTERCARD", "AMEX", "DISCOVER"],
+                    },
+                    credit_limit: {
+                      bsonType: "decimal",
+                    },
+                    available_credit: {
+                      bsonType: "decimal",
+                    },
+                    status: {
+                      enum: [
+                        "ACTIVE",
+                        "INACTIVE",
+                        "FROZEN",
+                        "CLOSED",
+                        "PAID_OFF",
+                      ],
+                    },
+                  },
+                },
+              },
+              loans: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["loan_id", "loan_type", "principal", "status"],
+                  properties: {
+                    loan_id: {
+                      bsonType: "long",
+                    },
+                    loan_type: {
+                      enum: ["MORTGAGE", "AUTO", "PERSONAL", "STUDENT"],
+                    },
+                    principal: {
+                      bsonType: "decimal",
+                    },
+                    remaining_balance: {
+                      bsonType: "decimal",
+                    },
+                    monthly_payment: {
+                      bsonType: "decimal",
+                    },
+                    status: {
+                      enum: [
+                        "ACTIVE",
+                        "INACTIVE",
+                        "FROZEN",
+                        "CLOSED",
+                        "PAID_OFF",
+                      ],
+                    },
+                  },
+                },
+              },
+              investments: {
+                bsonType: "array",
+              },
+            },
+          },
+          behavior: {
+            bsonType: "object",
+            properties: {
+              avg_transaction_amount: {
+                bsonType: "decimal",
+              },
+              avg_monthly_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+              preferred_transaction_times: {
+                bsonType: "array",
+                items: {
+                  bsonType: "string",
+                  pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+                },
+              },
+              preferred_merchants: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["merchant_id", "count"],
+                  properties: {
+                    merchant_id: {
+                      bsonType: "long",
+                    },
+                    count: {
+                      bsonType: ["int", "long"],
+                      minimum: 0,
+                    },
+                  },
+                },
+              },
+              spending_patterns: {
+                bsonType: "object",
+                additionalProperties: {
+                  bsonType: "decimal",
+                },
+              },
+            },
+          },
+          metadata: {
+            bsonType: "object",
+            properties: {
+              kyc_status: {
+                enum: ["PENDING", "VERIFIED", "REJECTED", "EXPIRED"],
+              },
+              aml_status: {
+                enum: ["CLEAR", "REVIEW", "FLAGGED", "BLOCKED"],
+              },
+            },
+          },
+          created_at: {
+            bsonType: "date",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+  const transactionsTsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "timestamp",
+          "customer_id",
+          "transaction_id",
+          "account_id",
+          "transaction_type",
+          "amount",
+          "currency",
+          "status",
+        ],
+        properties: {
+          timestamp: {
+            bsonType: "date",
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          transaction_id: {
+            bsonType: "long",
+          },
+          account_id: {
+            bsonType: "long",
+          },
+          transaction_type: {
+            enum: [
+              "DEPOSIT",
+              "WITHDRAWAL",
+              "TRANSFER",
+              "PAYMENT",
+              "FEE",
+              "INTEREST",
+            ],
+          },
+          amount: {
+            bsonType: "decimal",
+          },
+          balance_after: {
+            bsonType: "decimal",
+          },
+          currency: {
+            bsonType: "string",
+            pattern: "^[A-Z]{3}$",
+          },
+          description: {
+            bsonType: "string",
+          },
+          merchant_id: {
+            bsonType: ["long", "null"],
+          },
+          status: {
+            enum: ["PENDING", "COMPLETED", "FAILED", "REVERSED"],
+          },
+          fraud_score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+          },
+          location: {
+            bsonType: "object",
+            required: ["type", "coordinates"],
+            properties: {
+              type: {
+                enum: ["Point"],
+              },
+              coordinates: {
+                bsonType: "array",
+                items: [
+                  {
+                    bsonType: ["double", "int"],
+                    minimum: -180,
+                    maximum: 180,
+                  },
+                  {
+                    bsonType: ["double", "int"],
+                    minimum: -90,
+                    maximum: 90,
+                  },
+                ],
+                minItems: 2,
+                maxItems: 2,
+                description: "[longitude, latitude]",
+              },
+            },
+          },
+          device_info: {
+            bsonType: "object",
+          },
+          metadata: {
+            bsonType: "object",
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+  const transactionRelationshipsValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "transaction_id",
+          "customer_id",
+          "related_customer_id",
+          "relationship_type",
+          "timestamp",
+          "flagged",
+        ],
+        properties: {
+          transaction_id: {
+            bsonType: "long",
+          },
+          customer_id: {
+            bsonType: "long",
+          },
+          related_customer_id: {
+            bsonType: "long",
+          },
+          relationship_type: {
+            enum: ["TRANSFER", "PAYMENT"],
+          },
+          amount: {
+            bsonType: "decimal",
+          },
+          timestamp: {
+            bsonType: "date",
+          },
+          flagged: {
+            bsonType: "bool",
+          },
+          fraud_score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+          },
+          metadata: {
+            bsonType: "object",
+            properties: {
+              detected_at: {
+                bsonType: "date",
+              },
+              detection_method: {
+                bsonType: "string",
+              },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+  const customerMergesValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: [
+          "survivor_id",
+          "merged_id",
+          "status",
+          "actor",
+          "survivor_before",
+          "merged_before",
+          "moved",
+          "merged_at",
+        ],
+        properties: {
+          survivor_id: {
+            bsonType: "long",
+            description: "customer that is kept",
+          },
+          merged_id: {
+            bsonType: "long",
+            description:
+              "customer folded into survivor_id; kept with metadata.merged_into",
+          },
+          status: {
+            enum: ["IN_PROGRESS", "COMPLETE", "REVERTED"],
+          },
+          score: {
+            bsonType: ["double", "int", "null"],
+            minimum: 0,
+            maximum: 1,
+            description:
+              "duplicate match score when merged; null for a manual merge",
+          },
+          signals: {
+            bsonType: "object",
+            description: "per-signal match scores (name, phone, address, dob)",
+          },
+          actor: {
+            bsonType: "string",
+          },
+          reason: {
+            bsonType: ["string", "null"],
+          },
+          survivor_before: {
+            bsonType: "object",
+            description:
+              "survivor document before the merge, restored on revert",
+          },
+          merged_before: {
+            bsonType: "object",
+            description: "merged document before the merge, restored on revert",
+          },
+          moved: {
+            bsonType: "object",
+            required: [
+              "transaction_ids",
+              "relationship_ids",
+              "related_relationship_ids",
+            ],
+            properties: {
+              transaction_ids: {
+                bsonType: "array",
+                items: {
+                  bsonType: "long",
+                },
+                description: "transactions_ts re-pointed to survivor_id",
+              },
+              relationship_ids: {
+                bsonType: "array",
+                description:
+                  "transaction_relationships _ids whose customer_id was re-pointed",
+              },
+              related_relationship_ids: {
+                bsonType: "array",
+                description:
+                  "transaction_relationships _ids whose related_customer_id was re-pointed",
+              },
+            },
+          },
+          survivor_version: {
+            bsonType: ["int", "long", "null"],
+            minimum: 0,
+            description:
+              "survivor version after the merge; revert refuses once it changed",
+          },
+          merged_version: {
+            bsonType: ["int", "long", "null"],
+            minimum: 0,
+          },
+          merged_at: {
+            bsonType: "date",
+          },
+          completed_at: {
+            bsonType: ["date", "null"],
+          },
+          reverted_by: {
+            bsonType: ["string", "null"],
+          },
+          reverted_at: {
+            bsonType: ["date", "null"],
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const customers = db.getCollection("customers");
+  if (
+    customers
+      .getIndexes()
+      .some((i) => i.name === "accounts.external_account_id_1")
+  ) {
+    print("[undo] drop index customers accounts.external_account_id_1");
+    customers.dropIndex("accounts.external_account_id_1");
+  }
+  ensureCollection("customers", customersValidator);
+
+  const stringIds = ["transactions_ts", "transactions_restored"]
+    .filter((name) => collectionInfo(name))
+    .map((name) => ({
+      name,
+      count: db
+        .getCollection(name)
+        .countDocuments({ transaction_id: { $type: "string" } }),
+    }))
+    .filter(({ count }) => count > 0);
+  if (stringIds.length) {
+    stringIds.forEach(({ name, count }) =>
+      print(
+        `[undo] keeping the V15 validators: ${name} has ${count} string transaction_id(s)`,
+      ),
+    );
+    return;
+  }
+  ensureCollection("transactions_ts", transactionsTsValidator);
+  ensureCollection("transactions_restored", transactionsTsValidator);
+  ensureCollection(
+    "transaction_relationships",
+    transactionRelationshipsValidator,
+  );
+  ensureCollection("customer_merges", customerMergesValidator);
+})();
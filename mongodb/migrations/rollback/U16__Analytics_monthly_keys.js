@@ -0,0 +1,7 @@
+// U16 - Nothing to undo. Re-keyed rows are read the same way by every earlier
+// version; removed rows were duplicates of keyed rows or had no customer_id
+// and period to key them on.
+
+(() => {
+  print("[undo] customer_analytics_monthly rows stay re-keyed");
+})();
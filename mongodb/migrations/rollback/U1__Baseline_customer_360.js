@@ -0,0 +1,15 @@
+// U1 - Undo baseline: drops every customer 360 collection, data included.
+// Take a backup first (see disaster-recovery/MONGODB_RECOVERY.md).
+
+(() => {
+  [
+    "customers",
+    "transactions_ts",
+    "customer_analytics_monthly",
+    "transaction_relationships",
+  ].forEach((name) => {
+    if (!collectionInfo(name)) return;
+    print(`[undo] drop collection ${name}`);
+    db.getCollection(name).drop();
+  });
+})();
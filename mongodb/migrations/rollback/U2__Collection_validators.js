@@ -0,0 +1,71 @@
+// U2 - Restore the V1 customers validator and remove the validators V2 added
+// to transactions_ts, transaction_relationships and customer_analytics_monthly.
+
+(() => {
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: { bsonType: "string" },
+                  last: { bsonType: "string" },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: "double",
+            minimum: 0,
+            maximum: 1,
+            description: "must be a double between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: { bsonType: "long" },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: { bsonType: "decimal" },
+              },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("customers", customersValidator);
+
+  [
+    "transactions_ts",
+    "transaction_relationships",
+    "customer_analytics_monthly",
+  ].forEach((name) => {
+    if (!collectionInfo(name)?.options?.validator) return;
+    print(`[undo] remove validator from ${name}`);
+    db.runCommand({ collMod: name, validator: {} });
+  });
+})();
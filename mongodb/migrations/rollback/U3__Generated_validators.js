@@ -0,0 +1,226 @@
+// U3 - Restore the V2 customers and customer_analytics_monthly validators.
+
+(() => {
+  // Shared sub-schemas
+  const decimalField = { bsonType: "decimal" };
+  const scoreField = {
+    bsonType: ["double", "int", "null"],
+    minimum: 0,
+    maximum: 1,
+  };
+  const currencyField = { bsonType: "string", pattern: "^[A-Z]{3}$" };
+  const productStatusField = {
+    enum: ["ACTIVE", "INACTIVE", "FROZEN", "CLOSED", "PAID_OFF"],
+  };
+
+  const customersValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["customer_id", "personal_info", "created_at"],
+        properties: {
+          customer_id: {
+            bsonType: "long",
+            description: "must be a long and is required",
+          },
+          personal_info: {
+            bsonType: "object",
+            required: ["name", "email"],
+            properties: {
+              name: {
+                bsonType: "object",
+                required: ["first", "last"],
+                properties: {
+                  first: { bsonType: "string" },
+                  last: { bsonType: "string" },
+                },
+              },
+              email: {
+                bsonType: "string",
+                pattern: "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$",
+              },
+            },
+          },
+          risk_score: {
+            bsonType: "double",
+            minimum: 0,
+            maximum: 1,
+            description: "must be a double between 0 and 1",
+          },
+          accounts: {
+            bsonType: "array",
+            items: {
+              bsonType: "object",
+              required: ["account_id", "account_type", "balance"],
+              properties: {
+                account_id: { bsonType: "long" },
+                account_type: {
+                  enum: ["CHECKING", "SAVINGS", "CREDIT", "LOAN", "INVESTMENT"],
+                },
+                balance: { bsonType: "decimal" },
+              },
+            },
+          },
+          preferences: {
+            bsonType: "object",
+            properties: {
+              notification_channels: {
+                bsonType: "array",
+                uniqueItems: true,
+                items: { enum: ["email", "sms", "push"] },
+              },
+              language: { bsonType: "string" },
+              timezone: { bsonType: "string" },
+              currency_preference: currencyField,
+              marketing_opt_in: { bsonType: "bool" },
+              paperless_statements: { bsonType: "bool" },
+            },
+          },
+          products: {
+            bsonType: "object",
+            properties: {
+              credit_cards: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["card_id", "card_type", "credit_limit", "status"],
+                  properties: {
+                    card_id: { bsonType: "long" },
+                    card_type: {
+                      enum: ["VISA", "MASTERCARD", "AMEX", "DISCOVER"],
+                    },
+                    credit_limit: decimalField,
+                    available_credit: decimalField,
+                    status: productStatusField,
+                  },
+                },
+              },
+              loans: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["loan_id", "loan_type", "principal", "status"],
+                  properties: {
+                    loan_id: { bsonType: "long" },
+                    loan_type: {
+                      enum: ["MORTGAGE", "AUTO", "PERSONAL", "STUDENT"],
+                    },
+                    principal: decimalField,
+                    remaining_balance: decimalField,
+                    monthly_payment: decimalField,
+                    status: productStatusField,
+                  },
+                },
+              },
+              investments: { bsonType: "array" },
+            },
+          },
+          behavior: {
+            bsonType: "object",
+            properties: {
+              avg_transaction_amount: decimalField,
+              avg_monthly_transactions: {
+                bsonType: ["int", "double"],
+                minimum: 0,
+              },
+              preferred_transaction_times: {
+                bsonType: "array",
+                items: {
+                  bsonType: "string",
+                  pattern: "^([01][0-9]|2[0-3]):[0-5][0-9]$",
+                },
+              },
+              preferred_merchants: {
+                bsonType: "array",
+                items: {
+                  bsonType: "object",
+                  required: ["merchant_id", "count"],
+                  properties: {
+                    merchant_id: { bsonType: "long" },
+                    count: { bsonType: ["int", "long"], minimum: 0 },
+                  },
+                },
+              },
+              spending_patterns: {
+                bsonType: "object",
+                additionalProperties: decimalField,
+              },
+            },
+          },
+          metadata: {
+            bsonType: "object",
+            properties: {
+              kyc_status: {
+                enum: ["PENDING", "VERIFIED", "REJECTED", "EXPIRED"],
+              },
+              aml_status: { enum: ["CLEAR", "REVIEW", "FLAGGED", "BLOCKED"] },
+            },
+          },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  const customerAnalyticsMonthlyValidator = {
+    validator: {
+      $jsonSchema: {
+        bsonType: "object",
+        required: ["_id", "customer_id", "period", "metrics", "computed_at"],
+        properties: {
+          _id: {
+            bsonType: "object",
+            required: ["customer_id", "year", "month"],
+            properties: {
+              customer_id: { bsonType: "long" },
+              year: { bsonType: "int" },
+              month: { bsonType: "int", minimum: 1, maximum: 12 },
+            },
+          },
+          customer_id: { bsonType: "long" },
+          period: {
+            bsonType: "object",
+            required: ["year", "month", "start_date", "end_date"],
+            properties: {
+              year: { bsonType: "int" },
+              month: { bsonType: "int", minimum: 1, maximum: 12 },
+              start_date: { bsonType: "date" },
+              end_date: { bsonType: "date" },
+            },
+          },
+          metrics: {
+            bsonType: "object",
+            required: ["total_amount", "transaction_count"],
+            properties: {
+              total_amount: decimalField,
+              transaction_count: { bsonType: ["int", "long"], minimum: 0 },
+              avg_amount: decimalField,
+              min_amount: decimalField,
+              max_amount: decimalField,
+              transaction_types: {
+                bsonType: "object",
+                additionalProperties: { bsonType: ["int", "long"], minimum: 0 },
+              },
+              days_active: { bsonType: "int", minimum: 0, maximum: 31 },
+              avg_daily_transactions: {
+                bsonType: ["double", "int"],
+                minimum: 0,
+              },
+            },
+          },
+          computed_at: { bsonType: "date" },
+          version: { bsonType: ["int", "long"] },
+        },
+      },
+    },
+    validationLevel: "moderate",
+    validationAction: "error",
+  };
+
+  ensureCollection("customers", customersValidator);
+  ensureCollection(
+    "customer_analytics_monthly",
+    customerAnalyticsMonthlyValidator,
+  );
+})();
@@ -0,0 +1,11 @@
+// U4 - Drop the transaction_relationships.transaction_id index.
+
+(() => {
+  const coll = db.getCollection("transaction_relationships");
+  const index = coll
+    .getIndexes()
+    .find((i) => sameValue(i.key, { transaction_id: 1 }));
+  if (!index) return;
+  print(`[undo] drop index transaction_relationships ${index.name}`);
+  coll.dropIndex(index.name);
+})();
@@ -0,0 +1,7 @@
+// U5 - Drop risk_score_history, score audit trail included.
+
+(() => {
+  if (!collectionInfo("risk_score_history")) return;
+  print("[undo] drop collection risk_score_history");
+  db.getCollection("risk_score_history").drop();
+})();
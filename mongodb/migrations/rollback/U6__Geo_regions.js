@@ -0,0 +1,7 @@
+// U6 - Drop geo_regions (reference data; reload it after migrating again).
+
+(() => {
+  if (!collectionInfo("geo_regions")) return;
+  print("[undo] drop collection geo_regions");
+  db.getCollection("geo_regions").drop();
+})();
@@ -0,0 +1,11 @@
+// U7 - Drop the customer_search Atlas Search index where Atlas Search is
+// available.
+
+(() => {
+  if (
+    (searchIndexes("customers") ?? []).some((i) => i.name === "customer_search")
+  ) {
+    print("[undo] drop search index customers customer_search");
+    db.getCollection("customers").dropSearchIndex("customer_search");
+  }
+})();
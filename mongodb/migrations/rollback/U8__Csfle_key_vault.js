@@ -0,0 +1,21 @@
+// U8 - Drop the key vault keyAltNames index. The key vault itself is kept:
+// dropping it would make every encrypted value permanently unreadable.
+
+(() => {
+  const namespace = setting(
+    "CSFLE_KEY_VAULT_NAMESPACE",
+    "encryption.__keyVault",
+  );
+  const [dbName, ...rest] = namespace.split(".");
+  const database = db.getSiblingDB(dbName);
+  const collName = rest.join(".");
+  if (!collectionInfo(collName, database)) return;
+
+  const coll = database.getCollection(collName);
+  const index = coll
+    .getIndexes()
+    .find((i) => sameValue(i.key, { keyAltNames: 1 }));
+  if (!index) return;
+  print(`[undo] drop index ${namespace} ${index.name}`);
+  coll.dropIndex(index.name);
+})();
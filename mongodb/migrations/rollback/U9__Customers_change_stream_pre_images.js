@@ -0,0 +1,9 @@
+// U9 - Stop recording change-stream pre- and post-images for customers. The
+// accounts sync worker requires them and stops with an error until V9 is
+// re-applied.
+
+(() => {
+  ensureCollection("customers", {
+    changeStreamPreAndPostImages: { enabled: false },
+  });
+})();
@@ -0,0 +1,1171 @@
+// GENERATED by mongodb/tools/generate-validators.mjs from
+// shared/canonical/customer_360.json - do not edit by hand.
+// Regenerate: node mongodb/tools/generate-validators.mjs
+//
+// Loaded with load(); `var` keeps the validators global for the caller.
+
+// customers
+var customersValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "customer_id",
+        "personal_info",
+        "created_at"
+      ],
+      "properties": {
+        "customer_id": {
+          "bsonType": "long",
+          "description": "must be a long and is required"
+        },
+        "personal_info": {
+          "bsonType": "object",
+          "required": [
+            "name",
+            "email"
+          ],
+          "properties": {
+            "name": {
+              "bsonType": "object",
+              "required": [
+                "first",
+                "last"
+              ],
+              "properties": {
+                "first": {
+                  "bsonType": "string"
+                },
+                "last": {
+                  "bsonType": "string"
+                }
+              }
+            },
+            "email": {
+              "bsonType": "string",
+              "pattern": "^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$"
+            }
+          }
+        },
+        "risk_score": {
+          "bsonType": [
+            "double",
+            "int"
+          ],
+          "minimum": 0,
+          "maximum": 1,
+          "description": "must be a number between 0 and 1"
+        },
+        "accounts": {
+          "bsonType": "array",
+          "items": {
+            "bsonType": "object",
+            "required": [
+              "account_id",
+              "account_type",
+              "balance"
+            ],
+            "properties": {
+              "account_id": {
+                "bsonType": "long"
+              },
+              "external_account_id": {
+                "bsonType": "string",
+                "description": "MySQL accounts.id, the account_id that transactions.created events carry"
+              },
+              "account_type": {
+                "enum": [
+                  "CHECKING",
+                  "SAVINGS",
+                  "CREDIT",
+                  "LOAN",
+                  "INVESTMENT"
+                ]
+              },
+              "balance": {
+                "bsonType": "decimal"
+              },
+              "last_transaction": {
+                "bsonType": [
+                  "date",
+                  "null"
+                ]
+              }
+            }
+          }
+        },
+        "preferences": {
+          "bsonType": "object",
+          "properties": {
+            "notification_channels": {
+              "bsonType": "array",
+              "items": {
+                "enum": [
+                  "email",
+                  "sms",
+                  "push"
+                ]
+              },
+              "uniqueItems": true
+            },
+            "language": {
+              "bsonType": "string"
+            },
+            "timezone": {
+              "bsonType": "string"
+            },
+            "currency_preference": {
+              "bsonType": "string",
+              "pattern": "^[A-Z]{3}$"
+            },
+            "marketing_opt_in": {
+              "bsonType": "bool"
+            },
+            "paperless_statements": {
+              "bsonType": "bool"
+            }
+          }
+        },
+        "products": {
+          "bsonType": "object",
+          "properties": {
+            "credit_cards": {
+              "bsonType": "array",
+              "items": {
+                "bsonType": "object",
+                "required": [
+                  "card_id",
+                  "card_type",
+                  "credit_limit",
+                  "status"
+                ],
+                "properties": {
+                  "card_id": {
+                    "bsonType": "long"
+                  },
+                  "card_type": {
+                    "enum": [
+                      "VISA",
+                      "MASTERCARD",
+                      "AMEX",
+                      "DISCOVER"
+                    ]
+                  },
+                  "credit_limit": {
+                    "bsonType": "decimal"
+                  },
+                  "available_credit": {
+                    "bsonType": "decimal"
+                  },
+                  "status": {
+                    "enum": [
+                      "ACTIVE",
+                      "INACTIVE",
+                      "FROZEN",
+                      "CLOSED",
+                      "PAID_OFF"
+                    ]
+                  }
+                }
+              }
+            },
+            "loans": {
+              "bsonType": "array",
+              "items": {
+                "bsonType": "object",
+                "required": [
+                  "loan_id",
+                  "loan_type",
+                  "principal",
+                  "status"
+                ],
+                "properties": {
+                  "loan_id": {
+                    "bsonType": "long"
+                  },
+                  "loan_type": {
+                    "enum": [
+                      "MORTGAGE",
+                      "AUTO",
+                      "PERSONAL",
+                      "STUDENT"
+                    ]
+                  },
+                  "principal": {
+                    "bsonType": "decimal"
+                  },
+                  "remaining_balance": {
+                    "bsonType": "decimal"
+                  },
+                  "monthly_payment": {
+                    "bsonType": "decimal"
+                  },
+                  "status": {
+                    "enum": [
+                      "ACTIVE",
+                      "INACTIVE",
+                      "FROZEN",
+                      "CLOSED",
+                      "PAID_OFF"
+                    ]
+                  }
+                }
+              }
+            },
+            "investments": {
+              "bsonType": "array"
+            }
+          }
+        },
+        "behavior": {
+          "bsonType": "object",
+          "properties": {
+            "avg_transaction_amount": {
+              "bsonType": "decimal"
+            },
+            "avg_monthly_transactions": {
+              "bsonType": [
+                "double",
+                "int"
+              ],
+              "minimum": 0
+            },
+            "preferred_transaction_times": {
+              "bsonType": "array",
+              "items": {
+                "bsonType": "string",
+                "pattern": "^([01][0-9]|2[0-3]):[0-5][0-9]$"
+              }
+            },
+            "preferred_merchants": {
+              "bsonType": "array",
+              "items": {
+                "bsonType": "object",
+                "required": [
+                  "merchant_id",
+                  "count"
+                ],
+                "properties": {
+                  "merchant_id": {
+                    "bsonType": "long"
+                  },
+                  "count": {
+                    "bsonType": [
+                      "int",
+                      "long"
+                    ],
+                    "minimum": 0
+                  }
+                }
+              }
+            },
+            "spending_patterns": {
+              "bsonType": "object",
+              "additionalProperties": {
+                "bsonType": "decimal"
+              }
+            }
+          }
+        },
+        "metadata": {
+          "bsonType": "object",
+          "properties": {
+            "kyc_status": {
+              "enum": [
+                "PENDING",
+                "VERIFIED",
+                "REJECTED",
+                "EXPIRED"
+              ]
+            },
+            "aml_status": {
+              "enum": [
+                "CLEAR",
+                "REVIEW",
+                "FLAGGED",
+                "BLOCKED"
+              ]
+            }
+          }
+        },
+        "created_at": {
+          "bsonType": "date"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// transactions_ts
+var transactionsTsValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "timestamp",
+        "customer_id",
+        "transaction_id",
+        "account_id",
+        "transaction_type",
+        "amount",
+        "currency",
+        "status"
+      ],
+      "properties": {
+        "timestamp": {
+          "bsonType": "date"
+        },
+        "customer_id": {
+          "bsonType": "long"
+        },
+        "transaction_id": {
+          "bsonType": [
+            "long",
+            "string"
+          ]
+        },
+        "account_id": {
+          "bsonType": "long"
+        },
+        "transaction_type": {
+          "enum": [
+            "DEPOSIT",
+            "WITHDRAWAL",
+            "TRANSFER",
+            "PAYMENT",
+            "FEE",
+            "INTEREST"
+          ]
+        },
+        "amount": {
+          "bsonType": "decimal"
+        },
+        "balance_after": {
+          "bsonType": "decimal"
+        },
+        "currency": {
+          "bsonType": "string",
+          "pattern": "^[A-Z]{3}$"
+        },
+        "description": {
+          "bsonType": "string"
+        },
+        "merchant_id": {
+          "bsonType": [
+            "long",
+            "null"
+          ]
+        },
+        "status": {
+          "enum": [
+            "PENDING",
+            "COMPLETED",
+            "FAILED",
+            "REVERSED"
+          ]
+        },
+        "fraud_score": {
+          "bsonType": [
+            "double",
+            "int",
+            "null"
+          ],
+          "minimum": 0,
+          "maximum": 1
+        },
+        "location": {
+          "bsonType": "object",
+          "required": [
+            "type",
+            "coordinates"
+          ],
+          "properties": {
+            "type": {
+              "enum": [
+                "Point"
+              ]
+            },
+            "coordinates": {
+              "bsonType": "array",
+              "items": [
+                {
+                  "bsonType": [
+                    "double",
+                    "int"
+                  ],
+                  "minimum": -180,
+                  "maximum": 180
+                },
+                {
+                  "bsonType": [
+                    "double",
+                    "int"
+                  ],
+                  "minimum": -90,
+                  "maximum": 90
+                }
+              ],
+              "minItems": 2,
+              "maxItems": 2,
+              "description": "[longitude, latitude]"
+            }
+          }
+        },
+        "device_info": {
+          "bsonType": "object"
+        },
+        "metadata": {
+          "bsonType": "object"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// transaction_relationships
+var transactionRelationshipsValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "transaction_id",
+        "customer_id",
+        "related_customer_id",
+        "relationship_type",
+        "timestamp",
+        "flagged"
+      ],
+      "properties": {
+        "transaction_id": {
+          "bsonType": [
+            "long",
+            "string"
+          ]
+        },
+        "customer_id": {
+          "bsonType": "long"
+        },
+        "related_customer_id": {
+          "bsonType": "long"
+        },
+        "relationship_type": {
+          "enum": [
+            "TRANSFER",
+            "PAYMENT"
+          ]
+        },
+        "amount": {
+          "bsonType": "decimal"
+        },
+        "timestamp": {
+          "bsonType": "date"
+        },
+        "flagged": {
+          "bsonType": "bool"
+        },
+        "fraud_score": {
+          "bsonType": [
+            "double",
+            "int",
+            "null"
+          ],
+          "minimum": 0,
+          "maximum": 1
+        },
+        "metadata": {
+          "bsonType": "object",
+          "properties": {
+            "detected_at": {
+              "bsonType": "date"
+            },
+            "detection_method": {
+              "bsonType": "string"
+            }
+          }
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// customer_analytics_monthly
+var customerAnalyticsMonthlyValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "_id",
+        "customer_id",
+        "period",
+        "metrics",
+        "computed_at"
+      ],
+      "properties": {
+        "_id": {
+          "bsonType": "object",
+          "required": [
+            "customer_id",
+            "year",
+            "month"
+          ],
+          "properties": {
+            "customer_id": {
+              "bsonType": "long"
+            },
+            "year": {
+              "bsonType": "int"
+            },
+            "month": {
+              "bsonType": "int",
+              "minimum": 1,
+              "maximum": 12
+            }
+          }
+        },
+        "customer_id": {
+          "bsonType": "long"
+        },
+        "period": {
+          "bsonType": "object",
+          "required": [
+            "year",
+            "month",
+            "start_date",
+            "end_date"
+          ],
+          "properties": {
+            "year": {
+              "bsonType": "int"
+            },
+            "month": {
+              "bsonType": "int",
+              "minimum": 1,
+              "maximum": 12
+            },
+            "start_date": {
+              "bsonType": "date"
+            },
+            "end_date": {
+              "bsonType": "date"
+            }
+          }
+        },
+        "metrics": {
+          "bsonType": "object",
+          "required": [
+            "currency",
+            "total_amount",
+            "transaction_count"
+          ],
+          "properties": {
+            "currency": {
+              "bsonType": "string",
+              "pattern": "^[A-Z]{3}$",
+              "description": "currency of the amounts: the customer's currency_preference, or the refresh's REPORTING_CURRENCY"
+            },
+            "total_amount": {
+              "bsonType": "decimal"
+            },
+            "transaction_count": {
+              "bsonType": [
+                "int",
+                "long"
+              ],
+              "minimum": 0
+            },
+            "avg_amount": {
+              "bsonType": "decimal"
+            },
+            "min_amount": {
+              "bsonType": "decimal"
+            },
+            "max_amount": {
+              "bsonType": "decimal"
+            },
+            "transaction_types": {
+              "bsonType": "object",
+              "additionalProperties": {
+                "bsonType": [
+                  "int",
+                  "long"
+                ],
+                "minimum": 0
+              }
+            },
+            "days_active": {
+              "bsonType": "int",
+              "minimum": 0,
+              "maximum": 31
+            },
+            "avg_daily_transactions": {
+              "bsonType": [
+                "double",
+                "int"
+              ],
+              "minimum": 0
+            }
+          }
+        },
+        "computed_at": {
+          "bsonType": "date"
+        },
+        "version": {
+          "bsonType": [
+            "int",
+            "long"
+          ],
+          "minimum": 0
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// risk_score_history
+var riskScoreHistoryValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "customer_id",
+        "risk_score",
+        "risk_factors",
+        "model",
+        "computed_at"
+      ],
+      "properties": {
+        "customer_id": {
+          "bsonType": "long"
+        },
+        "risk_score": {
+          "bsonType": [
+            "double",
+            "int"
+          ],
+          "minimum": 0,
+          "maximum": 1
+        },
+        "previous_score": {
+          "bsonType": [
+            "double",
+            "int",
+            "null"
+          ],
+          "minimum": 0,
+          "maximum": 1
+        },
+        "risk_factors": {
+          "bsonType": "array",
+          "items": {
+            "bsonType": "object",
+            "required": [
+              "factor",
+              "score",
+              "weight",
+              "detected_at"
+            ],
+            "properties": {
+              "factor": {
+                "bsonType": "string"
+              },
+              "score": {
+                "bsonType": [
+                  "double",
+                  "int"
+                ],
+                "minimum": 0,
+                "maximum": 1
+              },
+              "weight": {
+                "bsonType": [
+                  "double",
+                  "int"
+                ],
+                "minimum": 0,
+                "maximum": 1
+              },
+              "value": {
+                "bsonType": [
+                  "double",
+                  "int",
+                  "null"
+                ]
+              },
+              "detected_at": {
+                "bsonType": "date"
+              }
+            }
+          }
+        },
+        "model": {
+          "bsonType": "string"
+        },
+        "computed_at": {
+          "bsonType": "date"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// geo_regions
+var geoRegionsValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "_id",
+        "country",
+        "name",
+        "geometry"
+      ],
+      "properties": {
+        "_id": {
+          "bsonType": "string",
+          "pattern": "^[A-Z]{2}(-[A-Z0-9]{1,3})?$",
+          "description": "ISO 3166-1 alpha-2 country or ISO 3166-2 subdivision code"
+        },
+        "country": {
+          "bsonType": "string",
+          "pattern": "^[A-Z]{2}$"
+        },
+        "subdivision": {
+          "bsonType": [
+            "string",
+            "null"
+          ]
+        },
+        "name": {
+          "bsonType": "string"
+        },
+        "geometry": {
+          "bsonType": "object",
+          "required": [
+            "type",
+            "coordinates"
+          ],
+          "properties": {
+            "type": {
+              "enum": [
+                "Polygon",
+                "MultiPolygon"
+              ]
+            },
+            "coordinates": {
+              "bsonType": "array"
+            }
+          }
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// transactions_archive
+var transactionsArchiveValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "_id",
+        "month",
+        "customer_id",
+        "transaction_type",
+        "chunk",
+        "transactions",
+        "count",
+        "checksum",
+        "archived_at"
+      ],
+      "properties": {
+        "_id": {
+          "bsonType": "string",
+          "description": "<month>:<customer_id>:<transaction_type>:<chunk>"
+        },
+        "month": {
+          "bsonType": "string",
+          "pattern": "^[0-9]{4}-(0[1-9]|1[0-2])$"
+        },
+        "customer_id": {
+          "bsonType": "long"
+        },
+        "transaction_type": {
+          "enum": [
+            "DEPOSIT",
+            "WITHDRAWAL",
+            "TRANSFER",
+            "PAYMENT",
+            "FEE",
+            "INTEREST"
+          ]
+        },
+        "chunk": {
+          "bsonType": [
+            "int",
+            "long"
+          ],
+          "minimum": 0
+        },
+        "transactions": {
+          "bsonType": "array",
+          "items": {
+            "bsonType": "object"
+          },
+          "minItems": 1,
+          "description": "transactions_ts documents, unchanged, ordered by timestamp then transaction_id"
+        },
+        "count": {
+          "bsonType": [
+            "int",
+            "long"
+          ],
+          "minimum": 0
+        },
+        "checksum": {
+          "bsonType": "string",
+          "pattern": "^[0-9a-f]{64}$",
+          "description": "SHA-256 of the canonical EJSON of transactions"
+        },
+        "archived_at": {
+          "bsonType": "date"
+        },
+        "expire_at": {
+          "bsonType": [
+            "date",
+            "null"
+          ],
+          "description": "end of retention for transaction_type; null keeps the chunk indefinitely"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// transactions_archive_manifests
+var transactionsArchiveManifestsValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "_id",
+        "status",
+        "start",
+        "end",
+        "started_at"
+      ],
+      "properties": {
+        "_id": {
+          "bsonType": "string",
+          "pattern": "^[0-9]{4}-(0[1-9]|1[0-2])$",
+          "description": "archived month (UTC)"
+        },
+        "status": {
+          "enum": [
+            "IN_PROGRESS",
+            "COMPLETE"
+          ]
+        },
+        "start": {
+          "bsonType": "date"
+        },
+        "end": {
+          "bsonType": "date"
+        },
+        "chunks": {
+          "bsonType": [
+            "int",
+            "long"
+          ],
+          "minimum": 0
+        },
+        "transactions": {
+          "bsonType": [
+            "int",
+            "long"
+          ],
+          "minimum": 0
+        },
+        "by_type": {
+          "bsonType": "object",
+          "additionalProperties": {
+            "bsonType": "object",
+            "required": [
+              "count",
+              "checksum"
+            ],
+            "properties": {
+              "count": {
+                "bsonType": [
+                  "int",
+                  "long"
+                ],
+                "minimum": 0
+              },
+              "checksum": {
+                "bsonType": "string",
+                "pattern": "^[0-9a-f]{64}$"
+              },
+              "retention_years": {
+                "bsonType": [
+                  "int",
+                  "null"
+                ]
+              },
+              "expire_at": {
+                "bsonType": [
+                  "date",
+                  "null"
+                ]
+              }
+            }
+          }
+        },
+        "checksum": {
+          "bsonType": "string",
+          "pattern": "^[0-9a-f]{64}$",
+          "description": "SHA-256 over the month's chunk checksums ordered by customer_id, transaction_type, chunk"
+        },
+        "started_at": {
+          "bsonType": "date"
+        },
+        "archived_at": {
+          "bsonType": [
+            "date",
+            "null"
+          ]
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// audit_events
+var auditEventsValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "correlation_id",
+        "actor",
+        "action",
+        "resource",
+        "occurred_at"
+      ],
+      "properties": {
+        "correlation_id": {
+          "bsonType": "string",
+          "pattern": "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$"
+        },
+        "actor": {
+          "bsonType": "string"
+        },
+        "action": {
+          "bsonType": "string"
+        },
+        "resource": {
+          "bsonType": "string",
+          "description": "<collection>/<id>, e.g. customers/42"
+        },
+        "occurred_at": {
+          "bsonType": "date"
+        },
+        "metadata": {
+          "bsonType": "object"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// customer_merges
+var customerMergesValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "survivor_id",
+        "merged_id",
+        "status",
+        "actor",
+        "survivor_before",
+        "merged_before",
+        "moved",
+        "merged_at"
+      ],
+      "properties": {
+        "survivor_id": {
+          "bsonType": "long",
+          "description": "customer that is kept"
+        },
+        "merged_id": {
+          "bsonType": "long",
+          "description": "customer folded into survivor_id; kept with metadata.merged_into"
+        },
+        "status": {
+          "enum": [
+            "IN_PROGRESS",
+            "COMPLETE",
+            "REVERTED"
+          ]
+        },
+        "score": {
+          "bsonType": [
+            "double",
+            "int",
+            "null"
+          ],
+          "minimum": 0,
+          "maximum": 1,
+          "description": "duplicate match score when merged; null for a manual merge"
+        },
+        "signals": {
+          "bsonType": "object",
+          "description": "per-signal match scores (name, phone, address, dob)"
+        },
+        "actor": {
+          "bsonType": "string"
+        },
+        "reason": {
+          "bsonType": [
+            "string",
+            "null"
+          ]
+        },
+        "survivor_before": {
+          "bsonType": "object",
+          "description": "survivor document before the merge, restored on revert"
+        },
+        "merged_before": {
+          "bsonType": "object",
+          "description": "merged document before the merge, restored on revert"
+        },
+        "moved": {
+          "bsonType": "object",
+          "required": [
+            "transaction_ids",
+            "relationship_ids",
+            "related_relationship_ids"
+          ],
+          "properties": {
+            "transaction_ids": {
+              "bsonType": "array",
+              "items": {
+                "bsonType": [
+                  "long",
+                  "string"
+                ]
+              },
+              "description": "transactions_ts re-pointed to survivor_id"
+            },
+            "relationship_ids": {
+              "bsonType": "array",
+              "description": "transaction_relationships _ids whose customer_id was re-pointed"
+            },
+            "related_relationship_ids": {
+              "bsonType": "array",
+              "description": "transaction_relationships _ids whose related_customer_id was re-pointed"
+            }
+          }
+        },
+        "survivor_version": {
+          "bsonType": [
+            "int",
+            "long",
+            "null"
+          ],
+          "minimum": 0,
+          "description": "survivor version after the merge; revert refuses once it changed"
+        },
+        "merged_version": {
+          "bsonType": [
+            "int",
+            "long",
+            "null"
+          ],
+          "minimum": 0
+        },
+        "merged_at": {
+          "bsonType": "date"
+        },
+        "completed_at": {
+          "bsonType": [
+            "date",
+            "null"
+          ]
+        },
+        "reverted_by": {
+          "bsonType": [
+            "string",
+            "null"
+          ]
+        },
+        "reverted_at": {
+          "bsonType": [
+            "date",
+            "null"
+          ]
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
+
+// fx_rates
+var fxRatesValidator = {
+  "validator": {
+    "$jsonSchema": {
+      "bsonType": "object",
+      "required": [
+        "currency",
+        "effective_from",
+        "rate",
+        "loaded_at"
+      ],
+      "properties": {
+        "currency": {
+          "bsonType": "string",
+          "pattern": "^[A-Z]{3}$"
+        },
+        "effective_from": {
+          "bsonType": "date",
+          "description": "UTC midnight; in effect until the currency's next effective_from"
+        },
+        "rate": {
+          "bsonType": "decimal",
+          "description": "units of USD (the base currency) per unit of currency"
+        },
+        "source": {
+          "bsonType": [
+            "string",
+            "null"
+          ]
+        },
+        "loaded_at": {
+          "bsonType": "date"
+        }
+      }
+    }
+  },
+  "validationLevel": "moderate",
+  "validationAction": "error"
+};
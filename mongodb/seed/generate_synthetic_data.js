@@ -0,0 +1,114 @@
+// Bulk-loads deterministic synthetic customers, transactions_ts and
+// transaction_relationships for index, bucketing and analytics benchmarks
+// (lib/synthetic.js). Same SEED and settings, same documents.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   CUSTOMERS          customers to generate (default 1000)
+//   TRANSACTIONS       regular transactions per customer (default 100); cash
+//                      deposits and injected transfers come on top
+//   SEED               PRNG seed (default polyglot)
+//   UNTIL / DAYS       transactions fall in the DAYS (default 365) before UNTIL
+//                      (default the start of the current UTC day; pin it for
+//                      identical runs)
+//   FRAUD_RINGS        transfer cycles to inject (default CUSTOMERS / 500, min 1)
+//   RING_SIZE          customers per ring (default 3)
+//   IMPOSSIBLE_TRAVEL  customers given a payment abroad (default CUSTOMERS / 100,
+//                      min 1)
+//   P2P_TRANSFERS      background transfers between customers (default
+//                      CUSTOMERS / 4)
+//   ID_BASE            customer n gets customer_id ID_BASE + n (default 1000000000)
+//   BATCH_SIZE         customers per bulk insert (default 200)
+//   ENCRYPT_PII        false skips ssn / date_of_birth / drivers_license instead
+//                      of encrypting them with the CSFLE keys (default true;
+//                      creates one data key per customer)
+//   REPLACE            true deletes earlier synthetic data in the id range first
+//   DRY_RUN            true generates everything but writes nothing
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/seed/generate_synthetic_data.js
+//   CUSTOMERS=100000 TRANSACTIONS=200 ENCRYPT_PII=false mongosh "$MONGODB_URI" mongodb/seed/generate_synthetic_data.js
+//   SEED=bench-1 UNTIL=2026-01-01T00:00:00Z REPLACE=true mongosh "$MONGODB_URI" mongodb/seed/generate_synthetic_data.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/csfle.js`);
+load(`${__dirname}/../lib/synthetic.js`);
+
+const customers = intSetting("CUSTOMERS", SYNTHETIC_DEFAULTS.customers, 1);
+const today = new Date();
+const options = {
+  seed: setting("SEED", SYNTHETIC_DEFAULTS.seed),
+  customers,
+  transactionsPerCustomer: intSetting(
+    "TRANSACTIONS",
+    SYNTHETIC_DEFAULTS.transactionsPerCustomer,
+    0,
+  ),
+  until:
+    dateSetting("UNTIL") ??
+    new Date(
+      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()),
+    ),
+  // transactions_ts expires documents after two years.
+  days: intSetting("DAYS", SYNTHETIC_DEFAULTS.days, 1),
+  fraudRings: intSetting(
+    "FRAUD_RINGS",
+    Math.max(1, Math.floor(customers / 500)),
+    0,
+  ),
+  ringSize: intSetting("RING_SIZE", SYNTHETIC_DEFAULTS.ringSize, 2),
+  impossibleTravel: intSetting(
+    "IMPOSSIBLE_TRAVEL",
+    Math.max(1, Math.floor(customers / 100)),
+    0,
+  ),
+  p2pTransfers: intSetting("P2P_TRANSFERS", Math.floor(customers / 4), 0),
+  idBase: intSetting("ID_BASE", SYNTHETIC_DEFAULTS.idBase, 0),
+  batchSize: intSetting("BATCH_SIZE", SYNTHETIC_DEFAULTS.batchSize, 1),
+  encryptPii: setting("ENCRYPT_PII", "true") !== "false",
+};
+if (options.days > 730) {
+  throw new Error("DAYS must be at most 730: older transactions_ts expire");
+}
+
+if (!dryRun && !collectionInfo("customers")) {
+  throw new Error(
+    "customers collection is missing; run customer_360_schema.js with PROFILE=schema first",
+  );
+}
+if (options.encryptPii && !dryRun && !csfleReady()) {
+  throw new Error(
+    "CSFLE keys are missing; run the schema profile first or set ENCRYPT_PII=false",
+  );
+}
+
+const existing = db.customers.countDocuments(
+  { customer_id: syntheticIdFilter(options) },
+  { limit: 1 },
+);
+if (existing && setting("REPLACE", "false") !== "true") {
+  throw new Error(
+    `customers already exist in the customer_id range (${options.idBase}, ` +
+      `${options.idBase + customers}]; set REPLACE=true or another ID_BASE`,
+  );
+}
+if (existing) deleteSyntheticData(options);
+
+const summary = generateSyntheticData(options);
+const seconds = summary.ms / 1000;
+const rate = Math.round(
+  (summary.customers + summary.transactions + summary.relationships) /
+    Math.max(seconds, 0.001),
+);
+
+print(
+  `customers ${summary.customers}, transactions ${summary.transactions}, ` +
+    `relationships ${summary.relationships}, fraud rings ${summary.rings}, ` +
+    `impossible-travel customers ${summary.travellers}`,
+);
+print(
+  dryRun
+    ? `=== Dry Run Complete: generated in ${seconds.toFixed(1)}s, nothing written ===`
+    : `=== Loaded in ${seconds.toFixed(1)}s (${rate} documents/s); refresh ` +
+        "customer_analytics_monthly with jobs/refresh_customer_analytics_monthly.js ===",
+);
@@ -0,0 +1,62 @@
+// Review report of likely duplicate customers (lib/customer_dedup.js): pairs
+// scored on normalized name, phone, address and date of birth. Read-only;
+// merge reviewed pairs with jobs/merge_customers.js.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   CUSTOMER_ID     comma-separated customer_id values; only pairs involving
+//                   one of them are reported (default every pair)
+//   MIN_SCORE       lowest score reported, 0-1 (default 0.7)
+//   MAX_BLOCK_SIZE  customers sharing one blocking key before it is skipped
+//                   (default 50)
+//   FORMAT          text or json (default text)
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/tools/find_duplicate_customers.js
+//   MIN_SCORE=0.9 FORMAT=json mongosh --quiet "$MONGODB_URI" mongodb/tools/find_duplicate_customers.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/csfle.js`);
+load(`${__dirname}/../lib/customer_dedup.js`);
+
+const FORMATS = ["text", "json"];
+const format = setting("FORMAT", "text");
+if (!FORMATS.includes(format)) {
+  throw new Error(`Unknown FORMAT "${format}"; expected ${FORMATS.join(", ")}`);
+}
+const minScore = Number(setting("MIN_SCORE", DEDUP_DEFAULTS.minScore));
+if (!(minScore >= 0 && minScore <= 1)) {
+  throw new Error("MIN_SCORE must be between 0 and 1");
+}
+
+const report = findDuplicateCustomers({
+  customerIds: customerIdsSetting(),
+  minScore,
+  maxBlockSize: intSetting("MAX_BLOCK_SIZE", DEDUP_DEFAULTS.maxBlockSize, 2),
+});
+
+if (format === "json") {
+  print(EJSON.stringify(report, null, 2, { relaxed: true }));
+} else {
+  print("\n=== Candidate Duplicates ===");
+  report.pairs.forEach(({ customer_ids: [a, b], score, label, signals }) =>
+    print(
+      `${a}\t${b}\t${score.toFixed(3)}\t${label}\t` +
+        Object.entries(signals)
+          .map(([signal, value]) => `${signal} ${value ?? "-"}`)
+          .join(" "),
+    ),
+  );
+  report.skippedBlocks.forEach(({ key, size }) =>
+    print(`[skip] ${key}: ${size} customers share it`),
+  );
+}
+
+if (!report.dobCompared) {
+  print("[warn] dates of birth not compared: CSFLE master key unavailable");
+}
+print(
+  `\n=== Duplicate Report: ${report.pairs.length} pair(s) among ` +
+    `${report.customers} customer(s), ` +
+    `${report.pairs.filter((p) => p.label === "likely").length} likely ===`,
+);
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// Generates the MongoDB $jsonSchema validators and the event <-> document
+// mapping doc from the canonical customer 360 definition, so the Mongo side
+// and the shared event contracts cannot drift apart silently.
+//
+//   node mongodb/tools/generate-validators.mjs          write generated files
+//   node mongodb/tools/generate-validators.mjs --check  fail (exit 1) when the
+//     generated files are stale or shared/schemas/*.json disagree with the
+//     canonical event mappings
+//
+// No dependencies beyond Node 18+.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../..",
+);
+const CANONICAL = "shared/canonical/customer_360.json";
+const SHARED_SCHEMAS = "shared/schemas";
+const VALIDATORS_OUT = "mongodb/schemas/generated/validators.js";
+const MAPPING_OUT = "shared/schemas/MONGODB_MAPPING.md";
+
+// Keywords copied verbatim from a canonical node onto the generated schema.
+const PASSTHROUGH = [
+  "pattern",
+  "minimum",
+  "maximum",
+  "minItems",
+  "maxItems",
+  "uniqueItems",
+  "description",
+];
+
+const readJson = (rel) =>
+  JSON.parse(fs.readFileSync(path.join(ROOT, rel), "utf8"));
+
+function toMongo(node, types, where) {
+  let schema;
+  if (node.type === "enum") {
+    schema = { enum: node.values };
+  } else {
+    const base = types[node.type]?.mongo;
+    if (!base) throw new Error(`${where}: unknown type "${node.type}"`);
+    schema = structuredClone(base);
+  }
+
+  if (node.nullable) {
+    schema.bsonType = [...[].concat(schema.bsonType), "null"];
+  }
+  if (node.properties) {
+    const required = Object.keys(node.properties).filter(
+      (name) => node.properties[name].required,
+    );
+    if (required.length) schema.required = required;
+    schema.properties = Object.fromEntries(
+      Object.entries(node.properties).map(([name, child]) => [
+        name,
+        toMongo(child, types, `${where}.${name}`),
+      ]),
+    );
+  }
+  if (node.items) {
+    schema.items = Array.isArray(node.items)
+      ? node.items.map((item, i) => toMongo(item, types, `${where}[${i}]`))
+      : toMongo(node.items, types, `${where}[]`);
+  }
+  if (node.additionalProperties) {
+    schema.additionalProperties = toMongo(
+      node.additionalProperties,
+      types,
+      `${where}.*`,
+    );
+  }
+  PASSTHROUGH.forEach((key) => {
+    if (node[key] !== undefined) schema[key] = node[key];
+  });
+  return schema;
+}
+
+// Flattens a collection schema into { path, node, required } rows; required is
+// true only when every ancestor is required and no array lies on the path.
+function flatten(node, prefix = "", required = true, rows = []) {
+  Object.entries(node.properties ?? {}).forEach(([name, child]) => {
+    const p = prefix ? `${prefix}.${name}` : name;
+    const req = required && Boolean(child.required);
+    rows.push({ path: p, node: child, required: req });
+    if (child.properties) flatten(child, p, req, rows);
+    if (child.items && !Array.isArray(child.items) && child.items.properties) {
+      flatten(child.items, `${p}[]`, false, rows);
+    }
+  });
+  return rows;
+}
+
+function normalizeMapping(mapping) {
+  return typeof mapping === "string" ? { field: mapping } : mapping;
+}
+
+function bsonTypeLabel(node, types) {
+  if (node.type === "enum") return `enum(${node.values.join(", ")})`;
+  const bson = [].concat(types[node.type].mongo.bsonType);
+  if (node.nullable) bson.push("null");
+  return bson.join(" \\| ");
+}
+
+function renderValidators(canonical) {
+  const lines = [
+    "// GENERATED by mongodb/tools/generate-validators.mjs from",
+    `// ${CANONICAL} - do not edit by hand.`,
+    "// Regenerate: node mongodb/tools/generate-validators.mjs",
+    "//",
+    "// Loaded with load(); `var` keeps the validators global for the caller.",
+    "",
+  ];
+  Object.entries(canonical.collections).forEach(([name, coll]) => {
+    const validator = {
+      validator: { $jsonSchema: toMongo(coll.schema, canonical.types, name) },
+      validationLevel: coll.validationLevel,
+      validationAction: coll.validationAction,
+    };
+    lines.push(`// ${name}`);
+    lines.push(
+      `var ${coll.validator} = ${JSON.stringify(validator, null, 2)};`,
+    );
+    lines.push("");
+  });
+  return lines.join("\n");
+}
+
+function renderMapping(canonical) {
+  const { types, events, collections } = canonical;
+  const out = [
+    "# MongoDB ↔ event contract mapping",
+    "",
+    `<!-- GENERATED by mongodb/tools/generate-validators.mjs from ${CANONICAL}; do not edit by hand. -->`,
+    "",
+    "How the JSON Schema event contracts in this folder map onto the customer 360 MongoDB collections. Both the MongoDB validators and this page are generated from the canonical definition; `node mongodb/tools/generate-validators.mjs --check` fails when they, or the event schemas, drift apart.",
+    "",
+    "## Type representations",
+    "",
+    "| Canonical type | MongoDB | Events | Conversion |",
+    "| -------------- | ------- | ------ | ---------- |",
+  ];
+  Object.entries(types).forEach(([name, t]) => {
+    const mongo = t.mongo ? [].concat(t.mongo.bsonType).join(" \\| ") : "enum";
+    const event = [t.event.type, t.event.format].filter(Boolean).join(" / ");
+    out.push(
+      `| \`${name}\` | ${mongo} | ${event} | ${t.conversion ?? "unchanged"} |`,
+    );
+  });
+
+  Object.entries(events).forEach(([eventName, ev]) => {
+    out.push("", `## \`${eventName}\` (${ev.schema})`, "");
+    if (!ev.collection) {
+      out.push(ev.note);
+      return;
+    }
+    out.push(
+      `Projected onto \`${ev.collection}\` (${ev.mode === "update" ? "updates existing documents" : "creates documents"}).`,
+      "",
+      "| MongoDB field | BSON type | Required | Event field | Conversion |",
+      "| ------------- | --------- | -------- | ----------- | ---------- |",
+    );
+    flatten(collections[ev.collection].schema)
+      .filter(({ node }) => node.events?.[eventName])
+      .forEach(({ path: p, node, required }) => {
+        const m = normalizeMapping(node.events[eventName]);
+        const source = m.field ? `\`${m.field}\`` : "—";
+        let how = types[node.type].conversion ?? "unchanged";
+        if (m.derived) how = `derived: ${m.derived}`;
+        if (m.default) how = `${how}; defaults to ${m.default}`;
+        out.push(
+          `| \`${p}\` | ${bsonTypeLabel(node, types)} | ${required ? "yes" : "no"} | ${source} | ${how} |`,
+        );
+      });
+    Object.entries(ev.unmapped ?? {}).forEach(([field, why]) => {
+      out.push(`| — | — | — | \`${field}\` | not stored: ${why} |`);
+    });
+  });
+  out.push("");
+  return out.join("\n");
+}
+
+function checkEvents(canonical) {
+  const errors = [];
+  Object.entries(canonical.events).forEach(([eventName, ev]) => {
+    const schema = readJson(`${SHARED_SCHEMAS}/${ev.schema}`);
+    if (schema.properties?.event_type?.const !== eventName) {
+      errors.push(`${ev.schema}: event_type const is not "${eventName}"`);
+    }
+    if (!ev.collection) return;
+
+    const consumed = new Set([
+      ...canonical.envelope,
+      ...Object.keys(ev.unmapped ?? {}),
+    ]);
+    const eventRequired = schema.required ?? [];
+
+    flatten(canonical.collections[ev.collection].schema)
+      .filter(({ node }) => node.events?.[eventName])
+      .forEach(({ path: p, node, required }) => {
+        const m = normalizeMapping(node.events[eventName]);
+        // A derived value may name the event field it is computed from.
+        if (m.field) consumed.add(m.field);
+        if (m.derived) return;
+
+        const prop = schema.properties?.[m.field];
+        if (!prop) {
+          errors.push(
+            `${ev.collection}.${p} maps to ${eventName}.${m.field}, which ${ev.schema} does not define`,
+          );
+          return;
+        }
+        const expected = canonical.types[node.type].event;
+        if (![].concat(prop.type).includes(expected.type)) {
+          errors.push(
+            `${ev.collection}.${p} (${node.type}) expects ${eventName}.${m.field} to be ${expected.type}, ${ev.schema} says ${prop.type}`,
+          );
+        }
+        if (expected.format && prop.format !== expected.format) {
+          errors.push(
+            `${ev.collection}.${p} expects ${eventName}.${m.field} format ${expected.format}, ${ev.schema} says ${prop.format ?? "none"}`,
+          );
+        }
+        if (
+          ev.mode === "insert" &&
+          required &&
+          !m.default &&
+          !eventRequired.includes(m.field)
+        ) {
+          errors.push(
+            `${ev.collection}.${p} is required in MongoDB but ${m.field} is optional in ${ev.schema}; make it required or declare a default`,
+          );
+        }
+      });
+
+    eventRequired
+      .filter((field) => !consumed.has(field))
+      .forEach((field) => {
+        errors.push(
+          `${ev.schema} requires ${field} but no ${ev.collection} field maps it (add a mapping or list it under "unmapped")`,
+        );
+      });
+  });
+  return errors;
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  const canonical = readJson(CANONICAL);
+  const outputs = [
+    [VALIDATORS_OUT, renderValidators(canonical)],
+    [MAPPING_OUT, renderMapping(canonical)],
+  ];
+
+  if (!check) {
+    outputs.forEach(([rel, content]) => {
+      fs.mkdirSync(path.dirname(path.join(ROOT, rel)), { recursive: true });
+      fs.writeFileSync(path.join(ROOT, rel), content);
+      console.log(`wrote ${rel}`);
+    });
+    return;
+  }
+
+  const errors = checkEvents(canonical);
+  outputs.forEach(([rel, content]) => {
+    const file = path.join(ROOT, rel);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+    if (current !== content) {
+      errors.push(
+        `${rel} is out of date; run node mongodb/tools/generate-validators.mjs`,
+      );
+    }
+  });
+  if (errors.length) {
+    errors.forEach((e) => console.error(`✗ ${e}`));
+    process.exit(1);
+  }
+  console.log("MongoDB validators and shared event schemas are in sync");
+}
+
+main();
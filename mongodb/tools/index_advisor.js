@@ -0,0 +1,99 @@
+// Reports redundant, unused and missing indexes on the customer 360
+// collections (lib/index_advisor.js): explains every canonical query shape
+// with executionStats, reads $indexStats usage and $collStats index sizes.
+// Read-only; drop or create indexes through a migration.
+//
+// Settings (environment variable or `var NAME = ...` via --eval):
+//   COLLECTIONS         comma-separated collections (default every collection
+//                       with a query shape)
+//   CUSTOMER_ID         customer whose values fill the query shapes (default
+//                       the first customer)
+//   MAX_EXAMINED_RATIO  documents examined per result before a shape is
+//                       reported as missing an index (default 10)
+//   FORMAT              text or json (default text)
+//
+// Usage:
+//   mongosh "$MONGODB_URI" mongodb/tools/index_advisor.js
+//   COLLECTIONS=transactions_ts FORMAT=json mongosh --quiet "$MONGODB_URI" mongodb/tools/index_advisor.js
+
+load(`${__dirname}/../lib/provisioning.js`);
+load(`${__dirname}/../lib/customers.js`);
+load(`${__dirname}/../lib/geo.js`);
+load(`${__dirname}/../lib/index_advisor.js`);
+
+const FORMATS = ["text", "json"];
+const format = setting("FORMAT", "text");
+if (!FORMATS.includes(format)) {
+  throw new Error(`Unknown FORMAT "${format}"; expected ${FORMATS.join(", ")}`);
+}
+
+const customerIds = customerIdsSetting();
+const collections = setting("COLLECTIONS", null);
+const report = adviseIndexes({
+  ...(collections
+    ? { collections: collections.split(",").map((c) => c.trim()) }
+    : {}),
+  sample: indexAdvisorSample({ customerId: customerIds?.[0] }),
+  maxExaminedRatio: intSetting(
+    "MAX_EXAMINED_RATIO",
+    INDEX_ADVISOR_DEFAULTS.maxExaminedRatio,
+    1,
+  ),
+});
+
+const totalBytes = (entries) =>
+  entries.reduce((sum, e) => sum + (e.bytes ?? 0), 0);
+
+if (format === "json") {
+  print(EJSON.stringify(report, null, 2, { relaxed: true }));
+} else {
+  print("\n=== Query Shapes ===");
+  report.queries.forEach((q) =>
+    print(
+      `${q.collection}\t${q.name}\t` +
+        `${q.collscan ? "COLLSCAN" : q.indexes.join(", ") || "-"}\t` +
+        `keys ${q.keysExamined ?? "?"} docs ${q.docsExamined ?? "?"} ` +
+        `returned ${q.returned ?? "?"} ${q.millis ?? "?"}ms`,
+    ),
+  );
+
+  print("\n=== Redundant Indexes ===");
+  report.redundant.forEach((r) =>
+    print(
+      `${r.collection}\t${r.name}\t${formatBytes(r.bytes)}\t` +
+        `${r.reason}: served by ${r.coveredBy}`,
+    ),
+  );
+
+  print("\n=== Unused Indexes ===");
+  report.unused.forEach((u) =>
+    print(
+      `${u.collection}\t${u.name}\t${formatBytes(u.bytes)}\t` +
+        `0 ops since ${u.since?.toISOString() ?? "?"}`,
+    ),
+  );
+
+  print("\n=== Missing Indexes ===");
+  report.missing.forEach((m) =>
+    print(
+      `${m.collection}\t${m.query}\t${m.reason}\t` +
+        (m.suggestion
+          ? `suggest ${EJSON.stringify(m.suggestion)}` +
+            (m.exists ? " (exists, but the planner did not choose it)" : "")
+          : "no index can serve this filter"),
+    ),
+  );
+}
+
+// An index can be both redundant and unused; count its size once.
+const droppable = new Map(
+  [...report.redundant, ...report.unused].map((e) => [
+    `${e.collection}.${e.name}`,
+    e,
+  ]),
+);
+print(
+  `\n=== Index Advisor: ${report.redundant.length} redundant, ` +
+    `${report.unused.length} unused (${formatBytes(totalBytes([...droppable.values()]))} ` +
+    `droppable), ${report.missing.length} missing ===`,
+);
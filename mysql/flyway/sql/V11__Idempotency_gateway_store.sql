@@ -0,0 +1,10 @@
+-- Gateway idempotency store (api/src/idempotency.ts): a key is claimed as PROCESSING before the
+-- request is forwarded and COMPLETE once the upstream answered; the fingerprint detects reuse of
+-- a key with a different request body.
+ALTER TABLE idempotency_keys
+    ADD COLUMN request_fingerprint CHAR(64) NULL COMMENT 'sha256 of method, path and canonical body' AFTER idempotency_key,
+    ADD COLUMN status ENUM('PROCESSING', 'COMPLETE') NOT NULL DEFAULT 'COMPLETE' AFTER request_fingerprint,
+    ADD COLUMN locked_until TIMESTAMP(3) NULL COMMENT 'abandoned PROCESSING claims can be taken over after this' AFTER status,
+    ADD COLUMN response_content_type VARCHAR(128) NULL AFTER response_code,
+    MODIFY response_code SMALLINT NULL,
+    MODIFY response_body LONGTEXT NULL;
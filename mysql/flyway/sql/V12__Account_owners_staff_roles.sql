@@ -0,0 +1,27 @@
+-- Gateway authorization (api/src/authz.ts): a JWT `sub` is users.external_id, its `roles` claim
+-- names rows of `roles`. Customers act only on accounts they own; support and admin may act on
+-- any account, and every such override is written to audit_log.
+INSERT IGNORE INTO roles (id, name, description) VALUES
+ (4, 'support', 'Customer support; may act on any account, audited'),
+ (5, 'admin', 'Platform administrator; may act on any account, audited');
+
+CREATE TABLE IF NOT EXISTS account_owners (
+    account_id VARCHAR(36) NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (account_id, user_id),
+    INDEX idx_account_owners_user (user_id),
+    CONSTRAINT fk_account_owners_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE,
+    CONSTRAINT fk_account_owners_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Demo owner of the V7 accounts; '!' is no valid hash, so the user cannot log in with a password.
+INSERT IGNORE INTO users (external_id, email, password_hash) VALUES
+ ('demo-user-001', 'demo-user-001@example.com', '!');
+
+INSERT IGNORE INTO user_roles (user_id, role_id)
+SELECT id, 1 FROM users WHERE external_id = 'demo-user-001';
+
+INSERT IGNORE INTO account_owners (account_id, user_id)
+SELECT a.id, u.id FROM accounts a JOIN users u ON u.external_id = 'demo-user-001'
+ WHERE a.id IN ('demo-checking-001', 'demo-savings-001');